@@ -197,7 +197,7 @@ configure_samba_dns() {
     
     # Detect domain name
     local domain_name
-    domain_name=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "")
+    domain_name=$("$SOURCE_DIR/domain-context.sh" --realm 2>/dev/null || echo "")
     
     if [[ -z "$domain_name" ]]; then
         domain_name=$(hostname -d 2>/dev/null || echo "")
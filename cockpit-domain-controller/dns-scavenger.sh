@@ -0,0 +1,360 @@
+#!/bin/bash
+# DNS Scavenger
+# Lists dynamically registered DNS records and removes those not refreshed within a threshold
+# Runs from dns-scavenger.timer on the PDC Emulator, or on demand from Cockpit
+
+set -e
+
+SCRIPT_NAME="dns-scavenger"
+LOG_TAG="$SCRIPT_NAME"
+LOCK_FILE="/var/run/dns-scavenger.lock"
+
+# Local scavenging settings, written by the Cockpit DNS Scavenging card
+SCAVENGING_CONFIG="/etc/samba/dns-scavenging.conf"
+THRESHOLD_DAYS=14
+SCAVENGE_ZONES=""
+
+# Logging functions
+log_info() {
+    logger -t "$LOG_TAG" -p info "$1"
+    echo "[INFO] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+log_error() {
+    logger -t "$LOG_TAG" -p err "$1"
+    echo "[ERROR] $(date '+%Y-%m-%d %H:%M:%S') $1" >&2
+}
+
+log_debug() {
+    logger -t "$LOG_TAG" -p debug "$1"
+    echo "[DEBUG] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+# Lock management
+acquire_lock() {
+    if [ -f "$LOCK_FILE" ]; then
+        local pid=$(cat "$LOCK_FILE" 2>/dev/null || echo "")
+        if [ -n "$pid" ] && kill -0 "$pid" 2>/dev/null; then
+            log_info "Another scavenging run is in progress (PID: $pid)"
+            exit 0
+        else
+            log_info "Removing stale lock file"
+            rm -f "$LOCK_FILE"
+        fi
+    fi
+    echo $$ > "$LOCK_FILE"
+    trap 'release_lock; exit' INT TERM EXIT
+}
+
+release_lock() {
+    rm -f "$LOCK_FILE"
+}
+
+# Load threshold and zone list from the local configuration
+load_config() {
+    if [ -f "$SCAVENGING_CONFIG" ]; then
+        # shellcheck source=/dev/null
+        source "$SCAVENGING_CONFIG"
+    fi
+}
+
+# Scheduled runs only happen on the PDC Emulator so DCs do not race each other
+is_pdc_emulator() {
+    local this_server pdc_owner
+    this_server=$(hostname -s | tr '[:upper:]' '[:lower:]')
+    pdc_owner=$(samba-tool fsmo show 2>/dev/null | grep "PdcEmulationMasterRole owner:" | sed 's/.*CN=NTDS Settings,CN=\([^,]*\).*/\1/' | tr '[:upper:]' '[:lower:]')
+
+    [ -n "$pdc_owner" ] && [ "$pdc_owner" = "$this_server" ]
+}
+
+# Walk the DNS partitions with the Samba Python bindings.
+# Modes: list (JSON of dynamic records), preview and scavenge (human-readable report).
+run_scavenger() {
+    local mode="$1"
+    local days="$2"
+
+    python3 - "$mode" "$days" "$SCAVENGE_ZONES" << 'PYTHON'
+import sys
+import json
+import datetime
+
+import ldb
+from samba.auth import system_session
+from samba.dcerpc import dnsp
+from samba.ndr import ndr_unpack
+from samba.param import LoadParm
+from samba.samdb import SamDB
+
+mode, days, zone_filter = sys.argv[1], int(sys.argv[2]), sys.argv[3].lower().split()
+
+lp = LoadParm()
+lp.load_default()
+samdb = SamDB(url=lp.samdb_url(), session_info=system_session(), lp=lp)
+
+# dwTimeStamp counts hours since 1601-01-01; zero marks a static record
+EPOCH = datetime.datetime(1601, 1, 1)
+now_hours = int((datetime.datetime.utcnow() - EPOCH).total_seconds() // 3600)
+threshold_hours = days * 24
+
+TYPES = {1: 'A', 2: 'NS', 5: 'CNAME', 12: 'PTR', 15: 'MX', 16: 'TXT', 28: 'AAAA', 33: 'SRV'}
+
+# Domain controllers keep their own registrations fresh; never touch them here
+dc_names = set()
+dc_hosts = set()
+for res in samdb.search(base=samdb.get_config_basedn(), scope=ldb.SCOPE_SUBTREE,
+                        expression='(objectClass=server)', attrs=['dNSHostName']):
+    for value in res.get('dNSHostName', []):
+        dc_hosts.add(str(value).rstrip('.').lower())
+        dc_names.add(str(value).split('.')[0].lower())
+
+
+def record_data(rec):
+    if rec.wType == 33:
+        return '%s %d %d %d' % (rec.data.nameTarget, rec.data.wPort, rec.data.wPriority, rec.data.wWeight)
+    if rec.wType == 15:
+        return '%s %d' % (rec.data.nameExchange, rec.data.wPriority)
+    if rec.wType == 16:
+        return ' '.join('"%s"' % part for part in rec.data.str)
+    return str(rec.data)
+
+
+def is_protected(zone, name, rec):
+    # PTR records of DCs in reverse zones are named after the address, so check their target
+    if rec.wType == 12 and str(rec.data).rstrip('.').lower() in dc_hosts:
+        return True
+    return (name.startswith('_') or zone.startswith('_msdcs.') or name.lower() in dc_names or
+            name in ('@', 'DomainDnsZones', 'ForestDnsZones', 'gc'))
+
+
+def zone_aging(zone_msg):
+    """Aging state and no-refresh plus refresh interval in hours from the zone's dnsProperty"""
+    enabled, norefresh, refresh = False, 168, 168
+    for raw in zone_msg.get('dnsProperty', []):
+        try:
+            prop = ndr_unpack(dnsp.DnsProperty, raw)
+        except Exception:
+            continue
+        if prop.id == dnsp.DSPROPERTY_ZONE_AGING_STATE:
+            enabled = bool(prop.data)
+        elif prop.id == dnsp.DSPROPERTY_ZONE_NOREFRESH_INTERVAL:
+            norefresh = prop.data
+        elif prop.id == dnsp.DSPROPERTY_ZONE_REFRESH_INTERVAL:
+            refresh = prop.data
+    return enabled, norefresh + refresh
+
+
+partitions = [
+    'CN=MicrosoftDNS,DC=DomainDnsZones,%s' % samdb.domain_dn(),
+    'CN=MicrosoftDNS,DC=ForestDnsZones,%s' % samdb.get_root_basedn(),
+]
+
+records = []
+for base in partitions:
+    # Like Windows, only zones with aging enabled are scavenged, and never before
+    # the zone's no-refresh and refresh intervals have both passed
+    aging = {}
+    try:
+        for res in samdb.search(base=base, scope=ldb.SCOPE_ONELEVEL, expression='(objectClass=dnsZone)',
+                                attrs=['dnsProperty']):
+            aging[res.dn.get_rdn_value().lower()] = zone_aging(res)
+    except ldb.LdbError:
+        continue
+
+    try:
+        nodes = samdb.search(base=base, scope=ldb.SCOPE_SUBTREE,
+                             expression='(&(objectClass=dnsNode)(!(dNSTombstoned=TRUE)))',
+                             attrs=['dnsRecord'])
+    except ldb.LdbError:
+        continue
+
+    for node in nodes:
+        zone = node.dn.parent().get_rdn_value()
+        name = node.dn.get_rdn_value()
+        if zone_filter and zone.lower() not in zone_filter:
+            continue
+
+        for raw in node.get('dnsRecord', []):
+            rec = ndr_unpack(dnsp.DnssrvRpcRecord, raw)
+            if rec.dwTimeStamp == 0 or rec.wType not in TYPES:
+                continue
+
+            age_hours = now_hours - rec.dwTimeStamp
+            aging_enabled, aging_hours = aging.get(zone.lower(), (False, 0))
+            protected = is_protected(zone, name, rec)
+            records.append({
+                'dn': str(node.dn),
+                'zone': zone,
+                'name': name,
+                'type': TYPES[rec.wType],
+                'data': record_data(rec),
+                'timestamp': (EPOCH + datetime.timedelta(hours=rec.dwTimeStamp)).strftime('%Y-%m-%dT%H:00:00Z'),
+                'ageHours': age_hours,
+                'protected': protected,
+                'agingEnabled': aging_enabled,
+                'agingHours': aging_hours,
+                'stale': (aging_enabled and not protected and
+                          age_hours > max(threshold_hours, aging_hours)),
+                'raw': raw,
+            })
+
+if mode == 'list':
+    print(json.dumps([{k: v for k, v in r.items() if k != 'raw'} for r in records]))
+    sys.exit(0)
+
+stale = [r for r in records if r['stale']]
+print('%d dynamic records checked, %d older than %d days' % (len(records), len(stale), days))
+for zone in sorted(set(r['zone'] for r in records if not r['agingEnabled'])):
+    print('Skipping %s: aging is not enabled for this zone' % zone)
+
+removed = 0
+failed = 0
+for dn in sorted(set(r['dn'] for r in stale)):
+    node_stale = [r for r in stale if r['dn'] == dn]
+    for r in node_stale:
+        print('%s %s.%s %s %s (last refreshed %s)' % (
+            'Would remove' if mode == 'preview' else 'Removing', r['name'], r['zone'], r['type'], r['data'], r['timestamp']))
+    if mode != 'scavenge':
+        continue
+
+    try:
+        remaining = [r for r in records if r['dn'] == dn and not r['stale']]
+        current = samdb.search(base=dn, scope=ldb.SCOPE_BASE, attrs=['dnsRecord'])[0]
+        if not remaining and len(current.get('dnsRecord', [])) == len(node_stale):
+            samdb.delete(dn)
+        else:
+            msg = ldb.Message()
+            msg.dn = ldb.Dn(samdb, dn)
+            msg['dnsRecord'] = ldb.MessageElement([r['raw'] for r in node_stale], ldb.FLAG_MOD_DELETE, 'dnsRecord')
+            samdb.modify(msg)
+        removed += len(node_stale)
+    except ldb.LdbError as error:
+        failed += len(node_stale)
+        print('Failed to update %s: %s' % (dn, error.args[-1]), file=sys.stderr)
+
+if mode == 'scavenge':
+    print('Removed %d stale records, %d failures' % (removed, failed))
+    sys.exit(1 if failed else 0)
+PYTHON
+}
+
+# Show the scheduled state and configuration
+show_status() {
+    load_config
+    echo "Threshold: ${THRESHOLD_DAYS} days"
+    echo "Zones: ${SCAVENGE_ZONES:-all}"
+    echo "Timer: $(systemctl is-enabled dns-scavenger.timer 2>/dev/null || echo disabled)"
+    if is_pdc_emulator; then
+        echo "Scheduled runs: active (this DC is the PDC Emulator)"
+    else
+        echo "Scheduled runs: skipped on this DC (not the PDC Emulator)"
+    fi
+}
+
+usage() {
+    cat << EOF
+Usage: $0 [OPTIONS]
+
+DNS Scavenger - Remove dynamic DNS records that have not been refreshed
+
+OPTIONS:
+    -h, --help              Show this help message
+    -l, --list              Print dynamic records with their timestamps as JSON
+    -p, --preview           Show which records would be removed
+    -s, --scavenge          Remove stale dynamic records
+    --scheduled             Scavenge only if this DC holds the PDC Emulator role (used by the timer)
+    -d, --days DAYS         Age threshold in days (default: ${THRESHOLD_DAYS}, or from ${SCAVENGING_CONFIG})
+    --status                Show scavenging configuration and timer state
+
+DESCRIPTION:
+    Static records and the SRV, _msdcs, host and PTR records of domain controllers are never removed.
+    Only zones with aging enabled are scavenged, and a record must also be older than the
+    zone's no-refresh plus refresh interval.
+
+EXAMPLES:
+    $0 --preview --days 30      # List records older than 30 days
+    $0 --scavenge               # Remove records older than the configured threshold
+
+EOF
+}
+
+# Main execution
+main() {
+    local action="preview"
+    local days=""
+
+    load_config
+
+    # Parse arguments
+    while [[ $# -gt 0 ]]; do
+        case $1 in
+            -h|--help)
+                usage
+                exit 0
+                ;;
+            -l|--list)
+                action="list"
+                shift
+                ;;
+            -p|--preview)
+                action="preview"
+                shift
+                ;;
+            -s|--scavenge)
+                action="scavenge"
+                shift
+                ;;
+            --scheduled)
+                action="scheduled"
+                shift
+                ;;
+            -d|--days)
+                days="$2"
+                shift 2
+                ;;
+            --status)
+                action="status"
+                shift
+                ;;
+            *)
+                echo "Unknown option: $1"
+                usage
+                exit 1
+                ;;
+        esac
+    done
+
+    days="${days:-$THRESHOLD_DAYS}"
+    if ! [[ "$days" =~ ^[0-9]+$ ]] || [ "$days" -lt 1 ]; then
+        log_error "Threshold must be a whole number of days greater than zero"
+        exit 1
+    fi
+
+    case $action in
+        list)
+            run_scavenger list "$days"
+            ;;
+        preview)
+            run_scavenger preview "$days"
+            ;;
+        scavenge)
+            acquire_lock
+            log_info "Scavenging dynamic DNS records older than ${days} days"
+            run_scavenger scavenge "$days"
+            ;;
+        scheduled)
+            if ! is_pdc_emulator; then
+                log_debug "Not the PDC Emulator, skipping scheduled scavenging"
+                exit 0
+            fi
+            acquire_lock
+            log_info "Scheduled scavenging of dynamic DNS records older than ${days} days"
+            run_scavenger scavenge "$days"
+            ;;
+        status)
+            show_status
+            ;;
+    esac
+}
+
+# Run main function
+main "$@"
@@ -0,0 +1,349 @@
+#!/bin/bash
+# Domain Backup
+# Takes samba-tool domain backups (online or offline) with a manifest per archive and prunes old ones
+# Runs from domain-backup.timer, or on demand from Cockpit
+
+set -e
+
+SCRIPT_NAME="domain-backup"
+LOG_TAG="$SCRIPT_NAME"
+LOCK_FILE="/var/run/domain-backup.lock"
+
+# Realm of the domain being backed up
+source "$(dirname "$(readlink -f "$0")")/domain-context.sh"
+
+# Local backup settings, written by the Cockpit Domain Backups card
+BACKUP_CONFIG="/etc/samba/domain-backup.conf"
+BACKUP_DIR="/var/lib/samba/domain-backups"
+BACKUP_TYPE="online"
+KEEP_DAILY=7
+KEEP_WEEKLY=4
+
+# Logging functions
+log_info() {
+    logger -t "$LOG_TAG" -p info "$1"
+    echo "[INFO] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+log_error() {
+    logger -t "$LOG_TAG" -p err "$1"
+    echo "[ERROR] $(date '+%Y-%m-%d %H:%M:%S') $1" >&2
+}
+
+log_debug() {
+    logger -t "$LOG_TAG" -p debug "$1"
+    echo "[DEBUG] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+# Lock management
+acquire_lock() {
+    if [ -f "$LOCK_FILE" ]; then
+        local pid=$(cat "$LOCK_FILE" 2>/dev/null || echo "")
+        if [ -n "$pid" ] && kill -0 "$pid" 2>/dev/null; then
+            log_info "Another backup is in progress (PID: $pid)"
+            exit 0
+        else
+            log_info "Removing stale lock file"
+            rm -f "$LOCK_FILE"
+        fi
+    fi
+    echo $$ > "$LOCK_FILE"
+    trap 'release_lock; exit' INT TERM EXIT
+}
+
+release_lock() {
+    rm -f "$LOCK_FILE"
+}
+
+# Load target directory, backup type and retention from the local configuration
+load_config() {
+    if [ -f "$BACKUP_CONFIG" ]; then
+        # shellcheck source=/dev/null
+        source "$BACKUP_CONFIG"
+    fi
+}
+
+# Read one KEY=value line of a manifest
+manifest_field() {
+    local manifest="$1"
+    local key="$2"
+
+    sed -n "s/^${key}=//p" "$manifest" 2>/dev/null | head -1
+}
+
+# Record the outcome of the last run for the Cockpit card
+write_last_run() {
+    local result="$1"
+    local message="$2"
+
+    cat > "${BACKUP_DIR}/last-run" << EOF
+RESULT=${result}
+TIME=$(date +%s)
+MESSAGE=${message}
+EOF
+}
+
+# Take a backup into a staging folder, then move it into place with its manifest
+run_backup() {
+    local type="$1"
+    local staging archive stamp output
+
+    if [ "$type" != "online" ] && [ "$type" != "offline" ]; then
+        log_error "Unknown backup type: $type"
+        return 1
+    fi
+
+    mkdir -p "$BACKUP_DIR"
+    chmod 700 "$BACKUP_DIR"
+    staging=$(mktemp -d "${BACKUP_DIR}/.staging.XXXXXX")
+    stamp=$(date '+%Y%m%d-%H%M%S')
+
+    log_info "Starting $type backup of ${DOMAIN_REALM} into ${BACKUP_DIR}"
+
+    local command=(samba-tool domain backup "$type" --targetdir="$staging")
+    if [ "$type" = "online" ]; then
+        # The DC's machine account may replicate secrets, so no administrator password is needed
+        command+=(--server="$(hostname -f)" --machine-pass)
+    fi
+
+    if ! output=$("${command[@]}" 2>&1); then
+        echo "$output"
+        rm -rf "$staging"
+        log_error "$type backup failed"
+        write_last_run "failed" "$(echo "$output" | tail -1)"
+        return 1
+    fi
+    echo "$output"
+
+    archive=$(find "$staging" -maxdepth 1 -name '*.tar.bz2' | head -1)
+    if [ -z "$archive" ]; then
+        rm -rf "$staging"
+        log_error "samba-tool did not produce a backup archive"
+        write_last_run "failed" "samba-tool did not produce a backup archive"
+        return 1
+    fi
+
+    local name="samba-backup-${DOMAIN_REALM}-${type}-${stamp}.tar.bz2"
+    mv "$archive" "${BACKUP_DIR}/${name}"
+    rm -rf "$staging"
+    chmod 600 "${BACKUP_DIR}/${name}"
+
+    cat > "${BACKUP_DIR}/${name}.manifest" << EOF
+FILE=${name}
+TYPE=${type}
+CREATED=$(date +%s)
+SIZE=$(stat -c %s "${BACKUP_DIR}/${name}")
+SHA256=$(sha256sum "${BACKUP_DIR}/${name}" | cut -d' ' -f1)
+HOST=$(hostname -s)
+REALM=${DOMAIN_REALM}
+SAMBA_VERSION=$(samba --version 2>/dev/null | awk '{print $2}')
+EOF
+
+    log_info "Backup written: ${BACKUP_DIR}/${name}"
+    write_last_run "success" "$name"
+}
+
+# Print archives newest first as: file, type, created, size, sha256, host
+list_backups() {
+    local archive manifest
+
+    [ -d "$BACKUP_DIR" ] || return 0
+    for archive in "$BACKUP_DIR"/*.tar.bz2; do
+        [ -f "$archive" ] || continue
+        manifest="${archive}.manifest"
+        if [ -f "$manifest" ]; then
+            printf '%s\t%s\t%s\t%s\t%s\t%s\n' "$(basename "$archive")" "$(manifest_field "$manifest" TYPE)" \
+                "$(manifest_field "$manifest" CREATED)" "$(manifest_field "$manifest" SIZE)" \
+                "$(manifest_field "$manifest" SHA256)" "$(manifest_field "$manifest" HOST)"
+        else
+            # Archive copied in by hand: no type or checksum on record
+            printf '%s\tunknown\t%s\t%s\t\t\n' "$(basename "$archive")" "$(stat -c %Y "$archive")" "$(stat -c %s "$archive")"
+        fi
+    done | sort -t$'\t' -k3,3nr
+}
+
+# Keep the newest backup of each of the last KEEP_DAILY days and KEEP_WEEKLY ISO weeks
+prune_backups() {
+    local -A kept_days=()
+    local -A kept_weeks=()
+    local daily=0 weekly=0 removed=0
+    local file created day week keep
+
+    while IFS=$'\t' read -r file _ created _; do
+        [ -n "$file" ] || continue
+        day=$(date -d "@$created" +%F)
+        week=$(date -d "@$created" +%G-W%V)
+        keep=false
+
+        if [ -z "${kept_days[$day]}" ] && [ "$daily" -lt "$KEEP_DAILY" ]; then
+            kept_days[$day]=1
+            daily=$((daily + 1))
+            keep=true
+        fi
+        if [ -z "${kept_weeks[$week]}" ] && [ "$weekly" -lt "$KEEP_WEEKLY" ]; then
+            kept_weeks[$week]=1
+            weekly=$((weekly + 1))
+            keep=true
+        fi
+
+        if [ "$keep" = false ]; then
+            log_info "Removing expired backup: $file"
+            rm -f "${BACKUP_DIR}/${file}" "${BACKUP_DIR}/${file}.manifest"
+            removed=$((removed + 1))
+        fi
+    done < <(list_backups)
+
+    log_info "Retention: kept $daily daily and $weekly weekly backups, removed $removed"
+}
+
+# Check an archive against its manifest checksum and that it unpacks
+verify_backup() {
+    local name="$1"
+    local archive="${BACKUP_DIR}/${name}"
+    local expected actual
+
+    if [[ "$name" == */* ]] || [ ! -f "$archive" ]; then
+        log_error "No such backup: $name"
+        return 1
+    fi
+
+    expected=$(manifest_field "${archive}.manifest" SHA256)
+    actual=$(sha256sum "$archive" | cut -d' ' -f1)
+    if [ -n "$expected" ] && [ "$expected" != "$actual" ]; then
+        log_error "Checksum mismatch for $name: expected $expected, got $actual"
+        return 1
+    fi
+
+    if ! tar -tjf "$archive" > /dev/null; then
+        log_error "Archive $name is damaged"
+        return 1
+    fi
+
+    echo "${name}: OK (sha256 ${actual}${expected:+, matches manifest})"
+}
+
+# Show the backup configuration, timer state and last run
+show_status() {
+    echo "Realm: ${DOMAIN_REALM:-unknown}"
+    echo "Target: ${BACKUP_DIR}"
+    echo "Type: ${BACKUP_TYPE}"
+    echo "Retention: ${KEEP_DAILY} daily, ${KEEP_WEEKLY} weekly"
+    echo "Timer: $(systemctl is-enabled domain-backup.timer 2>/dev/null || echo disabled)"
+    if [ -f "${BACKUP_DIR}/last-run" ]; then
+        echo "Last run: $(manifest_field "${BACKUP_DIR}/last-run" RESULT) at $(date -d "@$(manifest_field "${BACKUP_DIR}/last-run" TIME)" '+%Y-%m-%d %H:%M:%S')"
+        echo "Last message: $(manifest_field "${BACKUP_DIR}/last-run" MESSAGE)"
+    else
+        echo "Last run: never"
+    fi
+}
+
+usage() {
+    cat << EOF
+Usage: $0 [OPTIONS]
+
+Domain Backup - samba-tool domain backups with manifests and retention
+
+OPTIONS:
+    -h, --help              Show this help message
+    -b, --backup            Take a backup now, then prune
+    -t, --type TYPE         online or offline (default: ${BACKUP_TYPE}, or from ${BACKUP_CONFIG})
+    --scheduled             Same as --backup with the configured type (used by the timer)
+    -l, --list              Print backups as tab-separated file, type, created, size, sha256, host
+    --prune                 Apply the retention policy only
+    --verify FILE           Check a backup against its manifest checksum and test the archive
+    --status                Show backup configuration, timer state and last run
+
+DESCRIPTION:
+    Online backups replicate the domain from this DC over DRS using the machine account.
+    Offline backups copy the local databases under lock and also work when replication is broken.
+    Each archive in ${BACKUP_DIR} has a .manifest file with its size and SHA-256 checksum.
+
+EXAMPLES:
+    $0 --backup --type offline  # Take an offline backup now
+    $0 --verify samba-backup-example.com-online-20250101-020000.tar.bz2
+
+EOF
+}
+
+# Main execution
+main() {
+    local action="status"
+    local type=""
+    local file=""
+
+    load_config
+
+    # Parse arguments
+    while [[ $# -gt 0 ]]; do
+        case $1 in
+            -h|--help)
+                usage
+                exit 0
+                ;;
+            -b|--backup)
+                action="backup"
+                shift
+                ;;
+            -t|--type)
+                type="$2"
+                shift 2
+                ;;
+            --scheduled)
+                action="backup"
+                shift
+                ;;
+            -l|--list)
+                action="list"
+                shift
+                ;;
+            --prune)
+                action="prune"
+                shift
+                ;;
+            --verify)
+                action="verify"
+                file="$2"
+                shift 2
+                ;;
+            --status)
+                action="status"
+                shift
+                ;;
+            *)
+                echo "Unknown option: $1"
+                usage
+                exit 1
+                ;;
+        esac
+    done
+
+    if ! [[ "$KEEP_DAILY" =~ ^[0-9]+$ && "$KEEP_WEEKLY" =~ ^[0-9]+$ ]] || [ $((KEEP_DAILY + KEEP_WEEKLY)) -lt 1 ]; then
+        log_error "Retention must keep at least one daily or weekly backup"
+        exit 1
+    fi
+
+    case $action in
+        backup)
+            require_domain_context || exit 1
+            acquire_lock
+            run_backup "${type:-$BACKUP_TYPE}"
+            prune_backups
+            ;;
+        list)
+            list_backups
+            ;;
+        prune)
+            acquire_lock
+            prune_backups
+            ;;
+        verify)
+            verify_backup "$file"
+            ;;
+        status)
+            show_status
+            ;;
+    esac
+}
+
+# Run main function
+main "$@"
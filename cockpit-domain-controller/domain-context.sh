@@ -0,0 +1,121 @@
+#!/bin/bash
+# Domain Context
+# Single source of the AD realm, NetBIOS domain, base DN and SYSVOL path for the shell scripts.
+# Mirrors modules/domain-context.js in the Cockpit page.
+#
+# Source it to get DOMAIN_REALM, DOMAIN_NETBIOS, DOMAIN_BASE_DN and DOMAIN_SYSVOL,
+# or run it to print them (see --help).
+
+SMB_CONF="${SMB_CONF:-/etc/samba/smb.conf}"
+SYSVOL_ROOT="${SYSVOL_ROOT:-/var/lib/samba/sysvol}"
+
+# Print a [global] option of smb.conf, comparing names the way Samba does
+smb_conf_global() {
+    local name="$1"
+
+    [ -r "$SMB_CONF" ] || return 0
+    awk -v wanted="$name" '
+        function normalise(s) { s = tolower(s); gsub(/[ \t]+/, " ", s); sub(/^ /, "", s); sub(/ $/, "", s); return s }
+        /^[ \t]*\[/ { section = tolower($0); gsub(/[][ \t]/, "", section); next }
+        section == "global" && /^[ \t]*[^#;].*=/ {
+            key = substr($0, 1, index($0, "=") - 1)
+            if (normalise(key) == wanted) {
+                value = substr($0, index($0, "=") + 1)
+                gsub(/^[ \t]+|[ \t]+$/, "", value)
+                print value
+                exit
+            }
+        }
+    ' "$SMB_CONF"
+}
+
+# Print a field of samba-tool domain info for the local DC
+domain_info_field() {
+    samba-tool domain info 127.0.0.1 2>/dev/null | awk -F: -v field="$1" '
+        { key = $1; gsub(/[ \t]+$/, "", key) }
+        key == field { gsub(/^[ \t]+|[ \t]+$/, "", $2); print $2; exit }
+    '
+}
+
+# Resolve the domain context from smb.conf, then samba-tool
+load_domain_context() {
+    DOMAIN_REALM=$(smb_conf_global "realm")
+    DOMAIN_NETBIOS=$(smb_conf_global "workgroup")
+
+    if [ -z "$DOMAIN_REALM" ] && command -v samba-tool >/dev/null 2>&1; then
+        DOMAIN_REALM=$(domain_info_field "Domain")
+        DOMAIN_NETBIOS=$(domain_info_field "Netbios domain")
+    fi
+
+    DOMAIN_REALM="${DOMAIN_REALM,,}"
+    DOMAIN_BASE_DN=""
+    DOMAIN_SYSVOL=""
+
+    if [ -n "$DOMAIN_REALM" ]; then
+        DOMAIN_NETBIOS="${DOMAIN_NETBIOS:-${DOMAIN_REALM%%.*}}"
+        DOMAIN_NETBIOS="${DOMAIN_NETBIOS^^}"
+        DOMAIN_BASE_DN="DC=${DOMAIN_REALM//./,DC=}"
+        DOMAIN_SYSVOL="${SYSVOL_ROOT}/${DOMAIN_REALM}"
+    fi
+
+    export DOMAIN_REALM DOMAIN_NETBIOS DOMAIN_BASE_DN DOMAIN_SYSVOL
+    return 0
+}
+
+# Fail with a message when this server has no realm
+require_domain_context() {
+    if [ -z "$DOMAIN_REALM" ]; then
+        echo "Domain realm could not be determined from $SMB_CONF or samba-tool domain info" >&2
+        return 1
+    fi
+}
+
+load_domain_context
+
+# Run directly rather than sourced
+if [ "${BASH_SOURCE[0]}" = "$0" ]; then
+    case "${1:---env}" in
+        --realm)
+            require_domain_context && echo "$DOMAIN_REALM"
+            ;;
+        --netbios)
+            require_domain_context && echo "$DOMAIN_NETBIOS"
+            ;;
+        --base-dn)
+            require_domain_context && echo "$DOMAIN_BASE_DN"
+            ;;
+        --sysvol)
+            require_domain_context && echo "$DOMAIN_SYSVOL"
+            ;;
+        --env)
+            require_domain_context || exit 1
+            echo "DOMAIN_REALM=$DOMAIN_REALM"
+            echo "DOMAIN_NETBIOS=$DOMAIN_NETBIOS"
+            echo "DOMAIN_BASE_DN=$DOMAIN_BASE_DN"
+            echo "DOMAIN_SYSVOL=$DOMAIN_SYSVOL"
+            ;;
+        --help|-h)
+            cat << EOF
+Usage: $0 [OPTION]
+
+Print the Active Directory domain this DC belongs to, read from the realm
+in $SMB_CONF or from samba-tool domain info.
+
+Options:
+  --realm       DNS realm, e.g. corp.example.com
+  --netbios     NetBIOS domain name, e.g. CORP
+  --base-dn     Base DN, e.g. DC=corp,DC=example,DC=com
+  --sysvol      Domain SYSVOL folder
+  --env         All of the above as shell assignments (default)
+  --help        Show this help
+
+Scripts source this file instead:
+  source /usr/local/bin/domain-context.sh
+EOF
+            ;;
+        *)
+            echo "Unknown option: $1" >&2
+            exit 1
+            ;;
+    esac
+fi
@@ -24,6 +24,33 @@ import { ServiceManager } from './modules/service-manager.js';
 import { DomainManager } from './modules/domain-manager.js';
 import { FSMOManager } from './modules/fsmo-manager.js';
 import { SysvolManager } from './modules/sysvol-manager.js';
+import { LdbManager } from './modules/ldb-manager.js';
+import { UserManager } from './modules/user-manager.js';
+import { GroupManager } from './modules/group-manager.js';
+import { OuManager } from './modules/ou-manager.js';
+import { ComputerManager } from './modules/computer-manager.js';
+import { ImportExportManager } from './modules/import-export-manager.js';
+import { PasswordPolicyManager } from './modules/password-policy-manager.js';
+import { PsoManager } from './modules/pso-manager.js';
+import { CredentialManager } from './modules/credential-manager.js';
+import { DnsManager } from './modules/dns-manager.js';
+import { ReverseZoneManager } from './modules/reverse-zone-manager.js';
+import { DnsHealthManager } from './modules/dns-health-manager.js';
+import { SmbConfManager } from './modules/smb-conf-manager.js';
+import { DomainContext } from './modules/domain-context.js';
+import { DnsForwarderManager } from './modules/dns-forwarder-manager.js';
+import { DnsScavengingManager } from './modules/dns-scavenging-manager.js';
+import { GpoManager } from './modules/gpo-manager.js';
+import { SysvolHealthManager } from './modules/sysvol-health-manager.js';
+import { SysvolReplicationManager } from './modules/sysvol-replication-manager.js';
+import { ConfigHistoryManager } from './modules/config-history-manager.js';
+import { SysvolDriftManager } from './modules/sysvol-drift-manager.js';
+import { DomainBackupManager } from './modules/domain-backup-manager.js';
+import { DomainRestoreManager } from './modules/domain-restore-manager.js';
+import { ReplicationManager } from './modules/replication-manager.js';
+import { TopologyManager } from './modules/topology-manager.js';
+import { SitesManager } from './modules/sites-manager.js';
+import { SiteLinkManager } from './modules/site-link-manager.js';
 
 const _ = cockpit.gettext;
 
@@ -45,11 +72,43 @@ class DomainController {
         
         // Initialize modules
         this.uiManager = new UIManager();
+        this.smbConfManager = new SmbConfManager();
+        this.domainContext = new DomainContext(this.smbConfManager);
         this.networkManager = new NetworkManager(this.uiManager);
         this.serviceManager = new ServiceManager(this.uiManager);
         this.domainManager = new DomainManager(this.uiManager);
-        this.fsmoManager = new FSMOManager(this.uiManager, this.serviceManager);
-        this.sysvolManager = new SysvolManager(this.uiManager);
+        this.fsmoManager = new FSMOManager(this.uiManager, this.serviceManager, this.domainContext);
+        this.sysvolManager = new SysvolManager(this.uiManager, this.domainContext);
+        this.ldbManager = new LdbManager();
+
+        // Directory management sections, rendered once the server is a configured DC
+        this.userManager = new UserManager(this.uiManager, this.ldbManager);
+        this.groupManager = new GroupManager(this.uiManager, this.ldbManager);
+        this.ouManager = new OuManager(this.uiManager, this.ldbManager);
+        this.computerManager = new ComputerManager(this.uiManager, this.ldbManager);
+        this.passwordPolicyManager = new PasswordPolicyManager(this.uiManager);
+        this.psoManager = new PsoManager(this.uiManager, this.ldbManager, this.passwordPolicyManager);
+        this.importExportManager = new ImportExportManager(this.uiManager, this.ldbManager, this.userManager,
+            this.groupManager, this.passwordPolicyManager);
+        this.credentialManager = new CredentialManager(this.uiManager);
+        this.dnsManager = new DnsManager(this.uiManager, this.ldbManager, this.credentialManager);
+        this.reverseZoneManager = new ReverseZoneManager(this.uiManager, this.dnsManager, this.networkManager);
+        this.dnsHealthManager = new DnsHealthManager(this.uiManager, this.ldbManager);
+        this.dnsForwarderManager = new DnsForwarderManager(this.uiManager, this.smbConfManager, this.networkManager,
+            this.serviceManager, this.dnsManager);
+        this.dnsScavengingManager = new DnsScavengingManager(this.uiManager);
+        this.gpoManager = new GpoManager(this.uiManager, this.ldbManager, this.credentialManager);
+        this.sysvolHealthManager = new SysvolHealthManager(this.uiManager, this.sysvolManager);
+        this.sysvolReplicationManager = new SysvolReplicationManager(this.uiManager);
+        this.configHistoryManager = new ConfigHistoryManager(this.uiManager, this.sysvolManager);
+        this.sysvolDriftManager = new SysvolDriftManager(this.uiManager, this.sysvolManager);
+        this.domainBackupManager = new DomainBackupManager(this.uiManager);
+        this.replicationManager = new ReplicationManager(this.uiManager, this.domainContext, this.ldbManager);
+        this.sitesManager = new SitesManager(this.uiManager, this.ldbManager);
+        this.topologyManager = new TopologyManager(this.uiManager, this.ldbManager, this.replicationManager);
+        this.siteLinkManager = new SiteLinkManager(this.uiManager, this.ldbManager, this.sitesManager, this.topologyManager);
+        this.domainRestoreManager = new DomainRestoreManager(this.uiManager, (data) => this.handleLogStream(data));
+        this.managementSectionsRendered = false;
     }
 
     async init() {
@@ -306,9 +365,9 @@ class DomainController {
                                                 <i class="fas fa-sync" aria-hidden="true"></i>
                                                 ${_("Refresh")}
                                             </button>
-                                            <button id="force-replication" class="pf-v5-c-button pf-m-warning pf-m-small" type="button" title="${_("Force domain replication to resolve FSMO inconsistencies")}">
+                                            <button id="force-replication" class="pf-v5-c-button pf-m-warning pf-m-small" type="button" title="${_("Replicate selected naming contexts between two DCs, e.g. to resolve FSMO inconsistencies")}">
                                                 <i class="fas fa-exchange-alt" aria-hidden="true"></i>
-                                                ${_("Sync Replication")}
+                                                ${_("Replicate...")}
                                             </button>
                                         </div>
                                         <div class="fsmo-explanation">
@@ -424,6 +483,14 @@ class DomainController {
             <div class="pf-v5-c-card domain-statistics hidden">
                 <div class="pf-v5-c-card__header">
                     <h2 class="pf-v5-c-card__title">${_("Domain Statistics")}</h2>
+                    <div class="pf-v5-c-card__actions">
+                        <button id="import-users-btn" class="pf-v5-c-button pf-m-secondary pf-m-small" type="button">
+                            <i class="fas fa-file-import"></i> ${_("Import Users")}
+                        </button>
+                        <button id="export-directory-btn" class="pf-v5-c-button pf-m-secondary pf-m-small" type="button">
+                            <i class="fas fa-file-export"></i> ${_("Export")}
+                        </button>
+                    </div>
                 </div>
                 <div class="pf-v5-c-card__body">
                     <div class="stat-grid">
@@ -447,6 +514,8 @@ class DomainController {
                 </div>
             </div>
 
+            <div id="management-sections" class="management-sections hidden"></div>
+
             <div class="pf-v5-c-card domain-actions-card">
                 <div class="pf-v5-c-card__header">
                     <h2 class="pf-v5-c-card__title">${_("Domain Actions")}</h2>
@@ -927,6 +996,16 @@ class DomainController {
                         </div>
                     </div>
 
+                    <div id="restore-section" class="domain-section">
+                        <h4>${_("Restore Domain from Backup")}</h4>
+                        <p class="domain-section-description">${_("Recover a lost domain by restoring a samba-tool domain backup onto this server as a new DC.")}</p>
+                        <div class="pf-v5-c-form__group pf-m-action">
+                            <button id="restore-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                                ${_("Restore from Backup")}
+                            </button>
+                        </div>
+                    </div>
+
                     <div id="leave-section" class="domain-section hidden">
                         <h4>${_("Leave Domain")}</h4>
                         <div class="pf-v5-c-alert pf-m-warning domain-warning">
@@ -1159,6 +1238,11 @@ time.cloudflare.com"></textarea>
 
         provisionBtn.addEventListener('click', () => this.provisionDomain());
         joinBtn.addEventListener('click', () => this.joinDomain());
+        document.getElementById('restore-btn').addEventListener('click', async () => {
+            if (await this.domainRestoreManager.showRestoreWizard()) {
+                this.checkDomainStatus();
+            }
+        });
         leaveBtn.addEventListener('click', () => this.leaveDomain());
         
         // NTP/FSMO management button (removed - now handled automatically)
@@ -1169,6 +1253,13 @@ time.cloudflare.com"></textarea>
         
         const forceReplicationBtn = document.getElementById('force-replication');
         forceReplicationBtn.addEventListener('click', () => this.forceDomainReplication());
+
+        // Bulk user import and directory export
+        document.getElementById('import-users-btn').addEventListener('click', () => this.importExportManager.showImportWizard());
+        document.getElementById('export-directory-btn').addEventListener('click', () => this.importExportManager.showExportDialog());
+
+        // Refresh statistics whenever a management section changes the directory
+        document.addEventListener('directory-changed', () => this.updateDomainStatistics());
         
         // Service restart buttons
         const sambaRestartBtn = document.getElementById('restart-samba');
@@ -1723,6 +1814,7 @@ time.cloudflare.com"></textarea>
         const leaveSection = document.getElementById('leave-section');
         const provisionSection = document.getElementById('provision-section');
         const joinSection = document.getElementById('join-section');
+        const restoreSection = document.getElementById('restore-section');
         
         if (info) {
             this.isDomainJoined = true;
@@ -1755,6 +1847,7 @@ time.cloudflare.com"></textarea>
             leaveSection.classList.remove('hidden');
             provisionSection.classList.add('hidden');
             joinSection.classList.add('hidden');
+            restoreSection.classList.add('hidden');
             
             // Update leave section based on role
             const leaveSectionTitle = leaveSection.querySelector('h4');
@@ -1775,6 +1868,7 @@ time.cloudflare.com"></textarea>
             if (info.role === 'Domain Controller') {
                 domainStats.classList.remove('hidden');
                 this.updateDomainStatistics();
+                this.showManagementSections();
                 
                 // Show DC-specific sections
                 const fsmoSection = document.querySelector('.fsmo-roles-section');
@@ -1789,6 +1883,7 @@ time.cloudflare.com"></textarea>
             } else if (info.role === 'Domain Controller (Needs Configuration)') {
                 // For DCs that need configuration, show limited info and configuration options
                 domainStats.classList.add('hidden');
+                this.hideManagementSections();
                 
                 // Hide FSMO sections until properly configured
                 const fsmoSection = document.querySelector('.fsmo-roles-section');
@@ -1803,8 +1898,10 @@ time.cloudflare.com"></textarea>
                 // Show provision/join sections for completing configuration
                 provisionSection.classList.remove('hidden');
                 joinSection.classList.remove('hidden');
+                restoreSection.classList.remove('hidden');
             } else {
                 domainStats.classList.add('hidden');
+                this.hideManagementSections();
                 
                 // Hide DC-specific sections for domain members
                 const fsmoSection = document.querySelector('.fsmo-roles-section');
@@ -1833,12 +1930,60 @@ time.cloudflare.com"></textarea>
             domainDetails.classList.add('hidden');
             nodomainMessage.classList.remove('hidden');
             domainStats.classList.add('hidden');
+            this.hideManagementSections();
             leaveSection.classList.add('hidden');
             provisionSection.classList.remove('hidden');
             joinSection.classList.remove('hidden');
+            restoreSection.classList.remove('hidden');
         }
     }
 
+    showManagementSections() {
+        const container = document.getElementById('management-sections');
+        if (!container) return;
+
+        // Sections keep their own state, so only build them the first time
+        if (!this.managementSectionsRendered) {
+            this.getManagementModules().forEach(module => {
+                container.appendChild(module.createSection());
+            });
+            this.managementSectionsRendered = true;
+        }
+
+        container.classList.remove('hidden');
+    }
+
+    hideManagementSections() {
+        const container = document.getElementById('management-sections');
+        if (container) container.classList.add('hidden');
+    }
+
+    getManagementModules() {
+        return [
+            this.userManager,
+            this.groupManager,
+            this.ouManager,
+            this.computerManager,
+            this.passwordPolicyManager,
+            this.psoManager,
+            this.dnsManager,
+            this.reverseZoneManager,
+            this.dnsHealthManager,
+            this.dnsForwarderManager,
+            this.dnsScavengingManager,
+            this.gpoManager,
+            this.replicationManager,
+            this.topologyManager,
+            this.sitesManager,
+            this.siteLinkManager,
+            this.sysvolHealthManager,
+            this.sysvolReplicationManager,
+            this.configHistoryManager,
+            this.sysvolDriftManager,
+            this.domainBackupManager
+        ];
+    }
+
     updateDomainStatistics() {
         const commands = [
             { command: ['samba-tool', 'user', 'list'], element: 'user-count' },
@@ -2902,56 +3047,10 @@ log-facility local7;
     }
 
     async getDomainSiteInfo(domain) {
-        try {
-            console.log('Getting site information for domain:', domain);
-            
-            // First try to get site info from samba-tool
-            try {
-                // Get current server name
-                const hostname = await cockpit.spawn(['hostname', '-s'], { superuser: "try" });
-                const serverName = hostname.trim();
-                
-                // Try LDAP query to find current server's site
-                const domainDN = domain.split('.').map(part => `DC=${part}`).join(',');
-                const ldapOutput = await cockpit.spawn([
-                    'ldapsearch', '-x', '-H', 'ldap://localhost', 
-                    '-b', `CN=Sites,CN=Configuration,${domainDN}`,
-                    `(cn=${serverName})`, 'distinguishedName'
-                ], { superuser: "try" });
-                
-                // Parse LDAP output to extract site name
-                const siteMatch = ldapOutput.match(/CN=[^,]+,CN=Servers,CN=([^,]+),CN=Sites/);
-                if (siteMatch && siteMatch[1]) {
-                    console.log('Found site from LDAP query:', siteMatch[1]);
-                    return siteMatch[1];
-                }
-            } catch (ldapError) {
-                console.log('Failed to get site info via LDAP:', ldapError);
-            }
-            
-            // Fallback: try samba-tool sites list and find current server
-            try {
-                const sitesOutput = await cockpit.spawn(['samba-tool', 'sites', 'list'], { superuser: "try" });
-                console.log('Available sites:', sitesOutput);
-                
-                // If we have sites other than default, try to determine which one
-                const sites = sitesOutput.split('\n').filter(site => site.trim() && site !== 'Default-First-Site-Name');
-                if (sites.length > 0) {
-                    // For now, return the first non-default site
-                    // In a real implementation, you'd need more logic to determine the correct site
-                    console.log('Using first available site:', sites[0]);
-                    return sites[0].trim();
-                }
-            } catch (sitesError) {
-                console.log('Failed to get sites list:', sitesError);
-            }
-            
-            // Final fallback
-            return 'Default-First-Site-Name';
-        } catch (error) {
-            console.log('Failed to get site info:', error);
-            return 'Default-First-Site-Name';
-        }
+        console.log('Getting site information for domain:', domain);
+        // Provisioning, a restore or a site move may have changed the server object since the rootDSE was cached
+        this.ldbManager.clearRootDSE();
+        return this.sitesManager.getLocalSite();
     }
 
     setupThemeListener() {
@@ -3452,33 +3551,11 @@ udp_preference_limit = 0
         }, 2000);
     }
 
-    forceDomainReplication() {
-        const forceReplicationBtn = document.getElementById('force-replication');
-        const originalIcon = forceReplicationBtn.innerHTML;
-        
-        // Show loading state
-        forceReplicationBtn.innerHTML = '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ' + _("Syncing...");
-        forceReplicationBtn.disabled = true;
-        
-        // Force domain replication using samba-tool
-        cockpit.spawn(['samba-tool', 'drs', 'replicate', '--full-sync'], { superuser: "try" })
-            .then(output => {
-                console.log('Domain replication forced successfully:', output);
-                // Refresh FSMO roles after replication
-                this.fsmoManager.loadFSMORoles();
-            })
-            .catch(error => {
-                console.warn('Domain replication command failed:', error);
-                // Still refresh FSMO roles to show current state
-                this.fsmoManager.loadFSMORoles();
-            })
-            .finally(() => {
-                // Reset button after operation completes
-                setTimeout(() => {
-                    forceReplicationBtn.innerHTML = originalIcon;
-                    forceReplicationBtn.disabled = false;
-                }, 1000);
-            });
+    async forceDomainReplication() {
+        // Replicate only the chosen partitions; a full sync of everything is heavy on WAN-linked DCs
+        if (await this.replicationManager.showReplicateDialog()) {
+            this.fsmoManager.loadFSMORoles();
+        }
     }
 
     checkServiceStatus() {
@@ -3830,7 +3907,7 @@ udp_preference_limit = 0
                     superuser: "try"
                 });
                 
-                await this.sysvolManager.writeDHCPConfig(localConfig, 'active');
+                await this.sysvolManager.writeDHCPConfig(localConfig, 'active', 'Uploaded local /etc/dhcp/dhcpd.conf');
                 this.showSuccess(_("Local DHCP configuration uploaded to SYSVOL for replication"));
             }
         } catch (error) {
@@ -4020,11 +4097,16 @@ dhcpMaxLeaseTime: ${maxLeaseTime}
 whenCreated: ${new Date().toISOString()}
 `;
                 
-                // First create SYSVOL directories and store config there too
-                return cockpit.spawn(['mkdir', '-p', `/var/lib/samba/sysvol/${domainName}/dhcp-configs`], { superuser: "try" })
+                // First create SYSVOL directories and store config there too. SYSVOL is named after the realm, not the option domain-name.
+                let dhcpConfigDir;
+                return this.domainContext.require()
+                    .then(({ sysvolPath }) => {
+                        dhcpConfigDir = `${sysvolPath}/dhcp-configs`;
+                        return cockpit.spawn(['mkdir', '-p', dhcpConfigDir], { superuser: "try" });
+                    })
                     .then(() => {
                         // Store in SYSVOL for backwards compatibility
-                        return cockpit.spawn(['tee', `/var/lib/samba/sysvol/${domainName}/dhcp-configs/dhcpd.conf.active`], { 
+                        return cockpit.spawn(['tee', `${dhcpConfigDir}/dhcpd.conf.active`], { 
                             superuser: "try" 
                         }).input(dhcpConfig);
                     })
@@ -4042,13 +4124,13 @@ DHCP_LEASE_TIME=${leaseTime}
 DHCP_MAX_LEASE_TIME=${maxLeaseTime}
 DHCP_LAST_UPDATED=${new Date().toISOString()}
 `;
-                        return cockpit.spawn(['tee', `/var/lib/samba/sysvol/${domainName}/dhcp-configs/dhcp-settings.conf`], { 
+                        return cockpit.spawn(['tee', `${dhcpConfigDir}/dhcp-settings.conf`], { 
                             superuser: "try" 
                         }).input(dhcpSettings);
                     })
                     .then(() => {
                         // Copy configuration to system location
-                        return cockpit.spawn(['cp', `/var/lib/samba/sysvol/${domainName}/dhcp-configs/dhcpd.conf.active`, '/etc/dhcp/dhcpd.conf'], { 
+                        return cockpit.spawn(['cp', `${dhcpConfigDir}/dhcpd.conf.active`, '/etc/dhcp/dhcpd.conf'], { 
                             superuser: "try" 
                         });
                     })
@@ -4182,11 +4264,9 @@ INTERFACESv6=""
 
     loadDhcpDefaults() {
         // Get actual domain information
-        cockpit.spawn(['samba-tool', 'domain', 'info', 'localhost'], { superuser: "try" })
-            .then(output => {
-                const lines = output.split('\n');
-                const domainLine = lines.find(line => line.includes('Domain') && line.includes(':'));
-                const actualDomain = domainLine ? domainLine.split(':')[1].trim() : 'guedry.local';
+        this.domainContext.require()
+            .then(({ realm }) => {
+                const actualDomain = realm;
                 
                 // Get current network information
                 const interfaceInfo = this.networkInterfaces.find(iface => iface.name === 'enp0s3');
@@ -4219,7 +4299,7 @@ INTERFACESv6=""
                 const interfaceIP = interfaceInfo ? interfaceInfo.ips[0] : '192.168.1.174';
                 const networkBase = interfaceIP.split('.').slice(0, 3).join('.');
                 
-                document.getElementById('dhcp-domain-name').value = 'guedry.local';
+                document.getElementById('dhcp-domain-name').value = '';
                 document.getElementById('dhcp-dns-servers').value = interfaceIP;
                 document.getElementById('dhcp-subnet').value = networkBase + '.0';
                 document.getElementById('dhcp-netmask').value = '255.255.255.0';
@@ -4254,50 +4334,24 @@ INTERFACESv6=""
 
     parseDhcpConfig(config) {
         // Parse existing DHCP configuration
-        const lines = config.split('\n');
-        
-        // Extract domain name
-        const domainMatch = config.match(/option domain-name "([^"]+)"/);
-        if (domainMatch) {
-            document.getElementById('dhcp-domain-name').value = domainMatch[1];
-        }
-        
-        // Extract DNS servers
-        const dnsMatch = config.match(/option domain-name-servers ([^;]+);/);
-        if (dnsMatch) {
-            document.getElementById('dhcp-dns-servers').value = dnsMatch[1].trim();
-        }
-        
-        // Extract subnet
-        const subnetMatch = config.match(/subnet ([0-9.]+) netmask ([0-9.]+)/);
-        if (subnetMatch) {
-            document.getElementById('dhcp-subnet').value = subnetMatch[1];
-            document.getElementById('dhcp-netmask').value = subnetMatch[2];
-        }
-        
-        // Extract range
-        const rangeMatch = config.match(/range ([0-9.]+) ([0-9.]+);/);
-        if (rangeMatch) {
-            document.getElementById('dhcp-range-start').value = rangeMatch[1];
-            document.getElementById('dhcp-range-end').value = rangeMatch[2];
-        }
-        
-        // Extract gateway
-        const gatewayMatch = config.match(/option routers ([^;]+);/);
-        if (gatewayMatch) {
-            document.getElementById('dhcp-gateway').value = gatewayMatch[1].trim();
-        }
-        
-        // Extract lease times
-        const leaseMatch = config.match(/default-lease-time ([0-9]+);/);
-        if (leaseMatch) {
-            document.getElementById('dhcp-lease-time').value = leaseMatch[1];
-        }
-        
-        const maxLeaseMatch = config.match(/max-lease-time ([0-9]+);/);
-        if (maxLeaseMatch) {
-            document.getElementById('dhcp-max-lease-time').value = maxLeaseMatch[1];
-        }
+        const settings = this.networkManager.parseDhcpSettings(config);
+        const fields = {
+            domainName: 'dhcp-domain-name',
+            dnsServers: 'dhcp-dns-servers',
+            subnet: 'dhcp-subnet',
+            netmask: 'dhcp-netmask',
+            rangeStart: 'dhcp-range-start',
+            rangeEnd: 'dhcp-range-end',
+            gateway: 'dhcp-gateway',
+            leaseTime: 'dhcp-lease-time',
+            maxLeaseTime: 'dhcp-max-lease-time'
+        };
+
+        Object.entries(fields).forEach(([key, id]) => {
+            if (settings[key]) {
+                document.getElementById(id).value = settings[key];
+            }
+        });
     }
 
     saveDhcpConfig() {
@@ -4404,28 +4458,29 @@ replace: whenCreated
 whenCreated: ${new Date().toISOString()}
 `;
 
-        // Save configuration to SYSVOL and LDAP
-        cockpit.spawn(['mkdir', '-p', `/var/lib/samba/sysvol/${domainName}/dhcp-configs`], { superuser: "try" })
-            .then(() => {
-                return cockpit.spawn(['tee', `/var/lib/samba/sysvol/${domainName}/dhcp-configs/dhcpd.conf.active`], { 
-                    superuser: "try" 
-                }).input(dhcpConfig);
+        // Save configuration to SYSVOL and LDAP. The option domain-name may differ from the realm SYSVOL is named after.
+        let dhcpConfigDir;
+        this.domainContext.require()
+            .then(({ sysvolPath }) => {
+                dhcpConfigDir = `${sysvolPath}/dhcp-configs`;
+                return cockpit.spawn(['mkdir', '-p', dhcpConfigDir], { superuser: "try" });
             })
+            .then(() => this.sysvolManager.writeDHCPConfig(dhcpConfig, 'active', 'Saved from the DHCP configuration editor'))
             .then(() => {
                 // Save LDIF for LDAP update
-                return cockpit.spawn(['tee', `/var/lib/samba/sysvol/${domainName}/dhcp-configs/dhcp-config-update.ldif`], { 
+                return cockpit.spawn(['tee', `${dhcpConfigDir}/dhcp-config-update.ldif`], { 
                     superuser: "try" 
                 }).input(dhcpLdif);
             })
             .then(() => {
                 // Update DHCP configuration in LDAP
-                return cockpit.spawn(['ldbmodify', '-H', `/var/lib/samba/private/sam.ldb`, `/var/lib/samba/sysvol/${domainName}/dhcp-configs/dhcp-config-update.ldif`], { 
+                return cockpit.spawn(['ldbmodify', '-H', `/var/lib/samba/private/sam.ldb`, `${dhcpConfigDir}/dhcp-config-update.ldif`], { 
                     superuser: "try" 
                 });
             })
             .then(() => {
                 // Copy to system location
-                return cockpit.spawn(['cp', `/var/lib/samba/sysvol/${domainName}/dhcp-configs/dhcpd.conf.active`, '/etc/dhcp/dhcpd.conf'], { 
+                return cockpit.spawn(['cp', `${dhcpConfigDir}/dhcpd.conf.active`, '/etc/dhcp/dhcpd.conf'], { 
                     superuser: "try" 
                 });
             })
@@ -4735,7 +4790,6 @@ time.cloudflare.com`;
         }
         
         // Create NTP configuration templates for both PDC and non-PDC roles
-        const domainName = 'guedry.local'; // This should be dynamically determined
         const serverList = externalServers.split('\n').filter(s => s.trim()).map(s => `pool ${s.trim()}`).join('\n');
         
         const pdcConfig = `# NTP Configuration for PDC Emulator
@@ -4783,25 +4837,25 @@ logdir /var/log/chrony
 log tracking measurements statistics
 `;
         
-        // Save configuration templates to SYSVOL
-        cockpit.spawn(['mkdir', '-p', `/var/lib/samba/sysvol/${domainName}/ntp-configs`], { superuser: "try" })
-            .then(() => {
-                // Save PDC template
-                return cockpit.spawn(['tee', `/var/lib/samba/sysvol/${domainName}/ntp-configs/chrony.conf.pdc`], { 
-                    superuser: "try" 
-                }).input(pdcConfig);
-            })
-            .then(() => {
-                // Save DC template
-                return cockpit.spawn(['tee', `/var/lib/samba/sysvol/${domainName}/ntp-configs/chrony.conf.dc`], { 
-                    superuser: "try" 
-                }).input(dcConfig);
+        // Save configuration templates to SYSVOL, the settings file keeps the ROLE of this DC
+        let role = 'dc';
+        cockpit.spawn(['samba-tool', 'fsmo', 'show'], { superuser: "try", err: "message" })
+            .then(async output => {
+                const match = output.match(/PdcEmulationMasterRole owner:[^\n]*?CN=NTDS Settings,CN=([^,]+)/i);
+                const hostname = (await this.sysvolManager.getHostname()).toLowerCase();
+                if (match && match[1].toLowerCase() === hostname) {
+                    role = 'pdc';
+                }
             })
+            .catch(error => console.log('Could not determine the PDC Emulator:', error.message))
+            .then(() => this.sysvolManager.writeNTPConfig(pdcConfig, 'pdc', 'Saved from the NTP configuration editor'))
+            .then(() => this.sysvolManager.writeNTPConfig(dcConfig, 'dc', 'Saved from the NTP configuration editor'))
             .then(() => {
                 // Save current settings
-                return cockpit.spawn(['tee', `/var/lib/samba/sysvol/${domainName}/ntp-configs/ntp-settings.conf`], { 
+                return cockpit.spawn(['tee', `${this.sysvolManager.sysvolBase}/ntp-configs/ntp-settings.conf`], { 
                     superuser: "try" 
                 }).input(`# NTP Settings
+ROLE=${role}
 EXTERNAL_SERVERS="${externalServers.replace(/\n/g, ' ')}"
 PDC_STRATUM=${pdcStratum}
 DC_STRATUM=${dcStratum}
@@ -4866,11 +4920,7 @@ LAST_UPDATED="${new Date().toISOString()}"
     }
 
     handleLogStream(data) {
-        const logOutput = document.getElementById('log-output');
-        if (logOutput) {
-            logOutput.textContent += data;
-            logOutput.scrollTop = logOutput.scrollHeight; // Auto-scroll to bottom
-        }
+        this.uiManager.appendLogOutput(data);
     }
 
     async setHostname(hostname) {
@@ -0,0 +1,421 @@
+#!/bin/bash
+# Domain Restore
+# Restores a samba-tool domain backup into a staging folder, then switches this server over to it
+# Driven by the Cockpit restore wizard; each step can also be run by hand
+
+set -e
+
+SCRIPT_NAME="domain-restore"
+LOG_TAG="$SCRIPT_NAME"
+LOCK_FILE="/var/run/domain-restore.lock"
+
+# Staged restores live here until they are switched over
+RESTORE_BASE="/var/lib/samba-restore"
+SAMBA_STATE_DIR="/var/lib/samba"
+SMB_CONF="/etc/samba/smb.conf"
+KRB5_CONF="/etc/krb5.conf"
+
+# Logging functions
+log_info() {
+    logger -t "$LOG_TAG" -p info "$1"
+    echo "[INFO] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+log_error() {
+    logger -t "$LOG_TAG" -p err "$1"
+    echo "[ERROR] $(date '+%Y-%m-%d %H:%M:%S') $1" >&2
+}
+
+log_debug() {
+    logger -t "$LOG_TAG" -p debug "$1"
+    echo "[DEBUG] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+# Lock management
+acquire_lock() {
+    if [ -f "$LOCK_FILE" ]; then
+        local pid=$(cat "$LOCK_FILE" 2>/dev/null || echo "")
+        if [ -n "$pid" ] && kill -0 "$pid" 2>/dev/null; then
+            log_error "Another restore is in progress (PID: $pid)"
+            exit 1
+        else
+            log_info "Removing stale lock file"
+            rm -f "$LOCK_FILE"
+        fi
+    fi
+    echo $$ > "$LOCK_FILE"
+    trap 'release_lock; exit' INT TERM EXIT
+}
+
+release_lock() {
+    rm -f "$LOCK_FILE"
+}
+
+# Escape a string for a JSON value
+json_string() {
+    python3 -c 'import json, sys; print(json.dumps(sys.argv[1]))' "$1"
+}
+
+# Inspect an archive without unpacking it and print a JSON summary
+validate_archive() {
+    local file="$1"
+    local members smb_member info_member realm="" info="" expected="" actual checksum="unknown"
+
+    if [ ! -f "$file" ]; then
+        log_error "No such archive: $file"
+        return 1
+    fi
+
+    if ! members=$(tar -tjf "$file" 2>/dev/null); then
+        log_error "$file is not a readable bzip2 tar archive"
+        return 1
+    fi
+
+    if ! echo "$members" | grep -Eq '(^|/)private/sam\.ldb$'; then
+        log_error "$file does not contain private/sam.ldb and is not a samba-tool domain backup"
+        return 1
+    fi
+
+    smb_member=$(echo "$members" | grep -E '(^|/)etc/smb\.conf$' | head -1)
+    info_member=$(echo "$members" | grep -E '(^|/)backup\.txt$' | head -1)
+
+    if [ -n "$smb_member" ]; then
+        realm=$(tar -xjf "$file" -O "$smb_member" 2>/dev/null | awk -F= 'tolower($1) ~ /^[ \t]*realm[ \t]*$/ { gsub(/[ \t]/, "", $2); print tolower($2); exit }')
+    fi
+    if [ -n "$info_member" ]; then
+        info=$(tar -xjf "$file" -O "$info_member" 2>/dev/null)
+    fi
+
+    # Backups taken by domain-backup.sh carry a manifest with the expected checksum
+    actual=$(sha256sum "$file" | cut -d' ' -f1)
+    if [ -f "${file}.manifest" ]; then
+        expected=$(sed -n 's/^SHA256=//p' "${file}.manifest" | head -1)
+        if [ "$expected" = "$actual" ]; then
+            checksum="match"
+        else
+            checksum="mismatch"
+        fi
+    fi
+
+    cat << EOF
+{"file": $(json_string "$file"), "size": $(stat -c %s "$file"), "sha256": "$actual", "checksum": "$checksum",
+ "realm": $(json_string "$realm"), "info": $(json_string "$info")}
+EOF
+
+    if [ "$checksum" = "mismatch" ]; then
+        log_error "Checksum does not match the manifest: expected $expected"
+        return 1
+    fi
+}
+
+# Run samba-tool domain backup restore into a new staging folder
+stage_restore() {
+    local file="$1"
+    local name="$2"
+    local site="$3"
+    local host_ip="$4"
+    local targetdir
+
+    if systemctl is-active --quiet samba-ad-dc; then
+        log_error "samba-ad-dc is running on this server; restore onto a server that is not an active DC"
+        return 1
+    fi
+
+    validate_archive "$file" > /dev/null
+
+    mkdir -p "$RESTORE_BASE"
+    chmod 700 "$RESTORE_BASE"
+    targetdir="${RESTORE_BASE}/$(date '+%Y%m%d-%H%M%S')"
+
+    local command=(samba-tool domain backup restore --backup-file="$file" --targetdir="$targetdir" --newservername="$name")
+    [ -n "$site" ] && command+=(--site="$site")
+    [ -n "$host_ip" ] && command+=(--host-ip="$host_ip")
+
+    log_info "Restoring $file as $name into $targetdir"
+    if ! "${command[@]}" 2>&1; then
+        rm -rf "$targetdir"
+        log_error "samba-tool domain backup restore failed"
+        return 1
+    fi
+
+    log_info "Restore staged in $targetdir"
+    echo "STAGED=$targetdir"
+}
+
+# Move a path aside into the pre-restore copy, remembering it so a failed switchover can put it back.
+# The optional third argument is where the installed copy came from in the staged restore.
+set_aside() {
+    local path="$1"
+    local saved="$2"
+    local staged="${3:-}"
+
+    if [ -e "$path" ]; then
+        mv "$path" "$saved"
+        log_info "Previous $path saved as $saved"
+    fi
+    SWITCHED_PATHS+=("$path|$saved|$staged")
+}
+
+# Put samba-ad-dc, smbd, nmbd and winbind back to the enabled, disabled or masked state they had
+restore_unit_states() {
+    local entry service state
+
+    for entry in "${UNIT_STATES[@]}"; do
+        service="${entry%%|*}"
+        state="${entry#*|}"
+        case "$state" in
+            masked)
+                systemctl mask "$service" 2>/dev/null || true
+                ;;
+            enabled)
+                systemctl unmask "$service" 2>/dev/null || true
+                systemctl enable "$service" 2>/dev/null || true
+                ;;
+            *)
+                systemctl unmask "$service" 2>/dev/null || true
+                systemctl disable "$service" 2>/dev/null || true
+                ;;
+        esac
+    done
+}
+
+# Undo a partial switchover: return installed data to the staged restore and move the previous copies back
+rollback_switchover() {
+    local entry path saved staged i
+
+    trap - ERR
+    log_error "Switchover failed; restoring the previous Samba state and configuration"
+    for ((i = ${#SWITCHED_PATHS[@]} - 1; i >= 0; i--)); do
+        entry="${SWITCHED_PATHS[$i]}"
+        path="${entry%%|*}"
+        entry="${entry#*|}"
+        saved="${entry%%|*}"
+        staged="${entry#*|}"
+        if [ -n "$staged" ] && [ -e "$path" ]; then
+            mkdir -p "$(dirname "$staged")"
+            mv "$path" "$staged"
+        else
+            rm -rf "$path"
+        fi
+        if [ -e "$saved" ]; then
+            mv "$saved" "$path"
+        fi
+    done
+    rmdir "$PRE_RESTORE_DIR" 2>/dev/null || true
+
+    if [ -n "$PREVIOUS_HOSTNAME" ]; then
+        hostnamectl set-hostname "$PREVIOUS_HOSTNAME" || log_error "Could not set the hostname back to $PREVIOUS_HOSTNAME"
+    fi
+    restore_unit_states
+
+    for service in "${STOPPED_SERVICES[@]}"; do
+        systemctl start "$service" 2>/dev/null || log_error "Could not start $service again"
+    done
+    log_error "Previous state restored; the staged restore is kept in $SWITCH_TARGETDIR"
+}
+
+# Replace this server's Samba state and configuration with a staged restore
+switchover() {
+    local targetdir="$1"
+    local name="$2"
+    local stamp entry
+    stamp=$(date '+%Y%m%d-%H%M%S')
+
+    if [[ "$targetdir" != "$RESTORE_BASE"/* ]] || [ ! -f "${targetdir}/private/sam.ldb" ] || [ ! -f "${targetdir}/etc/smb.conf" ]; then
+        log_error "$targetdir is not a staged restore"
+        return 1
+    fi
+
+    log_info "Stopping Samba services"
+    STOPPED_SERVICES=()
+    for service in samba-ad-dc smbd nmbd winbind; do
+        if systemctl is-active --quiet "$service"; then
+            STOPPED_SERVICES+=("$service")
+        fi
+        systemctl stop "$service" 2>/dev/null || true
+    done
+
+    # Only what the restore replaces is set aside; backups and other data in
+    # /var/lib/samba (domain-backups, gpo-backups, config-history) stay in place
+    SWITCHED_PATHS=()
+    UNIT_STATES=()
+    PREVIOUS_HOSTNAME=""
+    SWITCH_TARGETDIR="$targetdir"
+    PRE_RESTORE_DIR="${SAMBA_STATE_DIR}.pre-restore-${stamp}"
+    set -o errtrace
+    trap rollback_switchover ERR
+    mkdir -p "$SAMBA_STATE_DIR" "$PRE_RESTORE_DIR"
+    chmod 700 "$PRE_RESTORE_DIR"
+
+    set_aside "${SAMBA_STATE_DIR}/private" "${PRE_RESTORE_DIR}/private" "${targetdir}/private"
+    set_aside "${SAMBA_STATE_DIR}/bind-dns" "${PRE_RESTORE_DIR}/bind-dns" "${targetdir}/bind-dns"
+    if [ -d "${targetdir}/state" ]; then
+        for entry in "${targetdir}/state"/*; do
+            [ -e "$entry" ] || continue
+            set_aside "${SAMBA_STATE_DIR}/$(basename "$entry")" "${PRE_RESTORE_DIR}/$(basename "$entry")" "$entry"
+        done
+    fi
+    for file in "$SMB_CONF" "$KRB5_CONF"; do
+        set_aside "$file" "${file}.pre-restore-${stamp}"
+    done
+
+    # samba-tool points every path at the targetdir; move the data to the standard locations instead
+    mv "${targetdir}/private" "${SAMBA_STATE_DIR}/private"
+    if [ -d "${targetdir}/state" ]; then
+        find "${targetdir}/state" -mindepth 1 -maxdepth 1 -exec mv -t "$SAMBA_STATE_DIR" {} +
+    fi
+    if [ -d "${targetdir}/bind-dns" ]; then
+        mv "${targetdir}/bind-dns" "${SAMBA_STATE_DIR}/bind-dns"
+        sed -i "s#${targetdir}/bind-dns#${SAMBA_STATE_DIR}/bind-dns#g" "${SAMBA_STATE_DIR}/bind-dns/named.conf" 2>/dev/null || true
+    fi
+
+    sed -e '/^[[:space:]]*\(private dir\|state directory\|cache directory\|lock dir\|lock directory\|binddns dir\)[[:space:]]*=/d' \
+        -e "s#${targetdir}/state#${SAMBA_STATE_DIR}#g" \
+        -e "s#${targetdir}/private#${SAMBA_STATE_DIR}/private#g" \
+        "${targetdir}/etc/smb.conf" > "$SMB_CONF"
+    if grep -qF "$targetdir" "$SMB_CONF"; then
+        log_error "The restored smb.conf still refers to $targetdir"
+        false
+    fi
+    cp "${SAMBA_STATE_DIR}/private/krb5.conf" "$KRB5_CONF"
+    log_info "Installed restored smb.conf and krb5.conf"
+
+    if [ -n "$name" ] && [ "$(hostname -s | tr '[:upper:]' '[:lower:]')" != "${name,,}" ]; then
+        PREVIOUS_HOSTNAME=$(hostname)
+        hostnamectl set-hostname "${name,,}"
+        log_info "Hostname set to ${name,,}"
+    fi
+    trap - ERR
+
+    log_info "Starting samba-ad-dc"
+    for service in samba-ad-dc smbd nmbd winbind; do
+        UNIT_STATES+=("$service|$(systemctl is-enabled "$service" 2>/dev/null || true)")
+    done
+    for service in smbd nmbd winbind; do
+        systemctl disable "$service" 2>/dev/null || true
+        systemctl mask "$service" 2>/dev/null || true
+    done
+
+    # The staged restore is only removed once samba-ad-dc has stayed up on the restored data
+    if ! { systemctl unmask samba-ad-dc && systemctl enable samba-ad-dc && systemctl start samba-ad-dc; } ||
+        ! { sleep 5; systemctl is-active --quiet samba-ad-dc; }; then
+        log_error "samba-ad-dc did not start with the restored data; see journalctl -u samba-ad-dc"
+        systemctl stop samba-ad-dc 2>/dev/null || true
+        rollback_switchover
+        return 1
+    fi
+
+    rm -rf "$targetdir"
+    log_info "Switchover complete; this server now runs the restored domain"
+}
+
+usage() {
+    cat << EOF
+Usage: $0 [OPTIONS]
+
+Domain Restore - Restore a samba-tool domain backup onto this server
+
+OPTIONS:
+    -h, --help              Show this help message
+    --validate FILE         Check an archive and print a JSON summary (realm, checksum, backup info)
+    --stage FILE            Run samba-tool domain backup restore into ${RESTORE_BASE}/<timestamp>
+    --switchover DIR        Move a staged restore into ${SAMBA_STATE_DIR} and start samba-ad-dc
+    -n, --name NAME         New DC name; it must not be the name of an existing DC
+    -s, --site SITE         Site for the new DC (default: the site of the backed-up DC)
+    --host-ip IP            IPv4 address registered for the new DC
+
+DESCRIPTION:
+    A restore creates a new DC with a new name and fresh invocation ID. Only restore
+    when every other DC is lost; then rejoin further DCs to the restored one.
+    The replaced private, bind-dns and state data are kept in /var/lib/samba.pre-restore-<timestamp>,
+    smb.conf and krb5.conf with a .pre-restore-<timestamp> suffix. A failed switchover, including
+    samba-ad-dc not staying up afterwards, puts them back and keeps the staged restore.
+
+EXAMPLES:
+    $0 --validate /mnt/backups/samba-backup-example.com-online-20250101-020000.tar.bz2
+    $0 --stage /mnt/backups/samba-backup-example.com-online-20250101-020000.tar.bz2 --name dc9
+    $0 --switchover ${RESTORE_BASE}/20250101-120000 --name dc9
+
+EOF
+}
+
+# Main execution
+main() {
+    local action=""
+    local target=""
+    local name=""
+    local site=""
+    local host_ip=""
+
+    # Parse arguments
+    while [[ $# -gt 0 ]]; do
+        case $1 in
+            -h|--help)
+                usage
+                exit 0
+                ;;
+            --validate)
+                action="validate"
+                target="$2"
+                shift 2
+                ;;
+            --stage)
+                action="stage"
+                target="$2"
+                shift 2
+                ;;
+            --switchover)
+                action="switchover"
+                target="$2"
+                shift 2
+                ;;
+            -n|--name)
+                name="$2"
+                shift 2
+                ;;
+            -s|--site)
+                site="$2"
+                shift 2
+                ;;
+            --host-ip)
+                host_ip="$2"
+                shift 2
+                ;;
+            *)
+                echo "Unknown option: $1"
+                usage
+                exit 1
+                ;;
+        esac
+    done
+
+    if [ -n "$name" ] && ! [[ "$name" =~ ^[A-Za-z0-9]([A-Za-z0-9-]{0,13}[A-Za-z0-9])?$ ]]; then
+        log_error "The DC name must be a NetBIOS-compatible host name of at most 15 characters"
+        exit 1
+    fi
+
+    case $action in
+        validate)
+            validate_archive "$target"
+            ;;
+        stage)
+            if [ -z "$name" ]; then
+                log_error "--stage needs --name"
+                exit 1
+            fi
+            acquire_lock
+            stage_restore "$target" "$name" "$site" "$host_ip"
+            ;;
+        switchover)
+            acquire_lock
+            switchover "$target" "$name"
+            ;;
+        *)
+            usage
+            exit 1
+            ;;
+    esac
+}
+
+# Run main function
+main "$@"
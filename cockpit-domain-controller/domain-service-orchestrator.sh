@@ -9,9 +9,10 @@ SCRIPT_NAME="domain-service-orchestrator"
 LOG_TAG="$SCRIPT_NAME"
 LOCK_FILE="/var/run/domain-service-orchestrator.lock"
 
-# Find domain name from SYSVOL structure
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
-SYSVOL_BASE="/var/lib/samba/sysvol/${DOMAIN_NAME}"
+# Realm and SYSVOL path from smb.conf, via domain-context.sh installed next to this script
+source "$(dirname "$(readlink -f "$0")")/domain-context.sh"
+DOMAIN_NAME="$DOMAIN_REALM"
+SYSVOL_BASE="$DOMAIN_SYSVOL"
 
 # SYSVOL configuration directories
 NTP_CONFIG_DIR="${SYSVOL_BASE}/ntp-configs"
@@ -316,14 +317,14 @@ generate_dhcp_config() {
 
         # Generate DHCP configuration (use existing if available, or create basic one)
         if [ ! -f "$dhcp_config_file" ]; then
-            cat > "$dhcp_config_file" << 'EOF'
+            cat > "$dhcp_config_file" << EOF
 # DHCP Configuration for PDC Emulator (generated by domain-service-orchestrator)
 default-lease-time 600;
 max-lease-time 7200;
 authoritative;
 
 # DNS settings for domain
-option domain-name "guedry.local";
+option domain-name "${DOMAIN_NAME}";
 option domain-name-servers 192.168.1.10, 192.168.1.11;
 
 # Network configuration
@@ -577,6 +578,9 @@ main() {
         esac
     done
 
+    # Checked after parsing so --help works on a server that is not a DC yet
+    require_domain_context || exit 1
+
     # Acquire lock for all operations except status
     if [ "$action" != "status" ]; then
         acquire_lock
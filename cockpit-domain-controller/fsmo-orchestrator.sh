@@ -9,9 +9,10 @@ SCRIPT_NAME="fsmo-orchestrator"
 LOG_TAG="$SCRIPT_NAME"
 LOCK_FILE="/var/run/fsmo-orchestrator.lock"
 
-# Find domain name from SYSVOL structure
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
-SYSVOL_BASE="/var/lib/samba/sysvol/${DOMAIN_NAME}"
+# Realm and SYSVOL path from smb.conf, via domain-context.sh installed next to this script
+source "$(dirname "$(readlink -f "$0")")/domain-context.sh"
+DOMAIN_NAME="$DOMAIN_REALM"
+SYSVOL_BASE="$DOMAIN_SYSVOL"
 
 # SYSVOL configuration directories
 FSMO_CONFIG_DIR="${SYSVOL_BASE}/fsmo-configs"
@@ -304,28 +305,21 @@ EOF
     log_info "PDC time authority configuration created: $time_config_file"
 }
 
-# Configure password policy for PDC
+# Password policy is enforced by Samba itself (samba-tool domain passwordsettings)
+# and edited from the Cockpit Password Policy section. Remove the legacy
+# password-policy.conf that earlier versions wrote to SYSVOL, since it never
+# reflected the settings the DC actually enforces.
 configure_pdc_password_policy() {
-    log_info "Configuring domain password policy for PDC"
-    
     local policy_file="${FSMO_CONFIG_DIR}/password-policy.conf"
-    
-    cat > "$policy_file" << 'EOF'
-# Domain Password Policy Configuration (PDC Emulator)
-# This file tracks password policy settings for the domain
-
-MINIMUM_PASSWORD_LENGTH=8
-PASSWORD_COMPLEXITY=enabled
-MAXIMUM_PASSWORD_AGE=90
-MINIMUM_PASSWORD_AGE=1
-PASSWORD_HISTORY=12
-ACCOUNT_LOCKOUT_THRESHOLD=5
-ACCOUNT_LOCKOUT_DURATION=30
-LAST_UPDATED=$(date '+%Y-%m-%d %H:%M:%S')
-MANAGED_BY=$(hostname)
-EOF
-    
-    log_info "Password policy configuration created: $policy_file"
+
+    if [ -f "$policy_file" ]; then
+        rm -f "$policy_file"
+        log_info "Removed legacy password policy file: $policy_file"
+    fi
+
+    if command -v samba-tool >/dev/null 2>&1; then
+        log_debug "Enforced domain password policy: $(samba-tool domain passwordsettings show 2>/dev/null | grep -E 'length|complexity|age|lockout' | tr '\n' ';')"
+    fi
 }
 
 # Configure services for Infrastructure Master role
@@ -1347,6 +1341,9 @@ main() {
         esac
     done
     
+    # Checked after parsing so --help works on a server that is not a DC yet
+    require_domain_context || exit 1
+
     # Acquire lock for all operations except status and query
     if [[ "$action" != "status" && "$action" != "query" ]]; then
         acquire_lock
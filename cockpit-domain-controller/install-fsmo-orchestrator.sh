@@ -24,10 +24,20 @@ fi
 
 # Install both orchestrator scripts
 echo "Installing orchestrator scripts..."
+cp "$SCRIPT_DIR/domain-context.sh" "$INSTALL_DIR/"
+chmod +x "$INSTALL_DIR/domain-context.sh"
 cp "$SCRIPT_DIR/domain-service-orchestrator.sh" "$INSTALL_DIR/"
 cp "$SCRIPT_DIR/fsmo-orchestrator.sh" "$INSTALL_DIR/"
 chmod +x "$INSTALL_DIR/domain-service-orchestrator.sh"
 chmod +x "$INSTALL_DIR/fsmo-orchestrator.sh"
+cp "$SCRIPT_DIR/dns-scavenger.sh" "$INSTALL_DIR/"
+chmod +x "$INSTALL_DIR/dns-scavenger.sh"
+cp "$SCRIPT_DIR/sysvol-replicator.sh" "$INSTALL_DIR/"
+chmod +x "$INSTALL_DIR/sysvol-replicator.sh"
+cp "$SCRIPT_DIR/domain-backup.sh" "$INSTALL_DIR/"
+chmod +x "$INSTALL_DIR/domain-backup.sh"
+cp "$SCRIPT_DIR/domain-restore.sh" "$INSTALL_DIR/"
+chmod +x "$INSTALL_DIR/domain-restore.sh"
 
 # Install systemd services and timers for both orchestrators
 echo "Installing systemd services and timers..."
@@ -40,9 +50,24 @@ cp "$SCRIPT_DIR/domain-service-orchestrator.timer" "$SYSTEMD_DIR/"
 cp "$SCRIPT_DIR/fsmo-orchestrator.service" "$SYSTEMD_DIR/"
 cp "$SCRIPT_DIR/fsmo-orchestrator.timer" "$SYSTEMD_DIR/"
 
+# DNS scavenger (timer is enabled from Cockpit once a threshold is chosen)
+cp "$SCRIPT_DIR/dns-scavenger.service" "$SYSTEMD_DIR/"
+cp "$SCRIPT_DIR/dns-scavenger.timer" "$SYSTEMD_DIR/"
+
+# SYSVOL replicator (timer is enabled from Cockpit once SSH keys are in place)
+cp "$SCRIPT_DIR/sysvol-replicator.service" "$SYSTEMD_DIR/"
+cp "$SCRIPT_DIR/sysvol-replicator.timer" "$SYSTEMD_DIR/"
+
+# Domain backup (timer is enabled from Cockpit once a target is chosen)
+cp "$SCRIPT_DIR/domain-backup.service" "$SYSTEMD_DIR/"
+cp "$SCRIPT_DIR/domain-backup.timer" "$SYSTEMD_DIR/"
+
 # Update the ExecStart paths in the service files
 sed -i "s|ExecStart=.*domain-service-orchestrator.sh|ExecStart=$INSTALL_DIR/domain-service-orchestrator.sh|" "$SYSTEMD_DIR/domain-service-orchestrator.service"
 sed -i "s|ExecStart=.*fsmo-orchestrator.sh|ExecStart=$INSTALL_DIR/fsmo-orchestrator.sh|" "$SYSTEMD_DIR/fsmo-orchestrator.service"
+sed -i "s|ExecStart=.*dns-scavenger.sh|ExecStart=$INSTALL_DIR/dns-scavenger.sh|" "$SYSTEMD_DIR/dns-scavenger.service"
+sed -i "s|ExecStart=.*sysvol-replicator.sh|ExecStart=$INSTALL_DIR/sysvol-replicator.sh|" "$SYSTEMD_DIR/sysvol-replicator.service"
+sed -i "s|ExecStart=.*domain-backup.sh|ExecStart=$INSTALL_DIR/domain-backup.sh|" "$SYSTEMD_DIR/domain-backup.service"
 
 # Reload systemd
 echo "Reloading systemd..."
@@ -92,6 +117,10 @@ echo "  fsmo-orchestrator.sh --role PDC         # Configure specific role"
 echo "  fsmo-orchestrator.sh --query            # Query FSMO assignments"
 echo ""
 echo "  domain-service-orchestrator.sh --status # Show basic service status"
+echo "  dns-scavenger.sh --preview              # Show stale dynamic DNS records"
+echo "  sysvol-replicator.sh --status           # Show per-DC SYSVOL replication status"
+echo "  domain-backup.sh --list                 # List domain backups with their checksums"
+echo "  domain-restore.sh --validate FILE       # Check a backup archive before restoring it"
 echo ""
 echo "Timer Status:"
 echo "  systemctl status domain-service-orchestrator.timer"
@@ -73,8 +73,10 @@ echo "Updating systemd service configuration..."
 # Migrate existing SYSVOL data
 echo "Migrating existing SYSVOL configurations..."
 
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
-SYSVOL_BASE="/var/lib/samba/sysvol/$DOMAIN_NAME"
+source "$SCRIPT_DIR/domain-context.sh"
+require_domain_context || exit 1
+DOMAIN_NAME="$DOMAIN_REALM"
+SYSVOL_BASE="$DOMAIN_SYSVOL"
 
 # Ensure new SYSVOL structure exists
 mkdir -p "$SYSVOL_BASE"/{fsmo-configs,ntp-configs,dhcp-configs,dns-configs,service-configs}
@@ -0,0 +1,305 @@
+/**
+ * Computer Inventory Module
+ * Lists computer accounts from the local SAM database and cleans up stale machines
+ */
+
+const _ = cockpit.gettext;
+
+// userAccountControl flags
+const UF_ACCOUNTDISABLE = 0x0002;
+const UF_SERVER_TRUST_ACCOUNT = 0x2000;
+// Set on read-only domain controllers instead of UF_SERVER_TRUST_ACCOUNT
+const UF_PARTIAL_SECRETS_ACCOUNT = 0x04000000;
+
+export class ComputerManager {
+    constructor(uiManager, ldbManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.computers = [];
+        this.staleDays = 90;
+        this.selected = new Set();
+        this.section = null;
+    }
+
+    /**
+     * Create the computer inventory card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'computer-management-section',
+            icon: 'fas fa-desktop',
+            title: 'Computers',
+            description: 'Computer account inventory. Machines that have not logged on within the threshold are flagged as stale.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <input type="search" class="pf-v5-c-form-control management-search" id="computer-search"
+                               placeholder="${_("Search computers")}" aria-label="${_("Search computers")}">
+                        <label for="computer-stale-days">${_("Stale after")}</label>
+                        <input type="number" class="pf-v5-c-form-control management-number" id="computer-stale-days"
+                               min="1" value="${this.staleDays}"> ${_("days")}
+                        <div class="pf-v5-c-check">
+                            <input class="pf-v5-c-check__input" type="checkbox" id="computer-stale-only">
+                            <label class="pf-v5-c-check__label" for="computer-stale-only">${_("Stale only")}</label>
+                        </div>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="disable-computers-btn" class="pf-v5-c-button pf-m-secondary" type="button" disabled>
+                            <i class="fas fa-ban"></i> ${_("Disable Selected")}
+                        </button>
+                        <button id="delete-computers-btn" class="pf-v5-c-button pf-m-danger" type="button" disabled>
+                            <i class="fas fa-trash"></i> ${_("Delete Selected")}
+                        </button>
+                        <button id="refresh-computers-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="computer-summary" class="management-summary"></div>
+                <div id="computer-table-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading computers...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.loadComputers()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar and selection events
+     */
+    bindEvents() {
+        this.section.querySelector('#computer-search').addEventListener('input', () => this.renderTable());
+        this.section.querySelector('#computer-stale-only').addEventListener('change', () => this.renderTable());
+        this.section.querySelector('#computer-stale-days').addEventListener('change', (e) => {
+            const days = parseInt(e.target.value, 10);
+            this.staleDays = days > 0 ? days : 90;
+            e.target.value = this.staleDays;
+            this.computers.forEach(computer => { computer.stale = this.isStale(computer); });
+            this.renderTable();
+        });
+
+        this.section.querySelector('#refresh-computers-btn').addEventListener('click', () => this.loadComputers());
+        this.section.querySelector('#disable-computers-btn').addEventListener('click', () => this.bulkAction('disable'));
+        this.section.querySelector('#delete-computers-btn').addEventListener('click', () => this.bulkAction('delete'));
+
+        this.section.querySelector('#computer-table-container').addEventListener('change', (e) => {
+            if (e.target.id === 'computer-select-all') {
+                this.section.querySelectorAll('.computer-select:not(:disabled)').forEach(checkbox => {
+                    checkbox.checked = e.target.checked;
+                    this.toggleSelection(checkbox.dataset.name, checkbox.checked);
+                });
+            } else if (e.target.classList.contains('computer-select')) {
+                this.toggleSelection(e.target.dataset.name, e.target.checked);
+            }
+        });
+    }
+
+    /**
+     * Load computer accounts with their logon and OS attributes
+     */
+    async loadComputers() {
+        const container = this.section.querySelector('#computer-table-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading computers...")}</p>`;
+
+        try {
+            const domainDN = await this.ldbManager.getDomainDN();
+            const entries = await this.ldbManager.search('(objectClass=computer)', [
+                'sAMAccountName',
+                'dNSHostName',
+                'operatingSystem',
+                'operatingSystemVersion',
+                'lastLogonTimestamp',
+                'pwdLastSet',
+                'whenCreated',
+                'userAccountControl'
+            ], { base: domainDN, scope: 'sub' });
+
+            this.computers = entries.map(entry => {
+                const uac = parseInt(this.ldbManager.getValue(entry, 'userAccountControl', '0'), 10);
+                const computer = {
+                    dn: entry.dn,
+                    name: this.ldbManager.getValue(entry, 'sAMAccountName'),
+                    dnsHostName: this.ldbManager.getValue(entry, 'dNSHostName'),
+                    operatingSystem: [
+                        this.ldbManager.getValue(entry, 'operatingSystem'),
+                        this.ldbManager.getValue(entry, 'operatingSystemVersion')
+                    ].filter(part => part).join(' '),
+                    lastLogon: this.ldbManager.fileTimeToDate(this.ldbManager.getValue(entry, 'lastLogonTimestamp')),
+                    pwdLastSet: this.ldbManager.fileTimeToDate(this.ldbManager.getValue(entry, 'pwdLastSet')),
+                    created: this.ldbManager.generalizedTimeToDate(this.ldbManager.getValue(entry, 'whenCreated')),
+                    enabled: (uac & UF_ACCOUNTDISABLE) === 0,
+                    domainController: (uac & (UF_SERVER_TRUST_ACCOUNT | UF_PARTIAL_SECRETS_ACCOUNT)) !== 0,
+                    readOnly: (uac & UF_PARTIAL_SECRETS_ACCOUNT) !== 0
+                };
+                computer.stale = this.isStale(computer);
+                return computer;
+            }).sort((a, b) => a.name.localeCompare(b.name));
+
+            this.selected.clear();
+            this.renderTable();
+        } catch (error) {
+            console.error('Failed to load computers:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load computers: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * A machine is stale when its lastLogonTimestamp is older than the
+     * threshold. Machines that never logged on are judged by when they were
+     * created or last set their password, so a fresh join is not stale.
+     * Writable and read-only DCs are never stale.
+     */
+    isStale(computer) {
+        if (computer.domainController) {
+            return false;
+        }
+        const cutoff = Date.now() - this.staleDays * 24 * 60 * 60 * 1000;
+        const reference = computer.lastLogon || computer.created || computer.pwdLastSet;
+        return !reference || reference.getTime() < cutoff;
+    }
+
+    /**
+     * Render the filtered computer table
+     */
+    renderTable() {
+        const container = this.section.querySelector('#computer-table-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const query = this.section.querySelector('#computer-search').value.trim().toLowerCase();
+        const staleOnly = this.section.querySelector('#computer-stale-only').checked;
+        const formatDate = (date) => date ? esc(date.toLocaleDateString()) : _("Never");
+
+        const computers = this.computers.filter(computer =>
+            (!staleOnly || computer.stale) &&
+            (!query ||
+                computer.name.toLowerCase().includes(query) ||
+                computer.dnsHostName.toLowerCase().includes(query) ||
+                computer.operatingSystem.toLowerCase().includes(query)));
+
+        const staleCount = this.computers.filter(computer => computer.stale).length;
+        this.section.querySelector('#computer-summary').innerHTML = cockpit.format(
+            _("$0 computers, $1 stale (no activity in $2 days)"), this.computers.length, staleCount, this.staleDays);
+
+        // Drop selections that are no longer visible so bulk actions only hit what is shown
+        const visible = new Set(computers.map(computer => computer.name));
+        [...this.selected].forEach(name => { if (!visible.has(name)) this.selected.delete(name); });
+        this.updateBulkButtons();
+
+        if (computers.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No computers match the current filter.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Computer accounts")}">
+                <thead>
+                    <tr>
+                        <th scope="col"><input type="checkbox" id="computer-select-all" aria-label="${_("Select all")}"></th>
+                        <th scope="col">${_("Name")}</th>
+                        <th scope="col">${_("DNS Host Name")}</th>
+                        <th scope="col">${_("Operating System")}</th>
+                        <th scope="col">${_("Last Logon")}</th>
+                        <th scope="col">${_("Password Last Set")}</th>
+                        <th scope="col">${_("Status")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${computers.map(computer => `
+                        <tr>
+                            <td>
+                                <input type="checkbox" class="computer-select" data-name="${esc(computer.name)}"
+                                       ${this.selected.has(computer.name) ? 'checked' : ''}
+                                       ${computer.domainController ? `disabled title="${_("Domain controllers cannot be bulk disabled or deleted")}"` : ''}
+                                       aria-label="${esc(computer.name)}">
+                            </td>
+                            <td data-label="${_("Name")}"><strong>${esc(computer.name.replace(/\$$/, ''))}</strong></td>
+                            <td data-label="${_("DNS Host Name")}">${esc(computer.dnsHostName)}</td>
+                            <td data-label="${_("Operating System")}">${esc(computer.operatingSystem)}</td>
+                            <td data-label="${_("Last Logon")}">${formatDate(computer.lastLogon)}</td>
+                            <td data-label="${_("Password Last Set")}">${formatDate(computer.pwdLastSet)}</td>
+                            <td data-label="${_("Status")}">
+                                ${computer.domainController ? `<span class="pf-v5-c-badge pf-m-blue">${computer.readOnly ? _("Read-Only Domain Controller") : _("Domain Controller")}</span>` : ''}
+                                ${computer.enabled
+                                    ? `<span class="pf-v5-c-badge pf-m-green">${_("Enabled")}</span>`
+                                    : `<span class="pf-v5-c-badge pf-m-red">${_("Disabled")}</span>`}
+                                ${computer.stale ? `<span class="pf-v5-c-badge pf-m-orange">${_("Stale")}</span>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Track a checkbox selection
+     */
+    toggleSelection(name, checked) {
+        if (checked) {
+            this.selected.add(name);
+        } else {
+            this.selected.delete(name);
+        }
+        this.updateBulkButtons();
+    }
+
+    /**
+     * Enable the bulk action buttons when something is selected
+     */
+    updateBulkButtons() {
+        const none = this.selected.size === 0;
+        this.section.querySelector('#disable-computers-btn').disabled = none;
+        this.section.querySelector('#delete-computers-btn').disabled = none;
+    }
+
+    /**
+     * Disable or delete all selected computer accounts
+     */
+    async bulkAction(action) {
+        const names = [...this.selected];
+        if (names.length === 0) {
+            return;
+        }
+
+        const message = action === 'delete'
+            ? cockpit.format(_("Permanently delete $0 computer account(s)? The machines will have to rejoin the domain.\n\n$1"), names.length, names.join(', '))
+            : cockpit.format(_("Disable $0 computer account(s)?\n\n$1"), names.length, names.join(', '));
+
+        if (!this.uiManager.confirm(message, action === 'delete' ? _("Delete Computers") : _("Disable Computers"))) {
+            return;
+        }
+
+        const buttonId = action === 'delete' ? 'delete-computers-btn' : 'disable-computers-btn';
+        this.uiManager.setButtonLoading(buttonId, true, this.section.querySelector('#' + buttonId).innerHTML);
+
+        const failures = [];
+        for (const name of names) {
+            // Computer accounts are user objects, so samba-tool user disable handles them
+            const command = action === 'delete'
+                ? ['samba-tool', 'computer', 'delete', name.replace(/\$$/, '')]
+                : ['samba-tool', 'user', 'disable', name];
+
+            try {
+                await cockpit.spawn(command, { superuser: "try", err: "message" });
+            } catch (error) {
+                console.error(`Failed to ${action} ${name}:`, error);
+                failures.push(`${name}: ${error.message}`);
+            }
+        }
+
+        this.uiManager.setButtonLoading(buttonId, false);
+        document.dispatchEvent(new CustomEvent('directory-changed', { detail: { type: 'computer' } }));
+
+        if (failures.length > 0) {
+            this.uiManager.showError(cockpit.format(_("$0 of $1 computer(s) failed:\n$2"), failures.length, names.length, failures.join('\n')));
+        } else {
+            this.uiManager.showSuccess(action === 'delete'
+                ? cockpit.format(_("Deleted $0 computer account(s)"), names.length)
+                : cockpit.format(_("Disabled $0 computer account(s)"), names.length));
+        }
+
+        await this.loadComputers();
+    }
+}
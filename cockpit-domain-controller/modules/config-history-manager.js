@@ -0,0 +1,250 @@
+/**
+ * Configuration History Module
+ * Browses, diffs and rolls back the versioned NTP and DHCP configurations kept in SYSVOL
+ */
+
+const _ = cockpit.gettext;
+
+const SERVICES = [
+    { value: 'dhcp', label: 'DHCP (dhcpd.conf)' },
+    { value: 'ntp', label: 'NTP (chrony.conf)' }
+];
+
+export class ConfigHistoryManager {
+    constructor(uiManager, sysvolManager) {
+        this.uiManager = uiManager;
+        this.sysvolManager = sysvolManager;
+        this.versions = [];
+        this.section = null;
+    }
+
+    /**
+     * Create the configuration history card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'config-history-section',
+            icon: 'fas fa-history',
+            title: 'Configuration History',
+            description: 'Every NTP and DHCP configuration written to SYSVOL, with who wrote it, when and why.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <select class="pf-v5-c-form-control" id="config-history-service" aria-label="${_("Service")}">
+                            ${SERVICES.map(service => `<option value="${service.value}">${_(service.label)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="compare-config-versions-btn" class="pf-v5-c-button pf-m-secondary" type="button" disabled>
+                            <i class="fas fa-columns"></i> ${_("Compare Selected")}
+                        </button>
+                        <button id="refresh-config-history-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="config-history-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading configuration history...")}</p>
+                </div>
+                <div id="config-diff-container"></div>
+            `,
+            onFirstExpand: () => this.loadHistory()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind service selection, comparison and row actions
+     */
+    bindEvents() {
+        this.section.querySelector('#config-history-service').addEventListener('change', () => this.loadHistory());
+        this.section.querySelector('#refresh-config-history-btn').addEventListener('click', () => this.loadHistory());
+        this.section.querySelector('#compare-config-versions-btn').addEventListener('click', () => {
+            const [newer, older] = this.getSelectedVersions();
+            this.showDiff(older, newer);
+        });
+
+        const container = this.section.querySelector('#config-history-container');
+        container.addEventListener('change', (e) => {
+            if (e.target.matches('input[data-index]')) {
+                this.section.querySelector('#compare-config-versions-btn').disabled = this.getSelectedVersions().length !== 2;
+            }
+        });
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const index = parseInt(button.dataset.index, 10);
+            const version = this.versions[index];
+            if (button.dataset.action === 'diff') {
+                // Compare against the previous version of the same file
+                const previous = this.versions.slice(index + 1).find(v => v.file === version.file);
+                this.showDiff(previous || null, version);
+            } else if (button.dataset.action === 'rollback') {
+                this.rollback(version);
+            }
+        });
+    }
+
+    /**
+     * Get the checked versions, newest first
+     */
+    getSelectedVersions() {
+        return [...this.section.querySelectorAll('#config-history-container input[data-index]:checked')]
+            .map(input => this.versions[parseInt(input.dataset.index, 10)]);
+    }
+
+    /**
+     * Load the history of the selected service
+     */
+    async loadHistory() {
+        const container = this.section.querySelector('#config-history-container');
+        const serviceType = this.section.querySelector('#config-history-service').value;
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading configuration history...")}</p>`;
+        this.section.querySelector('#config-diff-container').innerHTML = '';
+        this.section.querySelector('#compare-config-versions-btn').disabled = true;
+
+        try {
+            this.versions = await this.sysvolManager.listHistory(serviceType);
+            this.renderHistory();
+        } catch (error) {
+            console.error('Failed to load configuration history:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load configuration history: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the version table
+     */
+    renderHistory() {
+        const container = this.section.querySelector('#config-history-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.versions.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No versions recorded yet. History starts with the next write to SYSVOL.")}</p>`;
+            return;
+        }
+
+        // The newest version of each file is what SYSVOL holds now
+        const current = new Set();
+        const latest = this.versions.filter(version => !current.has(version.file) && current.add(version.file));
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Configuration versions")}">
+                <thead>
+                    <tr>
+                        <td></td>
+                        <th scope="col">${_("Written")}</th>
+                        <th scope="col">${_("File")}</th>
+                        <th scope="col">${_("Author")}</th>
+                        <th scope="col">${_("Reason")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.versions.map((version, index) => `
+                        <tr>
+                            <td class="pf-v5-c-table__check">
+                                <input type="checkbox" data-index="${index}" aria-label="${_("Select for comparison")}">
+                            </td>
+                            <td data-label="${_("Written")}">${esc(version.timestamp ? version.timestamp.toLocaleString() : version.id)}
+                                ${latest.includes(version) ? `<span class="pf-v5-c-badge pf-m-green">${_("Current")}</span>` : ''}</td>
+                            <td data-label="${_("File")}"><code>${esc(version.file)}</code></td>
+                            <td data-label="${_("Author")}">${esc(version.author)}</td>
+                            <td data-label="${_("Reason")}">${esc(version.reason)}</td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="diff" data-index="${index}">${_("Changes")}</button>
+                                ${latest.includes(version) ? '' : `
+                                <button class="pf-v5-c-button pf-m-warning pf-m-small" type="button" data-action="rollback" data-index="${index}">${_("Roll Back")}</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show the differences between two versions, or the full content of the first version
+     */
+    async showDiff(older, newer) {
+        const container = this.section.querySelector('#config-diff-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const label = (version) => cockpit.format("$0 $1 ($2)", version.file, version.timestamp.toLocaleString(), version.author);
+
+        try {
+            const [oldText, newText] = await Promise.all([
+                older ? this.sysvolManager.readHistoryVersion(older) : '',
+                this.sysvolManager.readHistoryVersion(newer)
+            ]);
+            const lines = this.uiManager.diffLines(oldText, newText);
+            const changed = lines.filter(line => line.type !== 'same').length;
+
+            // Only show unchanged lines near a change
+            const context = 3;
+            const near = lines.map((line, index) => line.type !== 'same' ||
+                lines.slice(Math.max(0, index - context), index + context + 1).some(l => l.type !== 'same'));
+            const prefix = { same: ' ', add: '+', del: '-' };
+
+            container.innerHTML = `
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${older
+                            ? cockpit.format(_("Changes from $0 to $1"), esc(label(older)), esc(label(newer)))
+                            : cockpit.format(_("First recorded version: $0"), esc(label(newer)))}</h3>
+                        <div class="management-toolbar-actions">
+                            <button class="pf-v5-c-button pf-m-plain" type="button" id="close-config-diff-btn" aria-label="${_("Close")}">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+                    ${changed === 0 && older ? `<p class="management-empty">${_("The two versions are identical.")}</p>` : `
+                    <pre class="config-diff">${lines.map((line, index) => near[index] || !older
+                        ? `<span class="config-diff-${line.type}">${prefix[line.type]} ${esc(line.text)}</span>`
+                        : (near[index - 1] ? '<span class="config-diff-skip">⋯</span>' : null))
+                        .filter(line => line !== null).join('\n')}</pre>`}
+                </div>
+            `;
+            container.querySelector('#close-config-diff-btn').addEventListener('click', () => { container.innerHTML = ''; });
+            container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        } catch (error) {
+            console.error('Failed to read configuration versions:', error);
+            this.uiManager.showError(_("Failed to read configuration versions: ") + error.message);
+        }
+    }
+
+    /**
+     * Roll back to a version and apply it to this system
+     */
+    async rollback(version) {
+        const applies = version.serviceType === 'ntp' || version.file === 'dhcpd.conf.active';
+        const values = await this.uiManager.showFormDialog({
+            title: _("Roll Back Configuration"),
+            submitLabel: _("Roll Back"),
+            intro: this.uiManager.escapeHtml(cockpit.format(
+                applies
+                    ? _("$0 from $1 is written back to SYSVOL as a new version and applied to this server, restarting the service.")
+                    : _("$0 from $1 is written back to SYSVOL as a new version."),
+                version.file, version.timestamp.toLocaleString())),
+            fields: [
+                { name: 'reason', label: _("Reason"), required: true, placeholder: 'Undo broken DHCP range change' }
+            ]
+        });
+
+        if (!values) {
+            return;
+        }
+
+        try {
+            await this.sysvolManager.rollbackConfig(version, values.reason.trim());
+            this.uiManager.showSuccess(cockpit.format(_("$0 rolled back"), version.file));
+        } catch (error) {
+            console.error('Rollback failed:', error);
+            this.uiManager.showError(_("Rollback failed: ") + error.message);
+        }
+
+        await this.loadHistory();
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Credential Management Module
+ * Prompts once per session for domain administrator credentials used by samba-tool RPC commands
+ */
+
+const _ = cockpit.gettext;
+
+export class CredentialManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.credentials = null;
+    }
+
+    /**
+     * Get cached credentials, prompting the user if none are stored
+     */
+    async getCredentials(purpose = '') {
+        if (this.credentials) {
+            return this.credentials;
+        }
+
+        const values = await this.uiManager.showFormDialog({
+            title: _("Domain Administrator Credentials"),
+            submitLabel: _("Continue"),
+            size: 'sm',
+            intro: purpose ? this.uiManager.escapeHtml(purpose) : '',
+            fields: [
+                { name: 'username', label: _("Username"), value: 'Administrator', required: true,
+                  helper: _("DOMAIN\\username or just username") },
+                { name: 'password', label: _("Password"), type: 'password', required: true }
+            ]
+        });
+
+        if (!values) {
+            return null;
+        }
+
+        this.credentials = { username: values.username, password: values.password };
+        return this.credentials;
+    }
+
+    /**
+     * Forget the cached credentials
+     */
+    clearCredentials() {
+        this.credentials = null;
+    }
+
+    /**
+     * Run a samba-tool command with administrator credentials. The password
+     * is passed through the PASSWD environment variable so it never appears
+     * in the process list. An optional onStream callback receives output as
+     * it arrives.
+     */
+    async spawn(command, { purpose = '', onStream = null, options = {} } = {}) {
+        const credentials = await this.getCredentials(purpose);
+        if (!credentials) {
+            throw new Error(_("Administrator credentials are required for this operation"));
+        }
+
+        const process = cockpit.spawn([...command, '-U', credentials.username], {
+            superuser: "try",
+            err: onStream ? "out" : "message",
+            environ: ['PASSWD=' + credentials.password],
+            ...options
+        });
+
+        if (onStream) {
+            process.stream(onStream);
+        }
+
+        try {
+            return await process;
+        } catch (error) {
+            // Ask again next time if the stored credentials were rejected
+            if (/LOGON_FAILURE|WRONG_PASSWORD|ACCOUNT_LOCKED|Failed to bind|invalid credentials/i.test(error.message || '')) {
+                this.clearCredentials();
+            }
+            throw error;
+        }
+    }
+}
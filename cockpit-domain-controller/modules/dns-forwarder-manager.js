@@ -0,0 +1,475 @@
+/**
+ * DNS Forwarder Management Module
+ * Edits the smb.conf dns forwarder list and per-zone conditional forwarders after provisioning
+ */
+
+const _ = cockpit.gettext;
+
+// Conditional forwarders are written as BIND forward zones into this file
+const BIND_FORWARDERS_FILE = '/etc/bind/named.conf.conditional-forwarders';
+const BIND_LOCAL_CONF = '/etc/bind/named.conf.local';
+
+export class DnsForwarderManager {
+    constructor(uiManager, smbConfManager, networkManager, serviceManager, dnsManager) {
+        this.uiManager = uiManager;
+        this.smbConfManager = smbConfManager;
+        this.networkManager = networkManager;
+        this.serviceManager = serviceManager;
+        this.dnsManager = dnsManager;
+        this.forwarders = [];
+        this.conditionalForwarders = [];
+        this.conditionalResults = {};
+        this.backend = 'SAMBA_INTERNAL';
+        this.section = null;
+    }
+
+    /**
+     * Create the DNS forwarder card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'dns-forwarder-section',
+            icon: 'fas fa-share-square',
+            title: 'DNS Forwarders',
+            description: 'Upstream resolvers for names outside the domain, and forwarders for specific zones.',
+            body: `
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Upstream forwarders")}</h3>
+                        <div class="management-toolbar-actions">
+                            <button id="edit-forwarders-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                                <i class="fas fa-edit"></i> ${_("Edit")}
+                            </button>
+                            <button id="test-forwarders-btn" class="pf-v5-c-button pf-m-secondary" type="button" disabled>
+                                <i class="fas fa-plug"></i> ${_("Test")}
+                            </button>
+                        </div>
+                    </div>
+                    <div id="forwarder-list">
+                        <p class="management-empty">${_("Loading forwarders...")}</p>
+                    </div>
+                </div>
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Conditional forwarders")}</h3>
+                        <div class="management-toolbar-actions">
+                            <button id="add-conditional-forwarder-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                                <i class="fas fa-plus"></i> ${_("Add")}
+                            </button>
+                            <button id="test-conditional-forwarders-btn" class="pf-v5-c-button pf-m-secondary" type="button" disabled>
+                                <i class="fas fa-plug"></i> ${_("Test All")}
+                            </button>
+                        </div>
+                    </div>
+                    <div id="conditional-forwarder-container" class="management-table-container">
+                        <p class="management-empty">${_("Loading conditional forwarders...")}</p>
+                    </div>
+                </div>
+            `,
+            onFirstExpand: () => this.loadForwarders()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind forwarder editing and test events
+     */
+    bindEvents() {
+        this.section.querySelector('#edit-forwarders-btn').addEventListener('click', () => this.editForwarders());
+        this.section.querySelector('#test-forwarders-btn').addEventListener('click', () => this.testForwarders());
+        this.section.querySelector('#add-conditional-forwarder-btn').addEventListener('click', () => this.editConditionalForwarder());
+        this.section.querySelector('#test-conditional-forwarders-btn').addEventListener('click', () => this.testConditionalForwarders());
+
+        this.section.querySelector('#conditional-forwarder-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const forwarder = this.conditionalForwarders[parseInt(button.dataset.index, 10)];
+            if (button.dataset.action === 'edit') {
+                this.editConditionalForwarder(forwarder);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteConditionalForwarder(forwarder);
+            } else if (button.dataset.action === 'test') {
+                this.testConditionalForwarders([forwarder]);
+            }
+        });
+    }
+
+    /**
+     * Split a forwarder list on spaces or commas
+     */
+    parseAddresses(value) {
+        return (value || '').split(/[\s,;]+/).filter(address => address);
+    }
+
+    /**
+     * Validate a list of forwarder addresses, returning an error message or null
+     */
+    validateAddresses(addresses, allowEmpty = true) {
+        if (addresses.length === 0) {
+            return allowEmpty ? null : _("Enter at least one forwarder address");
+        }
+        const invalid = addresses.find(address => !this.dnsManager.isIPv4(address) && !this.dnsManager.isIPv6(address));
+        return invalid ? cockpit.format(_("$0 is not a valid IP address"), invalid) : null;
+    }
+
+    /**
+     * Load the smb.conf forwarders, DNS backend and conditional forwarders
+     */
+    async loadForwarders() {
+        const list = this.section.querySelector('#forwarder-list');
+
+        try {
+            const { content } = await this.smbConfManager.read();
+            this.forwarders = this.parseAddresses(this.smbConfManager.getGlobalOption(content, 'dns forwarder'));
+
+            // Provisioning with a BIND9 backend disables Samba's own DNS service
+            const services = this.smbConfManager.getGlobalOption(content, 'server services') || '';
+            this.backend = /-dns\b/.test(services) ? 'BIND9' : 'SAMBA_INTERNAL';
+
+            this.renderForwarders();
+            this.section.querySelector('#edit-forwarders-btn').disabled = false;
+            this.section.querySelector('#test-forwarders-btn').disabled = this.forwarders.length === 0;
+        } catch (error) {
+            console.error('Failed to read smb.conf:', error);
+            list.innerHTML = `<p class="management-empty error">${_("Failed to read smb.conf: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+
+        await this.loadConditionalForwarders();
+    }
+
+    /**
+     * Render the upstream forwarder list with any test results
+     */
+    renderForwarders(results = {}) {
+        const list = this.section.querySelector('#forwarder-list');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        const note = this.backend === 'BIND9'
+            ? `<p class="management-summary">${_("This DC uses the BIND9 DNS backend, which takes its forwarders from named.conf.options rather than smb.conf.")}</p>`
+            : '';
+
+        if (this.forwarders.length === 0) {
+            list.innerHTML = note + `<p class="management-empty">${_("No forwarders configured. Names outside the domain will not resolve.")}</p>`;
+            return;
+        }
+
+        list.innerHTML = note + `
+            <ul class="forwarder-list">
+                ${this.forwarders.map(address => `
+                    <li>
+                        <strong>${esc(address)}</strong>
+                        ${this.renderTestResult(results[address])}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render a reachability badge
+     */
+    renderTestResult(result) {
+        if (!result) {
+            return '';
+        }
+        if (result === 'pending') {
+            return '<i class="fas fa-spinner fa-spin"></i>';
+        }
+        return result.success
+            ? `<span class="pf-v5-c-badge pf-m-green" title="${this.uiManager.escapeHtml(result.message)}">${cockpit.format(_("$0 ms"), result.time)}</span>`
+            : `<span class="pf-v5-c-badge pf-m-red" title="${this.uiManager.escapeHtml(result.message)}">${this.uiManager.escapeHtml(result.status)}</span>`;
+    }
+
+    /**
+     * Test every upstream forwarder
+     */
+    async testForwarders() {
+        const results = {};
+        this.forwarders.forEach(address => { results[address] = 'pending'; });
+        this.renderForwarders(results);
+
+        await Promise.all(this.forwarders.map(async address => {
+            results[address] = await this.networkManager.testDnsServer(address);
+        }));
+        this.renderForwarders(results);
+    }
+
+    /**
+     * Edit the upstream forwarders and restart samba-ad-dc to apply them
+     */
+    async editForwarders() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Edit DNS Forwarders"),
+            submitLabel: _("Apply"),
+            intro: _("Samba must be restarted to apply the change. LDAP, Kerberos and DNS on this DC are briefly unavailable during the restart."),
+            fields: [
+                { name: 'forwarders', label: _("Forwarder addresses"), value: this.forwarders.join(' '),
+                  helper: _("Separate multiple addresses with spaces; leave empty to disable forwarding") },
+                { name: 'test', label: _("Test each forwarder before applying"), type: 'checkbox', value: true }
+            ],
+            validate: (v) => this.validateAddresses(this.parseAddresses(v.forwarders))
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const addresses = this.parseAddresses(values.forwarders);
+
+        if (values.test && addresses.length > 0) {
+            const results = await Promise.all(addresses.map(address => this.networkManager.testDnsServer(address)));
+            const failed = results.filter(result => !result.success);
+            if (failed.length > 0 &&
+                !this.uiManager.confirm(failed.map(result => result.message).join('\n') + '\n\n' + _("Apply anyway?"), _("Forwarder Test Failed"))) {
+                return;
+            }
+        }
+
+        try {
+            const changed = await this.smbConfManager.setGlobalOptionInFile('dns forwarder', addresses.join(' '));
+            if (!changed) {
+                this.uiManager.showInfo(_("Forwarders are unchanged"));
+                return;
+            }
+            await this.serviceManager.restartService('samba-ad-dc');
+        } catch (error) {
+            console.error('Failed to update DNS forwarders:', error);
+            this.uiManager.showError(_("Failed to update DNS forwarders: ") + error.message);
+        }
+
+        await this.loadForwarders();
+    }
+
+    /**
+     * Parse forward zones from the managed BIND include file
+     */
+    parseConditionalForwarders(content) {
+        const forwarders = [];
+        const pattern = /zone\s+"([^"]+)"\s*\{[^{}]*forwarders\s*\{([^}]*)\}/g;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            forwarders.push({
+                zone: match[1],
+                servers: match[2].split(';').map(server => server.trim()).filter(server => server)
+            });
+        }
+        return forwarders;
+    }
+
+    /**
+     * Build the managed BIND include file from the conditional forwarder list
+     */
+    buildConditionalForwarders(forwarders) {
+        return [
+            '// Conditional forwarders - managed by Cockpit Domain Controller, do not edit by hand',
+            ...forwarders.map(forwarder => [
+                `zone "${forwarder.zone}" {`,
+                '\ttype forward;',
+                '\tforward only;',
+                `\tforwarders { ${forwarder.servers.map(server => server + ';').join(' ')} };`,
+                '};'
+            ].join('\n')),
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Load conditional forwarders, which need the BIND9 backend
+     */
+    async loadConditionalForwarders() {
+        const container = this.section.querySelector('#conditional-forwarder-container');
+        const addBtn = this.section.querySelector('#add-conditional-forwarder-btn');
+        const testBtn = this.section.querySelector('#test-conditional-forwarders-btn');
+        addBtn.disabled = true;
+        testBtn.disabled = true;
+
+        if (this.backend !== 'BIND9') {
+            this.conditionalForwarders = [];
+            container.innerHTML = `<p class="management-empty">${_("Samba's internal DNS server sends every query it cannot answer to the upstream forwarders and cannot forward individual zones. Provision or join with the BIND9 DLZ backend to use conditional forwarders.")}</p>`;
+            return;
+        }
+
+        try {
+            const content = await cockpit.file(BIND_FORWARDERS_FILE, { superuser: "try" }).read();
+            this.conditionalForwarders = this.parseConditionalForwarders(content || '');
+            this.conditionalResults = {};
+            addBtn.disabled = false;
+            testBtn.disabled = this.conditionalForwarders.length === 0;
+            this.renderConditionalForwarders();
+        } catch (error) {
+            console.error('Failed to read conditional forwarders:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to read conditional forwarders: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the conditional forwarder table
+     */
+    renderConditionalForwarders(results = {}) {
+        const container = this.section.querySelector('#conditional-forwarder-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.conditionalForwarders.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No conditional forwarders configured.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Conditional forwarders")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Zone")}</th>
+                        <th scope="col">${_("Forwarders")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.conditionalForwarders.map((forwarder, index) => `
+                        <tr>
+                            <td data-label="${_("Zone")}">${esc(forwarder.zone)}</td>
+                            <td data-label="${_("Forwarders")}">
+                                ${forwarder.servers.map(server => `
+                                    <div>${esc(server)} ${this.renderTestResult(results[`${forwarder.zone} ${server}`])}</div>
+                                `).join('')}
+                            </td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="test" data-index="${index}">${_("Test")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="edit" data-index="${index}">${_("Edit")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete" data-index="${index}">${_("Delete")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Query each conditional forwarder for the SOA of its zone
+     */
+    async testConditionalForwarders(forwarders = this.conditionalForwarders) {
+        forwarders.forEach(forwarder => forwarder.servers.forEach(server => {
+            this.conditionalResults[`${forwarder.zone} ${server}`] = 'pending';
+        }));
+        this.renderConditionalForwarders(this.conditionalResults);
+
+        await Promise.all(forwarders.flatMap(forwarder => forwarder.servers.map(async server => {
+            this.conditionalResults[`${forwarder.zone} ${server}`] =
+                await this.networkManager.testDnsServer(server, forwarder.zone, 'SOA');
+        })));
+        this.renderConditionalForwarders(this.conditionalResults);
+    }
+
+    /**
+     * Write the conditional forwarders, validate the BIND configuration and reload named
+     */
+    async saveConditionalForwarders(forwarders) {
+        const file = cockpit.file(BIND_FORWARDERS_FILE, { superuser: "try" });
+        const previous = await file.read();
+
+        await file.replace(this.buildConditionalForwarders(forwarders));
+
+        // Make sure named actually includes the managed file
+        const localFile = cockpit.file(BIND_LOCAL_CONF, { superuser: "try" });
+        const localConf = await localFile.read() || '';
+        const addInclude = !localConf.includes(BIND_FORWARDERS_FILE);
+        if (addInclude) {
+            await localFile.replace(localConf.replace(/\n*$/, '\n') + `include "${BIND_FORWARDERS_FILE}";\n`);
+        }
+
+        try {
+            await cockpit.spawn(['named-checkconf'], { superuser: "try", err: "message" });
+        } catch (error) {
+            // Put both files back so named never includes a file that is missing or rejected
+            await file.replace(previous || '');
+            if (addInclude) {
+                await localFile.replace(localConf);
+            }
+            throw new Error(_("BIND rejected the configuration: ") + error.message);
+        }
+
+        await cockpit.spawn(['systemctl', 'reload', 'named'], { superuser: "try", err: "message" });
+    }
+
+    /**
+     * Add or edit a conditional forwarder
+     */
+    async editConditionalForwarder(forwarder = null) {
+        const values = await this.uiManager.showFormDialog({
+            title: forwarder ? _("Edit Conditional Forwarder") : _("Add Conditional Forwarder"),
+            submitLabel: forwarder ? _("Save") : _("Add"),
+            fields: [
+                { name: 'zone', label: _("Zone"), required: true, value: forwarder ? forwarder.zone : '',
+                  placeholder: 'partner.example.com' },
+                { name: 'servers', label: _("Forwarder addresses"), required: true,
+                  value: forwarder ? forwarder.servers.join(' ') : '', helper: _("Separate multiple addresses with spaces") },
+                { name: 'test', label: _("Test each forwarder before saving"), type: 'checkbox', value: true }
+            ],
+            validate: (v) => {
+                const zone = v.zone.trim().replace(/\.$/, '').toLowerCase();
+                if (!this.dnsManager.isHostname(zone)) {
+                    return _("Enter a valid zone name");
+                }
+                if (this.conditionalForwarders.some(existing => existing !== forwarder && existing.zone === zone)) {
+                    return _("A conditional forwarder for this zone already exists");
+                }
+                return this.validateAddresses(this.parseAddresses(v.servers), false);
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const updated = {
+            zone: values.zone.trim().replace(/\.$/, '').toLowerCase(),
+            servers: this.parseAddresses(values.servers)
+        };
+
+        if (values.test) {
+            const results = await Promise.all(updated.servers.map(server =>
+                this.networkManager.testDnsServer(server, updated.zone, 'SOA')));
+            const failed = results.filter(result => !result.success);
+            if (failed.length > 0 &&
+                !this.uiManager.confirm(failed.map(result => result.message).join('\n') + '\n\n' + _("Save anyway?"), _("Forwarder Test Failed"))) {
+                return;
+            }
+        }
+
+        const list = forwarder
+            ? this.conditionalForwarders.map(existing => existing === forwarder ? updated : existing)
+            : [...this.conditionalForwarders, updated];
+
+        try {
+            await this.saveConditionalForwarders(list);
+            this.uiManager.showSuccess(cockpit.format(_("Conditional forwarder for $0 saved"), updated.zone));
+        } catch (error) {
+            console.error('Failed to save conditional forwarder:', error);
+            this.uiManager.showError(_("Failed to save conditional forwarder: ") + error.message);
+        }
+
+        await this.loadConditionalForwarders();
+    }
+
+    /**
+     * Delete a conditional forwarder
+     */
+    async deleteConditionalForwarder(forwarder) {
+        if (!this.uiManager.confirm(cockpit.format(_("Stop forwarding $0?"), forwarder.zone), _("Delete Conditional Forwarder"))) {
+            return;
+        }
+
+        try {
+            await this.saveConditionalForwarders(this.conditionalForwarders.filter(existing => existing !== forwarder));
+            this.uiManager.showSuccess(cockpit.format(_("Conditional forwarder for $0 deleted"), forwarder.zone));
+        } catch (error) {
+            console.error('Failed to delete conditional forwarder:', error);
+            this.uiManager.showError(_("Failed to delete conditional forwarder: ") + error.message);
+        }
+
+        await this.loadConditionalForwarders();
+    }
+}
@@ -0,0 +1,415 @@
+/**
+ * DNS Health Module
+ * Verifies that every record in Samba's dns_update_list is registered for every domain controller
+ */
+
+const _ = cockpit.gettext;
+
+// samba_dnsupdate reads the provisioned copy; the setup template is the fallback
+const DNS_UPDATE_LISTS = [
+    '/var/lib/samba/private/dns_update_list',
+    '/usr/share/samba/setup/dns_update_list'
+];
+
+// NTDS Settings options bit marking a global catalog
+const NTDSDSA_OPT_IS_GC = 1;
+
+export class DnsHealthManager {
+    constructor(uiManager, ldbManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.dcs = null;
+        this.results = [];
+        this.section = null;
+    }
+
+    /**
+     * Create the DNS health card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'dns-health-section',
+            icon: 'fas fa-heartbeat',
+            title: 'DNS Health',
+            description: 'Checks the SRV, CNAME and host records each domain controller must register in DNS.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <div class="pf-v5-c-check">
+                            <input class="pf-v5-c-check__input" type="checkbox" id="dns-health-missing-only" checked>
+                            <label class="pf-v5-c-check__label" for="dns-health-missing-only">${_("Missing records only")}</label>
+                        </div>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="dns-health-repair-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                            <i class="fas fa-wrench"></i> ${_("Repair This DC")}
+                        </button>
+                        <button id="dns-health-check-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Run Check")}
+                        </button>
+                    </div>
+                </div>
+                <div id="dns-health-summary" class="dns-health-summary"></div>
+                <div id="dns-health-container" class="management-table-container">
+                    <p class="management-empty">${_("Checking DNS registrations...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.runCheck()
+        });
+
+        this.section.querySelector('#dns-health-check-btn').addEventListener('click', () => this.runCheck());
+        this.section.querySelector('#dns-health-repair-btn').addEventListener('click', () => this.repair());
+        this.section.querySelector('#dns-health-missing-only').addEventListener('change', () => this.renderResults());
+        return this.section;
+    }
+
+    /**
+     * Read the domain controllers and their roles from the configuration partition.
+     * SRV lookups would miss exactly the DCs whose registrations are broken.
+     */
+    async getDomainControllers() {
+        const rootDSE = await this.ldbManager.getRootDSE();
+        const domainDN = rootDSE.defaultNamingContext;
+        const sitesDN = 'CN=Sites,' + rootDSE.configurationNamingContext;
+
+        const [settings, servers, domain] = await Promise.all([
+            this.ldbManager.search('(objectClass=nTDSDSA)', ['objectGUID', 'options', 'objectCategory'],
+                { base: sitesDN, scope: 'sub' }),
+            this.ldbManager.search('(objectClass=server)', ['dNSHostName'], { base: sitesDN, scope: 'sub' }),
+            this.ldbManager.search('(objectClass=*)', ['objectGUID', 'fSMORoleOwner'], { base: domainDN, scope: 'base' })
+        ]);
+
+        const hostNames = new Map(servers.map(server =>
+            [server.dn.toLowerCase(), this.ldbManager.getValue(server, 'dNSHostName').toLowerCase()]));
+        const pdcOwner = domain.length > 0 ? this.ldbManager.getValue(domain[0], 'fSMORoleOwner').toLowerCase() : '';
+        const localServer = rootDSE.serverName.toLowerCase();
+
+        const dcs = settings.map(entry => {
+            const serverDN = this.ldbManager.getParentDN(entry.dn);
+            const siteDN = this.ldbManager.getParentDN(this.ldbManager.getParentDN(serverDN));
+            const options = parseInt(this.ldbManager.getValue(entry, 'options', '0'), 10);
+
+            return {
+                name: this.ldbManager.getRDNValue(serverDN),
+                hostName: hostNames.get(serverDN.toLowerCase()) || '',
+                site: this.ldbManager.getRDNValue(siteDN),
+                ntdsGuid: this.ldbManager.getValue(entry, 'objectGUID'),
+                gc: (options & NTDSDSA_OPT_IS_GC) !== 0,
+                rodc: /NTDS-DSA-RO/i.test(this.ldbManager.getValue(entry, 'objectCategory')),
+                pdc: entry.dn.toLowerCase() === pdcOwner,
+                local: serverDN.toLowerCase() === localServer
+            };
+        }).filter(dc => dc.hostName);
+
+        return {
+            dcs: dcs.sort((a, b) => b.local - a.local || a.name.localeCompare(b.name)),
+            dnsDomain: this.ldbManager.dnToDnsName(domainDN),
+            dnsForest: this.ldbManager.dnToDnsName(rootDSE.rootDomainNamingContext),
+            domainGuid: domain.length > 0 ? this.ldbManager.getValue(domain[0], 'objectGUID') : ''
+        };
+    }
+
+    /**
+     * Read the dns_update_list template used by samba_dnsupdate
+     */
+    async readUpdateList() {
+        for (const path of DNS_UPDATE_LISTS) {
+            try {
+                const content = await cockpit.file(path, { superuser: "try" }).read();
+                if (content) {
+                    return content;
+                }
+            } catch (error) {
+                console.log(`Could not read ${path}:`, error.message);
+            }
+        }
+        throw new Error(_("dns_update_list was not found; is this server a provisioned domain controller?"));
+    }
+
+    /**
+     * Decide whether a ${IF_...} condition applies to a domain controller, mirroring samba_dnsupdate
+     */
+    conditionApplies(condition, dc) {
+        switch (condition) {
+            case 'IF_DC':
+            case 'IF_DNS_DOMAIN':
+            case 'IF_DNS_FOREST':
+                return true;
+            case 'IF_RWDC':
+            case 'IF_RWDNS_DOMAIN':
+            case 'IF_RWDNS_FOREST':
+                return !dc.rodc;
+            case 'IF_RODC':
+                return dc.rodc;
+            case 'IF_PDC':
+                return dc.pdc;
+            case 'IF_GC':
+                return dc.gc;
+            case 'IF_RWGC':
+                return dc.gc && !dc.rodc;
+            case 'IF_ROGC':
+                return dc.gc && dc.rodc;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Expand the update list into the records one domain controller should register
+     */
+    expandUpdateList(template, dc, context) {
+        const variables = {
+            DNSDOMAIN: context.dnsDomain,
+            DNSFOREST: context.dnsForest,
+            HOSTNAME: dc.hostName,
+            NTDSGUID: dc.ntdsGuid,
+            DOMAINGUID: context.domainGuid,
+            SITE: dc.site
+        };
+
+        const records = [];
+        template.split('\n').forEach(rawLine => {
+            let line = rawLine.trim();
+            if (!line || line.startsWith('#')) {
+                return;
+            }
+
+            // Leading ${IF_...} markers gate the line on the DC's roles
+            let condition;
+            while ((condition = line.match(/^\$\{(IF_\w+)\}/))) {
+                if (!this.conditionApplies(condition[1], dc)) {
+                    return;
+                }
+                line = line.substring(condition[0].length).trim();
+            }
+
+            const expanded = line.replace(/\$\{(\w+)\}/g, (match, name) =>
+                variables[name] !== undefined ? variables[name] : match);
+            const [type, name, target, port] = expanded.split(/\s+/);
+            if (!type || !name || !target || name.includes('${')) {
+                return;
+            }
+
+            records.push({
+                dc: dc.name,
+                type: type.toUpperCase(),
+                name: name.toLowerCase().replace(/\.$/, ''),
+                target: target.toLowerCase().replace(/\.$/, ''),
+                port: port || null
+            });
+        });
+        return records;
+    }
+
+    /**
+     * Resolve a batch of queries in one dig run against the local DNS server
+     */
+    async resolve(queries) {
+        const args = ['dig', '@127.0.0.1', '+noall', '+answer', '+time=2', '+tries=1'];
+        queries.forEach(query => args.push(query.name, query.type));
+
+        const output = await cockpit.spawn(args, { err: "message" });
+        const answers = new Map();
+
+        output.split('\n').forEach(line => {
+            const match = line.trim().match(/^(\S+)\s+\d+\s+IN\s+(\S+)\s+(.*)$/);
+            if (!match) return;
+
+            const key = `${match[1].toLowerCase().replace(/\.$/, '')} ${match[2].toUpperCase()}`;
+            if (!answers.has(key)) {
+                answers.set(key, []);
+            }
+            answers.get(key).push(match[3].trim().toLowerCase());
+        });
+        return answers;
+    }
+
+    /**
+     * Check whether a record is present in the resolved answers
+     */
+    isRegistered(record, answers, addresses) {
+        const values = answers.get(`${record.name} ${record.type}`) || [];
+
+        if (record.type === 'SRV') {
+            // priority weight port target
+            return values.some(value => {
+                const [, , port, target] = value.split(/\s+/);
+                return target && target.replace(/\.$/, '') === record.target && (!record.port || port === record.port);
+            });
+        }
+        if (record.type === 'A' || record.type === 'AAAA') {
+            return values.some(value => addresses.includes(value));
+        }
+        return values.some(value => value.replace(/\.$/, '') === record.target);
+    }
+
+    /**
+     * Check every expected record for every domain controller
+     */
+    async checkHealth() {
+        const [context, template] = await Promise.all([this.getDomainControllers(), this.readUpdateList()]);
+
+        // Host addresses first, since the $IP records are checked against them
+        const hostAnswers = await this.resolve(context.dcs.flatMap(dc =>
+            [{ name: dc.hostName, type: 'A' }, { name: dc.hostName, type: 'AAAA' }]));
+
+        const expected = [];
+        context.dcs.forEach(dc => {
+            dc.addresses = {
+                A: hostAnswers.get(`${dc.hostName} A`) || [],
+                AAAA: hostAnswers.get(`${dc.hostName} AAAA`) || []
+            };
+
+            this.expandUpdateList(template, dc, context)
+                // Hosts without IPv6 addresses are not expected to register AAAA records
+                .filter(record => record.type !== 'AAAA' || dc.addresses.AAAA.length > 0)
+                .forEach(record => expected.push({ ...record, dcInfo: dc }));
+        });
+
+        const unique = new Map(expected.map(record => [`${record.name} ${record.type}`, record]));
+        const answers = await this.resolve([...unique.values()]);
+
+        const results = expected.map(record => ({
+            dc: record.dc,
+            type: record.type,
+            name: record.name,
+            target: record.type === 'A' || record.type === 'AAAA'
+                ? (record.dcInfo.addresses[record.type].join(', ') || _("(host has no address)"))
+                : record.target + (record.port ? `:${record.port}` : ''),
+            present: this.isRegistered(record, answers, record.dcInfo.addresses[record.type] || [])
+        }));
+
+        return { dcs: context.dcs, results };
+    }
+
+    /**
+     * Run the health check and show the results
+     */
+    async runCheck() {
+        const container = this.section.querySelector('#dns-health-container');
+        const summary = this.section.querySelector('#dns-health-summary');
+        const checkBtn = this.section.querySelector('#dns-health-check-btn');
+        const originalHtml = checkBtn.innerHTML;
+
+        this.uiManager.setButtonLoading('dns-health-check-btn', true, originalHtml);
+        this.section.querySelector('#dns-health-repair-btn').disabled = true;
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Checking DNS registrations...")}</p>`;
+        summary.innerHTML = '';
+
+        try {
+            const health = await this.checkHealth();
+            this.dcs = health.dcs;
+            this.results = health.results;
+            this.renderSummary();
+            this.renderResults();
+
+            const localMissing = this.results.some(result => !result.present && this.dcs.find(dc => dc.name === result.dc && dc.local));
+            this.section.querySelector('#dns-health-repair-btn').disabled = !localMissing;
+        } catch (error) {
+            console.error('DNS health check failed:', error);
+            container.innerHTML = `<p class="management-empty error">${_("DNS health check failed: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        } finally {
+            this.uiManager.setButtonLoading('dns-health-check-btn', false, originalHtml);
+        }
+    }
+
+    /**
+     * Show a per-DC count of missing records
+     */
+    renderSummary() {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const summary = this.section.querySelector('#dns-health-summary');
+
+        summary.innerHTML = this.dcs.map(dc => {
+            const records = this.results.filter(result => result.dc === dc.name);
+            const missing = records.filter(result => !result.present).length;
+            const roles = [dc.site, dc.pdc ? 'PDC' : '', dc.gc ? 'GC' : '', dc.rodc ? 'RODC' : ''].filter(role => role).join(', ');
+
+            return `
+                <div class="dns-health-dc">
+                    <i class="fas ${missing === 0 ? 'fa-check-circle dns-health-ok' : 'fa-exclamation-triangle dns-health-missing'}"></i>
+                    <strong>${esc(dc.hostName)}</strong>${dc.local ? ` <small>${_("(this DC)")}</small>` : ''}
+                    <span class="dns-health-roles">${esc(roles)}</span>
+                    <span>${missing === 0
+                        ? cockpit.format(_("All $0 records registered"), records.length)
+                        : cockpit.format(_("$0 of $1 records missing"), missing, records.length)}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the per-record results table
+     */
+    renderResults() {
+        const container = this.section.querySelector('#dns-health-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const missingOnly = this.section.querySelector('#dns-health-missing-only').checked;
+        const rows = this.results.filter(result => !missingOnly || !result.present);
+
+        if (!this.dcs) {
+            return;
+        }
+        if (rows.length === 0) {
+            container.innerHTML = `<p class="management-empty"><i class="fas fa-check-circle"></i> ${missingOnly
+                ? _("Every domain controller has all of its DNS records registered.")
+                : _("No records to check.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("DNS registrations")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Domain controller")}</th>
+                        <th scope="col">${_("Type")}</th>
+                        <th scope="col">${_("Name")}</th>
+                        <th scope="col">${_("Expected data")}</th>
+                        <th scope="col">${_("Status")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(result => `
+                        <tr>
+                            <td data-label="${_("Domain controller")}">${esc(result.dc)}</td>
+                            <td data-label="${_("Type")}"><span class="pf-v5-c-badge">${esc(result.type)}</span></td>
+                            <td data-label="${_("Name")}" class="dns-record-data">${esc(result.name)}</td>
+                            <td data-label="${_("Expected data")}" class="dns-record-data">${esc(result.target)}</td>
+                            <td data-label="${_("Status")}">${result.present
+                                ? `<span class="pf-v5-c-badge pf-m-green">${_("Registered")}</span>`
+                                : `<span class="pf-v5-c-badge pf-m-red">${_("Missing")}</span>`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${rows.some(result => !result.present && !this.dcs.find(dc => dc.name === result.dc && dc.local))
+                ? `<p class="management-summary">${_("samba_dnsupdate only registers the records of the DC it runs on. Repair other DCs from their own Cockpit page.")}</p>`
+                : ''}
+        `;
+    }
+
+    /**
+     * Re-register this DC's records with samba_dnsupdate and re-check
+     */
+    async repair() {
+        if (!this.uiManager.confirm(_("Run samba_dnsupdate to re-register this domain controller's DNS records?"), _("Repair DNS Records"))) {
+            return;
+        }
+
+        this.uiManager.showLogModal("Repairing DNS registrations...");
+
+        try {
+            await cockpit.spawn(['samba_dnsupdate', '--verbose'], { superuser: "try", err: "out" })
+                .stream(data => this.uiManager.appendLogOutput(data));
+            this.uiManager.appendLogOutput('\n' + _("samba_dnsupdate completed.") + '\n');
+            this.uiManager.showSuccess(_("DNS records re-registered"));
+        } catch (error) {
+            console.error('samba_dnsupdate failed:', error);
+            this.uiManager.appendLogOutput('\n' + _("samba_dnsupdate failed: ") + error.message + '\n');
+            this.uiManager.showError(_("DNS repair failed: ") + error.message);
+        }
+
+        document.dispatchEvent(new CustomEvent('dns-changed', { detail: { type: 'record' } }));
+        await this.runCheck();
+    }
+}
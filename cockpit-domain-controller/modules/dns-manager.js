@@ -0,0 +1,644 @@
+/**
+ * DNS Management Module
+ * Lists zones and manages records on the Samba internal DNS server through samba-tool dns
+ */
+
+const _ = cockpit.gettext;
+
+// Record types that can be created and edited from the UI
+const EDITABLE_TYPES = ['A', 'AAAA', 'CNAME', 'PTR', 'SRV', 'TXT', 'MX'];
+
+// Expected data format per record type, shown as form help
+const DATA_FORMATS = {
+    A: 'IPv4 address, e.g. 192.168.1.10',
+    AAAA: 'IPv6 address, e.g. 2001:db8::10',
+    CNAME: 'Target host name, e.g. www.example.com',
+    PTR: 'Host name the address points to, e.g. host.example.com',
+    SRV: 'target port priority weight, e.g. dc1.example.com 389 0 100',
+    TXT: 'Text; quote separate strings, e.g. "v=spf1 mx -all"',
+    MX: 'mail-server preference, e.g. mail.example.com 10'
+};
+
+// Limit for following child nodes such as _ldap._tcp.dc._msdcs
+const MAX_QUERY_DEPTH = 6;
+
+export class DnsManager {
+    constructor(uiManager, ldbManager, credentialManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.credentialManager = credentialManager;
+        this.zones = [];
+        this.records = [];
+        this.currentZone = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the DNS management card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'dns-management-section',
+            icon: 'fas fa-globe',
+            title: 'DNS',
+            description: 'Zones and records served by the Samba internal DNS server.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <label for="dns-zone-select">${_("Zone")}</label>
+                        <select class="pf-v5-c-form-control dns-zone-select" id="dns-zone-select" disabled></select>
+                        <input type="search" class="pf-v5-c-form-control management-search" id="dns-record-search"
+                               placeholder="${_("Filter by name or data")}" aria-label="${_("Filter records")}">
+                        <select class="pf-v5-c-form-control dns-type-filter" id="dns-type-filter" aria-label="${_("Record type")}">
+                            <option value="">${_("All types")}</option>
+                            ${[...EDITABLE_TYPES, 'NS', 'SOA'].map(type => `<option value="${type}">${type}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="add-dns-record-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                            <i class="fas fa-plus"></i> ${_("Add Record")}
+                        </button>
+                        <button id="refresh-dns-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="dns-zone-info" class="management-summary"></div>
+                <div id="dns-record-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading DNS zones...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.loadZones()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind zone selection, filters and record actions
+     */
+    bindEvents() {
+        this.section.querySelector('#dns-zone-select').addEventListener('change', (e) => this.loadRecords(e.target.value));
+        this.section.querySelector('#dns-record-search').addEventListener('input', () => this.renderRecords());
+        this.section.querySelector('#dns-type-filter').addEventListener('change', () => this.renderRecords());
+        this.section.querySelector('#add-dns-record-btn').addEventListener('click', () => this.addRecordDialog());
+        this.section.querySelector('#refresh-dns-btn').addEventListener('click', () => this.loadZones());
+
+        // Reload when another card changes zones or records
+        document.addEventListener('dns-changed', () => {
+            if (this.currentZone) {
+                this.loadZones();
+            }
+        });
+
+        this.section.querySelector('#dns-record-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const record = this.records[parseInt(button.dataset.index, 10)];
+            if (!record) return;
+
+            if (button.dataset.action === 'edit') {
+                this.editRecordDialog(record);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteRecordDialog(record);
+            }
+        });
+    }
+
+    /**
+     * Get the DNS server name to send RPC requests to (this DC)
+     */
+    async getServer() {
+        const rootDSE = await this.ldbManager.getRootDSE();
+        return rootDSE.dnsHostName || 'localhost';
+    }
+
+    /**
+     * Run a samba-tool dns subcommand against this DC
+     */
+    async runDnsCommand(subcommand, args = [], purpose = '') {
+        const server = await this.getServer();
+        return this.credentialManager.spawn(['samba-tool', 'dns', subcommand, server, ...args], {
+            purpose: purpose || _("DNS changes are made over RPC and require a domain administrator account.")
+        });
+    }
+
+    /**
+     * List all zones on this DNS server
+     */
+    async listZones() {
+        const output = await this.runDnsCommand('zonelist');
+        const zones = [];
+        let current = null;
+
+        output.split('\n').forEach(line => {
+            const match = line.match(/^\s*(\w+)\s*:\s*(.*)$/);
+            if (!match) return;
+
+            if (match[1] === 'pszZoneName') {
+                current = { name: match[2].trim(), flags: '', type: '', partition: '' };
+                zones.push(current);
+            } else if (current && match[1] === 'Flags') {
+                current.flags = match[2].trim();
+            } else if (current && match[1] === 'ZoneType') {
+                current.type = match[2].trim().replace('DNS_ZONE_TYPE_', '');
+            } else if (current && match[1] === 'pszDpFqdn') {
+                current.partition = match[2].trim();
+            }
+        });
+
+        zones.forEach(zone => {
+            zone.reverse = /\.(in-addr|ip6)\.arpa$/i.test(zone.name);
+        });
+        return zones.sort((a, b) => a.reverse - b.reverse || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Query all records in a zone, following child nodes
+     */
+    async queryRecords(zone, name = '@', depth = 0) {
+        let output;
+        try {
+            output = await this.runDnsCommand('query', [zone, name, 'ALL']);
+        } catch (error) {
+            // Empty nodes report WERR_DNS_ERROR_NAME_DOES_NOT_EXIST
+            if (depth > 0 && /DOES_NOT_EXIST/.test(error.message)) {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = [];
+        const children = [];
+        let nodeName = null;
+
+        output.split('\n').forEach(line => {
+            const node = line.match(/^\s*Name=([^,]*), Records=(\d+), Children=(\d+)/);
+            if (node) {
+                const relative = node[1];
+                nodeName = !relative ? name : (name === '@' ? relative : `${relative}.${name}`);
+                if (relative && parseInt(node[3], 10) > 0) {
+                    children.push(nodeName);
+                }
+                return;
+            }
+
+            const record = this.parseRecordLine(line);
+            if (record && nodeName !== null) {
+                record.name = nodeName;
+                records.push(record);
+            }
+        });
+
+        if (depth < MAX_QUERY_DEPTH) {
+            for (const child of children) {
+                records.push(...await this.queryRecords(zone, child, depth + 1));
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Parse a record line printed by samba-tool dns query
+     */
+    parseRecordLine(line) {
+        const match = line.match(/^\s+([A-Z0-9]+): (.*?)\s*\(flags=([0-9a-fx]+), serial=(\d+), ttl=(\d+)\)\s*$/i);
+        if (!match) {
+            return null;
+        }
+
+        const type = match[1].toUpperCase();
+        const display = match[2].trim();
+        return {
+            type,
+            display,
+            data: this.toCommandData(type, display),
+            flags: match[3],
+            serial: parseInt(match[4], 10),
+            ttl: parseInt(match[5], 10)
+        };
+    }
+
+    /**
+     * Convert displayed record data into the form samba-tool dns expects
+     */
+    toCommandData(type, display) {
+        const stripDot = (host) => host.replace(/\.$/, '');
+
+        if (type === 'MX') {
+            const match = display.match(/^(\S+)\s+\((\d+)\)$/);
+            return match ? `${stripDot(match[1])} ${match[2]}` : display;
+        }
+        if (type === 'SRV') {
+            const match = display.match(/^(\S+)\s+\((\d+),\s*(\d+),\s*(\d+)\)$/);
+            return match ? `${stripDot(match[1])} ${match[2]} ${match[3]} ${match[4]}` : display;
+        }
+        if (['CNAME', 'PTR', 'NS'].includes(type)) {
+            return stripDot(display);
+        }
+        return display;
+    }
+
+    /**
+     * Load zones into the selector and show the first forward zone
+     */
+    async loadZones() {
+        const select = this.section.querySelector('#dns-zone-select');
+        const container = this.section.querySelector('#dns-record-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading DNS zones...")}</p>`;
+
+        try {
+            this.zones = await this.listZones();
+            const esc = (text) => this.uiManager.escapeHtml(text);
+
+            select.innerHTML = this.zones.map(zone =>
+                `<option value="${esc(zone.name)}">${esc(zone.name)}${zone.reverse ? ' ' + _("(reverse)") : ''}</option>`).join('');
+            select.disabled = this.zones.length === 0;
+
+            if (this.zones.length === 0) {
+                container.innerHTML = `<p class="management-empty">${_("No DNS zones found.")}</p>`;
+                return;
+            }
+
+            const zone = this.zones.find(z => z.name === this.currentZone) || this.zones[0];
+            select.value = zone.name;
+            await this.loadRecords(zone.name);
+        } catch (error) {
+            console.error('Failed to load DNS zones:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load DNS zones: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Load and show the records of a zone
+     */
+    async loadRecords(zoneName) {
+        const container = this.section.querySelector('#dns-record-container');
+        const zone = this.zones.find(z => z.name === zoneName);
+        this.currentZone = zoneName;
+        this.section.querySelector('#add-dns-record-btn').disabled = true;
+
+        this.section.querySelector('#dns-zone-info').textContent = zone
+            ? [zone.type, zone.partition, zone.flags.includes('UPDATE_SECURE') ? _("secure dynamic updates") : '']
+                .filter(part => part).join(' · ')
+            : '';
+
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading records...")}</p>`;
+
+        try {
+            this.records = (await this.queryRecords(zoneName))
+                .sort((a, b) => this.sortName(a.name).localeCompare(this.sortName(b.name)) || a.type.localeCompare(b.type));
+            this.section.querySelector('#add-dns-record-btn').disabled = false;
+            this.renderRecords();
+        } catch (error) {
+            console.error('Failed to load DNS records:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load records: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Sort key that keeps the zone apex first
+     */
+    sortName(name) {
+        return name === '@' ? '' : name.toLowerCase();
+    }
+
+    /**
+     * Render the filtered record table
+     */
+    renderRecords() {
+        const container = this.section.querySelector('#dns-record-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const query = this.section.querySelector('#dns-record-search').value.trim().toLowerCase();
+        const typeFilter = this.section.querySelector('#dns-type-filter').value;
+
+        const rows = this.records
+            .map((record, index) => ({ record, index }))
+            .filter(({ record }) =>
+                (!typeFilter || record.type === typeFilter) &&
+                (!query || record.name.toLowerCase().includes(query) || record.display.toLowerCase().includes(query)));
+
+        if (rows.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No records match the current filter.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("DNS records")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Name")}</th>
+                        <th scope="col">${_("Type")}</th>
+                        <th scope="col">${_("Data")}</th>
+                        <th scope="col">${_("TTL")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(({ record, index }) => `
+                        <tr>
+                            <td data-label="${_("Name")}">${esc(record.name)}</td>
+                            <td data-label="${_("Type")}"><span class="pf-v5-c-badge">${esc(record.type)}</span></td>
+                            <td data-label="${_("Data")}" class="dns-record-data">${esc(record.display)}</td>
+                            <td data-label="${_("TTL")}">${record.ttl}</td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                ${EDITABLE_TYPES.includes(record.type) ? `
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="edit" data-index="${index}">${_("Edit")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete" data-index="${index}">${_("Delete")}</button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Check for a dotted-quad IPv4 address
+     */
+    isIPv4(value) {
+        const parts = value.split('.');
+        return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && parseInt(part, 10) <= 255);
+    }
+
+    /**
+     * Check for an IPv6 address in standard or compressed notation
+     */
+    isIPv6(value) {
+        if (!/^[0-9a-f:]+$/i.test(value) || (value.match(/::/g) || []).length > 1) {
+            return false;
+        }
+        const groups = value.split(':');
+        if (value.includes('::')) {
+            return groups.length <= 8 && groups.every(group => group.length <= 4);
+        }
+        return groups.length === 8 && groups.every(group => group.length >= 1 && group.length <= 4);
+    }
+
+    /**
+     * Check for a valid DNS host name
+     */
+    isHostname(value) {
+        const host = value.replace(/\.$/, '');
+        return host.length > 0 && host.length <= 253 &&
+            host.split('.').every(label => /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/i.test(label));
+    }
+
+    /**
+     * Validate a record name relative to its zone
+     */
+    validateName(name) {
+        if (name === '@' || name === '*') {
+            return null;
+        }
+        return this.isHostname(name.replace(/^\*\./, '')) ? null : _("Invalid record name");
+    }
+
+    /**
+     * Validate record data for a type, returning an error message or null
+     */
+    validateData(type, data) {
+        const parts = data.trim().split(/\s+/);
+        const isPort = (value) => /^\d+$/.test(value) && parseInt(value, 10) <= 65535;
+
+        switch (type) {
+            case 'A':
+                return this.isIPv4(data) ? null : _("Enter a valid IPv4 address");
+            case 'AAAA':
+                return this.isIPv6(data) ? null : _("Enter a valid IPv6 address");
+            case 'CNAME':
+            case 'PTR':
+                return this.isHostname(data) ? null : _("Enter a valid host name");
+            case 'MX':
+                return parts.length === 2 && this.isHostname(parts[0]) && isPort(parts[1])
+                    ? null : _("MX data must be: mail-server preference");
+            case 'SRV':
+                return parts.length === 4 && this.isHostname(parts[0]) && parts.slice(1).every(isPort)
+                    ? null : _("SRV data must be: target port priority weight");
+            case 'TXT':
+                if (!data.trim()) return _("TXT data cannot be empty");
+                return data.trim().split(/"\s+"/).some(part => part.replace(/"/g, '').length > 255)
+                    ? _("Each TXT string must be 255 characters or fewer") : null;
+        }
+        return null;
+    }
+
+    /**
+     * Get the reverse lookup name for an IPv4 or IPv6 address
+     */
+    getReverseName(ip) {
+        if (this.isIPv4(ip)) {
+            return ip.split('.').reverse().join('.') + '.in-addr.arpa';
+        }
+        if (this.isIPv6(ip)) {
+            const [head, tail = ''] = ip.split('::');
+            const headGroups = head ? head.split(':') : [];
+            const tailGroups = tail ? tail.split(':') : [];
+            const missing = ip.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+            const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+            const nibbles = groups.map(group => group.padStart(4, '0')).join('').split('');
+            return nibbles.reverse().join('.') + '.ip6.arpa';
+        }
+        return null;
+    }
+
+    /**
+     * Find the most specific reverse zone for an address and the PTR name inside it
+     */
+    findReverseZone(ip, zones = this.zones) {
+        const reverseName = this.getReverseName(ip);
+        if (!reverseName) {
+            return null;
+        }
+
+        const zone = zones
+            .filter(z => z.reverse && reverseName.toLowerCase().endsWith('.' + z.name.toLowerCase()))
+            .sort((a, b) => b.name.length - a.name.length)[0];
+
+        return zone
+            ? { zone: zone.name, name: reverseName.substring(0, reverseName.length - zone.name.length - 1) }
+            : null;
+    }
+
+    /**
+     * Get the fully qualified name of a record
+     */
+    getFqdn(name, zone) {
+        return name === '@' ? zone : `${name}.${zone}`;
+    }
+
+    /**
+     * Create a primary zone stored in Active Directory
+     */
+    async createZone(zone) {
+        return this.runDnsCommand('zonecreate', [zone]);
+    }
+
+    /**
+     * Add a record
+     */
+    async addRecord(zone, name, type, data) {
+        return this.runDnsCommand('add', [zone, name, type, data]);
+    }
+
+    /**
+     * Replace the data of a record
+     */
+    async updateRecord(zone, name, type, oldData, newData) {
+        return this.runDnsCommand('update', [zone, name, type, oldData, newData]);
+    }
+
+    /**
+     * Delete a record
+     */
+    async deleteRecord(zone, name, type, data) {
+        return this.runDnsCommand('delete', [zone, name, type, data]);
+    }
+
+    /**
+     * Create the PTR record matching an address record, returning a status message
+     */
+    async createPtrRecord(ip, fqdn) {
+        if (this.zones.length === 0) {
+            this.zones = await this.listZones();
+        }
+
+        const reverse = this.findReverseZone(ip);
+        if (!reverse) {
+            return cockpit.format(_("No reverse lookup zone covers $0, so no PTR record was created."), ip);
+        }
+
+        try {
+            await this.addRecord(reverse.zone, reverse.name, 'PTR', fqdn);
+            return cockpit.format(_("PTR record created in $0."), reverse.zone);
+        } catch (error) {
+            if (/ALREADY_EXISTS/.test(error.message)) {
+                return cockpit.format(_("A PTR record for $0 already exists in $1."), ip, reverse.zone);
+            }
+            return cockpit.format(_("PTR record could not be created: $0"), error.message);
+        }
+    }
+
+    /**
+     * Fields shared by the add and edit dialogs
+     */
+    getRecordFields(record = null) {
+        const type = record ? record.type : 'A';
+        return [
+            { name: 'name', label: _("Name"), required: true, value: record ? record.name : '',
+              helper: _("Relative to the zone; use @ for the zone itself") },
+            { name: 'type', label: _("Type"), type: 'select', value: type, options: EDITABLE_TYPES },
+            { name: 'data', label: _("Data"), required: true, value: record ? record.data : '',
+              helper: Object.entries(DATA_FORMATS).map(([t, format]) => `${t}: ${_(format)}`).join('; ') },
+            { name: 'createPtr', label: _("Create matching PTR record (A and AAAA only)"), type: 'checkbox', value: !record }
+        ];
+    }
+
+    /**
+     * Show the add record dialog
+     */
+    async addRecordDialog() {
+        const zone = this.currentZone;
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Add Record to $0"), zone),
+            submitLabel: _("Add"),
+            size: 'lg',
+            fields: this.getRecordFields(),
+            validate: (v) => this.validateName(v.name) || this.validateData(v.type, v.data)
+        });
+
+        if (!values) {
+            return;
+        }
+
+        try {
+            await this.addRecord(zone, values.name, values.type, values.data);
+            let message = cockpit.format(_("$0 record $1 added"), values.type, this.getFqdn(values.name, zone));
+
+            if (values.createPtr && ['A', 'AAAA'].includes(values.type)) {
+                message += '\n' + await this.createPtrRecord(values.data, this.getFqdn(values.name, zone));
+            }
+
+            this.uiManager.showSuccess(message);
+        } catch (error) {
+            console.error('Failed to add DNS record:', error);
+            this.uiManager.showError(_("Failed to add record: ") + error.message);
+        }
+
+        await this.loadRecords(zone);
+    }
+
+    /**
+     * Show the edit dialog for a record
+     */
+    async editRecordDialog(record) {
+        const zone = this.currentZone;
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Edit $0 record $1"), record.type, record.name),
+            submitLabel: _("Save"),
+            fields: [
+                { name: 'data', label: _("Data"), required: true, value: record.data, helper: _(DATA_FORMATS[record.type]) }
+            ],
+            validate: (v) => this.validateData(record.type, v.data)
+        });
+
+        if (!values || values.data === record.data) {
+            return;
+        }
+
+        try {
+            await this.updateRecord(zone, record.name, record.type, record.data, values.data);
+            this.uiManager.showSuccess(cockpit.format(_("$0 record $1 updated"), record.type, this.getFqdn(record.name, zone)));
+        } catch (error) {
+            console.error('Failed to update DNS record:', error);
+            this.uiManager.showError(_("Failed to update record: ") + error.message);
+        }
+
+        await this.loadRecords(zone);
+    }
+
+    /**
+     * Confirm and delete a record, optionally with its PTR record
+     */
+    async deleteRecordDialog(record) {
+        const zone = this.currentZone;
+        const fqdn = this.getFqdn(record.name, zone);
+        const isAddress = ['A', 'AAAA'].includes(record.type);
+
+        const values = await this.uiManager.showFormDialog({
+            title: _("Delete Record"),
+            submitLabel: _("Delete"),
+            intro: this.uiManager.escapeHtml(cockpit.format(_("Delete $0 record $1 → $2?"), record.type, fqdn, record.display)),
+            fields: isAddress
+                ? [{ name: 'deletePtr', label: _("Also delete the matching PTR record"), type: 'checkbox', value: true }]
+                : []
+        });
+
+        if (!values) {
+            return;
+        }
+
+        try {
+            await this.deleteRecord(zone, record.name, record.type, record.data);
+
+            if (values.deletePtr) {
+                const reverse = this.findReverseZone(record.data);
+                if (reverse) {
+                    await this.deleteRecord(reverse.zone, reverse.name, 'PTR', fqdn).catch(error => {
+                        console.log('No matching PTR record removed:', error.message);
+                    });
+                }
+            }
+
+            this.uiManager.showSuccess(cockpit.format(_("$0 record $1 deleted"), record.type, fqdn));
+        } catch (error) {
+            console.error('Failed to delete DNS record:', error);
+            this.uiManager.showError(_("Failed to delete record: ") + error.message);
+        }
+
+        await this.loadRecords(zone);
+    }
+}
@@ -0,0 +1,375 @@
+/**
+ * DNS Scavenging Module
+ * Lists dynamic DNS records by age and removes stale ones on demand or on a systemd timer
+ */
+
+const _ = cockpit.gettext;
+
+const SCAVENGER_SCRIPT = '/usr/local/bin/dns-scavenger.sh';
+const SCAVENGING_CONFIG = '/etc/samba/dns-scavenging.conf';
+const SCAVENGER_TIMER = 'dns-scavenger.timer';
+const TIMER_DROPIN = '/etc/systemd/system/dns-scavenger.timer.d/schedule.conf';
+
+const SCHEDULES = [
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'monthly', label: 'Monthly' }
+];
+
+export class DnsScavengingManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.records = [];
+        this.config = { thresholdDays: 14, zones: '', schedule: 'daily' };
+        this.timer = { enabled: false, nextRun: null, lastRun: null };
+        this.section = null;
+    }
+
+    /**
+     * Create the DNS scavenging card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'dns-scavenging-section',
+            icon: 'fas fa-broom',
+            title: 'DNS Scavenging',
+            description: 'Dynamically registered records that have not been refreshed, such as those left behind by DHCP clients.',
+            body: `
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Scheduled scavenging")}</h3>
+                        <div class="management-toolbar-actions">
+                            <button id="edit-scavenging-schedule-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                                <i class="fas fa-clock"></i> ${_("Edit Schedule")}
+                            </button>
+                        </div>
+                    </div>
+                    <div id="scavenging-schedule" class="management-summary">${_("Loading schedule...")}</div>
+                </div>
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <input type="search" class="pf-v5-c-form-control management-search" id="scavenging-search"
+                               placeholder="${_("Filter by name or data")}" aria-label="${_("Filter records")}">
+                        <label for="scavenging-days">${_("Stale after")}</label>
+                        <input type="number" class="pf-v5-c-form-control management-number" id="scavenging-days"
+                               min="1" value="${this.config.thresholdDays}"> ${_("days")}
+                        <div class="pf-v5-c-check">
+                            <input class="pf-v5-c-check__input" type="checkbox" id="scavenging-stale-only">
+                            <label class="pf-v5-c-check__label" for="scavenging-stale-only">${_("Stale only")}</label>
+                        </div>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="scavenge-now-btn" class="pf-v5-c-button pf-m-danger" type="button" disabled>
+                            <i class="fas fa-trash"></i> ${_("Delete Stale Records")}
+                        </button>
+                        <button id="refresh-scavenging-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="scavenging-summary" class="management-summary"></div>
+                <div id="scavenging-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading dynamic records...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind threshold, filter and action events
+     */
+    bindEvents() {
+        this.section.querySelector('#scavenging-search').addEventListener('input', () => this.renderRecords());
+        this.section.querySelector('#scavenging-stale-only').addEventListener('change', () => this.renderRecords());
+        this.section.querySelector('#scavenging-days').addEventListener('change', (e) => {
+            const days = parseInt(e.target.value, 10);
+            e.target.value = days > 0 ? days : this.config.thresholdDays;
+            this.renderRecords();
+        });
+
+        this.section.querySelector('#scavenge-now-btn').addEventListener('click', () => this.scavenge());
+        this.section.querySelector('#refresh-scavenging-btn').addEventListener('click', () => this.load());
+        this.section.querySelector('#edit-scavenging-schedule-btn').addEventListener('click', () => this.editSchedule());
+    }
+
+    /**
+     * Get the threshold currently entered in the toolbar
+     */
+    getThresholdDays() {
+        return parseInt(this.section.querySelector('#scavenging-days').value, 10) || this.config.thresholdDays;
+    }
+
+    /**
+     * Load the configuration, timer state and dynamic records
+     */
+    async load() {
+        await this.loadSchedule();
+        this.section.querySelector('#scavenging-days').value = this.config.thresholdDays;
+        await this.loadRecords();
+    }
+
+    /**
+     * Read the scavenger configuration file
+     */
+    async readConfig() {
+        const content = await cockpit.file(SCAVENGING_CONFIG, { superuser: "try" }).read() || '';
+        const value = (key) => {
+            const match = content.match(new RegExp(`^${key}="?([^"\\n]*)"?`, 'm'));
+            return match ? match[1].trim() : null;
+        };
+
+        return {
+            thresholdDays: parseInt(value('THRESHOLD_DAYS'), 10) || 14,
+            zones: value('SCAVENGE_ZONES') || '',
+            schedule: value('SCHEDULE') || 'daily'
+        };
+    }
+
+    /**
+     * Write the scavenger configuration file
+     */
+    async writeConfig(config) {
+        const content = [
+            '# DNS scavenging settings - managed by Cockpit Domain Controller',
+            `THRESHOLD_DAYS=${config.thresholdDays}`,
+            `SCAVENGE_ZONES="${config.zones}"`,
+            `SCHEDULE="${config.schedule}"`,
+            ''
+        ].join('\n');
+        await cockpit.file(SCAVENGING_CONFIG, { superuser: "try" }).replace(content);
+    }
+
+    /**
+     * Read whether the timer is enabled and when it last and next runs
+     */
+    async getTimerState() {
+        const state = { enabled: false, nextRun: null, lastRun: null };
+
+        try {
+            const enabled = await cockpit.spawn(['systemctl', 'is-enabled', SCAVENGER_TIMER], { superuser: "try" });
+            state.enabled = enabled.trim() === 'enabled';
+        } catch (error) {
+            state.enabled = false;
+        }
+
+        try {
+            const output = await cockpit.spawn(['systemctl', 'show', SCAVENGER_TIMER,
+                '-p', 'NextElapseUSecRealtime', '-p', 'LastTriggerUSec'], { superuser: "try" });
+            output.split('\n').forEach(line => {
+                const [key, ...rest] = line.split('=');
+                const value = rest.join('=').trim();
+                if (!value || value === 'n/a') return;
+                if (key === 'NextElapseUSecRealtime') state.nextRun = value;
+                if (key === 'LastTriggerUSec') state.lastRun = value;
+            });
+        } catch (error) {
+            console.log('Could not read scavenger timer state:', error.message);
+        }
+
+        return state;
+    }
+
+    /**
+     * Load and show the scheduled scavenging state
+     */
+    async loadSchedule() {
+        const display = this.section.querySelector('#scavenging-schedule');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        try {
+            [this.config, this.timer] = await Promise.all([this.readConfig(), this.getTimerState()]);
+        } catch (error) {
+            console.error('Failed to read scavenging settings:', error);
+        }
+
+        const schedule = SCHEDULES.find(s => s.value === this.config.schedule) || SCHEDULES[0];
+        display.innerHTML = this.timer.enabled
+            ? `<span class="pf-v5-c-badge pf-m-green">${_("Enabled")}</span>
+               ${cockpit.format(_("$0, removing records older than $1 days in $2."), _(schedule.label),
+                   this.config.thresholdDays, esc(this.config.zones || _("all zones")))}
+               ${this.timer.lastRun ? cockpit.format(_("Last run: $0."), esc(this.timer.lastRun)) : ''}
+               ${this.timer.nextRun ? cockpit.format(_("Next run: $0."), esc(this.timer.nextRun)) : ''}
+               ${_("Scheduled runs only scavenge on the PDC Emulator.")}`
+            : `<span class="pf-v5-c-badge">${_("Disabled")}</span> ${_("Stale records are only removed when you delete them here.")}`;
+    }
+
+    /**
+     * Load dynamic records and their timestamps
+     */
+    async loadRecords() {
+        const container = this.section.querySelector('#scavenging-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading dynamic records...")}</p>`;
+        this.section.querySelector('#scavenge-now-btn').disabled = true;
+
+        try {
+            const output = await cockpit.spawn([SCAVENGER_SCRIPT, '--list'], { superuser: "try", err: "message" });
+            this.records = JSON.parse(output).map(record => ({
+                ...record,
+                fqdn: `${record.name}.${record.zone}`,
+                refreshed: new Date(record.timestamp)
+            })).sort((a, b) => b.ageHours - a.ageHours);
+            this.renderRecords();
+        } catch (error) {
+            console.error('Failed to list dynamic DNS records:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to list dynamic records: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Check whether a record would be removed at the given threshold; the zone
+     * must have aging enabled and its no-refresh plus refresh interval must have passed
+     */
+    isStale(record, days) {
+        return !record.protected && record.agingEnabled && record.ageHours > Math.max(days * 24, record.agingHours);
+    }
+
+    /**
+     * Render the record table and the preview summary
+     */
+    renderRecords() {
+        const container = this.section.querySelector('#scavenging-container');
+        const summary = this.section.querySelector('#scavenging-summary');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const days = this.getThresholdDays();
+        const query = this.section.querySelector('#scavenging-search').value.trim().toLowerCase();
+        const staleOnly = this.section.querySelector('#scavenging-stale-only').checked;
+
+        const staleCount = this.records.filter(record => this.isStale(record, days)).length;
+        summary.textContent = cockpit.format(_("$0 dynamic records, $1 would be removed at a $2-day threshold"),
+            this.records.length, staleCount, days);
+        this.section.querySelector('#scavenge-now-btn').disabled = staleCount === 0;
+
+        const rows = this.records.filter(record =>
+            (!staleOnly || this.isStale(record, days)) &&
+            (!query || record.fqdn.toLowerCase().includes(query) || record.data.toLowerCase().includes(query)));
+
+        if (rows.length === 0) {
+            container.innerHTML = `<p class="management-empty">${this.records.length === 0
+                ? _("No dynamically registered records found.")
+                : _("No records match the current filter.")}</p>`;
+            return;
+        }
+
+        const status = (record) => {
+            if (record.protected) {
+                return `<span class="pf-v5-c-badge pf-m-blue" title="${_("Domain controller records are never scavenged")}">${_("Protected")}</span>`;
+            }
+            if (!record.agingEnabled) {
+                return `<span class="pf-v5-c-badge" title="${_("Only zones with aging enabled are scavenged")}">${_("Aging off")}</span>`;
+            }
+            return this.isStale(record, days)
+                ? `<span class="pf-v5-c-badge pf-m-orange">${_("Stale")}</span>`
+                : `<span class="pf-v5-c-badge pf-m-green">${_("Current")}</span>`;
+        };
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Dynamic DNS records")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Name")}</th>
+                        <th scope="col">${_("Type")}</th>
+                        <th scope="col">${_("Data")}</th>
+                        <th scope="col">${_("Last refreshed")}</th>
+                        <th scope="col">${_("Age")}</th>
+                        <th scope="col">${_("Status")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(record => `
+                        <tr>
+                            <td data-label="${_("Name")}">${esc(record.fqdn)}</td>
+                            <td data-label="${_("Type")}"><span class="pf-v5-c-badge">${esc(record.type)}</span></td>
+                            <td data-label="${_("Data")}" class="dns-record-data">${esc(record.data)}</td>
+                            <td data-label="${_("Last refreshed")}">${esc(record.refreshed.toLocaleString())}</td>
+                            <td data-label="${_("Age")}">${cockpit.format(_("$0 days"), Math.floor(record.ageHours / 24))}</td>
+                            <td data-label="${_("Status")}">${status(record)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Delete the records that are stale at the current threshold
+     */
+    async scavenge() {
+        const days = this.getThresholdDays();
+        const count = this.records.filter(record => this.isStale(record, days)).length;
+
+        if (!this.uiManager.confirm(cockpit.format(_("Delete $0 dynamic records not refreshed in $1 days? Deletions replicate to every DC."), count, days),
+            _("Delete Stale Records"))) {
+            return;
+        }
+
+        this.uiManager.showLogModal("Scavenging stale DNS records...");
+
+        try {
+            await cockpit.spawn([SCAVENGER_SCRIPT, '--scavenge', '--days', String(days)], { superuser: "try", err: "out" })
+                .stream(data => this.uiManager.appendLogOutput(data));
+            this.uiManager.showSuccess(_("Stale DNS records removed"));
+        } catch (error) {
+            console.error('DNS scavenging failed:', error);
+            this.uiManager.appendLogOutput('\n' + _("Scavenging failed: ") + error.message + '\n');
+            this.uiManager.showError(_("DNS scavenging failed: ") + error.message);
+        }
+
+        document.dispatchEvent(new CustomEvent('dns-changed', { detail: { type: 'record' } }));
+        await this.loadRecords();
+    }
+
+    /**
+     * Edit the scavenging schedule and threshold, then enable or disable the timer
+     */
+    async editSchedule() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("DNS Scavenging Schedule"),
+            submitLabel: _("Save"),
+            fields: [
+                { name: 'enabled', label: _("Scavenge automatically"), type: 'checkbox', value: this.timer.enabled },
+                { name: 'schedule', label: _("Frequency"), type: 'select', value: this.config.schedule, options: SCHEDULES },
+                { name: 'thresholdDays', label: _("Remove records not refreshed for (days)"), type: 'number', min: 1,
+                  value: this.config.thresholdDays, required: true },
+                { name: 'zones', label: _("Zones"), value: this.config.zones, placeholder: 'example.com 1.168.192.in-addr.arpa',
+                  helper: _("Space-separated list; leave empty to scavenge every zone") }
+            ],
+            validate: (v) => {
+                const days = Number(v.thresholdDays);
+                if (!Number.isInteger(days) || days < 1) {
+                    return _("The threshold must be a whole number of days");
+                }
+                return /^[a-z0-9._\s-]*$/i.test(v.zones) ? null : _("Zone names may only contain letters, digits, dots and hyphens");
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const config = {
+            thresholdDays: Number(values.thresholdDays),
+            zones: values.zones.trim().split(/\s+/).filter(zone => zone).join(' '),
+            schedule: values.schedule
+        };
+
+        try {
+            await this.writeConfig(config);
+            await cockpit.spawn(['mkdir', '-p', TIMER_DROPIN.substring(0, TIMER_DROPIN.lastIndexOf('/'))], { superuser: "try" });
+            await cockpit.file(TIMER_DROPIN, { superuser: "try" })
+                .replace(`[Timer]\nOnCalendar=\nOnCalendar=${config.schedule}\n`);
+            await cockpit.spawn(['systemctl', 'daemon-reload'], { superuser: "try", err: "message" });
+            await cockpit.spawn(['systemctl', values.enabled ? 'enable' : 'disable', '--now', SCAVENGER_TIMER],
+                { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(values.enabled ? _("Scheduled scavenging enabled") : _("Scheduled scavenging disabled"));
+        } catch (error) {
+            console.error('Failed to save scavenging schedule:', error);
+            this.uiManager.showError(_("Failed to save scavenging schedule: ") + error.message);
+        }
+
+        await this.load();
+    }
+}
@@ -0,0 +1,488 @@
+/**
+ * Domain Backup Module
+ * Scheduled and on-demand samba-tool domain backups with retention, manifests and download
+ */
+
+const _ = cockpit.gettext;
+
+const BACKUP_SCRIPT = '/usr/local/bin/domain-backup.sh';
+const BACKUP_CONFIG = '/etc/samba/domain-backup.conf';
+const BACKUP_TIMER = 'domain-backup.timer';
+const TIMER_DROPIN = '/etc/systemd/system/domain-backup.timer.d/schedule.conf';
+
+// domain-backup.service runs with ProtectHome=yes and ProtectSystem=full, so it cannot write below these
+const PROTECTED_PATHS = ['/home', '/root', '/run/user', '/usr', '/boot', '/etc'];
+
+const BACKUP_TYPES = [
+    { value: 'online', label: 'Online (replicated over DRS)' },
+    { value: 'offline', label: 'Offline (local database copy)' }
+];
+
+const SCHEDULES = [
+    { value: 'daily', label: 'Daily', calendar: '*-*-*' },
+    { value: 'weekly', label: 'Weekly (Sunday)', calendar: 'Sun *-*-*' }
+];
+
+export class DomainBackupManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.backups = [];
+        this.config = {
+            backupDir: '/var/lib/samba/domain-backups',
+            backupType: 'online',
+            keepDaily: 7,
+            keepWeekly: 4,
+            schedule: 'daily',
+            hour: 2
+        };
+        this.timer = { enabled: false, nextRun: null, lastRun: null };
+        this.section = null;
+    }
+
+    /**
+     * Create the domain backups card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'domain-backup-section',
+            icon: 'fas fa-archive',
+            title: 'Domain Backups',
+            description: 'samba-tool domain backups of the whole directory, kept with a checksum manifest and pruned by a retention policy.',
+            body: `
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Scheduled backups")}</h3>
+                        <div class="management-toolbar-actions">
+                            <button id="edit-backup-schedule-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                                <i class="fas fa-clock"></i> ${_("Edit Schedule")}
+                            </button>
+                        </div>
+                    </div>
+                    <div id="backup-schedule" class="management-summary">${_("Loading schedule...")}</div>
+                </div>
+                <div class="management-toolbar">
+                    <div id="backup-summary" class="management-summary"></div>
+                    <div class="management-toolbar-actions">
+                        <button id="backup-now-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-save"></i> ${_("Back Up Now")}
+                        </button>
+                        <button id="refresh-backups-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="backup-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading backups...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar and row actions
+     */
+    bindEvents() {
+        this.section.querySelector('#edit-backup-schedule-btn').addEventListener('click', () => this.editSchedule());
+        this.section.querySelector('#backup-now-btn').addEventListener('click', () => this.backupNow());
+        this.section.querySelector('#refresh-backups-btn').addEventListener('click', () => this.load());
+
+        this.section.querySelector('#backup-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const backup = this.backups[parseInt(button.dataset.index, 10)];
+            if (button.dataset.action === 'verify') {
+                this.verifyBackup(backup);
+            } else if (button.dataset.action === 'download') {
+                this.downloadBackup(backup);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteBackup(backup);
+            }
+        });
+    }
+
+    /**
+     * Load the configuration, timer state and backup list
+     */
+    async load() {
+        await this.loadSchedule();
+        await this.loadBackups();
+    }
+
+    /**
+     * Read the backup configuration file
+     */
+    async readConfig() {
+        const content = await cockpit.file(BACKUP_CONFIG, { superuser: "try" }).read() || '';
+        const value = (key) => {
+            const match = content.match(new RegExp(`^${key}="?([^"\\n]*)"?`, 'm'));
+            return match ? match[1].trim() : null;
+        };
+        const number = (key, fallback) => {
+            const parsed = parseInt(value(key), 10);
+            return Number.isInteger(parsed) ? parsed : fallback;
+        };
+
+        return {
+            backupDir: value('BACKUP_DIR') || '/var/lib/samba/domain-backups',
+            backupType: value('BACKUP_TYPE') || 'online',
+            keepDaily: number('KEEP_DAILY', 7),
+            keepWeekly: number('KEEP_WEEKLY', 4),
+            schedule: value('SCHEDULE') || 'daily',
+            hour: number('BACKUP_HOUR', 2)
+        };
+    }
+
+    /**
+     * Write the backup configuration file
+     */
+    async writeConfig(config) {
+        const content = [
+            '# Domain backup settings - managed by Cockpit Domain Controller',
+            `BACKUP_DIR="${config.backupDir}"`,
+            `BACKUP_TYPE="${config.backupType}"`,
+            `KEEP_DAILY=${config.keepDaily}`,
+            `KEEP_WEEKLY=${config.keepWeekly}`,
+            `SCHEDULE="${config.schedule}"`,
+            `BACKUP_HOUR=${config.hour}`,
+            ''
+        ].join('\n');
+        await cockpit.file(BACKUP_CONFIG, { superuser: "try" }).replace(content);
+    }
+
+    /**
+     * Read whether the timer is enabled and when it last and next runs
+     */
+    async getTimerState() {
+        const state = { enabled: false, nextRun: null, lastRun: null };
+
+        try {
+            const enabled = await cockpit.spawn(['systemctl', 'is-enabled', BACKUP_TIMER], { superuser: "try" });
+            state.enabled = enabled.trim() === 'enabled';
+        } catch (error) {
+            state.enabled = false;
+        }
+
+        try {
+            const output = await cockpit.spawn(['systemctl', 'show', BACKUP_TIMER,
+                '-p', 'NextElapseUSecRealtime', '-p', 'LastTriggerUSec'], { superuser: "try" });
+            output.split('\n').forEach(line => {
+                const [key, ...rest] = line.split('=');
+                const value = rest.join('=').trim();
+                if (!value || value === 'n/a') return;
+                if (key === 'NextElapseUSecRealtime') state.nextRun = value;
+                if (key === 'LastTriggerUSec') state.lastRun = value;
+            });
+        } catch (error) {
+            console.log('Could not read backup timer state:', error.message);
+        }
+
+        return state;
+    }
+
+    /**
+     * Read the outcome of the last backup run written by domain-backup.sh
+     */
+    async readLastRun() {
+        const content = await cockpit.file(`${this.config.backupDir}/last-run`, { superuser: "try" }).read()
+            .catch(() => null);
+        if (!content) {
+            return null;
+        }
+
+        const value = (key) => {
+            const match = content.match(new RegExp(`^${key}=(.*)$`, 'm'));
+            return match ? match[1].trim() : '';
+        };
+        return {
+            result: value('RESULT'),
+            time: new Date(parseInt(value('TIME'), 10) * 1000),
+            message: value('MESSAGE')
+        };
+    }
+
+    /**
+     * Load and show the scheduled backup state
+     */
+    async loadSchedule() {
+        const display = this.section.querySelector('#backup-schedule');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        let lastRun = null;
+        try {
+            [this.config, this.timer] = await Promise.all([this.readConfig(), this.getTimerState()]);
+            lastRun = await this.readLastRun();
+        } catch (error) {
+            console.error('Failed to read backup settings:', error);
+        }
+
+        const schedule = SCHEDULES.find(s => s.value === this.config.schedule) || SCHEDULES[0];
+        const lastRunText = lastRun
+            ? `${lastRun.result === 'success'
+                ? `<span class="pf-v5-c-badge pf-m-green">${_("Last backup succeeded")}</span>`
+                : `<span class="pf-v5-c-badge pf-m-red">${_("Last backup failed")}</span>`}
+               ${esc(lastRun.time.toLocaleString())}${lastRun.result === 'success' ? '' : `: ${esc(lastRun.message)}`}`
+            : '';
+
+        display.innerHTML = this.timer.enabled
+            ? `<span class="pf-v5-c-badge pf-m-green">${_("Enabled")}</span>
+               ${cockpit.format(_("$0 at $1:00, $2 backup to $3, keeping $4 daily and $5 weekly."), _(schedule.label),
+                   String(this.config.hour).padStart(2, '0'), esc(this.config.backupType), esc(this.config.backupDir),
+                   this.config.keepDaily, this.config.keepWeekly)}
+               ${this.timer.nextRun ? cockpit.format(_("Next run: $0."), esc(this.timer.nextRun)) : ''}
+               <div>${lastRunText}</div>`
+            : `<span class="pf-v5-c-badge">${_("Disabled")}</span> ${_("Backups are only taken when you start one here.")}
+               <div>${lastRunText}</div>`;
+    }
+
+    /**
+     * Load the backup list with manifest details
+     */
+    async loadBackups() {
+        const container = this.section.querySelector('#backup-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading backups...")}</p>`;
+
+        try {
+            const output = await cockpit.spawn([BACKUP_SCRIPT, '--list'], { superuser: "try", err: "message" });
+            this.backups = output.split('\n').filter(line => line.trim()).map(line => {
+                const [file, type, created, size, sha256, host] = line.split('\t');
+                return {
+                    file,
+                    path: `${this.config.backupDir}/${file}`,
+                    type,
+                    date: new Date(parseInt(created, 10) * 1000),
+                    size: parseInt(size, 10),
+                    sha256: sha256 || '',
+                    host: host || ''
+                };
+            });
+            this.renderBackups();
+        } catch (error) {
+            console.error('Failed to list domain backups:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to list domain backups: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the backup table
+     */
+    renderBackups() {
+        const container = this.section.querySelector('#backup-container');
+        const summary = this.section.querySelector('#backup-summary');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        const total = this.backups.reduce((sum, backup) => sum + (backup.size || 0), 0);
+        summary.textContent = cockpit.format(_("$0 backups, $1 in $2"), this.backups.length,
+            cockpit.format_bytes(total), this.config.backupDir);
+
+        if (this.backups.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No domain backups yet.")}</p>`;
+            return;
+        }
+
+        const typeBadge = (type) => ({
+            online: `<span class="pf-v5-c-badge pf-m-blue">${_("Online")}</span>`,
+            offline: `<span class="pf-v5-c-badge">${_("Offline")}</span>`
+        }[type] || `<span class="pf-v5-c-badge pf-m-orange" title="${_("No manifest")}">${_("Unknown")}</span>`);
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Domain backups")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Created")}</th>
+                        <th scope="col">${_("Type")}</th>
+                        <th scope="col">${_("Taken on")}</th>
+                        <th scope="col">${_("Size")}</th>
+                        <th scope="col">${_("SHA-256")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.backups.map((backup, index) => `
+                        <tr>
+                            <td data-label="${_("Created")}" title="${esc(backup.file)}">${esc(backup.date.toLocaleString())}</td>
+                            <td data-label="${_("Type")}">${typeBadge(backup.type)}</td>
+                            <td data-label="${_("Taken on")}">${esc(backup.host || '—')}</td>
+                            <td data-label="${_("Size")}">${cockpit.format_bytes(backup.size)}</td>
+                            <td data-label="${_("SHA-256")}">${backup.sha256
+                                ? `<code class="backup-checksum" title="${esc(backup.sha256)}">${esc(backup.sha256.substring(0, 12))}</code>`
+                                : '—'}</td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="verify" data-index="${index}">${_("Verify")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="download" data-index="${index}">${_("Download")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete" data-index="${index}">${_("Delete")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Take a backup now, streaming samba-tool output to the log modal
+     */
+    async backupNow() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Back Up Domain"),
+            submitLabel: _("Back Up"),
+            intro: this.uiManager.escapeHtml(cockpit.format(
+                _("The backup is written to $0 and older backups are pruned to keep $1 daily and $2 weekly."),
+                this.config.backupDir, this.config.keepDaily, this.config.keepWeekly)),
+            fields: [
+                { name: 'type', label: _("Backup type"), type: 'select', value: this.config.backupType, options: BACKUP_TYPES }
+            ]
+        });
+
+        if (!values) {
+            return;
+        }
+
+        this.uiManager.showLogModal("Backing up the domain...");
+
+        try {
+            await cockpit.spawn([BACKUP_SCRIPT, '--backup', '--type', values.type], { superuser: "try", err: "out" })
+                .stream(data => this.uiManager.appendLogOutput(data));
+            this.uiManager.showSuccess(_("Domain backup completed"));
+        } catch (error) {
+            console.error('Domain backup failed:', error);
+            this.uiManager.appendLogOutput('\n' + _("Backup failed: ") + error.message + '\n');
+            this.uiManager.showError(_("Domain backup failed: ") + error.message);
+        }
+
+        await this.load();
+    }
+
+    /**
+     * Check a backup against its manifest checksum
+     */
+    async verifyBackup(backup) {
+        try {
+            const output = await cockpit.spawn([BACKUP_SCRIPT, '--verify', backup.file], { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(output.trim());
+        } catch (error) {
+            console.error('Backup verification failed:', error);
+            this.uiManager.showError(_("Backup verification failed: ") + error.message);
+        }
+    }
+
+    /**
+     * Download a backup archive to the browser
+     */
+    downloadBackup(backup) {
+        // Let the browser stream the archive over an external fsread1 channel, cockpit.file() caps reads at 16 MiB
+        const query = window.btoa(JSON.stringify({
+            payload: 'fsread1',
+            binary: 'raw',
+            path: backup.path,
+            superuser: 'try',
+            max_read_size: backup.size || undefined,
+            external: {
+                'content-disposition': `attachment; filename="${backup.file}"`,
+                'content-type': 'application/x-bzip2'
+            }
+        }));
+        const prefix = new URL(cockpit.transport.uri(`channel/${cockpit.transport.csrf_token}`)).pathname;
+
+        const link = document.createElement('a');
+        link.href = `${prefix}?${query}`;
+        link.download = backup.file;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Delete a backup and its manifest
+     */
+    async deleteBackup(backup) {
+        if (!this.uiManager.confirm(cockpit.format(_("Delete the backup $0?"), backup.file), _("Delete Backup"))) {
+            return;
+        }
+
+        try {
+            await cockpit.spawn(['rm', '-f', backup.path, `${backup.path}.manifest`], { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(_("Backup deleted"));
+        } catch (error) {
+            console.error('Failed to delete domain backup:', error);
+            this.uiManager.showError(_("Failed to delete backup: ") + error.message);
+        }
+
+        await this.loadBackups();
+    }
+
+    /**
+     * Edit target, type, retention and schedule, then enable or disable the timer
+     */
+    async editSchedule() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Domain Backup Schedule"),
+            submitLabel: _("Save"),
+            fields: [
+                { name: 'enabled', label: _("Back up automatically"), type: 'checkbox', value: this.timer.enabled },
+                { name: 'schedule', label: _("Frequency"), type: 'select', value: this.config.schedule, options: SCHEDULES },
+                { name: 'hour', label: _("Hour of day (0-23)"), type: 'number', min: 0, max: 23, value: this.config.hour, required: true },
+                { name: 'backupType', label: _("Backup type"), type: 'select', value: this.config.backupType, options: BACKUP_TYPES },
+                { name: 'backupDir', label: _("Target directory"), value: this.config.backupDir, required: true,
+                  helper: _("Use a separate disk or network mount so backups survive the loss of this server") },
+                { name: 'keepDaily', label: _("Daily backups to keep"), type: 'number', min: 0, value: this.config.keepDaily, required: true },
+                { name: 'keepWeekly', label: _("Weekly backups to keep"), type: 'number', min: 0, value: this.config.keepWeekly, required: true,
+                  helper: _("The newest backup of each day and of each week is kept") }
+            ],
+            validate: (v) => {
+                const hour = Number(v.hour);
+                const keepDaily = Number(v.keepDaily);
+                const keepWeekly = Number(v.keepWeekly);
+                if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+                    return _("The hour must be between 0 and 23");
+                }
+                if (!Number.isInteger(keepDaily) || !Number.isInteger(keepWeekly) || keepDaily < 0 || keepWeekly < 0 ||
+                    keepDaily + keepWeekly < 1) {
+                    return _("Keep at least one daily or weekly backup");
+                }
+                const backupDir = v.backupDir.trim();
+                if (!/^\/[\w./-]+$/.test(backupDir)) {
+                    return _("The target must be an absolute path without spaces");
+                }
+                if (PROTECTED_PATHS.some(path => backupDir === path || backupDir.startsWith(`${path}/`))) {
+                    return cockpit.format(_("The backup service cannot write to $0"), backupDir);
+                }
+                return null;
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const config = {
+            backupDir: values.backupDir.trim().replace(/\/+$/, ''),
+            backupType: values.backupType,
+            keepDaily: Number(values.keepDaily),
+            keepWeekly: Number(values.keepWeekly),
+            schedule: values.schedule,
+            hour: Number(values.hour)
+        };
+        const schedule = SCHEDULES.find(s => s.value === config.schedule) || SCHEDULES[0];
+
+        try {
+            await this.writeConfig(config);
+            await cockpit.spawn(['mkdir', '-p', TIMER_DROPIN.substring(0, TIMER_DROPIN.lastIndexOf('/'))], { superuser: "try" });
+            await cockpit.file(TIMER_DROPIN, { superuser: "try" })
+                .replace(`[Timer]\nOnCalendar=\nOnCalendar=${schedule.calendar} ${String(config.hour).padStart(2, '0')}:00:00\n`);
+            await cockpit.spawn(['systemctl', 'daemon-reload'], { superuser: "try", err: "message" });
+            await cockpit.spawn(['systemctl', values.enabled ? 'enable' : 'disable', '--now', BACKUP_TIMER],
+                { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(values.enabled ? _("Scheduled backups enabled") : _("Scheduled backups disabled"));
+        } catch (error) {
+            console.error('Failed to save backup schedule:', error);
+            this.uiManager.showError(_("Failed to save backup schedule: ") + error.message);
+        }
+
+        await this.load();
+    }
+}
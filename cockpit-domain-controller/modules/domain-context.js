@@ -0,0 +1,113 @@
+/**
+ * Domain Context Module
+ * Single source of the AD realm, NetBIOS domain, base DN and SYSVOL path.
+ * Mirrors domain-context.sh, which the orchestrator scripts source.
+ */
+
+const _ = cockpit.gettext;
+
+const SYSVOL_ROOT = '/var/lib/samba/sysvol';
+
+export class DomainContext {
+    constructor(smbConfManager) {
+        this.smbConfManager = smbConfManager;
+        this.context = null;
+        this.pending = null;
+    }
+
+    /**
+     * Build the base DN of a DNS domain, e.g. corp.example.com -> DC=corp,DC=example,DC=com
+     */
+    toBaseDn(realm) {
+        return realm.split('.').map(part => `DC=${part}`).join(',');
+    }
+
+    /**
+     * Read realm and workgroup from the [global] section of smb.conf
+     */
+    async readSmbConf() {
+        const { content } = await this.smbConfManager.read();
+        return {
+            realm: this.smbConfManager.getGlobalOption(content, 'realm'),
+            netbiosDomain: this.smbConfManager.getGlobalOption(content, 'workgroup')
+        };
+    }
+
+    /**
+     * Ask the local DC for its domain, for installs whose smb.conf does not set a realm
+     */
+    async readDomainInfo() {
+        const output = await cockpit.spawn(['samba-tool', 'domain', 'info', '127.0.0.1'], { superuser: "try", err: "message" });
+        const field = (name) => {
+            const match = output.match(new RegExp(`^${name}\\s*:\\s*(\\S+)`, 'mi'));
+            return match ? match[1] : null;
+        };
+        return { realm: field('Domain'), netbiosDomain: field('Netbios domain') };
+    }
+
+    /**
+     * Resolve the domain context, cached once a realm has been found.
+     * Resolves with realm null on a server that is not a DC yet.
+     */
+    async load() {
+        if (this.context) {
+            return this.context;
+        }
+        if (!this.pending) {
+            this.pending = this.resolve().finally(() => { this.pending = null; });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Look the realm up in smb.conf, then samba-tool
+     */
+    async resolve() {
+        let found = { realm: null, netbiosDomain: null };
+        try {
+            found = await this.readSmbConf();
+        } catch (error) {
+            console.log('Could not read smb.conf for the domain realm:', error.message);
+        }
+
+        if (!found.realm) {
+            try {
+                found = await this.readDomainInfo();
+            } catch (error) {
+                console.log('Could not query samba-tool domain info:', error.message);
+            }
+        }
+
+        if (!found.realm) {
+            return { realm: null, netbiosDomain: null, baseDn: null, sysvolPath: null };
+        }
+
+        const realm = found.realm.toLowerCase();
+        this.context = {
+            realm,
+            netbiosDomain: found.netbiosDomain ? found.netbiosDomain.toUpperCase() : realm.split('.')[0].toUpperCase(),
+            baseDn: this.toBaseDn(realm),
+            sysvolPath: `${SYSVOL_ROOT}/${realm}`
+        };
+        console.log('Domain context:', this.context);
+        return this.context;
+    }
+
+    /**
+     * Resolve the domain context, rejecting when this server has no realm
+     */
+    async require() {
+        const context = await this.load();
+        if (!context.realm) {
+            throw new Error(_("The domain realm could not be determined from smb.conf or samba-tool domain info"));
+        }
+        return context;
+    }
+
+    /**
+     * Get the lower-case DNS realm, or null
+     */
+    async getRealm() {
+        return (await this.load()).realm;
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Domain Restore Module
+ * Guided restore of a samba-tool domain backup onto this server for disaster recovery
+ */
+
+const _ = cockpit.gettext;
+
+const RESTORE_SCRIPT = '/usr/local/bin/domain-restore.sh';
+const BACKUP_SCRIPT = '/usr/local/bin/domain-backup.sh';
+const BACKUP_CONFIG = '/etc/samba/domain-backup.conf';
+
+export class DomainRestoreManager {
+    constructor(uiManager, handleLogStream) {
+        this.uiManager = uiManager;
+        this.handleLogStream = handleLogStream;
+    }
+
+    /**
+     * List archives in the configured backup directory, newest first
+     */
+    async listLocalBackups() {
+        const config = await cockpit.file(BACKUP_CONFIG, { superuser: "try" }).read().catch(() => null) || '';
+        const match = config.match(/^BACKUP_DIR="?([^"\n]*)"?/m);
+        const backupDir = match ? match[1].trim() : '/var/lib/samba/domain-backups';
+
+        const output = await cockpit.spawn([BACKUP_SCRIPT, '--list'], { superuser: "try", err: "ignore" }).catch(() => '');
+        return output.split('\n').filter(line => line.trim()).map(line => {
+            const [file, type, created] = line.split('\t');
+            return { path: `${backupDir}/${file}`, file, type, date: new Date(parseInt(created, 10) * 1000) };
+        });
+    }
+
+    /**
+     * Read this server's short hostname and first address as defaults for the new DC
+     */
+    async getHostDefaults() {
+        const [hostname, addresses] = await Promise.all([
+            cockpit.spawn(['hostname', '-s']).catch(() => ''),
+            cockpit.spawn(['hostname', '-I']).catch(() => '')
+        ]);
+        return {
+            name: hostname.trim().toLowerCase(),
+            hostIp: addresses.trim().split(/\s+/).find(address => /^\d+\.\d+\.\d+\.\d+$/.test(address)) || ''
+        };
+    }
+
+    /**
+     * Check an archive and return its summary
+     */
+    async validateArchive(path) {
+        const output = await cockpit.spawn([RESTORE_SCRIPT, '--validate', path], { superuser: "try", err: "message" });
+        return JSON.parse(output);
+    }
+
+    /**
+     * Run a restore step, streaming its output to the log modal, and return the full output
+     */
+    async runStep(args) {
+        let output = '';
+        await cockpit.spawn([RESTORE_SCRIPT, ...args], { superuser: "try", err: "out" })
+            .stream(data => {
+                output += data;
+                this.handleLogStream(data);
+            });
+        return output;
+    }
+
+    /**
+     * Walk through archive selection, validation, staging and switchover.
+     * Resolves true once this server runs the restored domain.
+     */
+    async showRestoreWizard() {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        // Step 1: pick an archive
+        const backups = await this.listLocalBackups();
+        const source = await this.uiManager.showFormDialog({
+            title: _("Restore Domain from Backup"),
+            submitLabel: _("Validate"),
+            intro: esc(_("Restoring creates a new DC from a samba-tool domain backup. Only do this when no DC of the domain is left; rejoin further DCs to the restored one afterwards.")),
+            fields: [
+                { name: 'archive', label: _("Backup"), type: 'select', value: backups.length ? backups[0].path : '',
+                  options: backups.map(backup => ({
+                      value: backup.path,
+                      label: `${backup.date.toLocaleString()} (${backup.type}) ${backup.file}`
+                  })).concat([{ value: '', label: _("Other file on this server...") }]) },
+                { name: 'path', label: _("Archive path"), placeholder: '/mnt/backups/samba-backup-example.com-online-20250101-020000.tar.bz2',
+                  helper: _("Used when Other file is selected, e.g. a backup on a mounted network share") }
+            ],
+            validate: (v) => v.archive || v.path.trim().startsWith('/') ? null : _("Choose a backup or enter the absolute path of an archive")
+        });
+
+        if (!source) {
+            return false;
+        }
+
+        const path = source.archive || source.path.trim();
+        let summary;
+        try {
+            this.uiManager.showLoading(_("Validating backup archive..."));
+            summary = await this.validateArchive(path);
+        } catch (error) {
+            console.error('Backup validation failed:', error);
+            this.uiManager.showError(_("The archive cannot be restored: ") + error.message);
+            return false;
+        } finally {
+            this.uiManager.hideLoading();
+        }
+
+        // Step 2: name and site of the new DC
+        const defaults = await this.getHostDefaults();
+        const checksum = {
+            match: _("checksum matches its manifest"),
+            unknown: _("no manifest to check the checksum against")
+        }[summary.checksum];
+        const target = await this.uiManager.showFormDialog({
+            title: _("Restore Domain from Backup"),
+            submitLabel: _("Restore"),
+            intro: `${esc(cockpit.format(_("$0 ($1) is a backup of $2, $3."), summary.file, cockpit.format_bytes(summary.size),
+                summary.realm || _("an unknown realm"), checksum))}
+                ${summary.info ? `<br><span class="restore-backup-info">${esc(summary.info).replace(/\n/g, '<br>')}</span>` : ''}`,
+            fields: [
+                { name: 'name', label: _("New DC name"), value: defaults.name, required: true,
+                  helper: _("Must differ from every DC in the backup; this server is renamed to it") },
+                { name: 'site', label: _("Site"), placeholder: 'Default-First-Site-Name',
+                  helper: _("Leave empty to use the site of the DC the backup was taken on") },
+                { name: 'hostIp', label: _("IP address"), value: defaults.hostIp },
+                { name: 'confirm', label: _("Replace the Samba configuration and data on this server"), type: 'checkbox' }
+            ],
+            validate: (v) => {
+                if (!/^[a-z0-9]([a-z0-9-]{0,13}[a-z0-9])?$/i.test(v.name.trim())) {
+                    return _("The DC name must be a host name of at most 15 letters, digits and hyphens");
+                }
+                if (v.hostIp.trim() && !/^\d+\.\d+\.\d+\.\d+$/.test(v.hostIp.trim())) {
+                    return _("Enter an IPv4 address");
+                }
+                return v.confirm ? null : _("Confirm that this server's Samba configuration is replaced");
+            }
+        });
+
+        if (!target) {
+            return false;
+        }
+
+        // Step 3: restore into a staging targetdir
+        const name = target.name.trim();
+        const args = ['--stage', path, '--name', name];
+        if (target.site.trim()) args.push('--site', target.site.trim());
+        if (target.hostIp.trim()) args.push('--host-ip', target.hostIp.trim());
+
+        this.uiManager.showLogModal(cockpit.format(_("Restoring $0..."), summary.realm || _("domain")));
+
+        let staged;
+        try {
+            const output = await this.runStep(args);
+            const match = output.match(/^STAGED=(.+)$/m);
+            if (!match) {
+                throw new Error(_("The restore did not report a staging folder"));
+            }
+            staged = match[1].trim();
+        } catch (error) {
+            console.error('Domain restore failed:', error);
+            this.handleLogStream('\n' + _("Restore failed: ") + error.message + '\n');
+            this.uiManager.showError(_("Domain restore failed: ") + error.message);
+            return false;
+        }
+
+        // Step 4: switch the service over to the restored data
+        if (!this.uiManager.confirm(cockpit.format(_("The backup was restored into $0. Stop Samba, move the current data aside and start samba-ad-dc on the restored domain?"), staged),
+            _("Switch Over"))) {
+            this.uiManager.showInfo(cockpit.format(_("The staged restore was left in $0. Run domain-restore.sh --switchover to finish later."), staged));
+            return false;
+        }
+
+        try {
+            this.handleLogStream('\n');
+            await this.runStep(['--switchover', staged, '--name', name]);
+            this.uiManager.showSuccess(_("Domain restored. Reset the passwords of privileged accounts and rejoin further DCs to this one."));
+            return true;
+        } catch (error) {
+            console.error('Restore switchover failed:', error);
+            this.handleLogStream('\n' + _("Switchover failed: ") + error.message + '\n');
+            this.uiManager.showError(_("Switchover failed: ") + error.message);
+            return false;
+        }
+    }
+}
@@ -6,9 +6,10 @@
 const _ = cockpit.gettext;
 
 export class FSMOManager {
-    constructor(uiManager, serviceManager) {
+    constructor(uiManager, serviceManager, domainContext) {
         this.uiManager = uiManager;
         this.serviceManager = serviceManager;
+        this.domainContext = domainContext;
         this.roleMapping = {
             'pdc': 'pdc',
             'rid': 'rid', 
@@ -777,12 +778,11 @@ export class FSMOManager {
                 console.log('Could not read /etc/hosts for PDC discovery');
             }
             
-            // Last resort: return a reasonable guess based on common patterns
-            console.log('Using dc1.guedry.local as final fallback');
-            return 'dc1.guedry.local';
+            console.log('Could not discover the PDC Emulator FQDN');
+            return null;
         } catch (error) {
             console.error('PDC discovery failed:', error);
-            return 'dc1.guedry.local';
+            return null;
         }
     }
 
@@ -791,15 +791,10 @@ export class FSMOManager {
      */
     async getCurrentDomainName() {
         try {
-            // Try to get domain from samba configuration
-            try {
-                const sambaConfig = await cockpit.file('/etc/samba/smb.conf', { superuser: "try" }).read();
-                const realmMatch = sambaConfig.match(/realm\s*=\s*(.+)/i);
-                if (realmMatch) {
-                    return realmMatch[1].trim().toLowerCase();
-                }
-            } catch (error) {
-                console.log('Could not read samba config for domain name');
+            // Try the realm from smb.conf or samba-tool domain info
+            const realm = await this.domainContext.getRealm();
+            if (realm) {
+                return realm;
             }
             
             // Try to get domain from Kerberos config
@@ -1033,20 +1028,13 @@ export class FSMOManager {
      * Try to resolve hostname, falling back to different formats if needed
      */
     async tryResolveHostname(serverName) {
-        const candidates = [
-            serverName.toLowerCase(),
-            serverName.toLowerCase() + '.local'
-        ];
+        const candidates = [serverName.toLowerCase()];
 
-        // Try to get the current domain name and add it as a candidate
-        try {
-            const domainOutput = await cockpit.spawn(['samba-tool', 'domain', 'info'], { superuser: "try" });
-            const domainMatch = domainOutput.match(/Domain\s*:\s*([^\s]+)/i);
-            if (domainMatch) {
-                const domainName = domainMatch[1].toLowerCase();
-                candidates.push(serverName.toLowerCase() + '.' + domainName);
-            }
-        } catch (error) {
+        // Qualify the name with the domain realm
+        const realm = await this.domainContext.getRealm();
+        if (realm) {
+            candidates.push(serverName.toLowerCase() + '.' + realm);
+        } else {
             console.log('Could not determine domain name for hostname resolution');
         }
 
@@ -1159,54 +1147,4 @@ export class FSMOManager {
         };
         return roleNames[role] || role;
     }
-
-    /**
-     * Force domain replication to resolve FSMO inconsistencies
-     */
-    async forceDomainReplication() {
-        console.log('Forcing domain replication to resolve FSMO inconsistencies...');
-        this.uiManager.showLoading('Forcing domain replication...');
-        
-        const replicationProcess = cockpit.spawn(['samba-tool', 'drs', 'replicate', 'dc2.guedry.local', 'dc1.guedry.local', 'CN=Configuration,DC=guedry,DC=local'], { superuser: "try" });
-        
-        const timeoutId = setTimeout(() => {
-            console.log('Replication command timed out after 30 seconds');
-            replicationProcess.close();
-            this.uiManager.hideLoading();
-            this.uiManager.showError('Replication command timed out. This suggests network connectivity issues between domain controllers.');
-        }, 30000);
-        
-        try {
-            const output = await replicationProcess;
-            clearTimeout(timeoutId);
-            
-            console.log('Configuration replication successful:', output);
-            this.uiManager.hideLoading();
-            this.uiManager.showSuccess('Domain replication forced successfully. FSMO roles should now be consistent.');
-            
-            setTimeout(() => {
-                this.loadFSMORoles();
-            }, 2000);
-        } catch (error) {
-            clearTimeout(timeoutId);
-            console.error('Failed to force replication:', error);
-            this.uiManager.hideLoading();
-            
-            const errorMsg = `Replication failed: ${error.message}
-
-This FSMO split-brain situation requires immediate attention:
-
-1. **Current Status**: Domain controllers disagree on role ownership
-2. **Root Cause**: Network/authentication issues preventing replication
-3. **Risk**: Domain instability, authentication problems
-
-**Manual Resolution Options:**
-• Check network connectivity between domain controllers
-• Verify firewall rules allow AD replication ports
-• Restart Samba services on both DCs
-• Consider using 'Seize' instead of 'Transfer' for remaining roles`;
-            
-            this.uiManager.showError(errorMsg);
-        }
-    }
-}
\ No newline at end of file
+}
@@ -0,0 +1,604 @@
+/**
+ * Group Policy Management Module
+ * Lists, creates and links Group Policy Objects and keeps local GPO backup archives
+ */
+
+const _ = cockpit.gettext;
+
+const GPO_BACKUP_DIR = '/var/lib/samba/gpo-backups';
+
+// gPLink options: bit 0 disables the link, bit 1 enforces it
+const LINK_DISABLED = 1;
+const LINK_ENFORCED = 2;
+
+export class GpoManager {
+    constructor(uiManager, ldbManager, credentialManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.credentialManager = credentialManager;
+        this.gpos = [];
+        this.containers = [];
+        this.backups = [];
+        this.domainDN = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the Group Policy card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'gpo-section',
+            icon: 'fas fa-scroll',
+            title: 'Group Policy',
+            description: 'Group Policy Objects, the domain and OUs they are linked to, and local GPO backups.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <input type="search" class="pf-v5-c-form-control management-search" id="gpo-search"
+                               placeholder="${_("Filter by name or GUID")}" aria-label="${_("Filter GPOs")}">
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="create-gpo-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-plus"></i> ${_("Create GPO")}
+                        </button>
+                        <button id="backup-all-gpos-btn" class="pf-v5-c-button pf-m-secondary" type="button" disabled>
+                            <i class="fas fa-archive"></i> ${_("Back Up All")}
+                        </button>
+                        <button id="refresh-gpos-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="gpo-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading Group Policy Objects...")}</p>
+                </div>
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Backups")} <small>${GPO_BACKUP_DIR}</small></h3>
+                    </div>
+                    <div id="gpo-backup-container" class="management-table-container">
+                        <p class="management-empty">${_("Loading backups...")}</p>
+                    </div>
+                </div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar, GPO row and backup row events
+     */
+    bindEvents() {
+        this.section.querySelector('#gpo-search').addEventListener('input', () => this.renderGpos());
+        this.section.querySelector('#create-gpo-btn').addEventListener('click', () => this.createGpo());
+        this.section.querySelector('#backup-all-gpos-btn').addEventListener('click', () => this.backupGpos(this.gpos));
+        this.section.querySelector('#refresh-gpos-btn').addEventListener('click', () => this.load());
+
+        this.section.querySelector('#gpo-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const gpo = this.gpos.find(g => g.guid === button.dataset.guid);
+            if (button.dataset.action === 'link') {
+                this.linkGpo(gpo);
+            } else if (button.dataset.action === 'unlink') {
+                this.unlinkGpo(gpo, button.dataset.container);
+            } else if (button.dataset.action === 'backup') {
+                this.backupGpos([gpo]);
+            }
+        });
+
+        this.section.querySelector('#gpo-backup-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const backup = this.backups[parseInt(button.dataset.index, 10)];
+            if (button.dataset.action === 'download') {
+                this.downloadBackup(backup);
+            } else if (button.dataset.action === 'restore') {
+                this.restoreBackup(backup);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteBackup(backup);
+            }
+        });
+    }
+
+    /**
+     * Load GPOs, their links and the backup archives
+     */
+    async load() {
+        await Promise.all([this.loadGpos(), this.loadBackups()]);
+    }
+
+    /**
+     * Run a samba-tool gpo subcommand that only needs the local directory
+     */
+    runLocalGpoCommand(args) {
+        return cockpit.spawn(['samba-tool', 'gpo', ...args, '-H', this.ldbManager.samLdb],
+            { superuser: "try", err: "message" });
+    }
+
+    /**
+     * Parse samba-tool gpo listall output into GPO objects
+     */
+    parseGpoList(output) {
+        return output.split(/\n\s*\n/).map(block => {
+            const fields = {};
+            block.split('\n').forEach(line => {
+                const match = line.match(/^\s*([^:]+?)\s*:\s*(.*)$/);
+                if (match) {
+                    fields[match[1].toLowerCase()] = match[2].trim();
+                }
+            });
+            return fields;
+        }).filter(fields => fields.gpo).map(fields => {
+            const version = parseInt(fields.version, 10) || 0;
+            return {
+                guid: fields.gpo.toUpperCase(),
+                name: fields['display name'] || fields.gpo,
+                path: fields.path || '',
+                dn: fields.dn || '',
+                flags: fields.flags || 'NONE',
+                // The high word counts user policy changes, the low word computer policy changes
+                userVersion: version >>> 16,
+                computerVersion: version & 0xFFFF,
+                links: []
+            };
+        });
+    }
+
+    /**
+     * Parse a gPLink value into { guid, options } entries
+     */
+    parseGpLink(value) {
+        const links = [];
+        const pattern = /\[LDAP:\/\/cn=(\{[0-9a-f-]+\}),[^;\]]*;(\d+)\]/gi;
+        let match;
+        while ((match = pattern.exec(value || '')) !== null) {
+            links.push({ guid: match[1].toUpperCase(), options: parseInt(match[2], 10) });
+        }
+        return links;
+    }
+
+    /**
+     * Load the GPO list and resolve which containers link to each GPO
+     */
+    async loadGpos() {
+        const container = this.section.querySelector('#gpo-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading Group Policy Objects...")}</p>`;
+
+        try {
+            this.domainDN = await this.ldbManager.getDomainDN();
+
+            const [output, linkEntries, ouEntries] = await Promise.all([
+                this.runLocalGpoCommand(['listall']),
+                this.ldbManager.search('(gPLink=*)', ['gPLink'], { base: this.domainDN, scope: 'sub' }),
+                this.ldbManager.search('(objectClass=organizationalUnit)', ['ou'], { base: this.domainDN, scope: 'sub' })
+            ]);
+
+            this.gpos = this.parseGpoList(output).sort((a, b) => a.name.localeCompare(b.name));
+            const byGuid = new Map(this.gpos.map(gpo => [gpo.guid, gpo]));
+
+            // One search over gPLink resolves every link instead of a getlink call per container
+            linkEntries.forEach(entry => {
+                this.parseGpLink(this.ldbManager.getValue(entry, 'gPLink')).forEach(link => {
+                    const gpo = byGuid.get(link.guid);
+                    if (gpo) {
+                        gpo.links.push({ dn: entry.dn, options: link.options });
+                    }
+                });
+            });
+
+            this.containers = [{ value: this.domainDN, label: this.ldbManager.dnToDnsName(this.domainDN) }]
+                .concat(ouEntries.map(entry => ({ value: entry.dn, label: entry.dn }))
+                    .sort((a, b) => a.label.localeCompare(b.label)));
+
+            this.section.querySelector('#backup-all-gpos-btn').disabled = this.gpos.length === 0;
+            this.renderGpos();
+        } catch (error) {
+            console.error('Failed to load GPOs:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load Group Policy Objects: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Get a short display name for a linked container
+     */
+    getContainerLabel(dn) {
+        return dn.toLowerCase() === (this.domainDN || '').toLowerCase()
+            ? this.ldbManager.dnToDnsName(dn)
+            : this.ldbManager.getRDNValue(dn);
+    }
+
+    /**
+     * Render the GPO table
+     */
+    renderGpos() {
+        const container = this.section.querySelector('#gpo-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const query = this.section.querySelector('#gpo-search').value.trim().toLowerCase();
+
+        const rows = this.gpos.filter(gpo => !query ||
+            gpo.name.toLowerCase().includes(query) || gpo.guid.toLowerCase().includes(query));
+
+        if (rows.length === 0) {
+            container.innerHTML = `<p class="management-empty">${this.gpos.length === 0
+                ? _("No Group Policy Objects found.")
+                : _("No GPOs match the current filter.")}</p>`;
+            return;
+        }
+
+        const status = (flags) => {
+            if (flags.includes('USER_DISABLE') && flags.includes('MACHINE_DISABLE')) {
+                return `<span class="pf-v5-c-badge pf-m-red">${_("Disabled")}</span>`;
+            }
+            if (flags.includes('USER_DISABLE')) {
+                return `<span class="pf-v5-c-badge pf-m-orange">${_("User settings disabled")}</span>`;
+            }
+            if (flags.includes('MACHINE_DISABLE')) {
+                return `<span class="pf-v5-c-badge pf-m-orange">${_("Computer settings disabled")}</span>`;
+            }
+            return `<span class="pf-v5-c-badge pf-m-green">${_("Enabled")}</span>`;
+        };
+
+        const links = (gpo) => gpo.links.length === 0
+            ? `<span class="gpo-unlinked">${_("Not linked")}</span>`
+            : `<ul class="gpo-link-list">${gpo.links.map(link => `
+                <li>
+                    <span title="${esc(link.dn)}">${esc(this.getContainerLabel(link.dn))}</span>
+                    ${link.options & LINK_ENFORCED ? `<span class="pf-v5-c-badge pf-m-blue">${_("Enforced")}</span>` : ''}
+                    ${link.options & LINK_DISABLED ? `<span class="pf-v5-c-badge pf-m-orange">${_("Link disabled")}</span>` : ''}
+                    <button class="pf-v5-c-button pf-m-link pf-m-inline pf-m-small" type="button" data-action="unlink"
+                            data-guid="${esc(gpo.guid)}" data-container="${esc(link.dn)}">${_("Unlink")}</button>
+                </li>`).join('')}
+               </ul>`;
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Group Policy Objects")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Name")}</th>
+                        <th scope="col">${_("Status")}</th>
+                        <th scope="col">${_("Version")}</th>
+                        <th scope="col">${_("Linked to")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(gpo => `
+                        <tr>
+                            <td data-label="${_("Name")}">${esc(gpo.name)}<br><small class="gpo-guid">${esc(gpo.guid)}</small></td>
+                            <td data-label="${_("Status")}">${status(gpo.flags)}</td>
+                            <td data-label="${_("Version")}">${cockpit.format(_("User $0, Computer $1"), gpo.userVersion, gpo.computerVersion)}</td>
+                            <td data-label="${_("Linked to")}">${links(gpo)}</td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="link" data-guid="${esc(gpo.guid)}">${_("Link")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="backup" data-guid="${esc(gpo.guid)}">${_("Back Up")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Create a new, empty GPO
+     */
+    async createGpo() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Create Group Policy Object"),
+            submitLabel: _("Create"),
+            fields: [
+                { name: 'name', label: _("Display name"), required: true },
+                { name: 'container', label: _("Link to"), type: 'select', value: '',
+                  options: [{ value: '', label: _("Do not link") }].concat(this.containers) }
+            ],
+            validate: (v) => this.gpos.some(gpo => gpo.name.toLowerCase() === v.name.trim().toLowerCase())
+                ? _("A GPO with this name already exists")
+                : null
+        });
+
+        if (!values) {
+            return;
+        }
+
+        try {
+            const output = await this.credentialManager.spawn(['samba-tool', 'gpo', 'create', values.name.trim()],
+                { purpose: _("Creating a GPO writes its policy folder to SYSVOL.") });
+            const match = output.match(/\{[0-9A-F-]+\}/i);
+
+            if (values.container && match) {
+                await this.runLocalGpoCommand(['setlink', values.container, match[0]]);
+            }
+            this.uiManager.showSuccess(cockpit.format(_("GPO $0 created"), values.name.trim()));
+        } catch (error) {
+            console.error('Failed to create GPO:', error);
+            this.uiManager.showError(_("Failed to create GPO: ") + error.message);
+        }
+
+        await this.loadGpos();
+    }
+
+    /**
+     * Link a GPO to the domain or an OU
+     */
+    async linkGpo(gpo) {
+        const linked = new Set(gpo.links.map(link => link.dn.toLowerCase()));
+        const options = this.containers.filter(container => !linked.has(container.value.toLowerCase()));
+
+        if (options.length === 0) {
+            this.uiManager.showInfo(_("This GPO is already linked to every OU"));
+            return;
+        }
+
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Link $0"), gpo.name),
+            submitLabel: _("Link"),
+            fields: [
+                { name: 'container', label: _("Domain or OU"), type: 'select', value: options[0].value, options },
+                { name: 'enforce', label: _("Enforced"), type: 'checkbox', value: false,
+                  helper: _("Settings cannot be overridden by GPOs linked further down the tree") },
+                { name: 'disable', label: _("Create the link disabled"), type: 'checkbox', value: false }
+            ]
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const args = ['setlink', values.container, gpo.guid];
+        if (values.enforce) args.push('--enforce');
+        if (values.disable) args.push('--disable');
+
+        try {
+            await this.runLocalGpoCommand(args);
+            this.uiManager.showSuccess(cockpit.format(_("$0 linked to $1"), gpo.name, this.getContainerLabel(values.container)));
+        } catch (error) {
+            console.error('Failed to link GPO:', error);
+            this.uiManager.showError(_("Failed to link GPO: ") + error.message);
+        }
+
+        await this.loadGpos();
+    }
+
+    /**
+     * Remove a GPO link from a container
+     */
+    async unlinkGpo(gpo, containerDN) {
+        if (!this.uiManager.confirm(cockpit.format(_("Unlink $0 from $1? The GPO itself is kept."), gpo.name, containerDN),
+            _("Unlink GPO"))) {
+            return;
+        }
+
+        try {
+            await this.runLocalGpoCommand(['dellink', containerDN, gpo.guid]);
+            this.uiManager.showSuccess(cockpit.format(_("$0 unlinked"), gpo.name));
+        } catch (error) {
+            console.error('Failed to unlink GPO:', error);
+            this.uiManager.showError(_("Failed to unlink GPO: ") + error.message);
+        }
+
+        await this.loadGpos();
+    }
+
+    /**
+     * Build a backup archive file name from the GPO name, GUID and time
+     */
+    getArchiveName(gpo, date = new Date()) {
+        const safeName = gpo.name.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '') || 'gpo';
+        const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+        return `${safeName}_${gpo.guid}_${stamp}.tar.gz`;
+    }
+
+    /**
+     * Back up GPOs with samba-tool gpo backup and pack each one into an archive
+     */
+    async backupGpos(gpos) {
+        if (gpos.length > 1 && !this.uiManager.confirm(cockpit.format(_("Back up all $0 GPOs to $1?"), gpos.length, GPO_BACKUP_DIR),
+            _("Back Up GPOs"))) {
+            return;
+        }
+
+        // Ask before opening the log so the credential dialog is not hidden behind it
+        if (!await this.credentialManager.getCredentials(_("GPO backups read the policy folders from SYSVOL."))) {
+            return;
+        }
+
+        this.uiManager.showLogModal("Backing up Group Policy Objects...");
+        const log = (data) => this.uiManager.appendLogOutput(data);
+        let failed = 0;
+
+        try {
+            await cockpit.spawn(['mkdir', '-p', '-m', '0700', GPO_BACKUP_DIR], { superuser: "try", err: "message" });
+        } catch (error) {
+            log(cockpit.format(_("Cannot create $0: $1\n"), GPO_BACKUP_DIR, error.message));
+            this.uiManager.showError(cockpit.format(_("Cannot create $0: $1"), GPO_BACKUP_DIR, error.message));
+            return;
+        }
+
+        for (const gpo of gpos) {
+            const archive = `${GPO_BACKUP_DIR}/${this.getArchiveName(gpo)}`;
+            let tmpdir = null;
+            log(cockpit.format(_("Backing up $0 $1\n"), gpo.name, gpo.guid));
+
+            try {
+                tmpdir = (await cockpit.spawn(['mktemp', '-d', '/tmp/gpo-backup.XXXXXX'], { superuser: "try" })).trim();
+                await this.credentialManager.spawn(['samba-tool', 'gpo', 'backup', gpo.guid, '--tmpdir', tmpdir],
+                    { onStream: log });
+                await cockpit.spawn(['tar', '-czf', archive, '-C', tmpdir, 'policy'], { superuser: "try", err: "message" });
+                log(cockpit.format(_("Saved $0\n\n"), archive));
+            } catch (error) {
+                failed++;
+                log(cockpit.format(_("Backup of $0 failed: $1\n\n"), gpo.name, error.message));
+            } finally {
+                if (tmpdir) {
+                    await cockpit.spawn(['rm', '-rf', tmpdir], { superuser: "try" }).catch(() => {});
+                }
+            }
+        }
+
+        if (failed) {
+            this.uiManager.showError(cockpit.format(_("$0 of $1 GPO backups failed"), failed, gpos.length));
+        } else {
+            this.uiManager.showSuccess(cockpit.format(_("$0 GPO backups saved"), gpos.length));
+        }
+
+        await this.loadBackups();
+    }
+
+    /**
+     * List the backup archives in the local backup directory
+     */
+    async loadBackups() {
+        const container = this.section.querySelector('#gpo-backup-container');
+
+        try {
+            const output = await cockpit.spawn(['find', GPO_BACKUP_DIR, '-maxdepth', '1', '-name', '*.tar.gz',
+                '-printf', '%f\\t%s\\t%T@\\n'], { superuser: "try", err: "ignore" }).catch(() => '');
+
+            this.backups = output.split('\n').filter(line => line.trim()).map(line => {
+                const [file, size, mtime] = line.split('\t');
+                const match = file.match(/^(.*)_(\{[0-9A-F-]+\})_\d{8}-\d{6}\.tar\.gz$/i);
+                return {
+                    file,
+                    path: `${GPO_BACKUP_DIR}/${file}`,
+                    name: match ? match[1] : file,
+                    guid: match ? match[2].toUpperCase() : '',
+                    size: parseInt(size, 10),
+                    date: new Date(parseFloat(mtime) * 1000)
+                };
+            }).sort((a, b) => b.date - a.date);
+
+            this.renderBackups();
+        } catch (error) {
+            console.error('Failed to list GPO backups:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to list GPO backups: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the backup archive table
+     */
+    renderBackups() {
+        const container = this.section.querySelector('#gpo-backup-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.backups.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No GPO backups yet.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("GPO backups")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("GPO")}</th>
+                        <th scope="col">${_("Taken")}</th>
+                        <th scope="col">${_("Size")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.backups.map((backup, index) => `
+                        <tr>
+                            <td data-label="${_("GPO")}">${esc(backup.name)}<br><small class="gpo-guid">${esc(backup.guid)}</small></td>
+                            <td data-label="${_("Taken")}">${esc(backup.date.toLocaleString())}</td>
+                            <td data-label="${_("Size")}">${cockpit.format_bytes(backup.size)}</td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="download" data-index="${index}">${_("Download")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="restore" data-index="${index}" ${backup.guid ? '' : 'disabled'}>${_("Restore")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete" data-index="${index}">${_("Delete")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Offer a backup archive as a browser download
+     */
+    async downloadBackup(backup) {
+        try {
+            const content = await cockpit.file(backup.path, { binary: true, superuser: "try" }).read();
+            this.uiManager.downloadFile(backup.file, new Blob([content], { type: 'application/gzip' }));
+        } catch (error) {
+            console.error('Failed to read GPO backup:', error);
+            this.uiManager.showError(_("Failed to read backup: ") + error.message);
+        }
+    }
+
+    /**
+     * Restore a backup archive as a new GPO with samba-tool gpo restore
+     */
+    async restoreBackup(backup) {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Restore GPO Backup"),
+            submitLabel: _("Restore"),
+            intro: this.uiManager.escapeHtml(cockpit.format(
+                _("The backup of $0 taken $1 is restored as a new GPO with its own GUID. Links are not restored."),
+                backup.name, backup.date.toLocaleString())),
+            fields: [
+                { name: 'name', label: _("New display name"), value: `${backup.name} (restored)`, required: true }
+            ],
+            validate: (v) => this.gpos.some(gpo => gpo.name.toLowerCase() === v.name.trim().toLowerCase())
+                ? _("A GPO with this name already exists")
+                : null
+        });
+
+        if (!values) {
+            return;
+        }
+
+        if (!await this.credentialManager.getCredentials(_("Restoring a GPO writes its policy folder to SYSVOL."))) {
+            return;
+        }
+
+        this.uiManager.showLogModal("Restoring Group Policy Object...");
+        const log = (data) => this.uiManager.appendLogOutput(data);
+        let tmpdir = null;
+
+        try {
+            tmpdir = (await cockpit.spawn(['mktemp', '-d', '/tmp/gpo-restore.XXXXXX'], { superuser: "try" })).trim();
+            await cockpit.spawn(['tar', '-xzf', backup.path, '-C', tmpdir], { superuser: "try", err: "message" });
+            await this.credentialManager.spawn(['samba-tool', 'gpo', 'restore', values.name.trim(),
+                `${tmpdir}/policy/${backup.guid}`], { onStream: log });
+            this.uiManager.showSuccess(cockpit.format(_("GPO $0 restored"), values.name.trim()));
+        } catch (error) {
+            console.error('Failed to restore GPO:', error);
+            log('\n' + _("Restore failed: ") + error.message + '\n');
+            this.uiManager.showError(_("Failed to restore GPO: ") + error.message);
+        } finally {
+            if (tmpdir) {
+                await cockpit.spawn(['rm', '-rf', tmpdir], { superuser: "try" }).catch(() => {});
+            }
+        }
+
+        await this.loadGpos();
+    }
+
+    /**
+     * Delete a backup archive
+     */
+    async deleteBackup(backup) {
+        if (!this.uiManager.confirm(cockpit.format(_("Delete the backup $0?"), backup.file), _("Delete Backup"))) {
+            return;
+        }
+
+        try {
+            await cockpit.file(backup.path, { superuser: "try" }).replace(null);
+            this.uiManager.showSuccess(_("Backup deleted"));
+        } catch (error) {
+            console.error('Failed to delete GPO backup:', error);
+            this.uiManager.showError(_("Failed to delete backup: ") + error.message);
+        }
+
+        await this.loadBackups();
+    }
+}
@@ -0,0 +1,487 @@
+/**
+ * Group Management Module
+ * Browses domain groups, their nested membership, and edits membership through samba-tool group
+ */
+
+const _ = cockpit.gettext;
+
+// groupType flags
+const GROUP_TYPE_BUILTIN_LOCAL = 0x00000001;
+const GROUP_TYPE_GLOBAL = 0x00000002;
+const GROUP_TYPE_DOMAIN_LOCAL = 0x00000004;
+const GROUP_TYPE_UNIVERSAL = 0x00000008;
+const GROUP_TYPE_SECURITY = 0x80000000;
+
+// Groups highlighted for privileged access audits
+const PRIVILEGED_GROUPS = [
+    'Administrators',
+    'Domain Admins',
+    'Enterprise Admins',
+    'Schema Admins',
+    'Account Operators',
+    'Backup Operators',
+    'Server Operators',
+    'Print Operators',
+    'DnsAdmins',
+    'Group Policy Creator Owners'
+];
+
+export class GroupManager {
+    constructor(uiManager, ldbManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.groups = [];
+        this.groupsByDN = new Map();
+        this.objectsByDN = new Map();
+        this.selectedGroupDN = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the group management card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'group-management-section',
+            icon: 'fas fa-users',
+            title: 'Groups',
+            description: 'Browse groups and their nested membership, and manage members.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <input type="search" class="pf-v5-c-form-control management-search" id="group-search"
+                               placeholder="${_("Search groups")}" aria-label="${_("Search groups")}">
+                        <div class="pf-v5-c-check">
+                            <input class="pf-v5-c-check__input" type="checkbox" id="group-privileged-only">
+                            <label class="pf-v5-c-check__label" for="group-privileged-only">${_("Privileged groups only")}</label>
+                        </div>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="create-group-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-plus"></i> ${_("Create Group")}
+                        </button>
+                        <button id="refresh-groups-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="group-table-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading groups...")}</p>
+                </div>
+                <div id="group-details" class="management-details hidden"></div>
+            `,
+            onFirstExpand: () => this.loadGroups()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar, table and detail pane events
+     */
+    bindEvents() {
+        this.section.querySelector('#group-search').addEventListener('input', () => this.renderTable());
+        this.section.querySelector('#group-privileged-only').addEventListener('change', () => this.renderTable());
+        this.section.querySelector('#create-group-btn').addEventListener('click', () => this.createGroup());
+        this.section.querySelector('#refresh-groups-btn').addEventListener('click', () => this.loadGroups());
+
+        this.section.querySelector('#group-table-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const group = this.groupsByDN.get(button.dataset.dn);
+            if (!group) return;
+
+            if (button.dataset.action === 'members') {
+                this.showMembers(group.dn);
+            } else if (button.dataset.action === 'convert') {
+                this.convertGroupType(group);
+            }
+        });
+
+        this.section.querySelector('#group-details').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            // Buttons inside <summary> would otherwise toggle the nested group
+            e.preventDefault();
+
+            const group = this.groupsByDN.get(this.selectedGroupDN);
+            if (!group) return;
+
+            if (button.dataset.action === 'add-members') {
+                this.addMembers(group);
+            } else if (button.dataset.action === 'remove-member') {
+                this.removeMember(group, button.dataset.member);
+            } else if (button.dataset.action === 'close-details') {
+                this.hideMembers();
+            }
+        });
+    }
+
+    /**
+     * Load all groups and the objects that can be group members
+     */
+    async loadGroups() {
+        const container = this.section.querySelector('#group-table-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading groups...")}</p>`;
+
+        try {
+            const domainDN = await this.ldbManager.getDomainDN();
+            const entries = await this.ldbManager.search(
+                '(|(objectClass=user)(objectClass=group)(objectClass=foreignSecurityPrincipal))',
+                ['sAMAccountName', 'objectClass', 'groupType', 'description', 'member', 'isCriticalSystemObject'],
+                { base: domainDN, scope: 'sub' }
+            );
+
+            this.objectsByDN = new Map();
+            this.groupsByDN = new Map();
+            this.groups = [];
+
+            entries.forEach(entry => {
+                const objectClasses = this.ldbManager.getValues(entry, 'objectClass').map(c => c.toLowerCase());
+                const name = this.ldbManager.getValue(entry, 'sAMAccountName') || this.ldbManager.getRDNValue(entry.dn);
+                const type = objectClasses.includes('group') ? 'group'
+                    : objectClasses.includes('computer') ? 'computer'
+                        : objectClasses.includes('foreignsecurityprincipal') ? 'foreign' : 'user';
+
+                this.objectsByDN.set(entry.dn.toLowerCase(), { dn: entry.dn, name, type });
+
+                if (type === 'group') {
+                    const group = this.parseGroupEntry(entry, name);
+                    this.groups.push(group);
+                    this.groupsByDN.set(group.dn, group);
+                }
+            });
+
+            this.groups.sort((a, b) => a.name.localeCompare(b.name));
+            this.renderTable();
+
+            if (this.selectedGroupDN && this.groupsByDN.has(this.selectedGroupDN)) {
+                this.showMembers(this.selectedGroupDN);
+            } else {
+                this.hideMembers();
+            }
+        } catch (error) {
+            console.error('Failed to load groups:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load groups: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Convert an LDB entry into a group record
+     */
+    parseGroupEntry(entry, name) {
+        const groupType = parseInt(this.ldbManager.getValue(entry, 'groupType', '0'), 10);
+
+        return {
+            dn: entry.dn,
+            name,
+            description: this.ldbManager.getValue(entry, 'description'),
+            members: this.ldbManager.getValues(entry, 'member'),
+            groupType,
+            security: (groupType & GROUP_TYPE_SECURITY) !== 0,
+            scope: this.getGroupScope(groupType),
+            system: this.ldbManager.getValue(entry, 'isCriticalSystemObject') === 'TRUE',
+            privileged: PRIVILEGED_GROUPS.includes(name)
+        };
+    }
+
+    /**
+     * Get the display scope for a groupType value
+     */
+    getGroupScope(groupType) {
+        if (groupType & GROUP_TYPE_BUILTIN_LOCAL) return _("Builtin Local");
+        if (groupType & GROUP_TYPE_GLOBAL) return _("Global");
+        if (groupType & GROUP_TYPE_DOMAIN_LOCAL) return _("Domain Local");
+        if (groupType & GROUP_TYPE_UNIVERSAL) return _("Universal");
+        return _("Unknown");
+    }
+
+    /**
+     * Render the filtered group table
+     */
+    renderTable() {
+        const container = this.section.querySelector('#group-table-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const query = this.section.querySelector('#group-search').value.trim().toLowerCase();
+        const privilegedOnly = this.section.querySelector('#group-privileged-only').checked;
+
+        const groups = this.groups.filter(group =>
+            (!privilegedOnly || group.privileged) &&
+            (!query || group.name.toLowerCase().includes(query) || group.description.toLowerCase().includes(query)));
+
+        if (groups.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No groups match the current filter.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Domain groups")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Name")}</th>
+                        <th scope="col">${_("Type")}</th>
+                        <th scope="col">${_("Scope")}</th>
+                        <th scope="col">${_("Members")}</th>
+                        <th scope="col">${_("Description")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${groups.map(group => `
+                        <tr class="${group.dn === this.selectedGroupDN ? 'management-row-selected' : ''}">
+                            <td data-label="${_("Name")}">
+                                <strong>${esc(group.name)}</strong>
+                                ${group.privileged ? `<span class="pf-v5-c-badge pf-m-orange" title="${_("Privileged group")}"><i class="fas fa-shield-alt"></i></span>` : ''}
+                            </td>
+                            <td data-label="${_("Type")}">
+                                ${group.security
+                                    ? `<span class="pf-v5-c-badge pf-m-blue">${_("Security")}</span>`
+                                    : `<span class="pf-v5-c-badge">${_("Distribution")}</span>`}
+                            </td>
+                            <td data-label="${_("Scope")}">${esc(group.scope)}</td>
+                            <td data-label="${_("Members")}">${group.members.length}</td>
+                            <td data-label="${_("Description")}">${esc(group.description)}</td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button"
+                                        data-action="members" data-dn="${esc(group.dn)}">${_("Members")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button"
+                                        data-action="convert" data-dn="${esc(group.dn)}"
+                                        ${group.system ? `disabled title="${_("System groups cannot be converted")}"` : ''}>
+                                    ${group.security ? _("Make Distribution") : _("Make Security")}
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show the nested member tree of a group
+     */
+    showMembers(groupDN) {
+        const group = this.groupsByDN.get(groupDN);
+        const details = this.section.querySelector('#group-details');
+        if (!group) return;
+
+        this.selectedGroupDN = groupDN;
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const effective = this.getEffectiveMembers(groupDN);
+
+        details.innerHTML = `
+            <div class="management-details-header">
+                <h3 class="pf-v5-c-title pf-m-md">
+                    <i class="fas fa-users"></i> ${esc(group.name)}
+                    <small>${cockpit.format(_("$0 direct, $1 effective members"), group.members.length, effective.size)}</small>
+                </h3>
+                <div class="management-toolbar-actions">
+                    <button class="pf-v5-c-button pf-m-primary pf-m-small" type="button" data-action="add-members">
+                        <i class="fas fa-user-plus"></i> ${_("Add Members")}
+                    </button>
+                    <button class="pf-v5-c-button pf-m-plain pf-m-small" type="button" data-action="close-details" aria-label="${_("Close")}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            ${group.members.length === 0
+                ? `<p class="management-empty">${_("This group has no members.")}</p>`
+                : `<ul class="member-tree">${this.renderMemberTree(group, new Set([groupDN.toLowerCase()]), true)}</ul>`}
+        `;
+        details.classList.remove('hidden');
+        this.renderTable();
+    }
+
+    /**
+     * Hide the member pane
+     */
+    hideMembers() {
+        this.selectedGroupDN = null;
+        const details = this.section.querySelector('#group-details');
+        details.classList.add('hidden');
+        details.innerHTML = '';
+    }
+
+    /**
+     * Render member list items, expanding nested groups and stopping at cycles
+     */
+    renderMemberTree(group, path, direct) {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const icons = { user: 'fas fa-user', computer: 'fas fa-desktop', group: 'fas fa-users', foreign: 'fas fa-globe' };
+
+        return group.members
+            .map(dn => this.objectsByDN.get(dn.toLowerCase()) || { dn, name: this.ldbManager.getRDNValue(dn), type: 'foreign' })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(member => {
+                const removeButton = direct ? `
+                    <button class="pf-v5-c-button pf-m-link pf-m-danger pf-m-small" type="button"
+                            data-action="remove-member" data-member="${esc(member.name)}">${_("Remove")}</button>` : '';
+                const label = `<i class="${icons[member.type]}"></i> ${esc(member.name)}`;
+                const nested = member.type === 'group' ? this.groupsByDN.get(member.dn) : null;
+
+                if (!nested) {
+                    return `<li><span class="member-label">${label}</span>${removeButton}</li>`;
+                }
+                if (path.has(member.dn.toLowerCase())) {
+                    return `<li><span class="member-label">${label} <em>${_("(circular membership)")}</em></span>${removeButton}</li>`;
+                }
+
+                const childPath = new Set(path).add(member.dn.toLowerCase());
+                return `
+                    <li>
+                        <details>
+                            <summary><span class="member-label">${label} <small>(${nested.members.length})</small></span>${removeButton}</summary>
+                            <ul class="member-tree">${this.renderMemberTree(nested, childPath, false)}</ul>
+                        </details>
+                    </li>`;
+            }).join('');
+    }
+
+    /**
+     * Collect the flattened set of non-group members of a group
+     */
+    getEffectiveMembers(groupDN, visited = new Set(), result = new Set()) {
+        const group = this.groupsByDN.get(groupDN);
+        if (!group || visited.has(groupDN)) return result;
+        visited.add(groupDN);
+
+        group.members.forEach(dn => {
+            const member = this.objectsByDN.get(dn.toLowerCase());
+            if (member && member.type === 'group') {
+                this.getEffectiveMembers(member.dn, visited, result);
+            } else {
+                result.add(dn.toLowerCase());
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Run a samba-tool group subcommand and reload the groups
+     */
+    async runAction(args, successMessage) {
+        try {
+            await cockpit.spawn(['samba-tool', 'group', ...args], { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(successMessage);
+            document.dispatchEvent(new CustomEvent('directory-changed', { detail: { type: 'group' } }));
+            await this.loadGroups();
+            return true;
+        } catch (error) {
+            console.error(`samba-tool group ${args[0]} failed:`, error);
+            this.uiManager.showError(cockpit.format(_("samba-tool group $0 failed: $1"), args[0], error.message));
+            return false;
+        }
+    }
+
+    /**
+     * Show the create group dialog and create the group
+     */
+    async createGroup() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Create Group"),
+            submitLabel: _("Create"),
+            fields: [
+                { name: 'name', label: _("Group Name"), required: true },
+                { name: 'description', label: _("Description") },
+                { name: 'type', label: _("Group Type"), type: 'select', value: 'Security', options: [
+                    { value: 'Security', label: _("Security") },
+                    { value: 'Distribution', label: _("Distribution") }
+                ] },
+                { name: 'scope', label: _("Group Scope"), type: 'select', value: 'Global', options: [
+                    { value: 'Global', label: _("Global") },
+                    { value: 'Domain', label: _("Domain Local") },
+                    { value: 'Universal', label: _("Universal") }
+                ] },
+                { name: 'groupou', label: _("Organizational Unit"), placeholder: 'OU=Groups', helper: _("Relative to the domain DN; leave empty for CN=Users") }
+            ],
+            validate: (v) => /["/\\[\]:;|=,+*?<>]/.test(v.name) ? _("Group name contains invalid characters") : null
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const args = ['add', values.name, '--group-type=' + values.type, '--group-scope=' + values.scope];
+        if (values.description) args.push('--description=' + values.description);
+        if (values.groupou) args.push('--groupou=' + values.groupou);
+
+        await this.runAction(args, cockpit.format(_("Group $0 created"), values.name));
+    }
+
+    /**
+     * Add members to a group by account name
+     */
+    async addMembers(group) {
+        const knownNames = new Set([...this.objectsByDN.values()].map(o => o.name.toLowerCase()));
+
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Add Members to $0"), group.name),
+            submitLabel: _("Add"),
+            fields: [
+                { name: 'members', label: _("Members"), type: 'textarea', required: true,
+                  helper: _("Account names of users, computers (with trailing $) or groups, separated by commas or new lines") }
+            ],
+            validate: (v) => {
+                const unknown = this.splitNames(v.members).filter(name => !knownNames.has(name.toLowerCase()));
+                return unknown.length > 0 ? _("Unknown accounts: ") + unknown.join(', ') : null;
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const members = this.splitNames(values.members);
+        await this.runAction(['addmembers', group.name, members.join(',')],
+            cockpit.format(_("Added $0 member(s) to $1"), members.length, group.name));
+    }
+
+    /**
+     * Remove a direct member from a group
+     */
+    async removeMember(group, memberName) {
+        if (!this.uiManager.confirm(cockpit.format(_("Remove $0 from $1?"), memberName, group.name), _("Remove Member"))) {
+            return;
+        }
+        await this.runAction(['removemembers', group.name, memberName],
+            cockpit.format(_("Removed $0 from $1"), memberName, group.name));
+    }
+
+    /**
+     * Convert a group between security and distribution types
+     */
+    async convertGroupType(group) {
+        const target = group.security ? _("distribution") : _("security");
+        let message = cockpit.format(_("Convert $0 to a $1 group?"), group.name, target);
+        if (group.security) {
+            message += '\n\n' + _("Permissions granted to this group will stop applying to its members.");
+        }
+        if (!this.uiManager.confirm(message, _("Convert Group"))) {
+            return;
+        }
+
+        // samba-tool group has no type conversion, so update groupType directly
+        const newType = group.security
+            ? (group.groupType & ~GROUP_TYPE_SECURITY)
+            : (group.groupType | GROUP_TYPE_SECURITY);
+
+        try {
+            await this.ldbManager.modify(`dn: ${group.dn}\nchangetype: modify\nreplace: groupType\ngroupType: ${newType | 0}\n`);
+            this.uiManager.showSuccess(cockpit.format(_("Group $0 converted to $1"), group.name, target));
+            await this.loadGroups();
+        } catch (error) {
+            console.error('Group type conversion failed:', error);
+            this.uiManager.showError(cockpit.format(_("Failed to convert group $0: $1"), group.name, error.message));
+        }
+    }
+
+    /**
+     * Split a comma or newline separated list of account names
+     */
+    splitNames(text) {
+        return (text || '').split(/[,\n]/).map(name => name.trim()).filter(name => name);
+    }
+}
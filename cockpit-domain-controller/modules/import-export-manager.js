@@ -0,0 +1,812 @@
+/**
+ * Bulk Import/Export Module
+ * CSV/LDIF user import wizard with validation and dry-run, and user/group export
+ */
+
+const _ = cockpit.gettext;
+
+// Fields the import can populate, with header names used for automatic column mapping
+const IMPORT_FIELDS = [
+    { name: 'username', label: 'Username (sAMAccountName)', required: true, aliases: ['username', 'samaccountname', 'login', 'user'] },
+    { name: 'password', label: 'Password', aliases: ['password', 'pwd', 'userpassword'] },
+    { name: 'givenName', label: 'First Name', aliases: ['givenname', 'firstname', 'first name', 'first'] },
+    { name: 'surname', label: 'Last Name', aliases: ['surname', 'sn', 'lastname', 'last name', 'last'] },
+    { name: 'mail', label: 'Email Address', aliases: ['mail', 'email', 'e-mail', 'email address'] },
+    { name: 'description', label: 'Description', aliases: ['description'] },
+    { name: 'ou', label: 'Organizational Unit', aliases: ['ou', 'organizationalunit', 'organizational unit', 'userou'] }
+];
+
+// Number of samba-tool processes started together during an import
+const IMPORT_BATCH_SIZE = 5;
+
+export class ImportExportManager {
+    constructor(uiManager, ldbManager, userManager, groupManager, passwordPolicyManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.userManager = userManager;
+        this.groupManager = groupManager;
+        this.passwordPolicyManager = passwordPolicyManager;
+        this.resetWizard();
+    }
+
+    /**
+     * Reset the wizard state
+     */
+    resetWizard() {
+        this.wizard = {
+            step: 'source',
+            format: 'csv',
+            text: '',
+            csv: null,
+            mapping: {},
+            mustChange: true,
+            records: [],
+            skipped: [],
+            results: [],
+            running: false
+        };
+    }
+
+    /**
+     * Open the import wizard modal
+     */
+    showImportWizard() {
+        this.resetWizard();
+
+        const existing = document.getElementById('import-wizard-modal');
+        if (existing) {
+            existing.remove();
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'pf-v5-c-backdrop';
+        modal.id = 'import-wizard-modal';
+        modal.innerHTML = `
+            <div class="pf-v5-l-bullseye">
+                <div class="pf-v5-c-modal-box pf-m-lg" role="dialog" aria-modal="true" aria-labelledby="import-wizard-title">
+                    <header class="pf-v5-c-modal-box__header">
+                        <h1 class="pf-v5-c-modal-box__title" id="import-wizard-title">${_("Import Users")}</h1>
+                        <ol class="import-wizard-steps" id="import-wizard-steps"></ol>
+                    </header>
+                    <div class="pf-v5-c-modal-box__body" id="import-wizard-body"></div>
+                    <footer class="pf-v5-c-modal-box__footer">
+                        <button id="import-wizard-next" class="pf-v5-c-button pf-m-primary" type="button">${_("Next")}</button>
+                        <button id="import-wizard-back" class="pf-v5-c-button pf-m-secondary" type="button">${_("Back")}</button>
+                        <button id="import-wizard-cancel" class="pf-v5-c-button pf-m-link" type="button">${_("Cancel")}</button>
+                    </footer>
+                </div>
+            </div>
+        `;
+
+        (document.getElementById('domain-controller') || document.body).appendChild(modal);
+
+        modal.querySelector('#import-wizard-next').addEventListener('click', () => this.nextStep());
+        modal.querySelector('#import-wizard-back').addEventListener('click', () => this.previousStep());
+        modal.querySelector('#import-wizard-cancel').addEventListener('click', () => this.closeWizard());
+
+        this.renderStep();
+    }
+
+    /**
+     * Close the wizard unless an import is running
+     */
+    closeWizard() {
+        if (this.wizard.running) {
+            return;
+        }
+        const modal = document.getElementById('import-wizard-modal');
+        if (modal) {
+            modal.remove();
+        }
+        if (this.wizard.results.length > 0) {
+            document.dispatchEvent(new CustomEvent('directory-changed', { detail: { type: 'user' } }));
+        }
+    }
+
+    /**
+     * Render the current wizard step
+     */
+    renderStep() {
+        const steps = [
+            { id: 'source', label: _("Source") },
+            { id: 'mapping', label: _("Column Mapping") },
+            { id: 'preview', label: _("Dry Run") },
+            { id: 'results', label: _("Results") }
+        ].filter(step => step.id !== 'mapping' || this.wizard.format === 'csv');
+
+        document.getElementById('import-wizard-steps').innerHTML = steps.map(step =>
+            `<li class="${step.id === this.wizard.step ? 'current' : ''}">${step.label}</li>`).join('');
+
+        const body = document.getElementById('import-wizard-body');
+        const nextBtn = document.getElementById('import-wizard-next');
+        const backBtn = document.getElementById('import-wizard-back');
+        const cancelBtn = document.getElementById('import-wizard-cancel');
+
+        backBtn.classList.toggle('hidden', this.wizard.step === 'source' || this.wizard.step === 'results');
+        cancelBtn.textContent = this.wizard.step === 'results' ? _("Close") : _("Cancel");
+        nextBtn.classList.remove('hidden');
+        nextBtn.disabled = false;
+
+        switch (this.wizard.step) {
+            case 'source':
+                nextBtn.textContent = _("Next");
+                body.innerHTML = this.renderSourceStep();
+                this.bindSourceStep(body);
+                break;
+            case 'mapping':
+                nextBtn.textContent = _("Validate");
+                body.innerHTML = this.renderMappingStep();
+                break;
+            case 'preview': {
+                const valid = this.wizard.records.filter(record => record.errors.length === 0).length;
+                nextBtn.textContent = cockpit.format(_("Import $0 User(s)"), valid);
+                nextBtn.disabled = valid === 0;
+                body.innerHTML = this.renderPreviewStep();
+                break;
+            }
+            case 'results':
+                nextBtn.textContent = _("Download Report");
+                nextBtn.disabled = this.wizard.running;
+                body.innerHTML = this.renderResultsStep();
+                break;
+        }
+    }
+
+    /**
+     * Render the source selection step
+     */
+    renderSourceStep() {
+        return `
+            <div class="pf-v5-c-form">
+                <div class="pf-v5-c-form__group">
+                    <label class="pf-v5-c-form__label"><span class="pf-v5-c-form__label-text">${_("Format")}</span></label>
+                    <div class="pf-v5-c-radio">
+                        <input class="pf-v5-c-radio__input" type="radio" name="import-format" id="import-format-csv" value="csv"
+                               ${this.wizard.format === 'csv' ? 'checked' : ''}>
+                        <label class="pf-v5-c-radio__label" for="import-format-csv">${_("CSV (first row is the header)")}</label>
+                    </div>
+                    <div class="pf-v5-c-radio">
+                        <input class="pf-v5-c-radio__input" type="radio" name="import-format" id="import-format-ldif" value="ldif"
+                               ${this.wizard.format === 'ldif' ? 'checked' : ''}>
+                        <label class="pf-v5-c-radio__label" for="import-format-ldif">${_("LDIF")}</label>
+                    </div>
+                </div>
+                <div class="pf-v5-c-form__group">
+                    <label class="pf-v5-c-form__label" for="import-file"><span class="pf-v5-c-form__label-text">${_("File")}</span></label>
+                    <input type="file" id="import-file" accept=".csv,.ldif,.ldf,.txt" class="pf-v5-c-form-control">
+                </div>
+                <div class="pf-v5-c-form__group">
+                    <label class="pf-v5-c-form__label" for="import-text"><span class="pf-v5-c-form__label-text">${_("Or paste the content")}</span></label>
+                    <textarea id="import-text" class="pf-v5-c-form-control import-text" rows="10">${this.uiManager.escapeHtml(this.wizard.text)}</textarea>
+                </div>
+                <div class="pf-v5-c-form__group">
+                    <div class="pf-v5-c-check">
+                        <input class="pf-v5-c-check__input" type="checkbox" id="import-must-change" ${this.wizard.mustChange ? 'checked' : ''}>
+                        <label class="pf-v5-c-check__label" for="import-must-change">${_("Users must change password at next logon")}</label>
+                    </div>
+                    <p class="management-description">${_("Rows without a password get a random password and must have it reset before first use.")}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Load a chosen file into the paste area
+     */
+    bindSourceStep(body) {
+        body.querySelector('#import-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            if (/\.(ldif|ldf)$/i.test(file.name)) {
+                body.querySelector('#import-format-ldif').checked = true;
+            } else if (/\.csv$/i.test(file.name)) {
+                body.querySelector('#import-format-csv').checked = true;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                body.querySelector('#import-text').value = reader.result;
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Render the CSV column mapping step
+     */
+    renderMappingStep() {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const headers = this.wizard.csv.headers;
+
+        return `
+            <p>${cockpit.format(_("$0 data rows found. Choose which column supplies each attribute."), this.wizard.csv.rows.length)}</p>
+            <div class="pf-v5-c-form import-mapping">
+                ${IMPORT_FIELDS.map(field => `
+                    <div class="pf-v5-c-form__group">
+                        <label class="pf-v5-c-form__label" for="import-map-${field.name}">
+                            <span class="pf-v5-c-form__label-text">${_(field.label)}${field.required ? ' *' : ''}</span>
+                        </label>
+                        <select class="pf-v5-c-form-control" id="import-map-${field.name}">
+                            <option value="">${_("(not mapped)")}</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${this.wizard.mapping[field.name] === index ? 'selected' : ''}>${esc(header)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the dry-run validation preview
+     */
+    renderPreviewStep() {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const records = this.wizard.records;
+        const invalid = records.filter(record => record.errors.length > 0).length;
+
+        return `
+            <p>${cockpit.format(_("Dry run: $0 row(s) will be created, $1 row(s) have errors and will be skipped. Nothing has been changed yet."),
+                records.length - invalid, invalid)}</p>
+            ${this.wizard.skipped.length > 0 ? `
+                <p>${esc(cockpit.format(_("$0 LDIF entries are not user accounts and were skipped: $1"),
+                    this.wizard.skipped.length, this.wizard.skipped.join(', ')))}</p>` : ''}
+            <div class="management-table-container import-table">
+                <table class="pf-v5-c-table pf-m-compact" role="grid" aria-label="${_("Import preview")}">
+                    <thead>
+                        <tr>
+                            <th scope="col">${_("Row")}</th>
+                            <th scope="col">${_("Username")}</th>
+                            <th scope="col">${_("Name")}</th>
+                            <th scope="col">${_("Organizational Unit")}</th>
+                            <th scope="col">${_("Password")}</th>
+                            <th scope="col">${_("Validation")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${records.map(record => `
+                            <tr>
+                                <td>${record.row}</td>
+                                <td>${esc(record.username)}</td>
+                                <td>${esc([record.givenName, record.surname].filter(part => part).join(' '))}</td>
+                                <td>${esc(record.ouDN || _("CN=Users (default)"))}</td>
+                                <td>${record.password ? _("Provided") : _("Random")}</td>
+                                <td>${record.errors.length === 0
+                                    ? `<span class="pf-v5-c-badge pf-m-green">${_("Valid")}</span>`
+                                    : `<span class="management-empty error">${record.errors.map(esc).join('<br>')}</span>`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the per-row import report
+     */
+    renderResultsStep() {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const results = this.wizard.results;
+        const total = this.wizard.records.filter(record => record.errors.length === 0).length;
+        const succeeded = results.filter(result => result.status === 'created').length;
+        const percent = total > 0 ? Math.round(results.length / total * 100) : 100;
+
+        return `
+            <div class="pf-v5-c-progress" id="import-progress">
+                <div class="pf-v5-c-progress__description">
+                    ${this.wizard.running
+                        ? cockpit.format(_("Creating users... $0 of $1"), results.length, total)
+                        : cockpit.format(_("Import finished: $0 created, $1 failed"), succeeded, results.length - succeeded)}
+                </div>
+                <div class="pf-v5-c-progress__bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                    <div class="pf-v5-c-progress__indicator" style="width: ${percent}%;"></div>
+                </div>
+            </div>
+            <div class="management-table-container import-table">
+                <table class="pf-v5-c-table pf-m-compact" role="grid" aria-label="${_("Import results")}">
+                    <thead>
+                        <tr>
+                            <th scope="col">${_("Row")}</th>
+                            <th scope="col">${_("Username")}</th>
+                            <th scope="col">${_("Result")}</th>
+                            <th scope="col">${_("Details")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.map(result => `
+                            <tr>
+                                <td>${result.row}</td>
+                                <td>${esc(result.username)}</td>
+                                <td>${result.status === 'created'
+                                    ? `<span class="pf-v5-c-badge pf-m-green">${_("Created")}</span>`
+                                    : `<span class="pf-v5-c-badge pf-m-red">${_("Failed")}</span>`}</td>
+                                <td>${esc(result.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Advance the wizard
+     */
+    async nextStep() {
+        const nextBtn = document.getElementById('import-wizard-next');
+
+        try {
+            switch (this.wizard.step) {
+                case 'source':
+                    this.readSourceStep();
+                    if (this.wizard.format === 'csv') {
+                        this.wizard.step = 'mapping';
+                    } else {
+                        nextBtn.disabled = true;
+                        await this.validateRecords(this.parseLdifRecords(this.wizard.text));
+                        this.wizard.step = 'preview';
+                    }
+                    break;
+                case 'mapping':
+                    this.readMappingStep();
+                    this.wizard.skipped = [];
+                    nextBtn.disabled = true;
+                    await this.validateRecords(this.buildCsvRecords());
+                    this.wizard.step = 'preview';
+                    break;
+                case 'preview':
+                    this.wizard.step = 'results';
+                    this.renderStep();
+                    await this.runImport();
+                    break;
+                case 'results':
+                    this.downloadReport();
+                    return;
+            }
+        } catch (error) {
+            console.error('Import wizard error:', error);
+            this.uiManager.showError(error.message);
+        }
+
+        this.renderStep();
+    }
+
+    /**
+     * Go back one wizard step
+     */
+    previousStep() {
+        if (this.wizard.step === 'mapping') {
+            this.wizard.step = 'source';
+        } else if (this.wizard.step === 'preview') {
+            this.wizard.step = this.wizard.format === 'csv' ? 'mapping' : 'source';
+        }
+        this.renderStep();
+    }
+
+    /**
+     * Read format and content from the source step
+     */
+    readSourceStep() {
+        this.wizard.format = document.querySelector('input[name="import-format"]:checked').value;
+        this.wizard.text = document.getElementById('import-text').value;
+        this.wizard.mustChange = document.getElementById('import-must-change').checked;
+
+        if (!this.wizard.text.trim()) {
+            throw new Error(_("Choose a file or paste the content to import"));
+        }
+
+        if (this.wizard.format === 'csv') {
+            const rows = this.parseCsv(this.wizard.text);
+            if (rows.length < 2) {
+                throw new Error(_("The CSV must contain a header row and at least one data row"));
+            }
+            this.wizard.csv = { headers: rows[0], rows: rows.slice(1) };
+            this.wizard.mapping = this.guessMapping(this.wizard.csv.headers);
+        }
+    }
+
+    /**
+     * Read the selected column mapping
+     */
+    readMappingStep() {
+        const mapping = {};
+        IMPORT_FIELDS.forEach(field => {
+            const value = document.getElementById(`import-map-${field.name}`).value;
+            if (value !== '') {
+                mapping[field.name] = parseInt(value, 10);
+            }
+        });
+
+        if (mapping.username === undefined) {
+            throw new Error(_("The username column must be mapped"));
+        }
+        this.wizard.mapping = mapping;
+    }
+
+    /**
+     * Match CSV headers to import fields by name
+     */
+    guessMapping(headers) {
+        const mapping = {};
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        IMPORT_FIELDS.forEach(field => {
+            const index = normalized.findIndex(header => field.aliases.includes(header));
+            if (index !== -1) {
+                mapping[field.name] = index;
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Parse CSV text, honouring quoted fields; the delimiter is detected from the header
+     */
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        // Each row remembers the file line it starts on, so messages still match after blank lines are dropped
+        const rows = [];
+        let line = 1;
+        let row = [];
+        row.line = line;
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (c === '\n' || (c === '\r' && text[i + 1] !== '\n')) {
+                line++;
+            }
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') {
+                    i++;
+                    line++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                row.line = line;
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    /**
+     * Build import records from CSV rows using the column mapping
+     */
+    buildCsvRecords() {
+        const mapping = this.wizard.mapping;
+        return this.wizard.csv.rows.map(row => {
+            const record = { row: row.line };
+            IMPORT_FIELDS.forEach(field => {
+                const value = mapping[field.name] !== undefined ? (row[mapping[field.name]] || '') : '';
+                record[field.name] = field.name === 'password' ? value : value.trim();
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Build import records from LDIF user entries. Groups, computers and other
+     * objects, such as those in this module's own export, are skipped.
+     */
+    parseLdifRecords(text) {
+        const isUser = (entry) => {
+            const classes = this.ldbManager.getValues(entry, 'objectClass').map(value => value.toLowerCase());
+            return (classes.includes('user') || classes.includes('person')) && !classes.includes('computer') &&
+                this.ldbManager.getValue(entry, 'sAMAccountName');
+        };
+        const all = this.ldbManager.parseLdif(text);
+        const entries = all.filter(isUser);
+        this.wizard.skipped = all.filter(entry => !isUser(entry))
+            .map(entry => this.ldbManager.getValue(entry, 'sAMAccountName') || entry.dn);
+
+        if (entries.length === 0) {
+            throw new Error(_("No user entries with a sAMAccountName were found in the LDIF"));
+        }
+
+        return entries.map((entry, index) => {
+            const parent = this.ldbManager.getParentDN(entry.dn);
+            return {
+                row: index + 1,
+                username: this.ldbManager.getValue(entry, 'sAMAccountName'),
+                password: this.ldbManager.getValue(entry, 'userPassword'),
+                givenName: this.ldbManager.getValue(entry, 'givenName'),
+                surname: this.ldbManager.getValue(entry, 'sn'),
+                mail: this.ldbManager.getValue(entry, 'mail'),
+                description: this.ldbManager.getValue(entry, 'description'),
+                ou: /^CN=Users,/i.test(parent) ? '' : parent
+            };
+        });
+    }
+
+    /**
+     * Validate records against naming rules, existing accounts, the
+     * password policy and OU existence
+     */
+    async validateRecords(records) {
+        const domainDN = await this.ldbManager.getDomainDN();
+        const [policy, accounts, containers] = await Promise.all([
+            this.passwordPolicyManager.getPolicy(),
+            this.ldbManager.search('(sAMAccountName=*)', ['sAMAccountName'], { base: domainDN, scope: 'sub' }),
+            this.ldbManager.search('(|(objectClass=organizationalUnit)(objectClass=container))', ['objectClass'],
+                { base: domainDN, scope: 'sub' })
+        ]);
+
+        const existing = new Set(accounts.map(entry => this.ldbManager.getValue(entry, 'sAMAccountName').toLowerCase()));
+        const containerDNs = new Set(containers.map(entry => entry.dn.toLowerCase()));
+        const seen = new Set();
+
+        records.forEach(record => {
+            record.errors = [];
+
+            const nameError = this.userManager.validateSamAccountName(record.username);
+            if (nameError) {
+                record.errors.push(nameError);
+            } else if (existing.has(record.username.toLowerCase())) {
+                record.errors.push(_("An account with this name already exists"));
+            } else if (seen.has(record.username.toLowerCase())) {
+                record.errors.push(_("Duplicate username in the import"));
+            }
+            seen.add((record.username || '').toLowerCase());
+
+            if (record.password) {
+                const passwordError = /[\r\n]/.test(record.password)
+                    ? _("Passwords cannot contain line breaks")
+                    : this.userManager.validatePassword(record.password, record.username, policy);
+                if (passwordError) record.errors.push(passwordError);
+            }
+
+            record.ouDN = '';
+            record.userou = '';
+            if (record.ou) {
+                // Accept full DNs as well as DNs relative to the domain
+                const suffix = ',' + domainDN.toLowerCase();
+                const ouDN = record.ou.toLowerCase().endsWith(suffix) ? record.ou : `${record.ou},${domainDN}`;
+                record.ouDN = ouDN;
+                record.userou = ouDN.substring(0, ouDN.length - suffix.length);
+                if (!containerDNs.has(ouDN.toLowerCase())) {
+                    record.errors.push(cockpit.format(_("Organizational unit $0 does not exist"), ouDN));
+                }
+            }
+        });
+
+        this.wizard.records = records;
+    }
+
+    /**
+     * Create all valid records in batches, recording a result per row
+     */
+    async runImport() {
+        const records = this.wizard.records.filter(record => record.errors.length === 0);
+        this.wizard.results = [];
+        this.wizard.running = true;
+        document.getElementById('import-wizard-cancel').disabled = true;
+
+        for (let i = 0; i < records.length; i += IMPORT_BATCH_SIZE) {
+            const batch = records.slice(i, i + IMPORT_BATCH_SIZE);
+            const results = await Promise.all(batch.map(record => this.createUser(record)));
+            this.wizard.results.push(...results);
+            this.renderStep();
+        }
+
+        this.wizard.running = false;
+        document.getElementById('import-wizard-cancel').disabled = false;
+    }
+
+    /**
+     * Create a single user from an import record
+     */
+    async createUser(record) {
+        // A given password goes in on stdin so it does not show up in ps or /proc
+        const args = ['samba-tool', 'user', 'create', record.username];
+        if (!record.password) {
+            args.push('--random-password');
+        }
+        if (record.givenName) args.push('--given-name=' + record.givenName);
+        if (record.surname) args.push('--surname=' + record.surname);
+        if (record.mail) args.push('--mail-address=' + record.mail);
+        if (record.description) args.push('--description=' + record.description);
+        if (record.userou) args.push('--userou=' + record.userou);
+        if (this.wizard.mustChange) args.push('--must-change-at-next-login');
+
+        try {
+            const process = cockpit.spawn(args, { superuser: "try", err: "message" });
+            await (record.password ? process.input(this.userManager.passwordInput(record.password)) : process);
+            return {
+                row: record.row,
+                username: record.username,
+                status: 'created',
+                message: record.password ? '' : _("Random password set; reset before first use")
+            };
+        } catch (error) {
+            return { row: record.row, username: record.username, status: 'failed', message: error.message.trim() };
+        }
+    }
+
+    /**
+     * Download the import results as CSV
+     */
+    downloadReport() {
+        const rows = [['row', 'username', 'result', 'details']].concat(
+            this.wizard.results.map(result => [result.row, result.username, result.status, result.message]));
+        this.uiManager.downloadFile(`user-import-report-${this.timestamp()}.csv`, this.toCsv(rows), 'text/csv');
+    }
+
+    /**
+     * Show the export dialog and download the selected objects
+     */
+    async showExportDialog() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Export Users and Groups"),
+            submitLabel: _("Export"),
+            fields: [
+                { name: 'objects', label: _("Objects"), type: 'select', value: 'users', options: [
+                    { value: 'users', label: _("Users") },
+                    { value: 'groups', label: _("Groups") },
+                    { value: 'both', label: _("Users and groups") }
+                ] },
+                { name: 'format', label: _("Format"), type: 'select', value: 'csv', options: [
+                    { value: 'csv', label: 'CSV' },
+                    { value: 'ldif', label: 'LDIF' }
+                ] }
+            ]
+        });
+
+        if (!values) {
+            return;
+        }
+
+        try {
+            const includeUsers = values.objects !== 'groups';
+            const includeGroups = values.objects !== 'users';
+            const stamp = this.timestamp();
+
+            if (values.format === 'ldif') {
+                const parts = [];
+                if (includeUsers) parts.push(await this.exportUsersLdif());
+                if (includeGroups) parts.push(await this.exportGroupsLdif());
+                this.uiManager.downloadFile(`directory-export-${stamp}.ldif`, parts.join('\n'), 'text/plain');
+            } else {
+                if (includeUsers) {
+                    this.uiManager.downloadFile(`users-${stamp}.csv`, await this.exportUsersCsv(), 'text/csv');
+                }
+                if (includeGroups) {
+                    this.uiManager.downloadFile(`groups-${stamp}.csv`, await this.exportGroupsCsv(), 'text/csv');
+                }
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.uiManager.showError(_("Export failed: ") + error.message);
+        }
+    }
+
+    /**
+     * Search user entries for export
+     */
+    async searchUsers(attributes) {
+        const domainDN = await this.ldbManager.getDomainDN();
+        return this.ldbManager.search('(&(objectCategory=person)(objectClass=user))', attributes,
+            { base: domainDN, scope: 'sub' });
+    }
+
+    /**
+     * Search group entries for export
+     */
+    async searchGroups(attributes) {
+        const domainDN = await this.ldbManager.getDomainDN();
+        return this.ldbManager.search('(objectClass=group)', attributes, { base: domainDN, scope: 'sub' });
+    }
+
+    /**
+     * Export users as CSV in the same column layout the import recognises
+     */
+    async exportUsersCsv() {
+        const domainDN = await this.ldbManager.getDomainDN();
+        const entries = await this.searchUsers(['sAMAccountName', 'givenName', 'sn', 'displayName', 'mail', 'description', 'userAccountControl']);
+        const suffix = ',' + domainDN;
+
+        const rows = [['username', 'givenName', 'surname', 'displayName', 'mail', 'description', 'ou', 'enabled']];
+        entries.forEach(entry => {
+            const parent = this.ldbManager.getParentDN(entry.dn);
+            const uac = parseInt(this.ldbManager.getValue(entry, 'userAccountControl', '0'), 10);
+            rows.push([
+                this.ldbManager.getValue(entry, 'sAMAccountName'),
+                this.ldbManager.getValue(entry, 'givenName'),
+                this.ldbManager.getValue(entry, 'sn'),
+                this.ldbManager.getValue(entry, 'displayName'),
+                this.ldbManager.getValue(entry, 'mail'),
+                this.ldbManager.getValue(entry, 'description'),
+                /^CN=Users,/i.test(parent) ? '' : parent.replace(suffix, ''),
+                (uac & 0x2) === 0 ? 'true' : 'false'
+            ]);
+        });
+        return this.toCsv(rows);
+    }
+
+    /**
+     * Export groups as CSV with members listed by account name
+     */
+    async exportGroupsCsv() {
+        const domainDN = await this.ldbManager.getDomainDN();
+        const entries = await this.ldbManager.search('(|(objectClass=user)(objectClass=group))',
+            ['sAMAccountName', 'objectClass', 'groupType', 'description', 'member'], { base: domainDN, scope: 'sub' });
+
+        const names = new Map(entries.map(entry => [entry.dn.toLowerCase(), this.ldbManager.getValue(entry, 'sAMAccountName')]));
+
+        const rows = [['name', 'type', 'scope', 'description', 'members']];
+        entries
+            .filter(entry => this.ldbManager.getValues(entry, 'objectClass').some(c => c.toLowerCase() === 'group'))
+            .forEach(entry => {
+                const group = this.groupManager.parseGroupEntry(entry, this.ldbManager.getValue(entry, 'sAMAccountName'));
+                rows.push([
+                    group.name,
+                    group.security ? 'Security' : 'Distribution',
+                    group.scope,
+                    group.description,
+                    group.members.map(dn => names.get(dn.toLowerCase()) || dn).join(';')
+                ]);
+            });
+        return this.toCsv(rows);
+    }
+
+    /**
+     * Export users as LDIF
+     */
+    async exportUsersLdif() {
+        const attributes = ['objectClass', 'sAMAccountName', 'userPrincipalName', 'givenName', 'sn', 'displayName',
+            'mail', 'description', 'userAccountControl'];
+        return this.ldbManager.toLdif(await this.searchUsers(attributes), attributes);
+    }
+
+    /**
+     * Export groups as LDIF
+     */
+    async exportGroupsLdif() {
+        const attributes = ['objectClass', 'sAMAccountName', 'groupType', 'description', 'member'];
+        return this.ldbManager.toLdif(await this.searchGroups(attributes), attributes);
+    }
+
+    /**
+     * Serialize rows to CSV, quoting where needed
+     */
+    toCsv(rows) {
+        return rows.map(row => row.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Timestamp for export file names
+     */
+    timestamp() {
+        return new Date().toISOString().replace(/[:T]/g, '-').replace(/\..*$/, '');
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * LDB Directory Query Module
+ * Runs ldbsearch against the local SAM database and parses LDIF output
+ */
+
+export class LdbManager {
+    constructor() {
+        this.samLdb = '/var/lib/samba/private/sam.ldb';
+        this.rootDSE = null;
+    }
+
+    /**
+     * Search the local SAM database and return parsed entries. Attributes listed
+     * in options.binary keep their base64 value instead of being decoded as text.
+     */
+    async search(filter, attributes = [], options = {}) {
+        const args = ['ldbsearch', '-H', this.samLdb];
+
+        if (options.base) {
+            args.push('-b', options.base);
+        }
+        if (options.scope) {
+            args.push('-s', options.scope);
+        }
+        (options.controls || []).forEach(control => args.push('--controls=' + control));
+
+        args.push(filter, ...attributes);
+
+        const output = await cockpit.spawn(args, { superuser: "try", err: "message" });
+        return this.parseLdif(output, options.binary);
+    }
+
+    /**
+     * Apply an LDIF change record to the local SAM database
+     */
+    async modify(ldif) {
+        return cockpit.spawn(['ldbmodify', '-H', this.samLdb], { superuser: "try", err: "message" })
+            .input(ldif);
+    }
+
+    /**
+     * Rename or move an entry in the local SAM database
+     */
+    async rename(oldDN, newDN) {
+        return cockpit.spawn(['ldbrename', '-H', this.samLdb, oldDN, newDN], { superuser: "try", err: "message" });
+    }
+
+    /**
+     * Parse LDIF text into entries of { dn, <lowercased attribute>: [values] }
+     */
+    parseLdif(output, binaryAttributes = []) {
+        const binary = new Set(binaryAttributes.map(attribute => attribute.toLowerCase()));
+        const entries = [];
+        let current = null;
+
+        // Unfold continuation lines before splitting into attributes
+        const lines = output.replace(/\r?\n /g, '').split(/\r?\n/);
+
+        for (const line of lines) {
+            if (line.startsWith('#') || line.startsWith('ref:')) {
+                continue;
+            }
+            if (!line.trim()) {
+                current = null;
+                continue;
+            }
+
+            const match = line.match(/^([^:]+)(::?)\s?(.*)$/);
+            if (!match) {
+                continue;
+            }
+
+            const attribute = match[1].toLowerCase();
+            const value = match[2] === '::' && !binary.has(attribute) ? this.decodeBase64(match[3]) : match[3];
+
+            if (attribute === 'dn') {
+                current = { dn: value };
+                entries.push(current);
+                continue;
+            }
+            if (!current) {
+                continue;
+            }
+
+            if (!current[attribute]) {
+                current[attribute] = [];
+            }
+            current[attribute].push(value);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Serialize parsed entries back to LDIF, limited to the given attributes
+     */
+    toLdif(entries, attributes) {
+        return entries.map(entry => {
+            const lines = [this.formatLdifLine('dn', entry.dn)];
+            attributes.forEach(attribute => {
+                this.getValues(entry, attribute).forEach(value => lines.push(this.formatLdifLine(attribute, value)));
+            });
+            return lines.join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Format one LDIF attribute line; values that are not LDIF SAFE-STRINGs are base64 encoded
+     */
+    formatLdifLine(name, value) {
+        if (/^[\s:<]|\s$|[^\x20-\x7e]/.test(value)) {
+            const bytes = new TextEncoder().encode(value);
+            return `${name}:: ${btoa(String.fromCharCode(...bytes))}`;
+        }
+        return `${name}: ${value}`;
+    }
+
+    /**
+     * Decode a base64 LDIF value as UTF-8
+     */
+    decodeBase64(value) {
+        try {
+            const bytes = Uint8Array.from(atob(value), c => c.charCodeAt(0));
+            return new TextDecoder().decode(bytes);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Get the first value of an attribute from a parsed entry
+     */
+    getValue(entry, attribute, fallback = '') {
+        const values = entry[attribute.toLowerCase()];
+        return values && values.length > 0 ? values[0] : fallback;
+    }
+
+    /**
+     * Get all values of an attribute from a parsed entry
+     */
+    getValues(entry, attribute) {
+        return entry[attribute.toLowerCase()] || [];
+    }
+
+    /**
+     * Read and cache the naming contexts from the rootDSE
+     */
+    async getRootDSE() {
+        if (this.rootDSE) {
+            return this.rootDSE;
+        }
+
+        const entries = await this.search('(objectClass=*)', [
+            'defaultNamingContext',
+            'configurationNamingContext',
+            'schemaNamingContext',
+            'rootDomainNamingContext',
+            'dnsHostName',
+            'serverName'
+        ], { base: '', scope: 'base' });
+
+        if (entries.length === 0) {
+            throw new Error('Unable to read rootDSE from ' + this.samLdb);
+        }
+
+        const entry = entries[0];
+        this.rootDSE = {
+            defaultNamingContext: this.getValue(entry, 'defaultNamingContext'),
+            configurationNamingContext: this.getValue(entry, 'configurationNamingContext'),
+            schemaNamingContext: this.getValue(entry, 'schemaNamingContext'),
+            rootDomainNamingContext: this.getValue(entry, 'rootDomainNamingContext'),
+            dnsHostName: this.getValue(entry, 'dnsHostName'),
+            serverName: this.getValue(entry, 'serverName')
+        };
+        return this.rootDSE;
+    }
+
+    /**
+     * Drop the cached rootDSE, e.g. after this DC's server object was renamed or moved
+     */
+    clearRootDSE() {
+        this.rootDSE = null;
+    }
+
+    /**
+     * Get the domain base DN (e.g. DC=example,DC=com)
+     */
+    async getDomainDN() {
+        const rootDSE = await this.getRootDSE();
+        return rootDSE.defaultNamingContext;
+    }
+
+    /**
+     * Convert an AD FILETIME value (100ns intervals since 1601) to a Date
+     */
+    fileTimeToDate(value) {
+        // 0 and the maximum int64 both mean "never"
+        if (!value || value === '0' || value === '9223372036854775807') {
+            return null;
+        }
+        const ticks = Number(value);
+        if (!Number.isFinite(ticks) || ticks <= 0) {
+            return null;
+        }
+        return new Date(ticks / 10000 - 11644473600000);
+    }
+
+    /**
+     * Convert an LDAP GeneralizedTime value (YYYYMMDDHHMMSS.0Z) to a Date
+     */
+    generalizedTimeToDate(value) {
+        const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/);
+        if (!match) {
+            return null;
+        }
+        return new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]));
+    }
+
+    /**
+     * Escape a value for use inside an LDAP filter
+     */
+    escapeFilterValue(value) {
+        return String(value).replace(/[\\*()\0]/g, c => '\\' + c.charCodeAt(0).toString(16).padStart(2, '0'));
+    }
+
+    /**
+     * Escape a value for use as an RDN value inside a DN
+     */
+    escapeDNValue(value) {
+        return String(value)
+            .replace(/[\\,+"<>;=#]/g, c => '\\' + c)
+            .replace(/^ /, '\\ ')
+            .replace(/ $/, '\\ ');
+    }
+
+    /**
+     * Get the parent DN of a distinguished name
+     */
+    getParentDN(dn) {
+        const parts = this.splitDN(dn);
+        return parts.slice(1).join(',');
+    }
+
+    /**
+     * Split a DN into RDN components, honouring escaped commas
+     */
+    splitDN(dn) {
+        const parts = [];
+        let current = '';
+        for (let i = 0; i < dn.length; i++) {
+            const c = dn[i];
+            if (c === '\\' && i + 1 < dn.length) {
+                current += c + dn[++i];
+            } else if (c === ',') {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += c;
+            }
+        }
+        if (current.trim()) {
+            parts.push(current.trim());
+        }
+        return parts;
+    }
+
+    /**
+     * Get the unescaped value of the first RDN of a DN
+     */
+    getRDNValue(dn) {
+        const first = this.splitDN(dn)[0] || '';
+        return first.substring(first.indexOf('=') + 1).replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * Convert a DC=example,DC=com naming context to its DNS name
+     */
+    dnToDnsName(dn) {
+        return this.splitDN(dn)
+            .filter(part => /^DC=/i.test(part))
+            .map(part => part.substring(3))
+            .join('.')
+            .toLowerCase();
+    }
+}
@@ -98,6 +98,29 @@ export class NetworkManager {
         }
     }
 
+    /**
+     * Test that a DNS server answers queries for a name
+     */
+    async testDnsServer(server, name = '.', type = 'NS', timeout = 3) {
+        try {
+            const output = await cockpit.spawn(['dig', '@' + server, name, type, '+time=' + timeout, '+tries=1'],
+                { err: "message" });
+            const status = (output.match(/status: (\w+)/) || [])[1] || 'UNKNOWN';
+            const time = (output.match(/Query time: (\d+) msec/) || [])[1];
+
+            return {
+                success: status === 'NOERROR',
+                status,
+                time: time ? parseInt(time, 10) : null,
+                message: status === 'NOERROR'
+                    ? `${server} answered in ${time} ms`
+                    : `${server} returned ${status}`
+            };
+        } catch (error) {
+            return { success: false, status: 'TIMEOUT', time: null, message: `${server} did not respond: ${error.message}` };
+        }
+    }
+
     /**
      * Test SMB/CIFS port connectivity
      */
@@ -397,4 +420,51 @@ search ${domainName}
             return null;
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Parse the first subnet declaration and global options of a dhcpd.conf file
+     */
+    parseDhcpSettings(config) {
+        const match = (pattern) => {
+            const result = config.match(pattern);
+            return result ? result.slice(1).map(value => value.trim()) : [];
+        };
+
+        const [subnet, netmask] = match(/subnet ([0-9.]+) netmask ([0-9.]+)/);
+        const [rangeStart, rangeEnd] = match(/range ([0-9.]+) ([0-9.]+);/);
+
+        return {
+            domainName: match(/option domain-name "([^"]+)"/)[0] || '',
+            dnsServers: match(/option domain-name-servers ([^;]+);/)[0] || '',
+            subnet: subnet || '',
+            netmask: netmask || '',
+            rangeStart: rangeStart || '',
+            rangeEnd: rangeEnd || '',
+            gateway: match(/option routers ([^;]+);/)[0] || '',
+            leaseTime: match(/default-lease-time ([0-9]+);/)[0] || '',
+            maxLeaseTime: match(/max-lease-time ([0-9]+);/)[0] || ''
+        };
+    }
+
+    /**
+     * Read the DHCP settings served by this host, or null if dhcpd is not configured
+     */
+    async getDhcpSettings() {
+        try {
+            const config = await cockpit.spawn(['cat', '/etc/dhcp/dhcpd.conf'], { superuser: "try" });
+            const settings = this.parseDhcpSettings(config);
+            return settings.subnet ? settings : null;
+        } catch (error) {
+            console.log('No DHCP configuration found:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Convert a dotted netmask to a prefix length
+     */
+    netmaskToPrefix(netmask) {
+        return netmask.split('.')
+            .reduce((bits, octet) => bits + parseInt(octet, 10).toString(2).replace(/0/g, '').length, 0);
+    }
+}
@@ -0,0 +1,428 @@
+/**
+ * Organizational Unit Management Module
+ * Shows the OU hierarchy and moves directory objects between OUs through samba-tool
+ */
+
+const _ = cockpit.gettext;
+
+export class OuManager {
+    constructor(uiManager, ldbManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.domainDN = null;
+        this.containers = new Map();
+        this.objectsByParent = new Map();
+        this.collapsed = new Set();
+        this.selectedDN = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the OU management card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'ou-management-section',
+            icon: 'fas fa-sitemap',
+            title: 'Organizational Units',
+            description: 'Browse the OU hierarchy and move users, groups and computers between OUs.',
+            body: `
+                <div class="management-toolbar">
+                    <div></div>
+                    <div class="management-toolbar-actions">
+                        <button id="refresh-ous-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div class="ou-browser">
+                    <div id="ou-tree" class="ou-tree">
+                        <p class="management-empty">${_("Loading organizational units...")}</p>
+                    </div>
+                    <div id="ou-details" class="ou-details">
+                        <p class="management-empty">${_("Select an organizational unit to see its contents.")}</p>
+                    </div>
+                </div>
+            `,
+            onFirstExpand: () => this.loadTree()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind tree and detail pane events
+     */
+    bindEvents() {
+        const tree = this.section.querySelector('#ou-tree');
+
+        tree.addEventListener('click', (e) => {
+            const node = e.target.closest('[data-ou-dn]');
+            if (node) {
+                e.preventDefault();
+                this.selectContainer(node.dataset.ouDn);
+            }
+        });
+
+        // Remember collapsed nodes across reloads; toggle does not bubble
+        tree.addEventListener('toggle', (e) => {
+            const dn = e.target.dataset.dn;
+            if (!dn) return;
+            if (e.target.open) {
+                this.collapsed.delete(dn);
+            } else {
+                this.collapsed.add(dn);
+            }
+        }, true);
+
+        this.section.querySelector('#ou-details').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'create-ou':
+                    this.createOU(this.selectedDN);
+                    break;
+                case 'rename-ou':
+                    this.renameOU(this.selectedDN);
+                    break;
+                case 'move-ou':
+                    this.moveOU(this.selectedDN);
+                    break;
+                case 'delete-ou':
+                    this.deleteOU(this.selectedDN);
+                    break;
+                case 'move-object':
+                    this.moveObject(button.dataset.name, button.dataset.type, button.dataset.dn);
+                    break;
+            }
+        });
+
+        this.section.querySelector('#refresh-ous-btn').addEventListener('click', () => this.loadTree());
+    }
+
+    /**
+     * Load OUs, the default containers and the objects placed in them
+     */
+    async loadTree() {
+        const tree = this.section.querySelector('#ou-tree');
+        tree.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading organizational units...")}</p>`;
+
+        try {
+            this.domainDN = await this.ldbManager.getDomainDN();
+
+            const [ouEntries, objectEntries] = await Promise.all([
+                this.ldbManager.search('(objectClass=organizationalUnit)', ['ou', 'description'],
+                    { base: this.domainDN, scope: 'sub' }),
+                this.ldbManager.search('(|(objectClass=user)(objectClass=group))', ['sAMAccountName', 'objectClass'],
+                    { base: this.domainDN, scope: 'sub' })
+            ]);
+
+            this.containers = new Map();
+            this.containers.set(this.domainDN.toLowerCase(), { dn: this.domainDN, name: this.domainDN, type: 'domain' });
+
+            // Default containers are valid move targets even though they are not OUs
+            ['CN=Users', 'CN=Computers'].forEach(rdn => {
+                const dn = `${rdn},${this.domainDN}`;
+                this.containers.set(dn.toLowerCase(), { dn, name: rdn.substring(3), type: 'container' });
+            });
+
+            ouEntries.forEach(entry => {
+                this.containers.set(entry.dn.toLowerCase(), {
+                    dn: entry.dn,
+                    name: this.ldbManager.getRDNValue(entry.dn),
+                    description: this.ldbManager.getValue(entry, 'description'),
+                    type: 'ou'
+                });
+            });
+
+            this.objectsByParent = new Map();
+            objectEntries.forEach(entry => {
+                const classes = this.ldbManager.getValues(entry, 'objectClass').map(c => c.toLowerCase());
+                const parent = this.ldbManager.getParentDN(entry.dn).toLowerCase();
+                if (!this.objectsByParent.has(parent)) {
+                    this.objectsByParent.set(parent, []);
+                }
+                this.objectsByParent.get(parent).push({
+                    dn: entry.dn,
+                    name: this.ldbManager.getValue(entry, 'sAMAccountName'),
+                    type: classes.includes('group') ? 'group' : classes.includes('computer') ? 'computer' : 'user'
+                });
+            });
+
+            this.renderTree();
+
+            if (this.selectedDN && this.containers.has(this.selectedDN.toLowerCase())) {
+                this.selectContainer(this.selectedDN);
+            } else {
+                this.selectedDN = null;
+                this.section.querySelector('#ou-details').innerHTML =
+                    `<p class="management-empty">${_("Select an organizational unit to see its contents.")}</p>`;
+            }
+        } catch (error) {
+            console.error('Failed to load OU tree:', error);
+            tree.innerHTML = `<p class="management-empty error">${_("Failed to load organizational units: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Get the direct child containers of a DN
+     */
+    getChildren(dn) {
+        const parent = dn.toLowerCase();
+        return [...this.containers.values()]
+            .filter(container => container.type !== 'domain' && this.ldbManager.getParentDN(container.dn).toLowerCase() === parent)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Render the OU tree from the domain root
+     */
+    renderTree() {
+        const tree = this.section.querySelector('#ou-tree');
+        const root = this.containers.get(this.domainDN.toLowerCase());
+        tree.innerHTML = `<ul class="ou-tree-list">${this.renderNode(root)}</ul>`;
+    }
+
+    /**
+     * Render a single tree node and its children
+     */
+    renderNode(container) {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const children = this.getChildren(container.dn);
+        const count = (this.objectsByParent.get(container.dn.toLowerCase()) || []).length;
+        const icon = container.type === 'domain' ? 'fas fa-globe' : container.type === 'ou' ? 'fas fa-folder' : 'fas fa-box';
+        const selected = this.selectedDN && this.selectedDN.toLowerCase() === container.dn.toLowerCase() ? 'selected' : '';
+
+        const label = `
+            <a href="#" class="ou-node ${selected}" data-ou-dn="${esc(container.dn)}">
+                <i class="${icon}"></i> ${esc(container.name)}
+                ${count > 0 ? `<small>(${count})</small>` : ''}
+            </a>`;
+
+        if (children.length === 0) {
+            return `<li class="ou-leaf">${label}</li>`;
+        }
+
+        return `
+            <li>
+                <details data-dn="${esc(container.dn)}" ${this.collapsed.has(container.dn) ? '' : 'open'}>
+                    <summary>${label}</summary>
+                    <ul class="ou-tree-list">${children.map(child => this.renderNode(child)).join('')}</ul>
+                </details>
+            </li>`;
+    }
+
+    /**
+     * Select a container and show its contents and actions
+     */
+    selectContainer(dn) {
+        const container = this.containers.get(dn.toLowerCase());
+        if (!container) return;
+
+        this.selectedDN = container.dn;
+        this.renderTree();
+
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const objects = (this.objectsByParent.get(container.dn.toLowerCase()) || [])
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const icons = { user: 'fas fa-user', computer: 'fas fa-desktop', group: 'fas fa-users' };
+        const typeLabels = { user: _("User"), computer: _("Computer"), group: _("Group") };
+        const isOU = container.type === 'ou';
+
+        this.section.querySelector('#ou-details').innerHTML = `
+            <div class="management-details-header">
+                <h3 class="pf-v5-c-title pf-m-md">${esc(container.name)}</h3>
+                <div class="management-toolbar-actions">
+                    ${container.type !== 'container' ? `
+                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="create-ou">
+                        <i class="fas fa-folder-plus"></i> ${_("New OU")}
+                    </button>` : ''}
+                    ${isOU ? `
+                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="rename-ou">${_("Rename")}</button>
+                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="move-ou">${_("Move")}</button>
+                    <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete-ou">${_("Delete")}</button>` : ''}
+                </div>
+            </div>
+            <p class="ou-dn"><code>${esc(container.dn)}</code></p>
+            ${container.description ? `<p>${esc(container.description)}</p>` : ''}
+            ${objects.length === 0
+                ? `<p class="management-empty">${_("No users, groups or computers in this container.")}</p>`
+                : `
+                <table class="pf-v5-c-table pf-m-compact" role="grid" aria-label="${_("Container contents")}">
+                    <thead>
+                        <tr>
+                            <th scope="col">${_("Name")}</th>
+                            <th scope="col">${_("Type")}</th>
+                            <th scope="col">${_("Actions")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${objects.map(object => `
+                            <tr>
+                                <td><i class="${icons[object.type]}"></i> ${esc(object.name)}</td>
+                                <td>${typeLabels[object.type]}</td>
+                                <td class="management-row-actions">
+                                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="move-object"
+                                            data-name="${esc(object.name)}" data-type="${object.type}" data-dn="${esc(object.dn)}">${_("Move")}</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`}
+        `;
+    }
+
+    /**
+     * Build select options for every container that can hold objects
+     */
+    getTargetOptions(excludeDN = null) {
+        const exclude = excludeDN ? excludeDN.toLowerCase() : null;
+        return [...this.containers.values()]
+            .filter(container => !exclude ||
+                (container.dn.toLowerCase() !== exclude && !container.dn.toLowerCase().endsWith(',' + exclude)))
+            .map(container => ({ value: container.dn, label: container.dn }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Run a samba-tool command and reload the tree
+     */
+    async runAction(args, successMessage) {
+        try {
+            await cockpit.spawn(['samba-tool', ...args], { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(successMessage);
+            document.dispatchEvent(new CustomEvent('directory-changed', { detail: { type: 'ou' } }));
+            await this.loadTree();
+            return true;
+        } catch (error) {
+            console.error(`samba-tool ${args[0]} ${args[1]} failed:`, error);
+            this.uiManager.showError(cockpit.format(_("samba-tool $0 $1 failed: $2"), args[0], args[1], error.message));
+            return false;
+        }
+    }
+
+    /**
+     * Create a child OU under the given parent
+     */
+    async createOU(parentDN) {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Create Organizational Unit"),
+            submitLabel: _("Create"),
+            intro: cockpit.format(_("Parent: $0"), this.uiManager.escapeHtml(parentDN)),
+            fields: [
+                { name: 'name', label: _("Name"), required: true },
+                { name: 'description', label: _("Description") }
+            ]
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const dn = `OU=${this.ldbManager.escapeDNValue(values.name)},${parentDN}`;
+        const args = ['ou', 'create', dn];
+        if (values.description) args.push('--description=' + values.description);
+
+        if (await this.runAction(args, cockpit.format(_("Organizational unit $0 created"), values.name))) {
+            this.selectContainer(dn);
+        }
+    }
+
+    /**
+     * Rename an OU in place
+     */
+    async renameOU(dn) {
+        const container = this.containers.get(dn.toLowerCase());
+        const values = await this.uiManager.showFormDialog({
+            title: _("Rename Organizational Unit"),
+            submitLabel: _("Rename"),
+            fields: [{ name: 'name', label: _("New Name"), required: true, value: container.name }]
+        });
+
+        if (!values || values.name === container.name) {
+            return;
+        }
+
+        const newDN = `OU=${this.ldbManager.escapeDNValue(values.name)},${this.ldbManager.getParentDN(dn)}`;
+        if (await this.runAction(['ou', 'rename', dn, newDN], cockpit.format(_("Organizational unit renamed to $0"), values.name))) {
+            this.selectContainer(newDN);
+        }
+    }
+
+    /**
+     * Move an OU under a new parent
+     */
+    async moveOU(dn) {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Move Organizational Unit"),
+            submitLabel: _("Move"),
+            fields: [{
+                name: 'target',
+                label: _("New Parent"),
+                type: 'select',
+                value: this.ldbManager.getParentDN(dn),
+                options: this.getTargetOptions(dn).filter(option => !option.value.toLowerCase().startsWith('cn='))
+            }]
+        });
+
+        if (!values || values.target.toLowerCase() === this.ldbManager.getParentDN(dn).toLowerCase()) {
+            return;
+        }
+
+        const newDN = `${this.ldbManager.splitDN(dn)[0]},${values.target}`;
+        if (await this.runAction(['ou', 'move', dn, values.target], _("Organizational unit moved"))) {
+            this.selectContainer(newDN);
+        }
+    }
+
+    /**
+     * Delete an OU, optionally including everything below it
+     */
+    async deleteOU(dn) {
+        const hasChildren = this.getChildren(dn).length > 0 ||
+            [...this.objectsByParent.keys()].some(parent => parent === dn.toLowerCase() || parent.endsWith(',' + dn.toLowerCase()));
+
+        const message = hasChildren
+            ? cockpit.format(_("$0 is not empty. Delete it together with every object below it? This cannot be undone."), dn)
+            : cockpit.format(_("Delete organizational unit $0?"), dn);
+
+        if (!this.uiManager.confirm(message, _("Delete Organizational Unit"))) {
+            return;
+        }
+
+        const args = ['ou', 'delete', dn];
+        if (hasChildren) args.push('--force-subtree-delete');
+
+        this.selectedDN = null;
+        await this.runAction(args, _("Organizational unit deleted"));
+    }
+
+    /**
+     * Move a user, group or computer to another container
+     */
+    async moveObject(name, type, dn) {
+        const currentParent = this.ldbManager.getParentDN(dn);
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Move $0"), name),
+            submitLabel: _("Move"),
+            fields: [{
+                name: 'target',
+                label: _("Destination"),
+                type: 'select',
+                value: currentParent,
+                options: this.getTargetOptions()
+            }]
+        });
+
+        if (!values || values.target.toLowerCase() === currentParent.toLowerCase()) {
+            return;
+        }
+
+        // samba-tool computer move expects the account name without the trailing $
+        const accountName = type === 'computer' ? name.replace(/\$$/, '') : name;
+        await this.runAction([type, 'move', accountName, values.target],
+            cockpit.format(_("$0 moved to $1"), name, values.target));
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Password Policy Management Module
+ * Views and edits the domain password and lockout policy through samba-tool domain passwordsettings
+ */
+
+const _ = cockpit.gettext;
+
+// Lines printed by "samba-tool domain passwordsettings show" and the matching set options
+export const POLICY_SETTINGS = [
+    { key: 'complexity', label: 'Password complexity', pattern: /Password complexity:\s*(\w+)/i, option: '--complexity', type: 'onoff' },
+    { key: 'storePlaintext', label: 'Store plaintext passwords', pattern: /Store plaintext passwords:\s*(\w+)/i, option: '--store-plaintext', type: 'onoff' },
+    { key: 'historyLength', label: 'Password history length', pattern: /Password history length:\s*(\d+)/i, option: '--history-length', unit: 'passwords' },
+    { key: 'minLength', label: 'Minimum password length', pattern: /Minimum password length:\s*(\d+)/i, option: '--min-pwd-length', unit: 'characters' },
+    { key: 'minAge', label: 'Minimum password age', pattern: /Minimum password age \(days\):\s*(\d+)/i, option: '--min-pwd-age', unit: 'days' },
+    { key: 'maxAge', label: 'Maximum password age', pattern: /Maximum password age \(days\):\s*(\d+)/i, option: '--max-pwd-age', unit: 'days' },
+    { key: 'lockoutThreshold', label: 'Account lockout threshold', pattern: /Account lockout threshold \(attempts\):\s*(\d+)/i, option: '--account-lockout-threshold', unit: 'attempts' },
+    { key: 'lockoutDuration', label: 'Account lockout duration', pattern: /Account lockout duration \(mins\):\s*(\d+)/i, option: '--account-lockout-duration', unit: 'minutes' },
+    { key: 'lockoutReset', label: 'Reset lockout counter after', pattern: /Reset account lockout after \(mins\):\s*(\d+)/i, option: '--reset-account-lockout-after', unit: 'minutes' }
+];
+
+export class PasswordPolicyManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.policy = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the password policy card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'password-policy-section',
+            icon: 'fas fa-key',
+            title: 'Password Policy',
+            description: 'Default domain password and account lockout policy, as enforced by Samba.',
+            body: `
+                <div class="management-toolbar">
+                    <div></div>
+                    <div class="management-toolbar-actions">
+                        <button id="edit-password-policy-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                            <i class="fas fa-edit"></i> ${_("Edit Policy")}
+                        </button>
+                        <button id="refresh-password-policy-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="password-policy-display">
+                    <p class="management-empty">${_("Loading password policy...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.loadPolicy()
+        });
+
+        this.section.querySelector('#edit-password-policy-btn').addEventListener('click', () => this.editPolicy());
+        this.section.querySelector('#refresh-password-policy-btn').addEventListener('click', () => this.loadPolicy());
+        return this.section;
+    }
+
+    /**
+     * Read the effective domain password policy
+     */
+    async getPolicy() {
+        const output = await cockpit.spawn(['samba-tool', 'domain', 'passwordsettings', 'show'],
+            { superuser: "try", err: "message" });
+        return this.parsePolicy(output);
+    }
+
+    /**
+     * Parse passwordsettings show output into a policy object
+     */
+    parsePolicy(output) {
+        const policy = {};
+        POLICY_SETTINGS.forEach(setting => {
+            const match = output.match(setting.pattern);
+            if (!match) {
+                policy[setting.key] = null;
+            } else if (setting.type === 'onoff') {
+                policy[setting.key] = match[1].toLowerCase() === 'on';
+            } else {
+                policy[setting.key] = parseInt(match[1], 10);
+            }
+        });
+        return policy;
+    }
+
+    /**
+     * Load and display the current policy
+     */
+    async loadPolicy() {
+        const display = this.section.querySelector('#password-policy-display');
+        const editBtn = this.section.querySelector('#edit-password-policy-btn');
+        display.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading password policy...")}</p>`;
+        editBtn.disabled = true;
+
+        try {
+            this.policy = await this.getPolicy();
+            display.innerHTML = `
+                <dl class="pf-v5-c-description-list pf-m-horizontal policy-list">
+                    ${POLICY_SETTINGS.map(setting => `
+                        <div class="pf-v5-c-description-list__group">
+                            <dt class="pf-v5-c-description-list__term">${_(setting.label)}</dt>
+                            <dd class="pf-v5-c-description-list__description">${this.formatValue(setting, this.policy[setting.key])}</dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            `;
+            editBtn.disabled = false;
+        } catch (error) {
+            console.error('Failed to load password policy:', error);
+            display.innerHTML = `<p class="management-empty error">${_("Failed to load password policy: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Format a policy value for display
+     */
+    formatValue(setting, value) {
+        if (value === null || value === undefined) {
+            return _("Unknown");
+        }
+        if (setting.type === 'onoff') {
+            return value ? _("Enabled") : _("Disabled");
+        }
+        if (setting.key === 'maxAge' && value === 0) {
+            return _("Passwords never expire");
+        }
+        if (setting.key === 'lockoutThreshold' && value === 0) {
+            return _("Accounts are never locked out");
+        }
+        if (setting.key === 'lockoutDuration' && value === 0) {
+            return _("Until an administrator unlocks the account");
+        }
+        return `${value} ${_(setting.unit)}`;
+    }
+
+    /**
+     * Validate a proposed policy, returning an error message or null
+     */
+    validatePolicy(values) {
+        for (const setting of POLICY_SETTINGS.filter(s => s.type !== 'onoff')) {
+            const value = Number(values[setting.key]);
+            if (!Number.isInteger(value) || value < 0) {
+                return cockpit.format(_("$0 must be a whole number of zero or more"), _(setting.label));
+            }
+        }
+        if (Number(values.historyLength) > 24) {
+            return _("Password history length cannot exceed 24");
+        }
+        if (Number(values.maxAge) > 0 && Number(values.minAge) >= Number(values.maxAge)) {
+            return _("Minimum password age must be less than the maximum password age");
+        }
+        if (Number(values.lockoutThreshold) > 0) {
+            if (Number(values.lockoutReset) === 0) {
+                return _("Reset lockout counter after must be at least 1 minute when lockout is enabled");
+            }
+            if (Number(values.lockoutDuration) !== 0 && Number(values.lockoutDuration) < Number(values.lockoutReset)) {
+                return _("Lockout duration must be greater than or equal to the lockout counter reset time");
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Show the policy editor and apply changed settings
+     */
+    async editPolicy() {
+        const fields = POLICY_SETTINGS.map(setting => setting.type === 'onoff'
+            ? { name: setting.key, label: _(setting.label), type: 'checkbox', value: this.policy[setting.key] }
+            : {
+                name: setting.key,
+                label: `${_(setting.label)} (${_(setting.unit)})`,
+                type: 'number',
+                min: 0,
+                value: this.policy[setting.key],
+                helper: {
+                    maxAge: _("Use 0 for passwords that never expire"),
+                    lockoutThreshold: _("Use 0 to disable account lockout"),
+                    lockoutDuration: _("Use 0 to keep accounts locked until an administrator unlocks them")
+                }[setting.key]
+            });
+
+        const values = await this.uiManager.showFormDialog({
+            title: _("Edit Password Policy"),
+            submitLabel: _("Apply"),
+            fields,
+            validate: (v) => this.validatePolicy(v)
+        });
+
+        if (!values) {
+            return;
+        }
+
+        // Only pass settings that actually changed
+        const args = [];
+        POLICY_SETTINGS.forEach(setting => {
+            if (setting.type === 'onoff') {
+                if (values[setting.key] !== this.policy[setting.key]) {
+                    args.push(`${setting.option}=${values[setting.key] ? 'on' : 'off'}`);
+                }
+            } else if (Number(values[setting.key]) !== this.policy[setting.key]) {
+                args.push(`${setting.option}=${Number(values[setting.key])}`);
+            }
+        });
+
+        if (args.length === 0) {
+            this.uiManager.showInfo(_("No policy settings were changed"));
+            return;
+        }
+
+        if (values.storePlaintext && !this.policy.storePlaintext &&
+            !this.uiManager.confirm(_("Storing plaintext passwords weakens security for every account. Continue?"), _("Store Plaintext Passwords"))) {
+            return;
+        }
+
+        try {
+            await cockpit.spawn(['samba-tool', 'domain', 'passwordsettings', 'set', ...args],
+                { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(_("Password policy updated"));
+        } catch (error) {
+            console.error('Failed to update password policy:', error);
+            this.uiManager.showError(_("Failed to update password policy: ") + error.message);
+        }
+
+        await this.loadPolicy();
+    }
+}
@@ -0,0 +1,487 @@
+/**
+ * Fine-Grained Password Policy Module
+ * Manages Password Settings Objects through samba-tool domain passwordsettings pso
+ */
+
+import { POLICY_SETTINGS } from './password-policy-manager.js';
+
+const _ = cockpit.gettext;
+
+// msDS-PasswordSettings attributes matching the domain policy keys
+const PSO_ATTRIBUTES = {
+    precedence: 'msDS-PasswordSettingsPrecedence',
+    complexity: 'msDS-PasswordComplexityEnabled',
+    storePlaintext: 'msDS-PasswordReversibleEncryptionEnabled',
+    historyLength: 'msDS-PasswordHistoryLength',
+    minLength: 'msDS-MinimumPasswordLength',
+    minAge: 'msDS-MinimumPasswordAge',
+    maxAge: 'msDS-MaximumPasswordAge',
+    lockoutThreshold: 'msDS-LockoutThreshold',
+    lockoutDuration: 'msDS-LockoutDuration',
+    lockoutReset: 'msDS-LockoutObservationWindow',
+    appliesTo: 'msDS-PSOAppliesTo'
+};
+
+// Intervals are stored as negative 100-nanosecond counts
+const TICKS_PER_MINUTE = 600000000;
+const TICKS_PER_DAY = 864000000000;
+
+export class PsoManager {
+    constructor(uiManager, ldbManager, passwordPolicyManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.passwordPolicyManager = passwordPolicyManager;
+        this.psos = [];
+        this.section = null;
+    }
+
+    /**
+     * Create the PSO management card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'pso-management-section',
+            icon: 'fas fa-user-shield',
+            title: 'Fine-Grained Password Policies',
+            description: 'Password Settings Objects override the domain policy for the users and groups they apply to. The lowest precedence wins.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <input type="text" class="pf-v5-c-form-control management-search" id="pso-lookup-name"
+                               placeholder="${_("User name")}" aria-label="${_("User name")}">
+                        <button id="pso-lookup-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-search"></i> ${_("Show Effective Policy")}
+                        </button>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="create-pso-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-plus"></i> ${_("Create PSO")}
+                        </button>
+                        <button id="refresh-psos-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="pso-lookup-result" class="management-details hidden"></div>
+                <div id="pso-table-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading password settings objects...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.loadPsos()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar and table events
+     */
+    bindEvents() {
+        this.section.querySelector('#create-pso-btn').addEventListener('click', () => this.createPso());
+        this.section.querySelector('#refresh-psos-btn').addEventListener('click', () => this.loadPsos());
+        this.section.querySelector('#pso-lookup-btn').addEventListener('click', () => this.showEffectivePolicy());
+        this.section.querySelector('#pso-lookup-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.showEffectivePolicy();
+        });
+
+        this.section.querySelector('#pso-table-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const pso = this.psos.find(p => p.name === button.dataset.pso);
+            if (!pso) return;
+
+            switch (button.dataset.action) {
+                case 'move-up':
+                    this.movePso(pso, -1);
+                    break;
+                case 'move-down':
+                    this.movePso(pso, 1);
+                    break;
+                case 'edit':
+                    this.editPso(pso);
+                    break;
+                case 'apply':
+                    this.applyPso(pso);
+                    break;
+                case 'unapply':
+                    this.unapplyPso(pso, button.dataset.target);
+                    break;
+                case 'delete':
+                    this.deletePso(pso);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Load all PSOs from the Password Settings Container
+     */
+    async loadPsos() {
+        const container = this.section.querySelector('#pso-table-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading password settings objects...")}</p>`;
+
+        try {
+            const domainDN = await this.ldbManager.getDomainDN();
+            const entries = await this.ldbManager.search('(objectClass=msDS-PasswordSettings)',
+                ['name', ...Object.values(PSO_ATTRIBUTES)],
+                { base: `CN=Password Settings Container,CN=System,${domainDN}`, scope: 'one' });
+
+            const targetNames = await this.resolveNames(entries.flatMap(entry =>
+                this.ldbManager.getValues(entry, PSO_ATTRIBUTES.appliesTo)));
+
+            this.psos = entries.map(entry => this.parsePsoEntry(entry, targetNames))
+                .sort((a, b) => a.precedence - b.precedence || a.name.localeCompare(b.name));
+            this.renderTable();
+        } catch (error) {
+            console.error('Failed to load PSOs:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load password settings objects: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Map DNs to sAMAccountNames for the users and groups PSOs apply to
+     */
+    async resolveNames(dns) {
+        const names = new Map();
+        if (dns.length === 0) {
+            return names;
+        }
+
+        const domainDN = await this.ldbManager.getDomainDN();
+        const filter = '(|' + dns.map(dn => `(distinguishedName=${this.ldbManager.escapeFilterValue(dn)})`).join('') + ')';
+        const entries = await this.ldbManager.search(filter, ['sAMAccountName'], { base: domainDN, scope: 'sub' });
+        entries.forEach(entry => names.set(entry.dn.toLowerCase(), this.ldbManager.getValue(entry, 'sAMAccountName')));
+        return names;
+    }
+
+    /**
+     * Convert an msDS-PasswordSettings entry into the domain policy shape
+     */
+    parsePsoEntry(entry, targetNames) {
+        const value = (key) => this.ldbManager.getValue(entry, PSO_ATTRIBUTES[key], '0');
+        // The minimum int64 means "never" for ages and durations
+        const interval = (key, ticks) => value(key) === '-9223372036854775808'
+            ? 0
+            : Math.round(Math.abs(Number(value(key))) / ticks);
+
+        return {
+            dn: entry.dn,
+            name: this.ldbManager.getValue(entry, 'name') || this.ldbManager.getRDNValue(entry.dn),
+            precedence: parseInt(value('precedence'), 10),
+            complexity: value('complexity') === 'TRUE',
+            storePlaintext: value('storePlaintext') === 'TRUE',
+            historyLength: parseInt(value('historyLength'), 10),
+            minLength: parseInt(value('minLength'), 10),
+            minAge: interval('minAge', TICKS_PER_DAY),
+            maxAge: interval('maxAge', TICKS_PER_DAY),
+            lockoutThreshold: parseInt(value('lockoutThreshold'), 10),
+            lockoutDuration: interval('lockoutDuration', TICKS_PER_MINUTE),
+            lockoutReset: interval('lockoutReset', TICKS_PER_MINUTE),
+            appliesTo: this.ldbManager.getValues(entry, PSO_ATTRIBUTES.appliesTo).map(dn => ({
+                dn,
+                name: targetNames.get(dn.toLowerCase()) || this.ldbManager.getRDNValue(dn)
+            }))
+        };
+    }
+
+    /**
+     * Render the PSO table in precedence order
+     */
+    renderTable() {
+        const container = this.section.querySelector('#pso-table-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.psos.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No password settings objects are defined. All accounts use the domain password policy.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Password settings objects")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Precedence")}</th>
+                        <th scope="col">${_("Name")}</th>
+                        <th scope="col">${_("Min Length")}</th>
+                        <th scope="col">${_("Complexity")}</th>
+                        <th scope="col">${_("Max Age")}</th>
+                        <th scope="col">${_("Lockout")}</th>
+                        <th scope="col">${_("Applies To")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.psos.map((pso, index) => `
+                        <tr>
+                            <td data-label="${_("Precedence")}">
+                                ${pso.precedence}
+                                <button class="pf-v5-c-button pf-m-plain pf-m-small" type="button" data-action="move-up" data-pso="${esc(pso.name)}"
+                                        ${index === 0 ? 'disabled' : ''} aria-label="${_("Raise priority")}"><i class="fas fa-arrow-up"></i></button>
+                                <button class="pf-v5-c-button pf-m-plain pf-m-small" type="button" data-action="move-down" data-pso="${esc(pso.name)}"
+                                        ${index === this.psos.length - 1 ? 'disabled' : ''} aria-label="${_("Lower priority")}"><i class="fas fa-arrow-down"></i></button>
+                            </td>
+                            <td data-label="${_("Name")}"><strong>${esc(pso.name)}</strong></td>
+                            <td data-label="${_("Min Length")}">${pso.minLength}</td>
+                            <td data-label="${_("Complexity")}">${pso.complexity ? _("On") : _("Off")}</td>
+                            <td data-label="${_("Max Age")}">${pso.maxAge === 0 ? _("Never") : cockpit.format(_("$0 days"), pso.maxAge)}</td>
+                            <td data-label="${_("Lockout")}">${pso.lockoutThreshold === 0 ? _("Off")
+                                : cockpit.format(_("$0 attempts / $1 min"), pso.lockoutThreshold, pso.lockoutDuration)}</td>
+                            <td data-label="${_("Applies To")}">
+                                ${pso.appliesTo.length === 0 ? `<em>${_("Nobody")}</em>` : pso.appliesTo.map(target => `
+                                    <span class="pso-target">
+                                        ${esc(target.name)}
+                                        <button class="pf-v5-c-button pf-m-plain pf-m-small" type="button" data-action="unapply"
+                                                data-pso="${esc(pso.name)}" data-target="${esc(target.name)}" aria-label="${_("Remove")}">
+                                            <i class="fas fa-times"></i>
+                                        </button>
+                                    </span>`).join('')}
+                            </td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="apply" data-pso="${esc(pso.name)}">${_("Apply To")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="edit" data-pso="${esc(pso.name)}">${_("Edit")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete" data-pso="${esc(pso.name)}">${_("Delete")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Run a pso subcommand and reload the table
+     */
+    async runPsoCommand(args, successMessage, reload = true) {
+        try {
+            await cockpit.spawn(['samba-tool', 'domain', 'passwordsettings', 'pso', ...args],
+                { superuser: "try", err: "message" });
+            if (successMessage) {
+                this.uiManager.showSuccess(successMessage);
+            }
+            return true;
+        } catch (error) {
+            console.error(`samba-tool domain passwordsettings pso ${args[0]} failed:`, error);
+            this.uiManager.showError(cockpit.format(_("PSO $0 failed: $1"), args[0], error.message));
+            return false;
+        } finally {
+            if (reload) {
+                await this.loadPsos();
+            }
+        }
+    }
+
+    /**
+     * Build the PSO settings form, prefilled from an existing policy
+     */
+    getSettingsFields(policy) {
+        return POLICY_SETTINGS.map(setting => setting.type === 'onoff'
+            ? { name: setting.key, label: _(setting.label), type: 'checkbox', value: policy[setting.key] }
+            : { name: setting.key, label: `${_(setting.label)} (${_(setting.unit)})`, type: 'number', min: 0, value: policy[setting.key] });
+    }
+
+    /**
+     * Convert settings form values into samba-tool options
+     */
+    getSettingsArgs(values, current = null) {
+        const args = [];
+        POLICY_SETTINGS.forEach(setting => {
+            const value = setting.type === 'onoff' ? values[setting.key] : Number(values[setting.key]);
+            if (current && value === current[setting.key]) {
+                return;
+            }
+            args.push(setting.type === 'onoff'
+                ? `${setting.option}=${value ? 'on' : 'off'}`
+                : `${setting.option}=${value}`);
+        });
+        return args;
+    }
+
+    /**
+     * Create a PSO, defaulting its settings to the domain policy
+     */
+    async createPso() {
+        let defaults;
+        try {
+            defaults = await this.passwordPolicyManager.getPolicy();
+        } catch (error) {
+            this.uiManager.showError(_("Failed to read the domain password policy: ") + error.message);
+            return;
+        }
+
+        const nextPrecedence = this.psos.length > 0 ? Math.max(...this.psos.map(pso => pso.precedence)) + 10 : 10;
+
+        const values = await this.uiManager.showFormDialog({
+            title: _("Create Password Settings Object"),
+            submitLabel: _("Create"),
+            fields: [
+                { name: 'name', label: _("Name"), required: true },
+                { name: 'precedence', label: _("Precedence"), type: 'number', min: 1, value: nextPrecedence, required: true,
+                  helper: _("Lower values win when several PSOs apply to the same user") },
+                ...this.getSettingsFields(defaults)
+            ],
+            validate: (v) => {
+                if (!(parseInt(v.precedence, 10) > 0)) return _("Precedence must be a positive number");
+                if (this.psos.some(pso => pso.name.toLowerCase() === v.name.toLowerCase())) return _("A PSO with this name already exists");
+                return this.passwordPolicyManager.validatePolicy(v);
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        await this.runPsoCommand(['create', values.name, String(parseInt(values.precedence, 10)), ...this.getSettingsArgs(values)],
+            cockpit.format(_("Password settings object $0 created"), values.name));
+    }
+
+    /**
+     * Edit the settings and precedence of a PSO
+     */
+    async editPso(pso) {
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Edit $0"), pso.name),
+            submitLabel: _("Apply"),
+            fields: [
+                { name: 'precedence', label: _("Precedence"), type: 'number', min: 1, value: pso.precedence, required: true },
+                ...this.getSettingsFields(pso)
+            ],
+            validate: (v) => !(parseInt(v.precedence, 10) > 0)
+                ? _("Precedence must be a positive number")
+                : this.passwordPolicyManager.validatePolicy(v)
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const args = this.getSettingsArgs(values, pso);
+        if (parseInt(values.precedence, 10) !== pso.precedence) {
+            args.push('--precedence=' + parseInt(values.precedence, 10));
+        }
+        if (args.length === 0) {
+            return;
+        }
+
+        await this.runPsoCommand(['set', pso.name, ...args], cockpit.format(_("Password settings object $0 updated"), pso.name));
+    }
+
+    /**
+     * Swap precedence with the neighbouring PSO
+     */
+    async movePso(pso, direction) {
+        const index = this.psos.indexOf(pso);
+        const neighbour = this.psos[index + direction];
+        if (!neighbour) {
+            return;
+        }
+
+        let newPrecedence = neighbour.precedence;
+        let neighbourPrecedence = pso.precedence;
+
+        // Equal precedence would leave the order undefined, so step past the neighbour
+        if (newPrecedence === neighbourPrecedence) {
+            newPrecedence = Math.max(1, neighbourPrecedence + direction);
+            if (newPrecedence === neighbourPrecedence) {
+                neighbourPrecedence += 1;
+            }
+        }
+
+        if (await this.runPsoCommand(['set', pso.name, '--precedence=' + newPrecedence], null, false)) {
+            await this.runPsoCommand(['set', neighbour.name, '--precedence=' + neighbourPrecedence], null, false);
+        }
+        await this.loadPsos();
+    }
+
+    /**
+     * Apply a PSO to a user or group
+     */
+    async applyPso(pso) {
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Apply $0"), pso.name),
+            submitLabel: _("Apply"),
+            fields: [{ name: 'target', label: _("User or group name"), required: true }]
+        });
+
+        if (!values) {
+            return;
+        }
+
+        await this.runPsoCommand(['apply', pso.name, values.target],
+            cockpit.format(_("$0 now applies to $1"), pso.name, values.target));
+    }
+
+    /**
+     * Stop applying a PSO to a user or group
+     */
+    async unapplyPso(pso, target) {
+        if (!this.uiManager.confirm(cockpit.format(_("Stop applying $0 to $1?"), pso.name, target), _("Remove PSO Target"))) {
+            return;
+        }
+        await this.runPsoCommand(['unapply', pso.name, target],
+            cockpit.format(_("$0 no longer applies to $1"), pso.name, target));
+    }
+
+    /**
+     * Delete a PSO
+     */
+    async deletePso(pso) {
+        const message = pso.appliesTo.length > 0
+            ? cockpit.format(_("Delete $0? It currently applies to: $1. Those accounts will fall back to the next PSO or the domain policy."),
+                pso.name, pso.appliesTo.map(target => target.name).join(', '))
+            : cockpit.format(_("Delete $0?"), pso.name);
+
+        if (!this.uiManager.confirm(message, _("Delete PSO"))) {
+            return;
+        }
+        await this.runPsoCommand(['delete', pso.name], cockpit.format(_("Password settings object $0 deleted"), pso.name));
+    }
+
+    /**
+     * Show which PSO applies to a user, or the PSOs applied to a group
+     */
+    async showEffectivePolicy() {
+        const name = this.section.querySelector('#pso-lookup-name').value.trim();
+        const result = this.section.querySelector('#pso-lookup-result');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        if (!name) {
+            return;
+        }
+
+        result.classList.remove('hidden');
+        result.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> ${_("Checking...")}</p>`;
+
+        const direct = this.psos.filter(pso => pso.appliesTo.some(target => target.name.toLowerCase() === name.toLowerCase()));
+
+        try {
+            const domainDN = await this.ldbManager.getDomainDN();
+            const entries = await this.ldbManager.search(
+                `(sAMAccountName=${this.ldbManager.escapeFilterValue(name)})`, ['objectClass'], { base: domainDN, scope: 'sub' });
+            if (entries.length === 0) {
+                throw new Error(cockpit.format(_("No user or group named $0"), name));
+            }
+            const isGroup = this.ldbManager.getValues(entries[0], 'objectClass').some(c => c.toLowerCase() === 'group');
+
+            let effective = '';
+            if (!isGroup) {
+                effective = await cockpit.spawn(['samba-tool', 'domain', 'passwordsettings', 'pso', 'show-user', name],
+                    { superuser: "try", err: "message" });
+            }
+
+            result.innerHTML = `
+                <div class="management-details-header">
+                    <h3 class="pf-v5-c-title pf-m-md">${esc(name)} <small>${isGroup ? _("Group") : _("User")}</small></h3>
+                </div>
+                <p><strong>${_("Applied directly:")}</strong> ${direct.length > 0
+                    ? direct.map(pso => `${esc(pso.name)} (${pso.precedence})`).join(', ')
+                    : _("none")}</p>
+                ${isGroup
+                    ? `<p>${_("Members of this group receive the lowest-precedence PSO among those applied to them or to any of their groups.")}</p>`
+                    : `<pre class="pso-effective-output">${esc(effective.trim())}</pre>`}
+            `;
+        } catch (error) {
+            result.innerHTML = `<p class="management-empty error">${esc(error.message)}</p>`;
+        }
+    }
+}
@@ -0,0 +1,378 @@
+/**
+ * Replication Module
+ * Inbound and outbound DRS replication status of this DC from samba-tool drs showrepl
+ */
+
+const _ = cockpit.gettext;
+
+const DEFAULT_STALE_HOURS = 3;
+
+// Short labels for the naming contexts every DC replicates
+const PARTITION_LABELS = [
+    { pattern: /^CN=Schema,CN=Configuration,/i, label: 'Schema' },
+    { pattern: /^CN=Configuration,/i, label: 'Configuration' },
+    { pattern: /^DC=DomainDnsZones,/i, label: 'DomainDnsZones' },
+    { pattern: /^DC=ForestDnsZones,/i, label: 'ForestDnsZones' },
+    { pattern: /^DC=/i, label: 'Domain' }
+];
+
+// Naming contexts offered for targeted replication. Configuration, Schema and
+// ForestDnsZones belong to the forest root, so they come from the rootDSE rather
+// than the domain DN, which differs in a child domain.
+const PARTITIONS = [
+    { name: 'domain', label: 'Domain', base: 'defaultNamingContext', prefix: '' },
+    { name: 'configuration', label: 'Configuration', base: 'configurationNamingContext', prefix: '' },
+    { name: 'schema', label: 'Schema', base: 'schemaNamingContext', prefix: '' },
+    { name: 'domainDnsZones', label: 'DomainDnsZones', base: 'defaultNamingContext', prefix: 'DC=DomainDnsZones,' },
+    { name: 'forestDnsZones', label: 'ForestDnsZones', base: 'rootDomainNamingContext', prefix: 'DC=ForestDnsZones,' }
+];
+
+export class ReplicationManager {
+    constructor(uiManager, domainContext, ldbManager) {
+        this.uiManager = uiManager;
+        this.domainContext = domainContext;
+        this.ldbManager = ldbManager;
+        this.status = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the replication status card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'replication-section',
+            icon: 'fas fa-exchange-alt',
+            title: 'Replication Status',
+            description: 'Inbound and outbound replication partners of this DC for each naming context, from samba-tool drs showrepl.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="management-toolbar-filters">
+                        <label for="replication-stale-hours">${_("Stale after")}</label>
+                        <input type="number" class="pf-v5-c-form-control management-number" id="replication-stale-hours"
+                               min="1" value="${DEFAULT_STALE_HOURS}"> ${_("hours")}
+                        <div class="pf-v5-c-check">
+                            <input class="pf-v5-c-check__input" type="checkbox" id="replication-problems-only">
+                            <label class="pf-v5-c-check__label" for="replication-problems-only">${_("Problems only")}</label>
+                        </div>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="replicate-now-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-exchange-alt"></i> ${_("Replicate...")}
+                        </button>
+                        <button id="refresh-replication-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="replication-summary" class="management-summary"></div>
+                <div id="replication-container">
+                    <p class="management-empty">${_("Loading replication status...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.section.querySelector('#refresh-replication-btn').addEventListener('click', () => this.load());
+        this.section.querySelector('#replicate-now-btn').addEventListener('click', () => this.showReplicateDialog());
+        this.section.querySelector('#replication-problems-only').addEventListener('change', () => this.render());
+        this.section.querySelector('#replication-stale-hours').addEventListener('change', (e) => {
+            const hours = parseInt(e.target.value, 10);
+            e.target.value = hours > 0 ? hours : DEFAULT_STALE_HOURS;
+            this.render();
+        });
+        return this.section;
+    }
+
+    /**
+     * Get the staleness threshold currently entered in the toolbar
+     */
+    getStaleHours() {
+        return parseInt(this.section.querySelector('#replication-stale-hours').value, 10) || DEFAULT_STALE_HOURS;
+    }
+
+    /**
+     * Short name of a naming context DN
+     */
+    partitionLabel(dn) {
+        const match = PARTITION_LABELS.find(entry => entry.pattern.test(dn));
+        return match ? match.label : dn;
+    }
+
+    /**
+     * Parse a showrepl time; samba prints NTTIME(0) for never
+     */
+    parseTime(text) {
+        const time = Date.parse(text || '');
+        return Number.isNaN(time) ? null : new Date(time);
+    }
+
+    /**
+     * Convert a repsFrom/repsTo entry into a partnership row
+     */
+    parseNeighbour(neighbour, direction) {
+        const dsa = neighbour.DSA || '';
+        const [site, server] = dsa.includes('\\') ? dsa.split('\\') : ['', dsa || neighbour['DSA objectGUID']];
+        return {
+            direction,
+            nc: neighbour['NC dn'],
+            site,
+            server,
+            deleted: neighbour['is deleted'] === true,
+            lastSuccess: this.parseTime(neighbour['last success']),
+            lastAttempt: this.parseTime(neighbour['last attempt time']),
+            failures: neighbour['consecutive failures'] || 0,
+            message: neighbour['last attempt message'] || ''
+        };
+    }
+
+    /**
+     * Read samba-tool drs showrepl --json for this DC. Times are printed in the
+     * server's zone, so UTC is forced to keep them parseable.
+     */
+    async getReplicationStatus() {
+        const output = await cockpit.spawn(['samba-tool', 'drs', 'showrepl', '--json'],
+            { superuser: "try", err: "message", environ: ['TZ=UTC'] });
+        const data = JSON.parse(output);
+
+        return {
+            partners: [
+                ...(data.repsFrom || []).map(neighbour => this.parseNeighbour(neighbour, 'inbound')),
+                ...(data.repsTo || []).map(neighbour => this.parseNeighbour(neighbour, 'outbound'))
+            ],
+            connections: data.NTDSConnections || [],
+            dsa: data.dsa || {}
+        };
+    }
+
+    /**
+     * Classify a partnership as failing, stale, deleted or healthy
+     */
+    getHealth(partner, staleHours) {
+        if (partner.deleted) {
+            return 'deleted';
+        }
+        if (partner.failures > 0) {
+            return 'failing';
+        }
+        // Outbound entries only record notifications, so their age says nothing about health
+        if (partner.direction === 'inbound' &&
+            (!partner.lastSuccess || Date.now() - partner.lastSuccess.getTime() > staleHours * 3600 * 1000)) {
+            return 'stale';
+        }
+        return 'healthy';
+    }
+
+    /**
+     * Load replication status and render it
+     */
+    async load() {
+        const container = this.section.querySelector('#replication-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading replication status...")}</p>`;
+        this.section.querySelector('#replication-summary').textContent = '';
+
+        try {
+            this.status = await this.getReplicationStatus();
+            this.render();
+        } catch (error) {
+            console.error('Failed to read replication status:', error);
+            this.status = null;
+            container.innerHTML = `<p class="management-empty error">${_("Failed to read replication status: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render one table per naming context
+     */
+    render() {
+        if (!this.status) {
+            return;
+        }
+
+        const container = this.section.querySelector('#replication-container');
+        const summary = this.section.querySelector('#replication-summary');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const staleHours = this.getStaleHours();
+        const problemsOnly = this.section.querySelector('#replication-problems-only').checked;
+        const partners = this.status.partners.map(partner => ({ ...partner, health: this.getHealth(partner, staleHours) }));
+
+        const count = (health) => partners.filter(partner => partner.health === health).length;
+        summary.innerHTML = cockpit.format(_("$0 inbound and $1 outbound partnerships: $2 failing, $3 stale (no inbound success in $4 hours)"),
+            partners.filter(partner => partner.direction === 'inbound').length,
+            partners.filter(partner => partner.direction === 'outbound').length,
+            `<strong>${count('failing')}</strong>`, `<strong>${count('stale')}</strong>`, staleHours);
+
+        const rows = partners.filter(partner => !problemsOnly || partner.health !== 'healthy');
+        if (rows.length === 0) {
+            container.innerHTML = `<p class="management-empty">${partners.length === 0
+                ? _("This DC has no replication partners. A single DC domain has nothing to replicate.")
+                : _("All replication partnerships are healthy.")}</p>`;
+            return;
+        }
+
+        const badges = {
+            healthy: `<span class="pf-v5-c-badge pf-m-green">${_("Healthy")}</span>`,
+            stale: `<span class="pf-v5-c-badge pf-m-orange">${_("Stale")}</span>`,
+            failing: `<span class="pf-v5-c-badge pf-m-red">${_("Failing")}</span>`,
+            deleted: `<span class="pf-v5-c-badge" title="${_("The partner DC no longer exists; the KCC removes this entry")}">${_("Deleted DC")}</span>`
+        };
+        const time = (date) => date ? esc(date.toLocaleString()) : _("Never");
+
+        const partitions = [...new Set(rows.map(partner => partner.nc))]
+            .sort((a, b) => this.partitionLabel(a).localeCompare(this.partitionLabel(b)));
+
+        container.innerHTML = partitions.map(nc => `
+            <div class="management-details">
+                <div class="management-details-header">
+                    <h3 class="pf-v5-c-title pf-m-md">${esc(this.partitionLabel(nc))}</h3>
+                    <span class="replication-nc">${esc(nc)}</span>
+                </div>
+                <div class="management-table-container">
+                    <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${esc(cockpit.format(_("Replication partners for $0"), nc))}">
+                        <thead>
+                            <tr>
+                                <th scope="col">${_("Direction")}</th>
+                                <th scope="col">${_("Partner")}</th>
+                                <th scope="col">${_("Last success")}</th>
+                                <th scope="col">${_("Last attempt")}</th>
+                                <th scope="col">${_("Failures")}</th>
+                                <th scope="col">${_("Status")}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.filter(partner => partner.nc === nc).map(partner => `
+                                <tr>
+                                    <td data-label="${_("Direction")}">
+                                        <i class="fas ${partner.direction === 'inbound' ? 'fa-arrow-down' : 'fa-arrow-up'}" aria-hidden="true"></i>
+                                        ${partner.direction === 'inbound' ? _("Inbound") : _("Outbound")}
+                                    </td>
+                                    <td data-label="${_("Partner")}">
+                                        <strong>${esc(partner.server)}</strong>
+                                        ${partner.site ? `<div class="replication-site">${esc(partner.site)}</div>` : ''}
+                                    </td>
+                                    <td data-label="${_("Last success")}">${time(partner.lastSuccess)}</td>
+                                    <td data-label="${_("Last attempt")}">${time(partner.lastAttempt)}</td>
+                                    <td data-label="${_("Failures")}">${partner.failures}</td>
+                                    <td data-label="${_("Status")}">
+                                        ${badges[partner.health]}
+                                        ${partner.failures > 0 ? `<div class="replication-error">${esc(partner.message)}</div>` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * List this DC and its replication partners as DNS names, this DC first
+     */
+    async getDomainControllers(realm) {
+        const localHost = (await cockpit.spawn(['hostname', '-s'])).trim().toLowerCase();
+        const status = this.status || await this.getReplicationStatus();
+
+        // NTDS connections carry the partner's DNS name; otherwise assume it lives in the realm
+        const dnsNames = new Map(status.connections
+            .filter(connection => connection['dns name'])
+            .map(connection => [connection['dns name'].split('.')[0].toLowerCase(), connection['dns name'].toLowerCase()]));
+
+        const servers = [...new Set(status.partners.filter(partner => !partner.deleted).map(partner => partner.server.toLowerCase()))]
+            .filter(server => server !== localHost)
+            .sort();
+
+        return [
+            { host: `${localHost}.${realm}`, label: cockpit.format(_("$0 (this DC)"), localHost) },
+            ...servers.map(server => ({ host: dnsNames.get(server) || `${server}.${realm}`, label: server }))
+        ];
+    }
+
+    /**
+     * Pick a source DC, destination DC and naming contexts, then replicate each
+     * naming context in turn with the output streamed to the log modal
+     */
+    async showReplicateDialog() {
+        let rootDSE;
+        let dcs;
+        try {
+            const context = await this.domainContext.require();
+            rootDSE = await this.ldbManager.getRootDSE();
+            dcs = await this.getDomainControllers(context.realm);
+        } catch (error) {
+            console.error('Failed to list replication partners:', error);
+            this.uiManager.showError(_("Failed to list replication partners: ") + error.message);
+            return false;
+        }
+
+        if (dcs.length < 2) {
+            this.uiManager.showInfo(_("This DC has no replication partners to replicate with."));
+            return false;
+        }
+
+        const options = dcs.map(dc => ({ value: dc.host, label: dc.label }));
+        const values = await this.uiManager.showFormDialog({
+            title: _("Replicate Naming Contexts"),
+            submitLabel: _("Replicate"),
+            intro: this.uiManager.escapeHtml(_("The destination DC pulls the changes in each selected naming context from the source DC. Pick only the partitions that need to catch up; a DNS change only needs DomainDnsZones.")),
+            fields: [
+                { name: 'source', label: _("Source DC"), type: 'select', value: dcs[1].host, options },
+                { name: 'destination', label: _("Destination DC"), type: 'select', value: dcs[0].host, options },
+                ...PARTITIONS.map(partition => ({ name: partition.name, label: _(partition.label), type: 'checkbox' })),
+                { name: 'fullSync', label: _("Full sync (resend every object instead of changes since the last replication)"), type: 'checkbox' }
+            ],
+            validate: (v) => {
+                if (v.source === v.destination) {
+                    return _("The source and destination DC must differ");
+                }
+                return PARTITIONS.some(partition => v[partition.name]) ? null : _("Select at least one naming context");
+            }
+        });
+
+        if (!values) {
+            return false;
+        }
+
+        const selected = PARTITIONS.filter(partition => values[partition.name]);
+        const results = [];
+        this.uiManager.showLogModal(cockpit.format(_("Replicating from $0 to $1..."), values.source, values.destination));
+
+        for (const partition of selected) {
+            const nc = partition.prefix + rootDSE[partition.base];
+            const command = ['samba-tool', 'drs', 'replicate', values.destination, values.source, nc, '--machine-pass'];
+            if (values.fullSync) {
+                command.push('--full-sync');
+            }
+
+            this.uiManager.appendLogOutput(`\n$ ${command.join(' ')}\n`);
+            let output = '';
+            try {
+                await cockpit.spawn(command, { superuser: "try", err: "out" })
+                    .stream(data => {
+                        output += data;
+                        this.uiManager.appendLogOutput(data);
+                    });
+                results.push({ label: partition.label, ok: true });
+            } catch (error) {
+                const lastLine = output.trim().split('\n').pop();
+                results.push({ label: partition.label, ok: false, message: lastLine || error.message });
+            }
+        }
+
+        this.uiManager.appendLogOutput('\n' + _("Summary:") + '\n' + results.map(result =>
+            `  ${result.label}: ${result.ok ? _("replicated") : _("failed") + ' - ' + result.message}`).join('\n') + '\n');
+
+        const failed = results.filter(result => !result.ok);
+        if (failed.length === 0) {
+            this.uiManager.showSuccess(cockpit.format(_("Replicated $0"), results.map(result => result.label).join(', ')));
+        } else {
+            this.uiManager.showError(cockpit.format(_("Replication failed for $0 of $1 naming contexts: $2"),
+                failed.length, results.length, failed.map(result => result.label).join(', ')));
+        }
+
+        if (this.status) {
+            await this.load();
+        }
+        return failed.length === 0;
+    }
+}
@@ -0,0 +1,500 @@
+/**
+ * Reverse Zone Management Module
+ * Creates in-addr.arpa zones for the subnets this DC serves and keeps PTR records in line with A/AAAA records
+ */
+
+const _ = cockpit.gettext;
+
+// Issues found by the PTR consistency check
+const ISSUE_LABELS = {
+    missing: 'Missing PTR',
+    mismatch: 'PTR points elsewhere',
+    orphan: 'Stale PTR',
+    'no-zone': 'No reverse zone'
+};
+
+export class ReverseZoneManager {
+    constructor(uiManager, dnsManager, networkManager) {
+        this.uiManager = uiManager;
+        this.dnsManager = dnsManager;
+        this.networkManager = networkManager;
+        this.zones = [];
+        this.subnets = [];
+        this.issues = [];
+        this.section = null;
+    }
+
+    /**
+     * Create the reverse lookup zone card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'reverse-zone-section',
+            icon: 'fas fa-exchange-alt',
+            title: 'Reverse Lookup Zones',
+            description: 'Reverse zones for the networks this DC serves, and a check that PTR records match forward records.',
+            body: `
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Detected subnets")}</h3>
+                        <div class="management-toolbar-actions">
+                            <button id="create-missing-zones-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                                <i class="fas fa-plus"></i> ${_("Create Missing Zones")}
+                            </button>
+                            <button id="refresh-subnets-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                                <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                            </button>
+                        </div>
+                    </div>
+                    <div id="reverse-subnet-container" class="management-table-container">
+                        <p class="management-empty">${_("Detecting subnets...")}</p>
+                    </div>
+                </div>
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("PTR consistency")}</h3>
+                        <div class="management-toolbar-actions">
+                            <button id="fix-ptr-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                                <i class="fas fa-wrench"></i> ${_("Fix Selected")}
+                            </button>
+                            <button id="check-ptr-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                                <i class="fas fa-search"></i> ${_("Run Check")}
+                            </button>
+                        </div>
+                    </div>
+                    <div id="ptr-check-summary" class="management-summary"></div>
+                    <div id="ptr-check-container" class="management-table-container">
+                        <p class="management-empty">${_("Run the check to compare A and AAAA records with PTR records.")}</p>
+                    </div>
+                </div>
+            `,
+            onFirstExpand: () => this.loadSubnets()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind zone creation and consistency check events
+     */
+    bindEvents() {
+        this.section.querySelector('#refresh-subnets-btn').addEventListener('click', () => this.loadSubnets());
+        this.section.querySelector('#create-missing-zones-btn').addEventListener('click', () => {
+            this.createZones(this.subnets.filter(subnet => subnet.status === 'missing').map(subnet => subnet.zone));
+        });
+        this.section.querySelector('#check-ptr-btn').addEventListener('click', () => this.runCheck());
+        this.section.querySelector('#fix-ptr-btn').addEventListener('click', () => this.fixSelected());
+
+        this.section.querySelector('#reverse-subnet-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-zone]');
+            if (button) {
+                this.createZones([button.dataset.zone]);
+            }
+        });
+
+        this.section.querySelector('#ptr-check-container').addEventListener('change', (e) => {
+            if (e.target.id === 'ptr-select-all') {
+                this.section.querySelectorAll('.ptr-select:not(:disabled)').forEach(checkbox => {
+                    checkbox.checked = e.target.checked;
+                });
+            }
+            this.section.querySelector('#fix-ptr-btn').disabled =
+                this.section.querySelectorAll('.ptr-select:checked').length === 0;
+        });
+    }
+
+    /**
+     * Convert a dotted IPv4 address to an unsigned integer
+     */
+    ipToInt(ip) {
+        return ip.split('.').reduce((value, octet) => ((value << 8) | parseInt(octet, 10)) >>> 0, 0);
+    }
+
+    /**
+     * Convert an unsigned integer to a dotted IPv4 address
+     */
+    intToIp(value) {
+        return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+    }
+
+    /**
+     * Turn an in-addr.arpa name back into an IPv4 address for display
+     */
+    reverseNameToIp(reverseName) {
+        const match = reverseName.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)\.in-addr\.arpa$/i);
+        return match ? match.slice(1).reverse().join('.') : reverseName;
+    }
+
+    /**
+     * Get the network address and reverse zone for an IPv4 address and prefix.
+     * Zones are created on octet boundaries, so a /20 is served by its /16 zone.
+     */
+    getSubnetZone(ip, prefix) {
+        const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+        const network = this.intToIp((this.ipToInt(ip) & mask) >>> 0);
+        const octets = Math.min(3, Math.max(1, Math.floor(prefix / 8)));
+
+        return {
+            network: `${network}/${prefix}`,
+            zone: network.split('.').slice(0, octets).reverse().join('.') + '.in-addr.arpa'
+        };
+    }
+
+    /**
+     * Collect subnets from interface addresses and the DHCP configuration
+     */
+    async detectSubnets() {
+        const found = [];
+
+        const interfaces = await this.networkManager.getNetworkInterfaces();
+        interfaces.forEach(iface => {
+            iface.addresses.forEach(address => {
+                const [ip, prefix] = address.split('/');
+                if (ip.startsWith('127.') || ip.startsWith('169.254.')) {
+                    return;
+                }
+                found.push({ ...this.getSubnetZone(ip, parseInt(prefix || '24', 10)), source: cockpit.format(_("Interface $0"), iface.name) });
+            });
+        });
+
+        const dhcp = await this.networkManager.getDhcpSettings();
+        if (dhcp && this.dnsManager.isIPv4(dhcp.subnet)) {
+            const prefix = dhcp.netmask ? this.networkManager.netmaskToPrefix(dhcp.netmask) : 24;
+            found.push({ ...this.getSubnetZone(dhcp.subnet, prefix), source: _("DHCP scope") });
+        }
+
+        // One row per zone, listing every source that needs it
+        const subnets = new Map();
+        found.forEach(subnet => {
+            const existing = subnets.get(subnet.zone);
+            if (existing) {
+                if (!existing.networks.includes(subnet.network)) existing.networks.push(subnet.network);
+                if (!existing.sources.includes(subnet.source)) existing.sources.push(subnet.source);
+            } else {
+                subnets.set(subnet.zone, { zone: subnet.zone, networks: [subnet.network], sources: [subnet.source] });
+            }
+        });
+        return [...subnets.values()];
+    }
+
+    /**
+     * Detect subnets and show whether each has a reverse zone
+     */
+    async loadSubnets() {
+        const container = this.section.querySelector('#reverse-subnet-container');
+        const createBtn = this.section.querySelector('#create-missing-zones-btn');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Detecting subnets...")}</p>`;
+        createBtn.disabled = true;
+
+        try {
+            const [zones, subnets] = await Promise.all([this.dnsManager.listZones(), this.detectSubnets()]);
+            this.zones = zones;
+            this.subnets = subnets.map(subnet => {
+                const exact = zones.find(zone => zone.name.toLowerCase() === subnet.zone);
+                const covering = exact ? null : this.dnsManager.findReverseZone(subnet.networks[0].split('/')[0], zones);
+                return {
+                    ...subnet,
+                    status: exact ? 'exists' : (covering ? 'covered' : 'missing'),
+                    coveredBy: covering ? covering.zone : null
+                };
+            });
+
+            createBtn.disabled = !this.subnets.some(subnet => subnet.status === 'missing');
+            this.renderSubnets();
+        } catch (error) {
+            console.error('Failed to detect subnets:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to detect subnets: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the detected subnet table
+     */
+    renderSubnets() {
+        const container = this.section.querySelector('#reverse-subnet-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.subnets.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No IPv4 subnets were detected on this server.")}</p>`;
+            return;
+        }
+
+        const status = (subnet) => {
+            if (subnet.status === 'exists') {
+                return `<span class="pf-v5-c-badge pf-m-green">${_("Zone exists")}</span>`;
+            }
+            if (subnet.status === 'covered') {
+                return `<span class="pf-v5-c-badge pf-m-blue">${cockpit.format(_("Covered by $0"), esc(subnet.coveredBy))}</span>`;
+            }
+            return `<span class="pf-v5-c-badge pf-m-orange">${_("Missing")}</span>`;
+        };
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Detected subnets")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Subnet")}</th>
+                        <th scope="col">${_("Detected from")}</th>
+                        <th scope="col">${_("Reverse zone")}</th>
+                        <th scope="col">${_("Status")}</th>
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.subnets.map(subnet => `
+                        <tr>
+                            <td data-label="${_("Subnet")}">${subnet.networks.map(esc).join('<br>')}</td>
+                            <td data-label="${_("Detected from")}">${subnet.sources.map(esc).join(', ')}</td>
+                            <td data-label="${_("Reverse zone")}">${esc(subnet.zone)}</td>
+                            <td data-label="${_("Status")}">${status(subnet)}</td>
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                ${subnet.status === 'missing' ? `
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-zone="${esc(subnet.zone)}">${_("Create Zone")}</button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Create reverse zones after confirmation
+     */
+    async createZones(zoneNames) {
+        if (zoneNames.length === 0 ||
+            !this.uiManager.confirm(cockpit.format(_("Create reverse lookup zone(s) $0?"), zoneNames.join(', ')), _("Create Reverse Zones"))) {
+            return;
+        }
+
+        const failures = [];
+        for (const zone of zoneNames) {
+            try {
+                await this.dnsManager.createZone(zone);
+            } catch (error) {
+                console.error(`Failed to create zone ${zone}:`, error);
+                failures.push(`${zone}: ${error.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            this.uiManager.showError(_("Some zones could not be created:\n") + failures.join('\n'));
+        } else {
+            this.uiManager.showSuccess(cockpit.format(_("Created $0 reverse zone(s)"), zoneNames.length));
+        }
+
+        document.dispatchEvent(new CustomEvent('dns-changed', { detail: { type: 'zone' } }));
+        await this.loadSubnets();
+    }
+
+    /**
+     * Compare address records in forward zones with PTR records in reverse zones
+     */
+    async checkConsistency() {
+        this.zones = await this.dnsManager.listZones();
+        const forwardZones = this.zones.filter(zone => !zone.reverse && !zone.name.toLowerCase().startsWith('_msdcs.'));
+        const reverseZones = this.zones.filter(zone => zone.reverse);
+
+        // The zone apex and the DomainDnsZones/ForestDnsZones partition aliases carry
+        // the DC addresses too, but the PTR belongs to the DC's own host record
+        const isApexHost = (host) => forwardZones.some(zone => zone.name.toLowerCase() === host) ||
+            /^(domaindnszones|forestdnszones)\./.test(host);
+
+        // Reverse name -> host names with an A/AAAA record for that address
+        const addresses = new Map();
+        for (const zone of forwardZones) {
+            const records = await this.dnsManager.queryRecords(zone.name);
+            records.filter(record => record.type === 'A' || record.type === 'AAAA').forEach(record => {
+                const reverseName = this.dnsManager.getReverseName(record.data);
+                if (!reverseName) return;
+
+                const key = reverseName.toLowerCase();
+                if (!addresses.has(key)) {
+                    addresses.set(key, { ip: record.data, hosts: [], apexOnly: true });
+                }
+                const entry = addresses.get(key);
+                const host = this.dnsManager.getFqdn(record.name, zone.name).toLowerCase();
+                entry.hosts.push(host);
+                if (!isApexHost(host)) entry.apexOnly = false;
+            });
+        }
+
+        // Reverse name -> PTR records found
+        const pointers = new Map();
+        for (const zone of reverseZones) {
+            const records = await this.dnsManager.queryRecords(zone.name);
+            records.filter(record => record.type === 'PTR').forEach(record => {
+                const key = this.dnsManager.getFqdn(record.name, zone.name).toLowerCase();
+                if (!pointers.has(key)) {
+                    pointers.set(key, { zone: zone.name, name: record.name, targets: [] });
+                }
+                pointers.get(key).targets.push(record.data.toLowerCase());
+            });
+        }
+
+        const issues = [];
+        const isLocalHost = (host) => forwardZones.some(zone => host === zone.name.toLowerCase() || host.endsWith('.' + zone.name.toLowerCase()));
+
+        addresses.forEach((entry, key) => {
+            // Apex and partition alias records point at every DC; their own host records carry the PTR
+            if (entry.apexOnly) return;
+
+            const expected = entry.hosts.find(host => !isApexHost(host));
+            const pointer = pointers.get(key);
+            const reverse = this.dnsManager.findReverseZone(entry.ip, reverseZones);
+
+            if (!reverse) {
+                issues.push({ type: 'no-zone', ip: entry.ip, expected, current: [], fixable: false });
+            } else if (!pointer) {
+                issues.push({ type: 'missing', ip: entry.ip, expected, current: [], zone: reverse.zone, name: reverse.name, fixable: true });
+            } else if (!pointer.targets.some(target => entry.hosts.includes(target) && !isApexHost(target))) {
+                issues.push({ type: 'mismatch', ip: entry.ip, expected, current: pointer.targets, zone: pointer.zone, name: pointer.name, fixable: true });
+            }
+        });
+
+        // Extra PTR records for our own names whose address no longer has a matching A/AAAA record
+        pointers.forEach((pointer, key) => {
+            const entry = addresses.get(key);
+            if (entry && (entry.apexOnly || !pointer.targets.some(target => entry.hosts.includes(target)))) {
+                return;
+            }
+
+            pointer.targets
+                .filter(target => isLocalHost(target) && !(entry && entry.hosts.includes(target)))
+                .forEach(target => {
+                    issues.push({ type: 'orphan', ip: this.reverseNameToIp(key), expected: null, current: [target],
+                                  zone: pointer.zone, name: pointer.name, fixable: true });
+                });
+        });
+
+        return { issues, addressCount: addresses.size, pointerCount: pointers.size };
+    }
+
+    /**
+     * Run the consistency check and show the results
+     */
+    async runCheck() {
+        const container = this.section.querySelector('#ptr-check-container');
+        const summary = this.section.querySelector('#ptr-check-summary');
+        const checkBtn = this.section.querySelector('#check-ptr-btn');
+        const originalHtml = checkBtn.innerHTML;
+
+        this.uiManager.setButtonLoading('check-ptr-btn', true, originalHtml);
+        this.section.querySelector('#fix-ptr-btn').disabled = true;
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Comparing forward and reverse records...")}</p>`;
+        summary.textContent = '';
+
+        try {
+            const result = await this.checkConsistency();
+            this.issues = result.issues;
+            summary.textContent = cockpit.format(_("$0 addresses and $1 PTR records checked, $2 issue(s) found"),
+                result.addressCount, result.pointerCount, this.issues.length);
+            this.renderIssues();
+        } catch (error) {
+            console.error('PTR consistency check failed:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Consistency check failed: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        } finally {
+            this.uiManager.setButtonLoading('check-ptr-btn', false, originalHtml);
+        }
+    }
+
+    /**
+     * Render the consistency issues with selection checkboxes
+     */
+    renderIssues() {
+        const container = this.section.querySelector('#ptr-check-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.issues.length === 0) {
+            container.innerHTML = `<p class="management-empty"><i class="fas fa-check-circle"></i> ${_("Every address record has a matching PTR record.")}</p>`;
+            return;
+        }
+
+        const fixDescription = (issue) => {
+            switch (issue.type) {
+                case 'missing': return cockpit.format(_("Create PTR → $0"), issue.expected);
+                case 'mismatch': return cockpit.format(_("Point PTR at $0"), issue.expected);
+                case 'orphan': return _("Delete PTR");
+                default: return _("Create a reverse zone for this subnet first");
+            }
+        };
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("PTR consistency issues")}">
+                <thead>
+                    <tr>
+                        <th scope="col"><input type="checkbox" id="ptr-select-all" aria-label="${_("Select all")}"></th>
+                        <th scope="col">${_("Address")}</th>
+                        <th scope="col">${_("Issue")}</th>
+                        <th scope="col">${_("Current PTR")}</th>
+                        <th scope="col">${_("Fix")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.issues.map((issue, index) => `
+                        <tr>
+                            <td><input type="checkbox" class="ptr-select" data-index="${index}" ${issue.fixable ? '' : 'disabled'}
+                                       aria-label="${_("Select")}"></td>
+                            <td data-label="${_("Address")}">${esc(issue.ip)}</td>
+                            <td data-label="${_("Issue")}">${_(ISSUE_LABELS[issue.type])}</td>
+                            <td data-label="${_("Current PTR")}">${issue.current.length > 0 ? issue.current.map(esc).join('<br>') : '—'}</td>
+                            <td data-label="${_("Fix")}">${esc(fixDescription(issue))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Apply the fix for one consistency issue
+     */
+    async fixIssue(issue) {
+        if (issue.type === 'missing') {
+            await this.dnsManager.addRecord(issue.zone, issue.name, 'PTR', issue.expected);
+        } else if (issue.type === 'mismatch') {
+            const [first, ...rest] = issue.current;
+            await this.dnsManager.updateRecord(issue.zone, issue.name, 'PTR', first, issue.expected);
+            for (const target of rest) {
+                await this.dnsManager.deleteRecord(issue.zone, issue.name, 'PTR', target);
+            }
+        } else if (issue.type === 'orphan') {
+            await this.dnsManager.deleteRecord(issue.zone, issue.name, 'PTR', issue.current[0]);
+        }
+    }
+
+    /**
+     * Fix all selected issues and re-run the check
+     */
+    async fixSelected() {
+        const selected = [...this.section.querySelectorAll('.ptr-select:checked')]
+            .map(checkbox => this.issues[parseInt(checkbox.dataset.index, 10)])
+            .filter(issue => issue && issue.fixable);
+
+        if (selected.length === 0 ||
+            !this.uiManager.confirm(cockpit.format(_("Apply $0 PTR fix(es)?"), selected.length), _("Fix PTR Records"))) {
+            return;
+        }
+
+        const failures = [];
+        for (const issue of selected) {
+            try {
+                await this.fixIssue(issue);
+            } catch (error) {
+                console.error(`Failed to fix PTR for ${issue.ip}:`, error);
+                failures.push(`${issue.ip}: ${error.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            this.uiManager.showError(cockpit.format(_("$0 of $1 fixes failed:\n"), failures.length, selected.length) + failures.join('\n'));
+        } else {
+            this.uiManager.showSuccess(cockpit.format(_("$0 PTR record(s) fixed"), selected.length));
+        }
+
+        document.dispatchEvent(new CustomEvent('dns-changed', { detail: { type: 'record' } }));
+        await this.runCheck();
+    }
+}
@@ -0,0 +1,537 @@
+/**
+ * Site Link Module
+ * Edits IP site links: cost, replication interval, member sites and the weekly schedule
+ */
+
+const _ = cockpit.gettext;
+
+// A SCHEDULE blob is a 20-byte header followed by one byte per hour of the week,
+// Sunday 00:00 UTC first; the low four bits enable the four quarter hours.
+const SCHEDULE_HOURS = 168;
+const SCHEDULE_HEADER_SIZE = 20;
+const SCHEDULE_INTERVAL = 0;
+const QUARTERS_ALL = 0x0f;
+const QUARTERS_FIRST = 0x01;
+
+const DAYS = [_("Sunday"), _("Monday"), _("Tuesday"), _("Wednesday"), _("Thursday"), _("Friday"), _("Saturday")];
+
+const PAINT_MODES = [
+    { value: QUARTERS_ALL, label: _("Every interval"), className: 'all' },
+    { value: QUARTERS_FIRST, label: _("Once per hour"), className: 'hourly' },
+    { value: 0, label: _("No replication"), className: 'none' }
+];
+
+export class SiteLinkManager {
+    constructor(uiManager, ldbManager, sitesManager, topologyManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.sitesManager = sitesManager;
+        this.topologyManager = topologyManager;
+        this.links = [];
+        this.sites = [];
+        this.transportDN = null;
+        this.editing = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the site link card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'site-links-section',
+            icon: 'fas fa-link',
+            title: 'Site Links',
+            description: 'Replication between sites follows the site links: the KCC prefers the lowest cost path and replicates at the link interval while its schedule allows.',
+            body: `
+                <div class="management-toolbar">
+                    <div id="site-links-summary" class="management-summary"></div>
+                    <div class="management-toolbar-actions">
+                        <button id="create-site-link-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-plus"></i> ${_("Create Site Link")}
+                        </button>
+                        <button id="refresh-site-links-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="site-links-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading site links...")}</p>
+                </div>
+                <div id="site-link-schedule-panel" class="management-details hidden"></div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar, row action and schedule grid events
+     */
+    bindEvents() {
+        this.section.querySelector('#create-site-link-btn').addEventListener('click', () => this.createLink());
+        this.section.querySelector('#refresh-site-links-btn').addEventListener('click', () => this.load());
+
+        this.section.querySelector('#site-links-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const link = this.links[parseInt(button.dataset.index, 10)];
+            if (button.dataset.action === 'edit-link') {
+                this.editLink(link);
+            } else if (button.dataset.action === 'edit-schedule') {
+                this.editSchedule(link);
+            } else if (button.dataset.action === 'delete-link') {
+                this.deleteLink(link);
+            }
+        });
+
+        // Click or drag across the grid to paint hours with the selected mode
+        const panel = this.section.querySelector('#site-link-schedule-panel');
+        let painting = false;
+        const paint = (cell) => {
+            if (!cell || !this.editing) return;
+            const slot = parseInt(cell.dataset.slot, 10);
+            this.editing.hours[slot] = parseInt(panel.querySelector('#schedule-paint-mode').value, 10);
+            cell.className = `schedule-cell ${this.slotClass(this.editing.hours[slot])}`;
+        };
+        panel.addEventListener('mousedown', (e) => {
+            const cell = e.target.closest('td[data-slot]');
+            if (cell) {
+                e.preventDefault();
+                painting = true;
+                paint(cell);
+            }
+        });
+        panel.addEventListener('mouseover', (e) => {
+            if (painting) paint(e.target.closest('td[data-slot]'));
+        });
+        document.addEventListener('mouseup', () => { painting = false; });
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'preset') {
+                this.applyPreset(button.dataset.preset);
+            } else if (button.dataset.action === 'save-schedule') {
+                this.saveSchedule();
+            } else if (button.dataset.action === 'cancel-schedule') {
+                this.closeSchedule();
+            }
+        });
+    }
+
+    /**
+     * Decode a base64 SCHEDULE blob into 168 hourly quarter masks, or null when it
+     * is missing, which means replication is always allowed
+     */
+    decodeSchedule(base64) {
+        if (!base64) {
+            return null;
+        }
+
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        const view = new DataView(bytes.buffer);
+        const count = view.getUint32(8, true);
+        for (let i = 0; i < count; i++) {
+            const type = view.getUint32(12 + 8 * i, true);
+            const offset = view.getUint32(16 + 8 * i, true);
+            if (type === SCHEDULE_INTERVAL && offset + SCHEDULE_HOURS <= bytes.length) {
+                return Array.from(bytes.slice(offset, offset + SCHEDULE_HOURS), value => value & QUARTERS_ALL);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Encode 168 hourly quarter masks as a base64 SCHEDULE blob
+     */
+    encodeSchedule(hours) {
+        const bytes = new Uint8Array(SCHEDULE_HEADER_SIZE + SCHEDULE_HOURS);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, bytes.length, true);          // Size
+        view.setUint32(4, 0, true);                     // Bandwidth
+        view.setUint32(8, 1, true);                     // NumberOfSchedules
+        view.setUint32(12, SCHEDULE_INTERVAL, true);    // Type
+        view.setUint32(16, SCHEDULE_HEADER_SIZE, true); // Offset
+        bytes.set(hours, SCHEDULE_HEADER_SIZE);
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    /**
+     * Read the IP site links and all sites
+     */
+    async getLinks() {
+        const rootDSE = await this.ldbManager.getRootDSE();
+        this.transportDN = `CN=IP,CN=Inter-Site Transports,CN=Sites,${rootDSE.configurationNamingContext}`;
+
+        const [entries, { sites }] = await Promise.all([
+            this.ldbManager.search('(objectClass=siteLink)',
+                ['cost', 'replInterval', 'siteList', 'schedule', 'description'],
+                { base: this.transportDN, scope: 'one', binary: ['schedule'] }),
+            this.sitesManager.getSites()
+        ]);
+
+        const links = entries.map(entry => ({
+            dn: entry.dn,
+            name: this.ldbManager.getRDNValue(entry.dn),
+            cost: parseInt(this.ldbManager.getValue(entry, 'cost', '100'), 10),
+            interval: parseInt(this.ldbManager.getValue(entry, 'replInterval', '180'), 10),
+            sites: this.ldbManager.getValues(entry, 'siteList').map(dn => this.ldbManager.getRDNValue(dn)).sort(),
+            schedule: this.decodeSchedule(this.ldbManager.getValue(entry, 'schedule')),
+            description: this.ldbManager.getValue(entry, 'description')
+        })).sort((a, b) => a.name.localeCompare(b.name));
+
+        return { links, sites };
+    }
+
+    /**
+     * Load and render the site links
+     */
+    async load() {
+        const container = this.section.querySelector('#site-links-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading site links...")}</p>`;
+
+        try {
+            ({ links: this.links, sites: this.sites } = await this.getLinks());
+            this.render();
+        } catch (error) {
+            console.error('Failed to load site links:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load site links: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Describe a schedule in one line
+     */
+    describeSchedule(schedule) {
+        if (!schedule) {
+            return _("Always available");
+        }
+        const count = (value) => schedule.filter(hour => hour === value).length;
+        const partial = SCHEDULE_HOURS - count(QUARTERS_ALL) - count(QUARTERS_FIRST) - count(0);
+        return [
+            cockpit.format(_("$0 h every interval"), count(QUARTERS_ALL)),
+            count(QUARTERS_FIRST) ? cockpit.format(_("$0 h hourly"), count(QUARTERS_FIRST)) : '',
+            partial ? cockpit.format(_("$0 h custom"), partial) : '',
+            count(0) ? cockpit.format(_("$0 h closed"), count(0)) : ''
+        ].filter(part => part).join(', ');
+    }
+
+    /**
+     * Render the site link table
+     */
+    render() {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const linked = new Set(this.links.flatMap(link => link.sites));
+        const unlinked = this.sites.filter(site => !linked.has(site.name));
+
+        this.section.querySelector('#site-links-summary').innerHTML = esc(cockpit.format(_("$0 site links"), this.links.length)) +
+            (unlinked.length
+                ? ` <span class="pf-v5-c-badge pf-m-orange">${esc(cockpit.format(_("Not in any link: $0"), unlinked.map(site => site.name).join(', ')))}</span>`
+                : '');
+
+        const container = this.section.querySelector('#site-links-container');
+        if (this.links.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No IP site links found.")}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Site links")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Site link")}</th>
+                        <th scope="col">${_("Sites")}</th>
+                        <th scope="col">${_("Cost")}</th>
+                        <th scope="col">${_("Interval")}</th>
+                        <th scope="col">${_("Schedule")}</th>
+                        <th scope="col"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.links.map((link, index) => `
+                        <tr>
+                            <td data-label="${_("Site link")}">
+                                <strong>${esc(link.name)}</strong>
+                                ${link.description ? `<div class="sites-description">${esc(link.description)}</div>` : ''}
+                            </td>
+                            <td data-label="${_("Sites")}">${esc(link.sites.join(', '))}</td>
+                            <td data-label="${_("Cost")}">${link.cost}</td>
+                            <td data-label="${_("Interval")}">${cockpit.format(_("$0 min"), link.interval)}</td>
+                            <td data-label="${_("Schedule")}">${esc(this.describeSchedule(link.schedule))}</td>
+                            <td class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="edit-link" data-index="${index}">${_("Edit")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="edit-schedule" data-index="${index}">${_("Schedule")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete-link" data-index="${index}">${_("Delete")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Form fields shared by the create and edit dialogs
+     */
+    getLinkFields(link) {
+        return [
+            { name: 'cost', label: _("Cost"), type: 'number', min: 1, max: 32767, value: link ? link.cost : 100,
+              helper: _("The KCC replicates over the cheapest path; give slow WAN links a higher cost") },
+            { name: 'interval', label: _("Replication interval (minutes)"), type: 'number', min: 15, max: 10080,
+              value: link ? link.interval : 180, helper: _("A multiple of 15 minutes") },
+            { name: 'description', label: _("Description"), value: link ? link.description : '' },
+            ...this.sites.map((site, index) => ({
+                name: `site${index}`, label: site.name, type: 'checkbox', value: link ? link.sites.includes(site.name) : false
+            }))
+        ];
+    }
+
+    /**
+     * Check a new site link name; the same rules as site names
+     */
+    validateLinkName(name) {
+        if (!/^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(name)) {
+            return _("Site link names may contain letters, digits and hyphens, and may not start or end with a hyphen");
+        }
+        if (this.links.some(link => link.name.toLowerCase() === name.toLowerCase())) {
+            return cockpit.format(_("Site link $0 already exists"), name);
+        }
+        return null;
+    }
+
+    /**
+     * Validate the shared site link fields
+     */
+    validateLink(values) {
+        const cost = parseInt(values.cost, 10);
+        const interval = parseInt(values.interval, 10);
+        if (!(cost >= 1 && cost <= 32767)) {
+            return _("The cost must be between 1 and 32767");
+        }
+        if (!(interval >= 15 && interval <= 10080) || interval % 15 !== 0) {
+            return _("The interval must be a multiple of 15 minutes between 15 and 10080");
+        }
+        if (this.sites.filter((site, index) => values[`site${index}`]).length < 2) {
+            return _("A site link needs at least two sites");
+        }
+        return null;
+    }
+
+    /**
+     * LDIF lines for cost, interval, description and member sites
+     */
+    linkAttributes(values, operation) {
+        const members = this.sites.filter((site, index) => values[`site${index}`]);
+        const attribute = (name, lines) => operation ? [`${operation}: ${name}`, ...lines, '-'] : lines;
+        return [
+            ...attribute('cost', [`cost: ${parseInt(values.cost, 10)}`]),
+            ...attribute('replInterval', [`replInterval: ${parseInt(values.interval, 10)}`]),
+            ...attribute('description', values.description ? [this.ldbManager.formatLdifLine('description', values.description)] : []),
+            ...attribute('siteList', members.map(site => `siteList: ${site.dn}`))
+        ].join('\n');
+    }
+
+    /**
+     * Apply a change, reload and offer a KCC run so the topology follows
+     */
+    async applyChange(ldif, successMessage) {
+        try {
+            await this.ldbManager.modify(ldif);
+            this.uiManager.showSuccess(successMessage);
+        } catch (error) {
+            console.error('Site link change failed:', error);
+            this.uiManager.showError(_("Site link change failed: ") + error.message);
+            return false;
+        }
+
+        await this.load();
+        if (this.uiManager.confirm(_("Run the KCC on this DC now so its connection objects follow the new site links? The Replication Topology card shows the result."),
+            _("Run KCC"))) {
+            await this.topologyManager.runKcc();
+        }
+        return true;
+    }
+
+    /**
+     * Create an IP site link
+     */
+    async createLink() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Create Site Link"),
+            submitLabel: _("Create"),
+            fields: [{ name: 'name', label: _("Name"), required: true, placeholder: 'HQ-Branch' }, ...this.getLinkFields(null)],
+            validate: (v) => this.validateLinkName(v.name) || this.validateLink(v)
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const dn = `CN=${this.ldbManager.escapeDNValue(values.name)},${this.transportDN}`;
+        await this.applyChange(`dn: ${dn}\nchangetype: add\nobjectClass: siteLink\n${this.linkAttributes(values, null)}\n`,
+            cockpit.format(_("Site link $0 created"), values.name));
+    }
+
+    /**
+     * Edit cost, interval, description and member sites of a link
+     */
+    async editLink(link) {
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Edit Site Link $0"), link.name),
+            submitLabel: _("Save"),
+            fields: this.getLinkFields(link),
+            validate: (v) => this.validateLink(v)
+        });
+
+        if (!values) {
+            return;
+        }
+
+        await this.applyChange(`dn: ${link.dn}\nchangetype: modify\n${this.linkAttributes(values, 'replace')}\n`,
+            cockpit.format(_("Site link $0 updated"), link.name));
+    }
+
+    /**
+     * Delete a site link, warning about sites it leaves unconnected
+     */
+    async deleteLink(link) {
+        const remaining = new Set(this.links.filter(other => other !== link).flatMap(other => other.sites));
+        const stranded = link.sites.filter(site => !remaining.has(site));
+        const message = stranded.length
+            ? cockpit.format(_("Delete site link $0? $1 will no longer replicate with any other site."), link.name, stranded.join(', '))
+            : cockpit.format(_("Delete site link $0?"), link.name);
+
+        if (!this.uiManager.confirm(message, _("Delete Site Link"))) {
+            return;
+        }
+
+        await this.applyChange(`dn: ${link.dn}\nchangetype: delete\n`, cockpit.format(_("Site link $0 deleted"), link.name));
+    }
+
+    /**
+     * Hours the browser is ahead of UTC, or null when the zone is not a whole number of hours off
+     */
+    getUtcOffsetHours() {
+        const offset = -new Date().getTimezoneOffset() / 60;
+        return Number.isInteger(offset) ? offset : null;
+    }
+
+    /**
+     * CSS class for an hourly quarter mask
+     */
+    slotClass(value) {
+        const mode = PAINT_MODES.find(m => m.value === value);
+        return mode ? mode.className : 'custom';
+    }
+
+    /**
+     * Open the weekly schedule grid for a link, shown in local time
+     */
+    editSchedule(link) {
+        const panel = this.section.querySelector('#site-link-schedule-panel');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const localOffset = this.getUtcOffsetHours();
+        // Half-hour zones cannot be mapped onto hourly slots, so the grid stays in UTC
+        const offset = localOffset === null ? 0 : localOffset;
+        // Index into the UTC schedule for a local day and hour
+        const slot = (day, hour) => ((day * 24 + hour - offset) % SCHEDULE_HOURS + SCHEDULE_HOURS) % SCHEDULE_HOURS;
+
+        this.editing = { link, hours: link.schedule ? [...link.schedule] : new Array(SCHEDULE_HOURS).fill(QUARTERS_ALL), slot };
+
+        panel.innerHTML = `
+            <div class="management-details-header">
+                <h3 class="pf-v5-c-title pf-m-md">${esc(cockpit.format(_("Schedule of $0"), link.name))}</h3>
+                <div class="management-toolbar-actions">
+                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="preset" data-preset="always">${_("Always")}</button>
+                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="preset" data-preset="business">${_("Business hours, hourly at night")}</button>
+                </div>
+            </div>
+            <div class="management-summary">
+                ${esc(localOffset === null
+                    ? cockpit.format(_("Replication runs every $0 minutes in green hours and once an hour in blue hours. Times are UTC."), link.interval)
+                    : cockpit.format(_("Replication runs every $0 minutes in green hours and once an hour in blue hours. Times are local (UTC$1$2)."),
+                        link.interval, offset < 0 ? '-' : '+', Math.abs(offset)))}
+            </div>
+            <div class="schedule-toolbar">
+                <label for="schedule-paint-mode">${_("Paint")}</label>
+                <select class="pf-v5-c-form-control" id="schedule-paint-mode">
+                    ${PAINT_MODES.map(mode => `<option value="${mode.value}">${mode.label}</option>`).join('')}
+                </select>
+                ${PAINT_MODES.map(mode => `<span class="schedule-legend"><span class="schedule-cell ${mode.className}"></span>${mode.label}</span>`).join('')}
+                <span class="schedule-legend"><span class="schedule-cell custom"></span>${_("Custom quarter hours")}</span>
+            </div>
+            <div class="schedule-grid-container">
+                <table class="schedule-grid" aria-label="${_("Weekly replication schedule")}">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${Array.from({ length: 24 }, (v, hour) => `<th scope="col">${hour}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${DAYS.map((day, dayIndex) => `
+                            <tr>
+                                <th scope="row">${day}</th>
+                                ${Array.from({ length: 24 }, (v, hour) => {
+                                    const index = slot(dayIndex, hour);
+                                    return `<td class="schedule-cell ${this.slotClass(this.editing.hours[index])}" data-slot="${index}"
+                                                title="${esc(`${day} ${hour}:00-${hour + 1}:00`)}"></td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="management-toolbar-actions">
+                <button class="pf-v5-c-button pf-m-primary" type="button" data-action="save-schedule">${_("Save Schedule")}</button>
+                <button class="pf-v5-c-button pf-m-link" type="button" data-action="cancel-schedule">${_("Cancel")}</button>
+            </div>
+        `;
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Fill the grid from a preset. Business hours are Monday to Friday 08:00-18:00 local time.
+     */
+    applyPreset(preset) {
+        for (let day = 0; day < 7; day++) {
+            for (let hour = 0; hour < 24; hour++) {
+                const business = day >= 1 && day <= 5 && hour >= 8 && hour < 18;
+                this.editing.hours[this.editing.slot(day, hour)] =
+                    preset === 'always' || business ? QUARTERS_ALL : QUARTERS_FIRST;
+            }
+        }
+        this.section.querySelectorAll('#site-link-schedule-panel td[data-slot]').forEach(cell => {
+            cell.className = `schedule-cell ${this.slotClass(this.editing.hours[parseInt(cell.dataset.slot, 10)])}`;
+        });
+    }
+
+    /**
+     * Hide the schedule grid
+     */
+    closeSchedule() {
+        this.editing = null;
+        const panel = this.section.querySelector('#site-link-schedule-panel');
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+    }
+
+    /**
+     * Write the schedule; an always-open schedule is stored as no schedule at all
+     */
+    async saveSchedule() {
+        const { link, hours } = this.editing;
+        const always = hours.every(hour => hour === QUARTERS_ALL);
+        const ldif = `dn: ${link.dn}\nchangetype: modify\nreplace: schedule\n` +
+            (always ? '' : `schedule:: ${this.encodeSchedule(hours)}\n`) + '-\n';
+
+        this.closeSchedule();
+        await this.applyChange(ldif, cockpit.format(_("Schedule of $0 saved"), link.name));
+    }
+}
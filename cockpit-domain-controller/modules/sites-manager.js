@@ -0,0 +1,501 @@
+/**
+ * Sites and Subnets Module
+ * AD sites with their DCs and subnets, so clients find the DC of their own site
+ */
+
+const _ = cockpit.gettext;
+
+const DEFAULT_SITE = 'Default-First-Site-Name';
+
+export class SitesManager {
+    constructor(uiManager, ldbManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.sites = [];
+        this.subnets = [];
+        this.servers = [];
+        this.sitesDN = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the sites and subnets card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'sites-section',
+            icon: 'fas fa-map-marked-alt',
+            title: 'Sites and Subnets',
+            description: 'Clients pick a DC in the site their subnet belongs to. Define a subnet for every network with domain members.',
+            body: `
+                <div class="management-toolbar">
+                    <div id="sites-summary" class="management-summary"></div>
+                    <div class="management-toolbar-actions">
+                        <button id="create-site-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-plus"></i> ${_("Create Site")}
+                        </button>
+                        <button id="create-subnet-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-plus"></i> ${_("Add Subnet")}
+                        </button>
+                        <button id="refresh-sites-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="sites-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading sites...")}</p>
+                </div>
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Subnets")}</h3>
+                    </div>
+                    <div id="subnets-container" class="management-table-container"></div>
+                </div>
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Domain controllers")}</h3>
+                    </div>
+                    <div id="site-servers-container" class="management-table-container"></div>
+                </div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar and row action events
+     */
+    bindEvents() {
+        this.section.querySelector('#create-site-btn').addEventListener('click', () => this.createSite());
+        this.section.querySelector('#create-subnet-btn').addEventListener('click', () => this.createSubnet());
+        this.section.querySelector('#refresh-sites-btn').addEventListener('click', () => this.load());
+
+        this.section.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const index = parseInt(button.dataset.index, 10);
+            switch (button.dataset.action) {
+                case 'rename-site':
+                    this.renameSite(this.sites[index]);
+                    break;
+                case 'delete-site':
+                    this.deleteSite(this.sites[index]);
+                    break;
+                case 'set-subnet-site':
+                    this.setSubnetSite(this.subnets[index]);
+                    break;
+                case 'delete-subnet':
+                    this.deleteSubnet(this.subnets[index]);
+                    break;
+                case 'move-server':
+                    this.moveServer(this.servers[index]);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Read sites, subnets and DC server objects from CN=Sites
+     */
+    async getSites() {
+        const rootDSE = await this.ldbManager.getRootDSE();
+        this.sitesDN = `CN=Sites,${rootDSE.configurationNamingContext}`;
+
+        const entries = await this.ldbManager.search(
+            '(|(objectClass=site)(objectClass=subnet)(objectClass=server))',
+            ['objectClass', 'description', 'siteObject', 'dNSHostName'],
+            { base: this.sitesDN });
+
+        const hasClass = (entry, objectClass) => this.ldbManager.getValues(entry, 'objectClass')
+            .some(value => value.toLowerCase() === objectClass.toLowerCase());
+        const localServer = this.ldbManager.getRDNValue(rootDSE.serverName).toLowerCase();
+
+        const servers = entries.filter(entry => hasClass(entry, 'server')).map(entry => ({
+            dn: entry.dn,
+            name: this.ldbManager.getRDNValue(entry.dn),
+            host: this.ldbManager.getValue(entry, 'dNSHostName'),
+            // CN=<server>,CN=Servers,CN=<site>,...
+            site: this.ldbManager.getRDNValue(this.ldbManager.splitDN(entry.dn).slice(2).join(',')),
+            local: this.ldbManager.getRDNValue(entry.dn).toLowerCase() === localServer
+        })).sort((a, b) => a.name.localeCompare(b.name));
+
+        const subnets = entries.filter(entry => hasClass(entry, 'subnet')).map(entry => {
+            const siteDN = this.ldbManager.getValue(entry, 'siteObject');
+            return {
+                dn: entry.dn,
+                name: this.ldbManager.getRDNValue(entry.dn),
+                site: siteDN ? this.ldbManager.getRDNValue(siteDN) : '',
+                description: this.ldbManager.getValue(entry, 'description')
+            };
+        }).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+        const sites = entries.filter(entry => hasClass(entry, 'site')).map(entry => {
+            const name = this.ldbManager.getRDNValue(entry.dn);
+            return {
+                dn: entry.dn,
+                name,
+                description: this.ldbManager.getValue(entry, 'description'),
+                servers: servers.filter(server => server.site === name),
+                subnets: subnets.filter(subnet => subnet.site === name)
+            };
+        }).sort((a, b) => a.name.localeCompare(b.name));
+
+        return { sites, subnets, servers };
+    }
+
+    /**
+     * Load and render sites, subnets and DCs
+     */
+    async load() {
+        const container = this.section.querySelector('#sites-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading sites...")}</p>`;
+
+        try {
+            ({ sites: this.sites, subnets: this.subnets, servers: this.servers } = await this.getSites());
+            this.render();
+        } catch (error) {
+            console.error('Failed to load sites:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load sites: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+            this.section.querySelector('#subnets-container').innerHTML = '';
+            this.section.querySelector('#site-servers-container').innerHTML = '';
+        }
+    }
+
+    /**
+     * Render the site, subnet and DC tables
+     */
+    render() {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const orphaned = this.subnets.filter(subnet => !this.sites.some(site => site.name === subnet.site));
+
+        this.section.querySelector('#sites-summary').textContent = cockpit.format(_("$0 sites, $1 subnets, $2 domain controllers"),
+            this.sites.length, this.subnets.length, this.servers.length) +
+            (this.subnets.length === 0 ? ' ' + _("- no subnets are defined, so clients may use any DC") : '');
+
+        this.section.querySelector('#sites-container').innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Sites")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Site")}</th>
+                        <th scope="col">${_("Domain controllers")}</th>
+                        <th scope="col">${_("Subnets")}</th>
+                        <th scope="col"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.sites.map((site, index) => `
+                        <tr>
+                            <td data-label="${_("Site")}">
+                                <strong>${esc(site.name)}</strong>
+                                ${site.servers.some(server => server.local) ? `<span class="pf-v5-c-badge pf-m-blue">${_("This DC")}</span>` : ''}
+                                ${site.description ? `<div class="sites-description">${esc(site.description)}</div>` : ''}
+                            </td>
+                            <td data-label="${_("Domain controllers")}">${site.servers.length
+                                ? site.servers.map(server => esc(server.name)).join(', ')
+                                : `<span class="pf-v5-c-badge pf-m-orange">${_("None")}</span>`}</td>
+                            <td data-label="${_("Subnets")}">${site.subnets.length
+                                ? site.subnets.map(subnet => esc(subnet.name)).join(', ')
+                                : `<span class="pf-v5-c-badge pf-m-orange">${_("None")}</span>`}</td>
+                            <td class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="rename-site" data-index="${index}">${_("Rename")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete-site" data-index="${index}">${_("Delete")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.section.querySelector('#subnets-container').innerHTML = this.subnets.length === 0
+            ? `<p class="management-empty">${_("No subnets defined. Add the networks of each office and assign them to its site.")}</p>`
+            : `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Subnets")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Subnet")}</th>
+                        <th scope="col">${_("Site")}</th>
+                        <th scope="col">${_("Description")}</th>
+                        <th scope="col"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.subnets.map((subnet, index) => `
+                        <tr>
+                            <td data-label="${_("Subnet")}">${esc(subnet.name)}</td>
+                            <td data-label="${_("Site")}">${orphaned.includes(subnet)
+                                ? `<span class="pf-v5-c-badge pf-m-red">${_("No site")}</span>`
+                                : esc(subnet.site)}</td>
+                            <td data-label="${_("Description")}">${esc(subnet.description)}</td>
+                            <td class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="set-subnet-site" data-index="${index}">${_("Change Site")}</button>
+                                <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button" data-action="delete-subnet" data-index="${index}">${_("Remove")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.section.querySelector('#site-servers-container').innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Domain controllers")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Domain controller")}</th>
+                        <th scope="col">${_("Host name")}</th>
+                        <th scope="col">${_("Site")}</th>
+                        <th scope="col"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.servers.map((server, index) => `
+                        <tr>
+                            <td data-label="${_("Domain controller")}">
+                                <strong>${esc(server.name)}</strong>
+                                ${server.local ? `<span class="pf-v5-c-badge pf-m-blue">${_("This DC")}</span>` : ''}
+                            </td>
+                            <td data-label="${_("Host name")}">${esc(server.host)}</td>
+                            <td data-label="${_("Site")}">${esc(server.site)}</td>
+                            <td class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="move-server" data-index="${index}">${_("Move")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Run a change, report it and reload
+     */
+    async runAction(action, successMessage) {
+        try {
+            await action();
+            // The cached rootDSE names this DC's server object, which a site rename or move changes
+            this.ldbManager.clearRootDSE();
+            this.uiManager.showSuccess(successMessage);
+            await this.load();
+            return true;
+        } catch (error) {
+            console.error('Site change failed:', error);
+            this.uiManager.showError(_("Site change failed: ") + error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Site names end up in DNS SRV records, so keep them to DNS label characters.
+     * A site being renamed is passed as exclude so a case-only rename is not a duplicate.
+     */
+    validateSiteName(name, exclude = null) {
+        if (!/^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(name)) {
+            return _("Site names may contain letters, digits and hyphens, and may not start or end with a hyphen");
+        }
+        if (this.sites.some(site => site !== exclude && site.name.toLowerCase() === name.toLowerCase())) {
+            return cockpit.format(_("Site $0 already exists"), name);
+        }
+        return null;
+    }
+
+    /**
+     * Check an IPv4 or IPv6 subnet in address/prefix notation
+     */
+    isValidSubnet(subnet) {
+        const [address, prefix, ...rest] = subnet.split('/');
+        if (rest.length > 0 || !/^\d{1,3}$/.test(prefix || '')) {
+            return false;
+        }
+
+        if (address.includes('.')) {
+            const octets = address.split('.');
+            return octets.length === 4 && octets.every(octet => /^\d{1,3}$/.test(octet) && Number(octet) <= 255) &&
+                Number(prefix) <= 32;
+        }
+
+        const halves = address.split('::');
+        if (halves.length > 2) {
+            return false;
+        }
+        const groups = halves.flatMap(half => half ? half.split(':') : []);
+        if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) {
+            return false;
+        }
+        return (halves.length === 2 ? groups.length < 8 : groups.length === 8) && Number(prefix) <= 128;
+    }
+
+    /**
+     * Options for a site select
+     */
+    getSiteOptions() {
+        return this.sites.map(site => ({ value: site.name, label: site.name }));
+    }
+
+    /**
+     * Create a site; samba-tool links it into DEFAULTIPSITELINK
+     */
+    async createSite() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Create Site"),
+            submitLabel: _("Create"),
+            fields: [{ name: 'name', label: _("Site name"), required: true, placeholder: 'Branch-Office' }],
+            validate: (v) => this.validateSiteName(v.name)
+        });
+
+        if (!values) {
+            return;
+        }
+
+        await this.runAction(
+            () => cockpit.spawn(['samba-tool', 'sites', 'create', values.name], { superuser: "try", err: "message" }),
+            cockpit.format(_("Site $0 created"), values.name));
+    }
+
+    /**
+     * Rename a site object; subnets, servers and site links follow the rename
+     */
+    async renameSite(site) {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Rename Site"),
+            submitLabel: _("Rename"),
+            intro: this.uiManager.escapeHtml(_("DCs in the site re-register their site-specific DNS records on their next DNS update.")),
+            fields: [{ name: 'name', label: _("New name"), required: true, value: site.name }],
+            validate: (v) => v.name === site.name ? null : this.validateSiteName(v.name, site)
+        });
+
+        if (!values || values.name === site.name) {
+            return;
+        }
+
+        const newDN = `CN=${this.ldbManager.escapeDNValue(values.name)},${this.sitesDN}`;
+        await this.runAction(() => this.ldbManager.rename(site.dn, newDN),
+            cockpit.format(_("Site renamed to $0"), values.name));
+    }
+
+    /**
+     * Delete an empty site
+     */
+    async deleteSite(site) {
+        if (site.servers.length > 0 || site.subnets.length > 0) {
+            this.uiManager.showError(cockpit.format(_("Move the domain controllers and subnets out of $0 before deleting it"), site.name));
+            return;
+        }
+        if (!this.uiManager.confirm(cockpit.format(_("Delete site $0?"), site.name), _("Delete Site"))) {
+            return;
+        }
+
+        await this.runAction(
+            () => cockpit.spawn(['samba-tool', 'sites', 'remove', site.name], { superuser: "try", err: "message" }),
+            cockpit.format(_("Site $0 deleted"), site.name));
+    }
+
+    /**
+     * Add a subnet and assign it to a site
+     */
+    async createSubnet() {
+        if (this.sites.length === 0) {
+            this.uiManager.showError(_("Create a site first"));
+            return;
+        }
+
+        const values = await this.uiManager.showFormDialog({
+            title: _("Add Subnet"),
+            submitLabel: _("Add"),
+            fields: [
+                { name: 'subnet', label: _("Subnet"), required: true, placeholder: '192.168.10.0/24',
+                  helper: _("Network address and prefix length, IPv4 or IPv6") },
+                { name: 'site', label: _("Site"), type: 'select', value: this.sites[0].name, options: this.getSiteOptions() }
+            ],
+            validate: (v) => {
+                if (!this.isValidSubnet(v.subnet)) {
+                    return _("Enter the subnet as address/prefix, for example 192.168.10.0/24");
+                }
+                return this.subnets.some(subnet => subnet.name.toLowerCase() === v.subnet.toLowerCase())
+                    ? cockpit.format(_("Subnet $0 already exists"), v.subnet) : null;
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        await this.runAction(
+            () => cockpit.spawn(['samba-tool', 'sites', 'subnet', 'create', values.subnet, values.site], { superuser: "try", err: "message" }),
+            cockpit.format(_("Subnet $0 added to $1"), values.subnet, values.site));
+    }
+
+    /**
+     * Assign a subnet to another site
+     */
+    async setSubnetSite(subnet) {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Change Subnet Site"),
+            submitLabel: _("Save"),
+            intro: this.uiManager.escapeHtml(cockpit.format(_("Clients in $0 will use the DCs of the selected site."), subnet.name)),
+            fields: [{ name: 'site', label: _("Site"), type: 'select', value: subnet.site, options: this.getSiteOptions() }]
+        });
+
+        if (!values || values.site === subnet.site) {
+            return;
+        }
+
+        await this.runAction(
+            () => cockpit.spawn(['samba-tool', 'sites', 'subnet', 'set-site', subnet.name, values.site], { superuser: "try", err: "message" }),
+            cockpit.format(_("Subnet $0 moved to $1"), subnet.name, values.site));
+    }
+
+    /**
+     * Remove a subnet
+     */
+    async deleteSubnet(subnet) {
+        if (!this.uiManager.confirm(cockpit.format(_("Remove subnet $0? Clients in it will no longer be tied to a site."), subnet.name),
+            _("Remove Subnet"))) {
+            return;
+        }
+
+        await this.runAction(
+            () => cockpit.spawn(['samba-tool', 'sites', 'subnet', 'remove', subnet.name], { superuser: "try", err: "message" }),
+            cockpit.format(_("Subnet $0 removed"), subnet.name));
+    }
+
+    /**
+     * Move a DC's server object to another site, then refresh this DC's site DNS records
+     */
+    async moveServer(server) {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Move Domain Controller"),
+            submitLabel: _("Move"),
+            intro: this.uiManager.escapeHtml(_("The KCC rebuilds the connection objects of the DC for its new site. Site-specific DNS records are re-registered by samba_dnsupdate.")),
+            fields: [{ name: 'site', label: _("Site"), type: 'select', value: server.site, options: this.getSiteOptions() }]
+        });
+
+        if (!values || values.site === server.site) {
+            return;
+        }
+
+        const newDN = `CN=${this.ldbManager.escapeDNValue(server.name)},CN=Servers,CN=${this.ldbManager.escapeDNValue(values.site)},${this.sitesDN}`;
+        await this.runAction(async () => {
+            await this.ldbManager.rename(server.dn, newDN);
+            if (server.local) {
+                await cockpit.spawn(['samba_dnsupdate'], { superuser: "try", err: "message" });
+            }
+        }, cockpit.format(_("$0 moved to site $1"), server.name, values.site));
+    }
+
+    /**
+     * Get the site of this DC from the server object the rootDSE points at,
+     * falling back to the default site
+     */
+    async getLocalSite() {
+        try {
+            const rootDSE = await this.ldbManager.getRootDSE();
+            return this.ldbManager.getRDNValue(this.ldbManager.splitDN(rootDSE.serverName).slice(2).join(',')) || DEFAULT_SITE;
+        } catch (error) {
+            console.log('Could not read the site of this DC:', error.message);
+            return DEFAULT_SITE;
+        }
+    }
+}
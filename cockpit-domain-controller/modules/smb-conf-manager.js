@@ -0,0 +1,154 @@
+/**
+ * smb.conf Management Module
+ * Reads and safely rewrites global options in the Samba configuration file
+ */
+
+const _ = cockpit.gettext;
+
+export class SmbConfManager {
+    constructor() {
+        this.path = '/etc/samba/smb.conf';
+    }
+
+    /**
+     * Read smb.conf, returning its content and the tag used to detect concurrent edits
+     */
+    async read() {
+        return new Promise((resolve, reject) => {
+            cockpit.file(this.path, { superuser: "try" }).read()
+                .then((content, tag) => resolve({ content: content || '', tag }))
+                .catch(reject);
+        });
+    }
+
+    /**
+     * Normalise an option name the way Samba compares them
+     */
+    normaliseName(name) {
+        return name.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Find the line range of a section, excluding its header
+     */
+    findSection(lines, section) {
+        const header = lines.findIndex(line => {
+            const match = line.match(/^\s*\[([^\]]+)\]\s*$/);
+            return match && match[1].trim().toLowerCase() === section.toLowerCase();
+        });
+        if (header === -1) {
+            return null;
+        }
+
+        let end = header + 1;
+        while (end < lines.length && !/^\s*\[[^\]]+\]\s*$/.test(lines[end])) {
+            end++;
+        }
+        return { header, start: header + 1, end };
+    }
+
+    /**
+     * Find the line index of an option within a section range
+     */
+    findOption(lines, range, name) {
+        const wanted = this.normaliseName(name);
+        for (let i = range.start; i < range.end; i++) {
+            const match = lines[i].match(/^\s*([^#;=][^=]*?)\s*=\s*(.*)$/);
+            if (match && this.normaliseName(match[1]) === wanted) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Get the value of a [global] option, or null if it is not set
+     */
+    getGlobalOption(content, name) {
+        const lines = content.split('\n');
+        const range = this.findSection(lines, 'global');
+        if (!range) {
+            return null;
+        }
+
+        const index = this.findOption(lines, range, name);
+        return index === -1 ? null : lines[index].substring(lines[index].indexOf('=') + 1).trim();
+    }
+
+    /**
+     * Return new content with a [global] option set, or removed when value is null or empty
+     */
+    setGlobalOption(content, name, value) {
+        const lines = content.split('\n');
+        let range = this.findSection(lines, 'global');
+        const remove = value === null || value === undefined || value === '';
+
+        if (!range) {
+            if (remove) {
+                return content;
+            }
+            lines.unshift('[global]', '');
+            range = { header: 0, start: 1, end: 2 };
+        }
+
+        const index = this.findOption(lines, range, name);
+        const line = `\t${name} = ${value}`;
+
+        if (index !== -1) {
+            if (remove) {
+                lines.splice(index, 1);
+            } else {
+                lines[index] = line;
+            }
+        } else if (!remove) {
+            // Insert after the last option so blank lines before the next section are kept
+            let insertAt = range.end;
+            while (insertAt > range.start && !lines[insertAt - 1].trim()) {
+                insertAt--;
+            }
+            lines.splice(insertAt, 0, line);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Validate new content with testparm, back up the current file and replace it.
+     * The write fails if smb.conf changed since it was read.
+     */
+    async write(content, tag) {
+        const candidate = this.path + '.cockpit-new';
+
+        await cockpit.file(candidate, { superuser: "try" }).replace(content);
+        try {
+            await cockpit.spawn(['testparm', '-s', '--suppress-prompt', candidate],
+                { superuser: "try", err: "message" });
+        } catch (error) {
+            throw new Error(_("The new configuration was rejected by testparm: ") + error.message);
+        } finally {
+            await cockpit.spawn(['rm', '-f', candidate], { superuser: "try" }).catch(() => {});
+        }
+
+        await cockpit.spawn(['cp', '-p', this.path, this.path + '.backup'], { superuser: "try", err: "message" });
+        try {
+            await cockpit.file(this.path, { superuser: "try" }).replace(content, tag);
+        } catch (error) {
+            if (error.problem === 'change-conflict') {
+                throw new Error(_("smb.conf was changed by someone else; reload and try again"));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Set a single [global] option in smb.conf
+     */
+    async setGlobalOptionInFile(name, value) {
+        const { content, tag } = await this.read();
+        const updated = this.setGlobalOption(content, name, value);
+        if (updated !== content) {
+            await this.write(updated, tag);
+        }
+        return updated !== content;
+    }
+}
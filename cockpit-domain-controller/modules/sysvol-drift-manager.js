@@ -0,0 +1,326 @@
+/**
+ * SYSVOL Drift Report Module
+ * Compares checksums of the SYSVOL service configuration files on every domain controller
+ */
+
+const _ = cockpit.gettext;
+
+export class SysvolDriftManager {
+    constructor(uiManager, sysvolManager) {
+        this.uiManager = uiManager;
+        this.sysvolManager = sysvolManager;
+        this.dcs = [];
+        this.files = [];
+        this.reference = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the drift report card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'sysvol-drift-section',
+            icon: 'fas fa-not-equal',
+            title: 'SYSVOL Drift Report',
+            description: 'Whether every DC holds the same NTP, DHCP and FSMO configuration files as the PDC Emulator.',
+            body: `
+                <div class="management-toolbar">
+                    <div id="sysvol-drift-summary" class="management-summary"></div>
+                    <div class="management-toolbar-actions">
+                        <button id="run-drift-report-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Run Report")}
+                        </button>
+                    </div>
+                </div>
+                <div id="sysvol-drift-container" class="management-table-container">
+                    <p class="management-empty">${_("Comparing SYSVOL on all domain controllers...")}</p>
+                </div>
+                <div id="sysvol-drift-diff"></div>
+            `,
+            onFirstExpand: () => this.runReport()
+        });
+
+        this.section.querySelector('#run-drift-report-btn').addEventListener('click', () => this.runReport());
+        this.section.querySelector('#sysvol-drift-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="compare"]');
+            if (button) {
+                const file = this.files[parseInt(button.dataset.index, 10)];
+                const other = this.dcs.find(dc => dc !== this.reference && this.getState(file, dc) !== 'match');
+                this.showDiff(file, this.reference, other || this.dcs.find(dc => dc !== this.reference));
+            }
+        });
+        return this.section;
+    }
+
+    /**
+     * Discover domain controllers from the _ldap._tcp.dc._msdcs SRV records
+     */
+    async discoverDomainControllers() {
+        const output = await cockpit.spawn(['dig', '+short', '+time=3', '+tries=1', 'SRV',
+            `_ldap._tcp.dc._msdcs.${this.sysvolManager.domainName}`], { superuser: "try", err: "message" });
+        const localName = (await this.sysvolManager.getHostname()).toLowerCase();
+
+        let pdc = '';
+        try {
+            const fsmo = await cockpit.spawn(['samba-tool', 'fsmo', 'show'], { superuser: "try", err: "message" });
+            const match = fsmo.match(/PdcEmulationMasterRole owner:[^\n]*?CN=NTDS Settings,CN=([^,]+)/i);
+            pdc = match ? match[1].toLowerCase() : '';
+        } catch (error) {
+            console.log('Could not determine the PDC Emulator:', error.message);
+        }
+
+        const hosts = output.split('\n')
+            .map(line => line.trim().split(/\s+/)[3])
+            .filter(host => host)
+            .map(host => host.replace(/\.$/, '').toLowerCase());
+
+        return [...new Set(hosts)].sort().map(host => {
+            const shortName = host.split('.')[0];
+            return { host, shortName, local: shortName === localName, pdc: shortName === pdc, files: new Map(), error: null };
+        });
+    }
+
+    /**
+     * Read checksums and contents of local files into dc.files, keyed by path relative to the domain SYSVOL folder
+     */
+    async readFiles(dc, paths, baseDir) {
+        if (paths.length === 0) {
+            return;
+        }
+
+        const output = await cockpit.spawn(['sha256sum', ...paths], { superuser: "try", err: "message" });
+        for (const line of output.split('\n').filter(l => l.trim())) {
+            const [checksum, ...rest] = line.split(/\s+/);
+            const path = rest.join(' ').replace(/^\*/, '');
+            const content = await cockpit.spawn(['cat', path], { superuser: "try" });
+            dc.files.set(path.substring(baseDir.length + 1), { checksum, content });
+        }
+    }
+
+    /**
+     * Fetch the configuration folders from another DC's sysvol share into a temporary folder.
+     * Authenticates with this DC's machine account, which can read SYSVOL everywhere.
+     */
+    async collectRemote(dc, directories) {
+        const tmpdir = (await cockpit.spawn(['mktemp', '-d', '/tmp/sysvol-drift.XXXXXX'], { superuser: "try" })).trim();
+
+        try {
+            const commands = ['prompt OFF', 'recurse ON', `cd ${this.sysvolManager.domainName}`, `lcd ${tmpdir}`]
+                .concat(directories.map(directory => `mget ${directory}`));
+            await cockpit.spawn(['smbclient', `//${dc.host}/sysvol`, '--machine-pass', '-c', commands.join('; ')],
+                { superuser: "try", err: "message" })
+                .catch(error => {
+                    // A folder missing on that DC is reported but the rest is still fetched
+                    if (!/NT_STATUS_(NO_SUCH_FILE|OBJECT_NAME_NOT_FOUND)/.test(error.message)) throw error;
+                });
+
+            const found = await cockpit.spawn(['find', tmpdir, '-type', 'f', '(', '-name', '*.conf', '-o', '-name', '*.active', ')'],
+                { superuser: "try" });
+            await this.readFiles(dc, found.split('\n').filter(path => path), tmpdir);
+        } finally {
+            await cockpit.spawn(['rm', '-rf', tmpdir], { superuser: "try" }).catch(() => {});
+        }
+    }
+
+    /**
+     * Compare a file on a DC with the reference DC
+     */
+    getState(file, dc) {
+        const entry = dc.files.get(file);
+        const reference = this.reference.files.get(file);
+        if (dc.error) return 'error';
+        if (!entry) return 'missing';
+        if (!reference) return dc === this.reference ? 'match' : 'extra';
+        return entry.checksum === reference.checksum ? 'match' : 'differs';
+    }
+
+    /**
+     * Collect files from every DC and render the comparison
+     */
+    async runReport() {
+        const container = this.section.querySelector('#sysvol-drift-container');
+        const summary = this.section.querySelector('#sysvol-drift-summary');
+        const button = this.section.querySelector('#run-drift-report-btn');
+        const originalHtml = button.innerHTML;
+
+        button.disabled = true;
+        button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${_("Comparing...")}`;
+        summary.textContent = '';
+        this.section.querySelector('#sysvol-drift-diff').innerHTML = '';
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Comparing SYSVOL on all domain controllers...")}</p>`;
+
+        try {
+            if (!await this.sysvolManager.initialize()) {
+                throw new Error(_("The domain SYSVOL folder was not found"));
+            }
+
+            const baseDir = this.sysvolManager.sysvolBase;
+            const localPaths = await this.sysvolManager.listSysvolConfigs();
+            const directories = [...new Set(localPaths.map(path => path.substring(baseDir.length + 1).split('/')[0]))]
+                .filter(directory => directory && !directory.includes('.'));
+
+            this.dcs = await this.discoverDomainControllers();
+            if (!this.dcs.some(dc => dc.local)) {
+                const host = await this.sysvolManager.getHostname();
+                this.dcs.push({ host, shortName: host, local: true, pdc: false, files: new Map(), error: null });
+            }
+
+            for (const dc of this.dcs) {
+                try {
+                    if (dc.local) {
+                        await this.readFiles(dc, localPaths, baseDir);
+                    } else {
+                        await this.collectRemote(dc, directories);
+                    }
+                } catch (error) {
+                    console.error(`Failed to read SYSVOL on ${dc.host}:`, error);
+                    dc.error = error.message;
+                }
+            }
+
+            this.reference = this.dcs.find(dc => dc.pdc && !dc.error) || this.dcs.find(dc => dc.local);
+            this.files = [...new Set(this.dcs.flatMap(dc => [...dc.files.keys()]))].sort();
+            this.renderReport();
+        } catch (error) {
+            console.error('SYSVOL drift report failed:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Drift report failed: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        } finally {
+            button.disabled = false;
+            button.innerHTML = originalHtml;
+        }
+    }
+
+    /**
+     * Render the file-by-DC checksum matrix
+     */
+    renderReport() {
+        const container = this.section.querySelector('#sysvol-drift-container');
+        const summary = this.section.querySelector('#sysvol-drift-summary');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        const drifted = this.files.filter(file => this.dcs.some(dc => !dc.error && this.getState(file, dc) !== 'match'));
+        const unreachable = this.dcs.filter(dc => dc.error);
+
+        summary.innerHTML = `${drifted.length === 0 && unreachable.length === 0
+            ? `<span class="pf-v5-c-badge pf-m-green">${_("In sync")}</span>`
+            : `<span class="pf-v5-c-badge pf-m-red">${_("Drift")}</span>`}
+            ${cockpit.format(_("$0 of $1 files differ from $2 on at least one DC."), drifted.length, this.files.length, esc(this.reference.shortName))}
+            ${unreachable.length ? cockpit.format(_("Could not read: $0."), esc(unreachable.map(dc => dc.shortName).join(', '))) : ''}`;
+
+        if (this.files.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No configuration files were found in SYSVOL.")}</p>`;
+            return;
+        }
+
+        const cell = (file, dc) => {
+            const state = this.getState(file, dc);
+            const entry = dc.files.get(file);
+            const labels = {
+                match: `<span class="pf-v5-c-badge pf-m-green">${_("Match")}</span>`,
+                differs: `<span class="pf-v5-c-badge pf-m-red">${_("Differs")}</span>`,
+                missing: `<span class="pf-v5-c-badge pf-m-orange">${_("Missing")}</span>`,
+                extra: `<span class="pf-v5-c-badge pf-m-orange">${_("Not on reference")}</span>`,
+                error: `<span class="pf-v5-c-badge" title="${esc(dc.error || '')}">${_("Unreachable")}</span>`
+            };
+            return `${labels[state]}${entry ? ` <code class="drift-checksum" title="${esc(entry.checksum)}">${esc(entry.checksum.substring(0, 8))}</code>` : ''}`;
+        };
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("SYSVOL drift report")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("File")}</th>
+                        ${this.dcs.map(dc => `<th scope="col">${esc(dc.shortName)}${dc === this.reference ? ` <small>(${_("reference")})</small>` : ''}</th>`).join('')}
+                        <th scope="col">${_("Actions")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.files.map((file, index) => `
+                        <tr class="${drifted.includes(file) ? 'drift-row-differs' : ''}">
+                            <td data-label="${_("File")}"><code>${esc(file)}</code></td>
+                            ${this.dcs.map(dc => `<td data-label="${esc(dc.shortName)}">${cell(file, dc)}</td>`).join('')}
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="compare" data-index="${index}"
+                                        ${this.dcs.length < 2 ? 'disabled' : ''}>${_("Compare")}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show a side-by-side diff of one file on two DCs
+     */
+    showDiff(file, left, right) {
+        const container = this.section.querySelector('#sysvol-drift-diff');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const dcOptions = (selected) => this.dcs.map((dc, index) =>
+            `<option value="${index}" ${dc === selected ? 'selected' : ''}>${esc(dc.shortName)}</option>`).join('');
+
+        const leftText = left.files.has(file) ? left.files.get(file).content : '';
+        const rightText = right.files.has(file) ? right.files.get(file).content : '';
+
+        // Pair removed and added runs so changed lines sit next to each other
+        const rows = [];
+        let pendingDel = [];
+        let pendingAdd = [];
+        const flush = () => {
+            for (let i = 0; i < Math.max(pendingDel.length, pendingAdd.length); i++) {
+                rows.push({ left: pendingDel[i], right: pendingAdd[i], changed: true });
+            }
+            pendingDel = [];
+            pendingAdd = [];
+        };
+        this.uiManager.diffLines(leftText, rightText).forEach(line => {
+            if (line.type === 'del') {
+                pendingDel.push(line.text);
+            } else if (line.type === 'add') {
+                pendingAdd.push(line.text);
+            } else {
+                flush();
+                rows.push({ left: line.text, right: line.text, changed: false });
+            }
+        });
+        flush();
+
+        const side = (text, changed, kind) => text === undefined
+            ? '<td class="drift-diff-empty"></td>'
+            : `<td class="${changed ? `drift-diff-${kind}` : ''}">${esc(text)}</td>`;
+
+        container.innerHTML = `
+            <div class="management-details">
+                <div class="management-details-header">
+                    <h3 class="pf-v5-c-title pf-m-md"><code>${esc(file)}</code></h3>
+                    <div class="management-toolbar-actions">
+                        <select class="pf-v5-c-form-control" id="drift-diff-left" aria-label="${_("Left DC")}">${dcOptions(left)}</select>
+                        <select class="pf-v5-c-form-control" id="drift-diff-right" aria-label="${_("Right DC")}">${dcOptions(right)}</select>
+                        <button class="pf-v5-c-button pf-m-plain" type="button" id="close-drift-diff-btn" aria-label="${_("Close")}">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>
+                ${!left.files.has(file) || !right.files.has(file) ? `<p class="management-summary">${cockpit.format(_("The file does not exist on $0."),
+                    esc((left.files.has(file) ? right : left).shortName))}</p>` : ''}
+                <div class="drift-diff-container">
+                    <table class="drift-diff">
+                        <thead><tr><th>${esc(left.host)}</th><th>${esc(right.host)}</th></tr></thead>
+                        <tbody>
+                            ${rows.map(row => `<tr>${side(row.left, row.changed, 'del')}${side(row.right, row.changed, 'add')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+
+        const rerender = () => this.showDiff(file,
+            this.dcs[parseInt(container.querySelector('#drift-diff-left').value, 10)],
+            this.dcs[parseInt(container.querySelector('#drift-diff-right').value, 10)]);
+        container.querySelector('#drift-diff-left').addEventListener('change', rerender);
+        container.querySelector('#drift-diff-right').addEventListener('change', rerender);
+        container.querySelector('#close-drift-diff-btn').addEventListener('click', () => { container.innerHTML = ''; });
+        container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * SYSVOL Health Module
+ * Verifies SYSVOL NT ACLs with samba-tool ntacl sysvolcheck and resets them with sysvolreset
+ */
+
+const _ = cockpit.gettext;
+
+// Lists every path under the given directories that has no NT ACL stored by Samba.
+// Files written directly as root (e.g. with tee) lack the xattr and fail sysvolcheck.
+const MISSING_ACL_SCRIPT = `
+import json, os, sys
+existing, missing = [], []
+for top in sys.argv[1:]:
+    if not os.path.isdir(top):
+        continue
+    existing.append(top)
+    for root, dirs, files in os.walk(top):
+        for path in [root] + [os.path.join(root, f) for f in files]:
+            try:
+                os.getxattr(path, 'security.NTACL')
+            except OSError:
+                st = os.lstat(path)
+                missing.append({'path': path, 'directory': os.path.isdir(path), 'uid': st.st_uid, 'mode': format(st.st_mode & 0o7777, '04o')})
+print(json.dumps({'existing': existing, 'missing': missing}))
+`;
+
+export class SysvolHealthManager {
+    constructor(uiManager, sysvolManager) {
+        this.uiManager = uiManager;
+        this.sysvolManager = sysvolManager;
+        this.checkResult = null;
+        this.configResults = [];
+        this.section = null;
+    }
+
+    /**
+     * Create the SYSVOL health card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'sysvol-health-section',
+            icon: 'fas fa-folder-open',
+            title: 'SYSVOL Health',
+            description: 'NT ACLs on SYSVOL and Group Policy folders, including the service configuration folders kept there.',
+            body: `
+                <div class="management-toolbar">
+                    <div id="sysvol-check-summary" class="management-summary"></div>
+                    <div class="management-toolbar-actions">
+                        <button id="sysvol-reset-btn" class="pf-v5-c-button pf-m-danger" type="button" disabled>
+                            <i class="fas fa-wrench"></i> ${_("Reset ACLs")}
+                        </button>
+                        <button id="sysvol-check-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Run Check")}
+                        </button>
+                    </div>
+                </div>
+                <div id="sysvol-check-container">
+                    <p class="management-empty">${_("Checking SYSVOL ACLs...")}</p>
+                </div>
+                <div class="management-details">
+                    <div class="management-details-header">
+                        <h3 class="pf-v5-c-title pf-m-md">${_("Service configuration folders")}</h3>
+                    </div>
+                    <div id="sysvol-config-container" class="management-table-container">
+                        <p class="management-empty">${_("Checking configuration folders...")}</p>
+                    </div>
+                </div>
+            `,
+            onFirstExpand: () => this.runCheck()
+        });
+
+        this.section.querySelector('#sysvol-check-btn').addEventListener('click', () => this.runCheck());
+        this.section.querySelector('#sysvol-reset-btn').addEventListener('click', () => this.resetAcls());
+        return this.section;
+    }
+
+    /**
+     * Parse sysvolcheck output into readable issues
+     */
+    parseSysvolCheck(output) {
+        const issues = [];
+        const mismatch = /(DB|POSIX) ACL on (GPO|sysvol) (file|directory) (\S+) (\S*)\s*does not match expected value (\S+) from (GPO object|provision)/g;
+        const notFound = /(DB|POSIX) ACL on (GPO|sysvol) (file|directory) (\S+) not found!/g;
+        let match;
+
+        while ((match = mismatch.exec(output)) !== null) {
+            issues.push({ scope: match[2], kind: match[3], path: match[4], actual: match[5], expected: match[6], problem: 'mismatch' });
+        }
+        while ((match = notFound.exec(output)) !== null) {
+            issues.push({ scope: match[2], kind: match[3], path: match[4], problem: 'missing' });
+        }
+
+        // Anything else samba-tool reported, without the Python traceback
+        if (issues.length === 0) {
+            const errors = output.split('\n').filter(line => /^ERROR|Error:/.test(line.trim()));
+            errors.forEach(line => issues.push({ problem: 'error', message: line.trim() }));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Run samba-tool ntacl sysvolcheck and collect its output
+     */
+    async runSysvolCheck() {
+        let output = '';
+        try {
+            await cockpit.spawn(['samba-tool', 'ntacl', 'sysvolcheck'], { superuser: "try", err: "out" })
+                .stream(data => { output += data; });
+            return { passed: true, issues: [], output };
+        } catch (error) {
+            output = output || error.message;
+            const issues = this.parseSysvolCheck(output);
+            return { passed: false, issues: issues.length ? issues : [{ problem: 'error', message: output.trim() }], output };
+        }
+    }
+
+    /**
+     * Find files in the service configuration folders that have no Samba NT ACL
+     */
+    async checkConfigDirectories() {
+        if (!await this.sysvolManager.initialize()) {
+            throw new Error(_("The domain SYSVOL folder was not found"));
+        }
+
+        const directories = this.sysvolManager.getConfigDirectories();
+        const output = await cockpit.spawn(['python3', '-c', MISSING_ACL_SCRIPT, ...directories],
+            { superuser: "try", err: "message" });
+        const { existing, missing } = JSON.parse(output);
+
+        return directories.map(directory => ({
+            directory,
+            exists: existing.includes(directory),
+            missing: missing.filter(entry => entry.path === directory || entry.path.startsWith(directory + '/'))
+        }));
+    }
+
+    /**
+     * Run both checks and render the results
+     */
+    async runCheck() {
+        const button = this.section.querySelector('#sysvol-check-btn');
+        const summary = this.section.querySelector('#sysvol-check-summary');
+        const originalHtml = button.innerHTML;
+
+        button.disabled = true;
+        button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${_("Checking...")}`;
+        summary.textContent = '';
+        this.section.querySelector('#sysvol-check-container').innerHTML =
+            `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Running samba-tool ntacl sysvolcheck...")}</p>`;
+
+        this.checkResult = await this.runSysvolCheck();
+        this.renderCheck();
+
+        try {
+            this.configResults = await this.checkConfigDirectories();
+            this.renderConfigDirectories();
+        } catch (error) {
+            console.error('Failed to check SYSVOL configuration folders:', error);
+            this.configResults = [];
+            this.section.querySelector('#sysvol-config-container').innerHTML =
+                `<p class="management-empty error">${_("Failed to check configuration folders: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+
+        const configIssues = this.configResults.reduce((count, result) => count + result.missing.length, 0);
+        summary.innerHTML = this.checkResult.passed && configIssues === 0
+            ? `<span class="pf-v5-c-badge pf-m-green">${_("Healthy")}</span> ${_("SYSVOL ACLs match the values expected from provisioning and the GPO objects.")}`
+            : `<span class="pf-v5-c-badge pf-m-red">${_("Problems found")}</span> ${_("Clients may fail to apply Group Policy until the ACLs are reset.")}`;
+        this.section.querySelector('#sysvol-reset-btn').disabled = this.checkResult.passed && configIssues === 0;
+
+        button.disabled = false;
+        button.innerHTML = originalHtml;
+    }
+
+    /**
+     * Render the sysvolcheck result
+     */
+    renderCheck() {
+        const container = this.section.querySelector('#sysvol-check-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.checkResult.passed) {
+            container.innerHTML = `<p class="management-empty"><i class="fas fa-check-circle sysvol-ok"></i> ${_("samba-tool ntacl sysvolcheck reported no problems.")}</p>`;
+            return;
+        }
+
+        const describe = (issue) => {
+            if (issue.problem === 'error') {
+                return `<pre class="sysvol-error-output">${esc(issue.message)}</pre>`;
+            }
+            const what = issue.scope === 'GPO'
+                ? (issue.kind === 'file' ? _("Group Policy file") : _("Group Policy folder"))
+                : (issue.kind === 'file' ? _("SYSVOL file") : _("SYSVOL folder"));
+            const text = issue.problem === 'missing'
+                ? cockpit.format(_("$0 has no NT ACL"), what)
+                : cockpit.format(_("$0 has an ACL that differs from the one expected from $1"), what,
+                    issue.scope === 'GPO' ? _("its GPO object") : _("provisioning"));
+            return `
+                <strong>${text}</strong><br><code>${esc(issue.path)}</code>
+                ${issue.problem === 'mismatch' ? `
+                <details class="sysvol-acl-details">
+                    <summary>${_("Show ACLs")}</summary>
+                    <div>${_("Found:")} <code>${esc(issue.actual || _("(empty)"))}</code></div>
+                    <div>${_("Expected:")} <code>${esc(issue.expected)}</code></div>
+                </details>` : ''}
+            `;
+        };
+
+        container.innerHTML = `
+            <ul class="sysvol-issue-list">
+                ${this.checkResult.issues.map(issue => `<li><i class="fas fa-exclamation-triangle sysvol-problem"></i><div>${describe(issue)}</div></li>`).join('')}
+            </ul>
+            <p class="management-summary">${_("sysvolcheck stops at the first problem it finds, so more may be reported after a reset.")}</p>
+        `;
+    }
+
+    /**
+     * Render the service configuration folder results
+     */
+    renderConfigDirectories() {
+        const container = this.section.querySelector('#sysvol-config-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Service configuration folders")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Folder")}</th>
+                        <th scope="col">${_("Status")}</th>
+                        <th scope="col">${_("Paths without an NT ACL")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.configResults.map(result => `
+                        <tr>
+                            <td data-label="${_("Folder")}"><code>${esc(result.directory)}</code></td>
+                            <td data-label="${_("Status")}">${!result.exists
+                                ? `<span class="pf-v5-c-badge">${_("Not created")}</span>`
+                                : result.missing.length
+                                    ? `<span class="pf-v5-c-badge pf-m-red">${cockpit.format(_("$0 without ACL"), result.missing.length)}</span>`
+                                    : `<span class="pf-v5-c-badge pf-m-green">${_("OK")}</span>`}</td>
+                            <td data-label="${_("Paths without an NT ACL")}">${result.missing.length === 0 ? '' : `
+                                <ul class="sysvol-path-list">
+                                    ${result.missing.map(entry => `<li><code>${esc(entry.path.substring(result.directory.length) || '/')}</code>
+                                        <small>${entry.uid === 0 ? _("owned by root") : cockpit.format(_("uid $0"), entry.uid)}, ${esc(entry.mode)}</small></li>`).join('')}
+                                </ul>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="management-summary">${_("Files written into SYSVOL as root get no NT ACL and make sysvolcheck fail for the whole share. Reset ACLs applies the provisioning ACL to them.")}</p>
+        `;
+    }
+
+    /**
+     * Reset all SYSVOL ACLs with samba-tool ntacl sysvolreset
+     */
+    async resetAcls() {
+        if (!this.uiManager.confirm(_("Reset the NT ACLs on every file and folder in SYSVOL to the provisioning defaults? Custom permissions set on GPO folders are lost. Other DCs keep their ACLs until they are reset too."),
+            _("Reset SYSVOL ACLs"))) {
+            return;
+        }
+
+        this.uiManager.showLogModal("Resetting SYSVOL ACLs...");
+
+        try {
+            this.uiManager.appendLogOutput('$ samba-tool ntacl sysvolreset\n');
+            await cockpit.spawn(['samba-tool', 'ntacl', 'sysvolreset'], { superuser: "try", err: "out" })
+                .stream(data => this.uiManager.appendLogOutput(data));
+            this.uiManager.appendLogOutput(_("SYSVOL ACLs reset.") + '\n');
+            this.uiManager.showSuccess(_("SYSVOL ACLs reset"));
+        } catch (error) {
+            console.error('sysvolreset failed:', error);
+            this.uiManager.appendLogOutput('\n' + _("sysvolreset failed: ") + error.message + '\n');
+            this.uiManager.showError(_("sysvolreset failed: ") + error.message);
+        }
+
+        await this.runCheck();
+    }
+}
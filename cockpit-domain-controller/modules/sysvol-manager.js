@@ -4,9 +4,19 @@
  * Part of cockpit-domain-controller package
  */
 
+// Versions kept per service under config-history before the oldest are pruned
+const MAX_HISTORY_VERSIONS = 50;
+
+// History stays outside SYSVOL: files written there as root have no NT ACLs and would be replicated to every DC
+const HISTORY_DIR = '/var/lib/samba/config-history';
+
+// Service configuration directories kept next to Policies and scripts in the domain SYSVOL
+const CONFIG_DIRECTORIES = ['fsmo-configs', 'ntp-configs', 'dhcp-configs', 'dns-configs', 'service-configs'];
+
 export class SysvolManager {
-    constructor(uiManager) {
+    constructor(uiManager, domainContext) {
         this.uiManager = uiManager;
+        this.domainContext = domainContext;
         this.domainName = null;
         this.sysvolBase = null;
         this.initialized = false;
@@ -16,15 +26,12 @@ export class SysvolManager {
         if (this.initialized) return true;
 
         try {
-            // Discover domain name from SYSVOL
-            const result = await cockpit.spawn([
-                'find', '/var/lib/samba/sysvol/', '-maxdepth', '1', '-type', 'd', '-name', '*.local'
-            ], { superuser: "try" });
-            
-            const domainDir = result.trim().split('\n')[0];
-            if (domainDir) {
-                this.domainName = domainDir.split('/').pop();
-                this.sysvolBase = `/var/lib/samba/sysvol/${this.domainName}`;
+            // The realm comes from smb.conf, its SYSVOL folder must already exist
+            const context = await this.domainContext.load();
+            if (context.realm) {
+                await cockpit.spawn(['test', '-d', context.sysvolPath], { superuser: "try" });
+                this.domainName = context.realm;
+                this.sysvolBase = context.sysvolPath;
                 this.initialized = true;
                 console.log('SYSVOL Manager initialized for domain:', this.domainName);
                 return true;
@@ -43,13 +50,7 @@ export class SysvolManager {
             }
         }
 
-        const directories = [
-            `${this.sysvolBase}/ntp-configs`,
-            `${this.sysvolBase}/dhcp-configs`,
-            `${this.sysvolBase}/service-configs`
-        ];
-
-        for (const dir of directories) {
+        for (const dir of this.getConfigDirectories()) {
             try {
                 await cockpit.spawn(['mkdir', '-p', dir], { superuser: "try" });
             } catch (error) {
@@ -59,6 +60,10 @@ export class SysvolManager {
         }
     }
 
+    getConfigDirectories() {
+        return CONFIG_DIRECTORIES.map(dir => `${this.sysvolBase}/${dir}`);
+    }
+
     async readNTPConfig(configType = 'current') {
         await this.ensureSysvolStructure();
         
@@ -79,7 +84,10 @@ export class SysvolManager {
                 try {
                     const settings = await this.readNTPConfig('settings');
                     const roleMatch = settings.match(/ROLE=(\w+)/);
-                    if (roleMatch) {
+                    if (roleMatch && roleMatch[1] === 'current') {
+                        // Written by syncConfigToSysvol(); reading it by role would recurse
+                        configFile = `${this.sysvolBase}/ntp-configs/chrony.conf.current`;
+                    } else if (roleMatch) {
                         return await this.readNTPConfig(roleMatch[1]);
                     }
                 } catch (error) {
@@ -98,16 +106,15 @@ export class SysvolManager {
         }
     }
 
-    async writeNTPConfig(config, configType = 'pdc') {
+    async writeNTPConfig(config, configType = 'pdc', reason = '') {
         await this.ensureSysvolStructure();
         
         const configFile = `${this.sysvolBase}/ntp-configs/chrony.conf.${configType}`;
         
         try {
-            await cockpit.spawn(['tee', configFile], { 
-                superuser: "try",
-                input: config
-            });
+            const previous = await this.readPrevious(configFile);
+            await cockpit.spawn(['tee', configFile], { superuser: "try" }).input(config);
+            await this.recordHistory('ntp', configFile, config, reason, previous);
             
             // Update settings metadata
             const settings = `# NTP Configuration Metadata
@@ -116,10 +123,8 @@ GENERATED=${new Date().toISOString()}
 GENERATED_BY=${await this.getHostname()}
 CONFIG_FILE=chrony.conf.${configType}`;
             
-            await cockpit.spawn(['tee', `${this.sysvolBase}/ntp-configs/ntp-settings.conf`], {
-                superuser: "try",
-                input: settings
-            });
+            await cockpit.spawn(['tee', `${this.sysvolBase}/ntp-configs/ntp-settings.conf`], { superuser: "try" })
+                .input(settings);
             
             console.log(`NTP configuration written to SYSVOL: ${configFile}`);
             return true;
@@ -154,16 +159,15 @@ CONFIG_FILE=chrony.conf.${configType}`;
         }
     }
 
-    async writeDHCPConfig(config, configType = 'active') {
+    async writeDHCPConfig(config, configType = 'active', reason = '') {
         await this.ensureSysvolStructure();
         
         const configFile = `${this.sysvolBase}/dhcp-configs/dhcpd.conf.${configType}`;
         
         try {
-            await cockpit.spawn(['tee', configFile], {
-                superuser: "try", 
-                input: config
-            });
+            const previous = await this.readPrevious(configFile);
+            await cockpit.spawn(['tee', configFile], { superuser: "try" }).input(config);
+            await this.recordHistory('dhcp', configFile, config, reason, previous);
             
             // Update settings metadata
             const settings = `# DHCP Configuration Metadata
@@ -172,10 +176,8 @@ GENERATED_BY=${await this.getHostname()}
 CONFIG_FILE=dhcpd.conf.${configType}
 DOMAIN=${this.domainName}`;
             
-            await cockpit.spawn(['tee', `${this.sysvolBase}/dhcp-configs/dhcp-settings.conf`], {
-                superuser: "try",
-                input: settings
-            });
+            await cockpit.spawn(['tee', `${this.sysvolBase}/dhcp-configs/dhcp-settings.conf`], { superuser: "try" })
+                .input(settings);
             
             console.log(`DHCP configuration written to SYSVOL: ${configFile}`);
             return true;
@@ -315,20 +317,14 @@ DOMAIN=${this.domainName}`;
                 // Copy SYSVOL NTP config to system
                 const config = await this.readNTPConfig('current');
                 if (config) {
-                    await cockpit.spawn(['tee', '/etc/chrony/chrony.conf'], {
-                        superuser: "try",
-                        input: config
-                    });
+                    await cockpit.spawn(['tee', '/etc/chrony/chrony.conf'], { superuser: "try" }).input(config);
                     await cockpit.spawn(['systemctl', 'restart', 'chrony'], { superuser: "try" });
                 }
             } else if (serviceType === 'dhcp') {
                 // Copy SYSVOL DHCP config to system
                 const config = await this.readDHCPConfig('active');
                 if (config) {
-                    await cockpit.spawn(['tee', '/etc/dhcp/dhcpd.conf'], {
-                        superuser: "try", 
-                        input: config
-                    });
+                    await cockpit.spawn(['tee', '/etc/dhcp/dhcpd.conf'], { superuser: "try" }).input(config);
                     await cockpit.spawn(['systemctl', 'restart', 'isc-dhcp-server'], { superuser: "try" })
                         .catch(() => cockpit.spawn(['systemctl', 'restart', 'dhcpd'], { superuser: "try" }));
                 }
@@ -347,10 +343,10 @@ DOMAIN=${this.domainName}`;
         try {
             if (serviceType === 'ntp') {
                 const config = await cockpit.spawn(['cat', '/etc/chrony/chrony.conf'], { superuser: "try" });
-                await this.writeNTPConfig(config, 'current');
+                await this.writeNTPConfig(config, 'current', 'Synchronised from /etc/chrony/chrony.conf');
             } else if (serviceType === 'dhcp') {
                 const config = await cockpit.spawn(['cat', '/etc/dhcp/dhcpd.conf'], { superuser: "try" });
-                await this.writeDHCPConfig(config, 'active');
+                await this.writeDHCPConfig(config, 'active', 'Synchronised from /etc/dhcp/dhcpd.conf');
             }
             
             console.log(`Synced ${serviceType} configuration to SYSVOL`);
@@ -384,4 +380,109 @@ DOMAIN=${this.domainName}`;
             return [];
         }
     }
+
+    // Each write is kept as <id>.content plus a <id>.meta file with author, time and reason
+    getHistoryDir(serviceType) {
+        return `${HISTORY_DIR}/${serviceType}`;
+    }
+
+    // Content of a config file before it is overwritten, or null if it does not exist yet
+    async readPrevious(configFile) {
+        return cockpit.spawn(['cat', configFile], { superuser: "try", err: "ignore" }).catch(() => null);
+    }
+
+    // Called once the write succeeded, so every entry matches content that was actually applied
+    async recordHistory(serviceType, configFile, config, reason = '', previous = null) {
+        const historyDir = this.getHistoryDir(serviceType);
+        const fileName = configFile.split('/').pop();
+        const author = await this.getHostname();
+        await cockpit.spawn(['mkdir', '-p', historyDir], { superuser: "try" });
+
+        const existing = await this.listHistory(serviceType);
+        if (!existing.some(version => version.file === fileName)) {
+            // Keep what was there before history existed so the first write can be undone too
+            if (previous !== null) {
+                await this.writeHistoryVersion(historyDir, fileName, previous, author, 'Version before history was recorded',
+                    new Date(Date.now() - 1));
+            }
+        }
+
+        await this.writeHistoryVersion(historyDir, fileName, config, author, reason || 'No reason given', new Date());
+        await this.pruneHistory(serviceType);
+    }
+
+    async writeHistoryVersion(historyDir, fileName, config, author, reason, date) {
+        const id = `${date.toISOString().replace(/[-:.]/g, '')}-${fileName}`;
+        const meta = `# Configuration History Entry
+FILE=${fileName}
+TIMESTAMP=${date.toISOString()}
+AUTHOR=${author}
+REASON=${reason.replace(/[\r\n]+/g, ' ')}
+`;
+
+        await cockpit.spawn(['tee', `${historyDir}/${id}.content`], { superuser: "try" }).input(config);
+        await cockpit.spawn(['tee', `${historyDir}/${id}.meta`], { superuser: "try" }).input(meta);
+        return id;
+    }
+
+    async listHistory(serviceType) {
+        if (!this.initialized && !await this.initialize()) {
+            return [];
+        }
+
+        const historyDir = this.getHistoryDir(serviceType);
+        let output = '';
+        try {
+            output = await cockpit.spawn(['grep', '-r', '--include=*.meta', '', historyDir], { superuser: "try", err: "ignore" });
+        } catch (error) {
+            return [];
+        }
+
+        const versions = new Map();
+        for (const line of output.split('\n')) {
+            const match = line.match(/^(.*)\/([^/]+)\.meta:([A-Z_]+)=(.*)$/);
+            if (!match) continue;
+
+            const [, dir, id, key, value] = match;
+            if (!versions.has(id)) {
+                versions.set(id, { id, serviceType, path: `${dir}/${id}.content`, file: '', timestamp: null, author: '', reason: '' });
+            }
+            const version = versions.get(id);
+            if (key === 'FILE') version.file = value;
+            if (key === 'TIMESTAMP') version.timestamp = new Date(value);
+            if (key === 'AUTHOR') version.author = value;
+            if (key === 'REASON') version.reason = value;
+        }
+
+        return [...versions.values()].sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    async readHistoryVersion(version) {
+        return cockpit.spawn(['cat', version.path], { superuser: "try" });
+    }
+
+    async pruneHistory(serviceType) {
+        const versions = await this.listHistory(serviceType);
+        for (const version of versions.slice(MAX_HISTORY_VERSIONS)) {
+            await cockpit.spawn(['rm', '-f', version.path, version.path.replace(/\.content$/, '.meta')], { superuser: "try" });
+        }
+    }
+
+    async rollbackConfig(version, reason) {
+        const config = await this.readHistoryVersion(version);
+        const label = `Rollback to ${version.timestamp.toISOString()}: ${reason}`;
+
+        if (version.serviceType === 'ntp') {
+            const configType = version.file.replace(/^chrony\.conf\./, '');
+            await this.writeNTPConfig(config, configType, label);
+            await this.applyConfigToSystem('ntp');
+        } else if (version.serviceType === 'dhcp') {
+            const configType = version.file.replace(/^dhcpd\.conf\./, '');
+            await this.writeDHCPConfig(config, configType, label);
+            if (configType === 'active') {
+                await this.applyConfigToSystem('dhcp');
+            }
+        }
+        return true;
+    }
 }
\ No newline at end of file
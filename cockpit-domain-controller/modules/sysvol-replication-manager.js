@@ -0,0 +1,372 @@
+/**
+ * SYSVOL Replication Module
+ * Shows per-DC SYSVOL push status and drives sysvol-replicator.sh (rsync over SSH from the PDC Emulator)
+ */
+
+const _ = cockpit.gettext;
+
+const REPLICATOR_SCRIPT = '/usr/local/bin/sysvol-replicator.sh';
+const REPLICATION_CONFIG = '/etc/samba/sysvol-replication.conf';
+const REPLICATOR_TIMER = 'sysvol-replicator.timer';
+
+export class SysvolReplicationManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.status = { pdc: null, isPdc: false, fingerprint: null, dcs: [] };
+        this.config = { sshUser: 'root', excludeDcs: '', resetAcls: true, fullSyncHours: 24, bwlimit: '' };
+        this.timerEnabled = false;
+        this.section = null;
+    }
+
+    /**
+     * Create the SYSVOL replication card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'sysvol-replication-section',
+            icon: 'fas fa-sync',
+            title: 'SYSVOL Replication',
+            description: 'Samba does not replicate SYSVOL. The PDC Emulator pushes it to the other DCs with rsync over SSH.',
+            body: `
+                <div class="management-toolbar">
+                    <div id="sysvol-replication-summary" class="management-summary"></div>
+                    <div class="management-toolbar-actions">
+                        <button id="sysvol-sync-all-btn" class="pf-v5-c-button pf-m-primary" type="button" disabled>
+                            <i class="fas fa-sync"></i> ${_("Sync Now")}
+                        </button>
+                        <button id="sysvol-replication-settings-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-cog"></i> ${_("Settings")}
+                        </button>
+                        <button id="sysvol-replication-key-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-key"></i> ${_("SSH Key")}
+                        </button>
+                        <button id="refresh-sysvol-replication-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="sysvol-replication-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading replication status...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar and per-DC action events
+     */
+    bindEvents() {
+        this.section.querySelector('#sysvol-sync-all-btn').addEventListener('click', () => this.syncNow());
+        this.section.querySelector('#sysvol-replication-settings-btn').addEventListener('click', () => this.editSettings());
+        this.section.querySelector('#sysvol-replication-key-btn').addEventListener('click', () => this.showPublicKey());
+        this.section.querySelector('#refresh-sysvol-replication-btn').addEventListener('click', () => this.load());
+
+        this.section.querySelector('#sysvol-replication-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'sync') {
+                this.syncNow(button.dataset.dc);
+            } else if (button.dataset.action === 'check') {
+                this.checkDc(button.dataset.dc);
+            }
+        });
+    }
+
+    /**
+     * Load settings, timer state and per-DC status
+     */
+    async load() {
+        const container = this.section.querySelector('#sysvol-replication-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading replication status...")}</p>`;
+
+        try {
+            const [config, timerEnabled, output] = await Promise.all([
+                this.readConfig(),
+                cockpit.spawn(['systemctl', 'is-enabled', REPLICATOR_TIMER], { superuser: "try" })
+                    .then(result => result.trim() === 'enabled').catch(() => false),
+                cockpit.spawn([REPLICATOR_SCRIPT, '--status'], { superuser: "try", err: "message" })
+            ]);
+
+            this.config = config;
+            this.timerEnabled = timerEnabled;
+            this.status = this.parseStatus(output);
+            this.renderSummary();
+            this.renderStatus();
+        } catch (error) {
+            console.error('Failed to load SYSVOL replication status:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load replication status: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Parse sysvol-replicator.sh --status output
+     */
+    parseStatus(output) {
+        const status = { pdc: null, isPdc: false, fingerprint: null, dcs: [] };
+        const byName = new Map();
+        const getDc = (name) => {
+            if (!byName.has(name)) {
+                const dc = { name, result: null, lastAttempt: null, lastSuccess: null, fingerprint: null, changed: 0, message: '' };
+                byName.set(name, dc);
+                status.dcs.push(dc);
+            }
+            return byName.get(name);
+        };
+
+        output.split('\n').filter(line => line.trim()).forEach(line => {
+            const fields = line.split('\t');
+            switch (fields[0]) {
+                case '#pdc':
+                    status.pdc = fields[1];
+                    status.isPdc = fields[2] === 'local';
+                    break;
+                case '#fingerprint':
+                    status.fingerprint = fields[1];
+                    break;
+                case '#dc':
+                    getDc(fields[1]);
+                    break;
+                default: {
+                    const dc = getDc(fields[0]);
+                    Object.assign(dc, {
+                        result: fields[1],
+                        lastAttempt: fields[2] ? new Date(fields[2]) : null,
+                        lastSuccess: fields[3] ? new Date(fields[3]) : null,
+                        fingerprint: fields[4] || null,
+                        changed: parseInt(fields[5], 10) || 0,
+                        message: fields[6] || ''
+                    });
+                }
+            }
+        });
+
+        status.dcs.sort((a, b) => a.name.localeCompare(b.name));
+        return status;
+    }
+
+    /**
+     * Show this DC's role in replication and the timer state
+     */
+    renderSummary() {
+        const summary = this.section.querySelector('#sysvol-replication-summary');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const timer = this.timerEnabled
+            ? `<span class="pf-v5-c-badge pf-m-green">${_("Automatic")}</span>`
+            : `<span class="pf-v5-c-badge">${_("Manual only")}</span>`;
+
+        if (!this.status.pdc) {
+            summary.innerHTML = `${timer} ${_("The PDC Emulator could not be determined.")}`;
+        } else if (this.status.isPdc) {
+            summary.innerHTML = `${timer} ${cockpit.format(_("This DC is the PDC Emulator and pushes SYSVOL to $0 domain controllers."), this.status.dcs.length)}`;
+        } else {
+            summary.innerHTML = `${timer} ${cockpit.format(_("This DC receives SYSVOL from the PDC Emulator $0. Changes made to SYSVOL here are overwritten."), esc(this.status.pdc))}`;
+        }
+
+        this.section.querySelector('#sysvol-sync-all-btn').disabled = !this.status.isPdc || this.status.dcs.length === 0;
+    }
+
+    /**
+     * Render the per-DC status table
+     */
+    renderStatus() {
+        const container = this.section.querySelector('#sysvol-replication-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        if (this.status.dcs.length === 0) {
+            container.innerHTML = `<p class="management-empty">${this.status.isPdc
+                ? _("There are no other domain controllers to replicate to.")
+                : _("The PDC Emulator has not pushed SYSVOL to this DC yet.")}</p>`;
+            return;
+        }
+
+        const badge = (dc) => {
+            if (!dc.result) {
+                return `<span class="pf-v5-c-badge">${_("Never synced")}</span>`;
+            }
+            if (dc.result !== 'ok') {
+                return `<span class="pf-v5-c-badge pf-m-red">${_("Failed")}</span>`;
+            }
+            if (this.status.fingerprint && dc.fingerprint !== this.status.fingerprint) {
+                return `<span class="pf-v5-c-badge pf-m-orange">${_("Changes pending")}</span>`;
+            }
+            return `<span class="pf-v5-c-badge pf-m-green">${_("In sync")}</span>`;
+        };
+        const date = (value) => value ? esc(value.toLocaleString()) : '—';
+
+        container.innerHTML = `
+            <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("SYSVOL replication status")}">
+                <thead>
+                    <tr>
+                        <th scope="col">${_("Domain controller")}</th>
+                        <th scope="col">${_("Status")}</th>
+                        <th scope="col">${_("Last success")}</th>
+                        <th scope="col">${_("Last attempt")}</th>
+                        <th scope="col">${_("Changes")}</th>
+                        <th scope="col">${_("Message")}</th>
+                        ${this.status.isPdc ? `<th scope="col">${_("Actions")}</th>` : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.status.dcs.map(dc => `
+                        <tr>
+                            <td data-label="${_("Domain controller")}">${esc(dc.name)}</td>
+                            <td data-label="${_("Status")}">${badge(dc)}</td>
+                            <td data-label="${_("Last success")}">${date(dc.lastSuccess)}</td>
+                            <td data-label="${_("Last attempt")}">${date(dc.lastAttempt)}</td>
+                            <td data-label="${_("Changes")}">${dc.result ? dc.changed : '—'}</td>
+                            <td data-label="${_("Message")}">${esc(dc.message)}</td>
+                            ${this.status.isPdc ? `
+                            <td data-label="${_("Actions")}" class="management-row-actions">
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="check" data-dc="${esc(dc.name)}">${_("Test")}</button>
+                                <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button" data-action="sync" data-dc="${esc(dc.name)}">${_("Sync Now")}</button>
+                            </td>` : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Push SYSVOL now to one DC, or to all of them
+     */
+    async syncNow(dc = null) {
+        const args = [REPLICATOR_SCRIPT, '--sync', '--force'];
+        if (dc) {
+            args.push('--dc', dc);
+        }
+
+        this.uiManager.showLogModal(dc ? cockpit.format(_("Pushing SYSVOL to $0..."), dc) : "Pushing SYSVOL to all domain controllers...");
+
+        try {
+            await cockpit.spawn(args, { superuser: "try", err: "out" })
+                .stream(data => this.uiManager.appendLogOutput(data));
+            this.uiManager.showSuccess(_("SYSVOL replication completed"));
+        } catch (error) {
+            console.error('SYSVOL replication failed:', error);
+            this.uiManager.appendLogOutput('\n' + _("Replication failed: ") + error.message + '\n');
+            this.uiManager.showError(_("SYSVOL replication failed; see the status table for details"));
+        }
+
+        await this.load();
+    }
+
+    /**
+     * Test SSH and rsync access to a DC
+     */
+    async checkDc(dc) {
+        try {
+            const output = await cockpit.spawn([REPLICATOR_SCRIPT, '--check', dc], { superuser: "try", err: "out" });
+            this.uiManager.showSuccess(output.trim());
+        } catch (error) {
+            this.uiManager.showError(cockpit.format(_("$0: SSH login failed or rsync is not installed. Add the replication public key to root's authorized_keys on that DC."), dc));
+        }
+    }
+
+    /**
+     * Create the replication SSH key if needed and show its public half
+     */
+    async showPublicKey() {
+        try {
+            const key = (await cockpit.spawn([REPLICATOR_SCRIPT, '--setup-key'], { superuser: "try", err: "message" })).trim();
+            await this.uiManager.showFormDialog({
+                title: _("SYSVOL Replication SSH Key"),
+                submitLabel: _("Close"),
+                intro: this.uiManager.escapeHtml(cockpit.format(
+                    _("Append this key to $0's ~/.ssh/authorized_keys on every other domain controller and install rsync there. Only the PDC Emulator uses it, so create it on each DC that may hold the role."),
+                    this.config.sshUser)),
+                fields: [
+                    { name: 'key', label: _("Public key"), type: 'textarea', value: key }
+                ]
+            });
+        } catch (error) {
+            console.error('Failed to create SSH key:', error);
+            this.uiManager.showError(_("Failed to create the replication SSH key: ") + error.message);
+        }
+    }
+
+    /**
+     * Read the replication configuration file
+     */
+    async readConfig() {
+        const content = await cockpit.file(REPLICATION_CONFIG, { superuser: "try" }).read() || '';
+        const value = (key) => {
+            const match = content.match(new RegExp(`^${key}="?([^"\\n]*)"?`, 'm'));
+            return match ? match[1].trim() : null;
+        };
+
+        return {
+            sshUser: value('SSH_USER') || 'root',
+            excludeDcs: value('EXCLUDE_DCS') || '',
+            resetAcls: value('RESET_ACLS') !== 'no',
+            fullSyncHours: parseInt(value('FULL_SYNC_HOURS'), 10) || 24,
+            bwlimit: value('BWLIMIT') || ''
+        };
+    }
+
+    /**
+     * Edit replication settings and enable or disable the timer
+     */
+    async editSettings() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("SYSVOL Replication Settings"),
+            submitLabel: _("Save"),
+            fields: [
+                { name: 'enabled', label: _("Replicate automatically every 5 minutes"), type: 'checkbox', value: this.timerEnabled,
+                  helper: _("Enable on every DC; only the current PDC Emulator pushes, so replication follows a role transfer") },
+                { name: 'sshUser', label: _("SSH user"), value: this.config.sshUser, required: true },
+                { name: 'excludeDcs', label: _("Exclude DCs"), value: this.config.excludeDcs, placeholder: 'dc3 rodc1.example.com',
+                  helper: _("Space-separated short or full host names that manage their own SYSVOL") },
+                { name: 'resetAcls', label: _("Run sysvolreset on the target after changes"), type: 'checkbox', value: this.config.resetAcls,
+                  helper: _("Needed unless idmap.ldb was copied from the PDC Emulator to every DC") },
+                { name: 'fullSyncHours', label: _("Full sync every (hours)"), type: 'number', min: 1, value: this.config.fullSyncHours,
+                  helper: _("Unchanged DCs are re-synced after this long to undo local edits") },
+                { name: 'bwlimit', label: _("Bandwidth limit (KiB/s)"), type: 'number', min: 0, value: this.config.bwlimit,
+                  placeholder: 'Unlimited' }
+            ],
+            validate: (v) => {
+                if (!/^[a-z_][a-z0-9_.-]*$/i.test(v.sshUser.trim())) {
+                    return _("Enter a valid user name");
+                }
+                if (!/^[a-z0-9.\s-]*$/i.test(v.excludeDcs)) {
+                    return _("Host names may only contain letters, digits, dots and hyphens");
+                }
+                if (!Number.isInteger(Number(v.fullSyncHours)) || Number(v.fullSyncHours) < 1) {
+                    return _("The full sync interval must be a whole number of hours");
+                }
+                return v.bwlimit === '' || /^\d+$/.test(v.bwlimit) ? null : _("The bandwidth limit must be a whole number");
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const content = [
+            '# SYSVOL replication settings - managed by Cockpit Domain Controller',
+            `SSH_USER="${values.sshUser.trim()}"`,
+            `EXCLUDE_DCS="${values.excludeDcs.trim().split(/\s+/).filter(dc => dc).join(' ')}"`,
+            `RESET_ACLS="${values.resetAcls ? 'yes' : 'no'}"`,
+            `FULL_SYNC_HOURS=${Number(values.fullSyncHours)}`,
+            `BWLIMIT="${values.bwlimit === '0' ? '' : values.bwlimit}"`,
+            ''
+        ].join('\n');
+
+        try {
+            await cockpit.file(REPLICATION_CONFIG, { superuser: "try" }).replace(content);
+            await cockpit.spawn(['systemctl', values.enabled ? 'enable' : 'disable', '--now', REPLICATOR_TIMER],
+                { superuser: "try", err: "message" });
+            this.uiManager.showSuccess(_("SYSVOL replication settings saved"));
+        } catch (error) {
+            console.error('Failed to save SYSVOL replication settings:', error);
+            this.uiManager.showError(_("Failed to save replication settings: ") + error.message);
+        }
+
+        await this.load();
+    }
+}
@@ -428,13 +428,11 @@ export class TestManager {
      * Get domain name
      */
     async getDomainName() {
-        try {
-            const proc = cockpit.spawn(['hostname', '-d']);
-            const result = await proc;
-            return result.trim() || 'guedry.local';
-        } catch (error) {
-            return 'guedry.local';
+        const result = await cockpit.spawn(['hostname', '-d']);
+        if (!result.trim()) {
+            throw new Error('Domain name could not be determined');
         }
+        return result.trim();
     }
 
     /**
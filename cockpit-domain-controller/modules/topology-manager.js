@@ -0,0 +1,325 @@
+/**
+ * Replication Topology Module
+ * Draws DCs and their NTDS connection objects grouped by site, and runs the KCC
+ */
+
+const _ = cockpit.gettext;
+
+// nTDSConnection options bit set on connections the KCC created
+const NTDSCONN_OPT_IS_GENERATED = 0x1;
+
+const NODE_RADIUS = 20;
+const SITE_PADDING = 50;
+const SITE_GAP = 40;
+const SITES_PER_ROW = 3;
+
+export class TopologyManager {
+    constructor(uiManager, ldbManager, replicationManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.replicationManager = replicationManager;
+        this.topology = null;
+        this.before = null;
+        this.section = null;
+    }
+
+    /**
+     * Create the replication topology card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'topology-section',
+            icon: 'fas fa-project-diagram',
+            title: 'Replication Topology',
+            description: 'Domain controllers grouped by site, with an arrow for each NTDS connection object from the DC replicated from to the DC that pulls.',
+            body: `
+                <div class="management-toolbar">
+                    <div class="topology-legend">
+                        <span class="topology-legend-item"><span class="topology-swatch generated"></span>${_("KCC-generated")}</span>
+                        <span class="topology-legend-item"><span class="topology-swatch manual"></span>${_("Manual")}</span>
+                        <span class="topology-legend-item"><span class="topology-swatch intersite"></span>${_("Between sites")}</span>
+                        <span class="topology-legend-item"><span class="topology-swatch failing"></span>${_("Failing into this DC")}</span>
+                        <span class="topology-legend-item"><span class="topology-swatch disabled"></span>${_("Disabled")}</span>
+                    </div>
+                    <div class="management-toolbar-actions">
+                        <button id="run-kcc-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-cogs"></i> ${_("Run KCC")}
+                        </button>
+                        <button id="refresh-topology-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="topology-summary" class="management-summary"></div>
+                <div id="topology-container">
+                    <p class="management-empty">${_("Loading replication topology...")}</p>
+                </div>
+            `,
+            onFirstExpand: () => this.load()
+        });
+
+        this.section.querySelector('#refresh-topology-btn').addEventListener('click', () => {
+            this.before = null;
+            this.load();
+        });
+        this.section.querySelector('#run-kcc-btn').addEventListener('click', () => this.runKcc());
+        return this.section;
+    }
+
+    /**
+     * Read sites, servers and connection objects from CN=Sites and overlay inbound
+     * failures of this DC from drs showrepl
+     */
+    async getTopology() {
+        const rootDSE = await this.ldbManager.getRootDSE();
+        const entries = await this.ldbManager.search(
+            '(|(objectClass=site)(objectClass=server)(objectClass=nTDSConnection))',
+            ['objectClass', 'name', 'dNSHostName', 'fromServer', 'options', 'enabledConnection'],
+            { base: `CN=Sites,${rootDSE.configurationNamingContext}` });
+
+        const hasClass = (entry, objectClass) => this.ldbManager.getValues(entry, 'objectClass')
+            .some(value => value.toLowerCase() === objectClass.toLowerCase());
+        // CN=<server>,CN=Servers,CN=<site>,CN=Sites,... -> site name
+        const siteOf = (serverDn) => this.ldbManager.getRDNValue(this.ldbManager.splitDN(serverDn).slice(2).join(','));
+        const localServer = this.ldbManager.getRDNValue(rootDSE.serverName).toLowerCase();
+
+        const sites = entries.filter(entry => hasClass(entry, 'site')).map(entry => this.ldbManager.getRDNValue(entry.dn));
+        const servers = entries.filter(entry => hasClass(entry, 'server')).map(entry => ({
+            dn: entry.dn.toLowerCase(),
+            name: this.ldbManager.getRDNValue(entry.dn),
+            site: siteOf(entry.dn),
+            host: this.ldbManager.getValue(entry, 'dNSHostName'),
+            local: this.ldbManager.getRDNValue(entry.dn).toLowerCase() === localServer
+        }));
+
+        const connections = entries.filter(entry => hasClass(entry, 'nTDSConnection')).map(entry => {
+            // The connection lives under the NTDS Settings of the DC that pulls
+            const destinationDn = this.ldbManager.getParentDN(this.ldbManager.getParentDN(entry.dn)).toLowerCase();
+            const sourceDn = this.ldbManager.getParentDN(this.ldbManager.getValue(entry, 'fromServer')).toLowerCase();
+            const options = parseInt(this.ldbManager.getValue(entry, 'options', '0'), 10) || 0;
+            return {
+                name: this.ldbManager.getRDNValue(entry.dn),
+                source: servers.find(server => server.dn === sourceDn),
+                destination: servers.find(server => server.dn === destinationDn),
+                generated: (options & NTDSCONN_OPT_IS_GENERATED) !== 0,
+                enabled: this.ldbManager.getValue(entry, 'enabledConnection', 'TRUE').toUpperCase() === 'TRUE'
+            };
+        }).filter(connection => connection.source && connection.destination);
+
+        let failing = new Set();
+        try {
+            const status = await this.replicationManager.getReplicationStatus();
+            failing = new Set(status.partners
+                .filter(partner => partner.direction === 'inbound' && partner.failures > 0)
+                .map(partner => partner.server.toLowerCase()));
+        } catch (error) {
+            console.log('Could not read replication status for the topology:', error.message);
+        }
+
+        connections.forEach(connection => {
+            connection.key = `${connection.source.name}>${connection.destination.name}`.toLowerCase();
+            connection.intersite = connection.source.site !== connection.destination.site;
+            connection.failing = connection.destination.local && failing.has(connection.source.name.toLowerCase());
+        });
+
+        // Sites without DCs still matter for site links, so keep them
+        return { sites: [...new Set([...sites, ...servers.map(server => server.site)])].sort(), servers, connections };
+    }
+
+    /**
+     * Load and render the topology
+     */
+    async load() {
+        const container = this.section.querySelector('#topology-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading replication topology...")}</p>`;
+
+        try {
+            this.topology = await this.getTopology();
+            this.render();
+        } catch (error) {
+            console.error('Failed to read the replication topology:', error);
+            this.topology = null;
+            container.innerHTML = `<p class="management-empty error">${_("Failed to read the replication topology: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Run the Knowledge Consistency Checker on this DC and compare the topology before and after
+     */
+    async runKcc() {
+        const button = this.section.querySelector('#run-kcc-btn');
+        button.disabled = true;
+
+        try {
+            this.before = this.topology || await this.getTopology();
+            this.uiManager.showLoading(_("Running the KCC..."));
+            await cockpit.spawn(['samba-tool', 'drs', 'kcc', '--machine-pass'], { superuser: "try", err: "message" });
+            this.topology = await this.getTopology();
+            this.render();
+            this.uiManager.showSuccess(_("KCC run completed"));
+        } catch (error) {
+            console.error('KCC run failed:', error);
+            this.before = null;
+            this.uiManager.showError(_("KCC run failed: ") + error.message);
+        } finally {
+            this.uiManager.hideLoading();
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Place sites in rows and the DCs of each site on a circle inside it
+     */
+    layout(topology) {
+        const boxes = topology.sites.map(site => {
+            const servers = topology.servers.filter(server => server.site === site)
+                .sort((a, b) => a.name.localeCompare(b.name));
+            const radius = servers.length > 1 ? Math.max(60, servers.length * 22) : 0;
+            return { site, servers, radius, width: 2 * (radius + SITE_PADDING) + 60, height: 2 * (radius + SITE_PADDING) + 24 };
+        });
+
+        const positions = new Map();
+        const sites = [];
+        let y = 0;
+        for (let row = 0; row < boxes.length; row += SITES_PER_ROW) {
+            const rowBoxes = boxes.slice(row, row + SITES_PER_ROW);
+            const rowHeight = Math.max(...rowBoxes.map(box => box.height));
+            let x = 0;
+            for (const box of rowBoxes) {
+                const cx = x + box.width / 2;
+                const cy = y + 24 + (rowHeight - 24) / 2;
+                box.servers.forEach((server, i) => {
+                    const angle = -Math.PI / 2 + 2 * Math.PI * i / box.servers.length;
+                    positions.set(server.dn, { x: cx + box.radius * Math.cos(angle), y: cy + box.radius * Math.sin(angle) });
+                });
+                sites.push({ name: box.site, x, y, width: box.width, height: rowHeight, count: box.servers.length });
+                x += box.width + SITE_GAP;
+            }
+            y += rowHeight + SITE_GAP;
+        }
+
+        return {
+            sites,
+            positions,
+            width: Math.max(...sites.map(site => site.x + site.width), 200),
+            height: Math.max(y - SITE_GAP, 100)
+        };
+    }
+
+    /**
+     * Draw a topology as SVG. Connections only in compareTo are drawn as removed.
+     */
+    renderSvg(topology, compareTo = null) {
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const { sites, positions, width, height } = this.layout(topology);
+        const keys = compareTo ? new Set(compareTo.connections.map(connection => connection.key)) : null;
+        const currentKeys = new Set(topology.connections.map(connection => connection.key));
+        const removed = compareTo
+            ? compareTo.connections.filter(connection => !currentKeys.has(connection.key) &&
+                positions.has(connection.source.dn) && positions.has(connection.destination.dn))
+            : [];
+
+        const edge = (connection, extraClass) => {
+            const from = positions.get(connection.source.dn);
+            const to = positions.get(connection.destination.dn);
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const length = Math.hypot(dx, dy) || 1;
+            const ux = dx / length;
+            const uy = dy / length;
+            // Bend to the right of the direction of travel so A->B and B->A stay apart
+            const bend = 18;
+            const cx = (from.x + to.x) / 2 - uy * bend;
+            const cy = (from.y + to.y) / 2 + ux * bend;
+            const start = { x: from.x + ux * NODE_RADIUS, y: from.y + uy * NODE_RADIUS };
+            const end = { x: to.x - ux * (NODE_RADIUS + 4), y: to.y - uy * (NODE_RADIUS + 4) };
+            const classes = ['topology-edge',
+                connection.generated ? 'generated' : 'manual',
+                connection.intersite ? 'intersite' : '',
+                connection.enabled ? '' : 'disabled',
+                connection.failing ? 'failing' : '',
+                keys && !keys.has(connection.key) ? 'added' : '',
+                extraClass].filter(c => c).join(' ');
+            const title = cockpit.format(_("$0 replicates from $1 ($2)"), connection.destination.name, connection.source.name,
+                connection.generated ? _("KCC-generated") : _("manual"));
+            return `<path class="${classes}" d="M ${start.x} ${start.y} Q ${cx} ${cy} ${end.x} ${end.y}" marker-end="url(#topology-arrow)"><title>${esc(title)}</title></path>`;
+        };
+
+        return `
+            <svg class="topology-graph" viewBox="-10 -10 ${width + 20} ${height + 20}" width="${width + 20}" role="img"
+                 aria-label="${_("Replication topology")}">
+                <defs>
+                    <marker id="topology-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z" class="topology-arrowhead"></path>
+                    </marker>
+                </defs>
+                ${sites.map(site => `
+                    <rect class="topology-site" x="${site.x}" y="${site.y}" width="${site.width}" height="${site.height}" rx="8"></rect>
+                    <text class="topology-site-label" x="${site.x + 10}" y="${site.y + 18}">${esc(site.name)}</text>
+                    ${site.count === 0 ? `<text class="topology-site-empty" x="${site.x + site.width / 2}" y="${site.y + site.height / 2}" text-anchor="middle">${_("No DCs")}</text>` : ''}
+                `).join('')}
+                ${removed.map(connection => edge(connection, 'removed')).join('')}
+                ${topology.connections.map(connection => edge(connection, '')).join('')}
+                ${topology.servers.map(server => {
+                    const position = positions.get(server.dn);
+                    return `
+                        <g class="topology-node${server.local ? ' local' : ''}">
+                            <title>${esc(server.host || server.name)}</title>
+                            <circle cx="${position.x}" cy="${position.y}" r="${NODE_RADIUS}"></circle>
+                            <text x="${position.x}" y="${position.y + NODE_RADIUS + 14}" text-anchor="middle">${esc(server.name)}</text>
+                        </g>
+                    `;
+                }).join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Render the topology, side by side with the one before the last KCC run if there is one
+     */
+    render() {
+        const container = this.section.querySelector('#topology-container');
+        const summary = this.section.querySelector('#topology-summary');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+        const topology = this.topology;
+
+        summary.textContent = cockpit.format(_("$0 sites, $1 domain controllers, $2 connection objects ($3 between sites)"),
+            topology.sites.length, topology.servers.length, topology.connections.length,
+            topology.connections.filter(connection => connection.intersite).length);
+
+        if (topology.servers.length === 0) {
+            container.innerHTML = `<p class="management-empty">${_("No domain controllers found in CN=Sites.")}</p>`;
+            return;
+        }
+
+        if (!this.before) {
+            container.innerHTML = `<div class="topology-scroll">${this.renderSvg(topology)}</div>`;
+            return;
+        }
+
+        const beforeKeys = new Set(this.before.connections.map(connection => connection.key));
+        const afterKeys = new Set(topology.connections.map(connection => connection.key));
+        const added = topology.connections.filter(connection => !beforeKeys.has(connection.key));
+        const removed = this.before.connections.filter(connection => !afterKeys.has(connection.key));
+        const describe = (connection) => cockpit.format(_("$0 from $1"), connection.destination.name, connection.source.name);
+
+        container.innerHTML = `
+            <div class="management-summary">
+                ${added.length === 0 && removed.length === 0
+                    ? _("The KCC run did not change any connection objects.")
+                    : `${added.length ? `<span class="pf-v5-c-badge pf-m-green">${cockpit.format(_("$0 added"), added.length)}</span> ${added.map(connection => esc(describe(connection))).join(', ')}` : ''}
+                       ${removed.length ? `<span class="pf-v5-c-badge pf-m-red">${cockpit.format(_("$0 removed"), removed.length)}</span> ${removed.map(connection => esc(describe(connection))).join(', ')}` : ''}`}
+            </div>
+            <div class="topology-compare">
+                <div>
+                    <h3 class="pf-v5-c-title pf-m-md">${_("Before KCC run")}</h3>
+                    <div class="topology-scroll">${this.renderSvg(this.before)}</div>
+                </div>
+                <div>
+                    <h3 class="pf-v5-c-title pf-m-md">${_("After KCC run")}</h3>
+                    <div class="topology-scroll">${this.renderSvg(topology, this.before)}</div>
+                </div>
+            </div>
+        `;
+    }
+}
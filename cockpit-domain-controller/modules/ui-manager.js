@@ -481,6 +481,272 @@ export class UIManager {
         }
     }
 
+    /**
+     * Escape text for safe insertion into HTML templates
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Create a collapsible management card. The body is only loaded the
+     * first time the card is expanded via the onFirstExpand callback.
+     */
+    createManagementSection({ id, icon, title, description = '', body = '', onFirstExpand = null }) {
+        const section = document.createElement('div');
+        section.className = 'pf-v5-c-card management-section';
+        section.id = id;
+        section.innerHTML = `
+            <div class="pf-v5-c-card__header">
+                <div class="pf-v5-c-card__header-main">
+                    <h2 class="pf-v5-c-title pf-m-lg">
+                        <i class="${icon} management-icon" aria-hidden="true"></i>
+                        ${this.escapeHtml(_(title))}
+                    </h2>
+                </div>
+                <div class="pf-v5-c-card__actions">
+                    <button class="pf-v5-c-button pf-m-plain management-toggle-btn" type="button" aria-expanded="false" aria-controls="${id}-content">
+                        <i class="fas fa-chevron-down" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="pf-v5-c-card__body management-content hidden" id="${id}-content">
+                ${description ? `<p class="management-description">${this.escapeHtml(_(description))}</p>` : ''}
+                ${body}
+            </div>
+        `;
+
+        let loaded = false;
+        const toggleBtn = section.querySelector('.management-toggle-btn');
+        const content = section.querySelector('.management-content');
+        const chevron = toggleBtn.querySelector('i');
+
+        toggleBtn.addEventListener('click', () => {
+            const expanded = toggleBtn.getAttribute('aria-expanded') === 'true';
+            toggleBtn.setAttribute('aria-expanded', expanded ? 'false' : 'true');
+            content.classList.toggle('hidden', expanded);
+            chevron.className = expanded ? 'fas fa-chevron-down' : 'fas fa-chevron-up';
+
+            if (!expanded && !loaded && onFirstExpand) {
+                loaded = true;
+                onFirstExpand();
+            }
+        });
+
+        return section;
+    }
+
+    /**
+     * Show a modal form and resolve with the entered values, or null if cancelled.
+     *
+     * Each field is { name, label, type, value, required, helper, options, placeholder }.
+     * An optional validate(values) callback may return an error string to keep the
+     * dialog open. Title, labels and helpers are escaped, so callers translate
+     * literal strings themselves and may pass directory data; only intro is HTML.
+     */
+    showFormDialog({ title, fields, submitLabel = _("Save"), size = 'md', validate = null, intro = '' }) {
+        return new Promise((resolve) => {
+            const existing = document.getElementById('form-dialog-modal');
+            if (existing) {
+                existing.remove();
+            }
+
+            const renderField = (field) => {
+                const fieldId = `form-dialog-${field.name}`;
+                const value = field.value !== undefined && field.value !== null ? field.value : '';
+                const helper = field.helper ? `
+                    <div class="pf-v5-c-form__helper-text">
+                        <div class="pf-v5-c-helper-text">
+                            <div class="pf-v5-c-helper-text__item">
+                                <span class="pf-v5-c-helper-text__item-text">${this.escapeHtml(field.helper)}</span>
+                            </div>
+                        </div>
+                    </div>` : '';
+
+                if (field.type === 'checkbox') {
+                    return `
+                        <div class="pf-v5-c-form__group">
+                            <div class="pf-v5-c-check">
+                                <input class="pf-v5-c-check__input" type="checkbox" id="${fieldId}" ${value ? 'checked' : ''}>
+                                <label class="pf-v5-c-check__label" for="${fieldId}">${this.escapeHtml(field.label)}</label>
+                            </div>
+                            ${helper}
+                        </div>`;
+                }
+
+                let control;
+                if (field.type === 'select') {
+                    const options = (field.options || []).map(option => {
+                        const optionValue = typeof option === 'object' ? option.value : option;
+                        const optionLabel = typeof option === 'object' ? option.label : option;
+                        const selected = String(optionValue) === String(value) ? 'selected' : '';
+                        return `<option value="${this.escapeHtml(optionValue)}" ${selected}>${this.escapeHtml(optionLabel)}</option>`;
+                    }).join('');
+                    control = `<select class="pf-v5-c-form-control" id="${fieldId}">${options}</select>`;
+                } else if (field.type === 'textarea') {
+                    control = `<textarea class="pf-v5-c-form-control" id="${fieldId}" rows="${field.rows || 4}"
+                                         placeholder="${this.escapeHtml(field.placeholder || '')}">${this.escapeHtml(value)}</textarea>`;
+                } else {
+                    control = `<input class="pf-v5-c-form-control" type="${field.type || 'text'}" id="${fieldId}"
+                                      value="${this.escapeHtml(value)}" placeholder="${this.escapeHtml(field.placeholder || '')}"
+                                      ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''}>`;
+                }
+
+                return `
+                    <div class="pf-v5-c-form__group">
+                        <label class="pf-v5-c-form__label" for="${fieldId}">
+                            <span class="pf-v5-c-form__label-text">${this.escapeHtml(field.label)}${field.required ? ' *' : ''}</span>
+                        </label>
+                        ${control}
+                        ${helper}
+                    </div>`;
+            };
+
+            const modal = document.createElement('div');
+            modal.className = 'pf-v5-c-backdrop';
+            modal.id = 'form-dialog-modal';
+            modal.innerHTML = `
+                <div class="pf-v5-l-bullseye">
+                    <div class="pf-v5-c-modal-box pf-m-${size}" role="dialog" aria-modal="true" aria-labelledby="form-dialog-title">
+                        <header class="pf-v5-c-modal-box__header">
+                            <h1 class="pf-v5-c-modal-box__title" id="form-dialog-title">${this.escapeHtml(title)}</h1>
+                        </header>
+                        <div class="pf-v5-c-modal-box__body">
+                            ${intro ? `<p class="form-dialog-intro">${intro}</p>` : ''}
+                            <div class="pf-v5-c-alert pf-m-danger pf-m-inline hidden" id="form-dialog-error">
+                                <div class="pf-v5-c-alert__icon">
+                                    <i class="fas fa-exclamation-circle" aria-hidden="true"></i>
+                                </div>
+                                <p class="pf-v5-c-alert__title" id="form-dialog-error-text"></p>
+                            </div>
+                            <form class="pf-v5-c-form" id="form-dialog-form">
+                                ${fields.map(renderField).join('')}
+                            </form>
+                        </div>
+                        <footer class="pf-v5-c-modal-box__footer">
+                            <button id="form-dialog-submit" class="pf-v5-c-button pf-m-primary" type="button">${this.escapeHtml(submitLabel)}</button>
+                            <button id="form-dialog-cancel" class="pf-v5-c-button pf-m-link" type="button">${_("Cancel")}</button>
+                        </footer>
+                    </div>
+                </div>
+            `;
+
+            (document.getElementById('domain-controller') || document.body).appendChild(modal);
+
+            const collectValues = () => {
+                const values = {};
+                fields.forEach(field => {
+                    const element = document.getElementById(`form-dialog-${field.name}`);
+                    if (!element) return;
+                    if (field.type === 'checkbox') {
+                        values[field.name] = element.checked;
+                    } else if (field.type === 'password') {
+                        values[field.name] = element.value;
+                    } else {
+                        values[field.name] = element.value.trim();
+                    }
+                });
+                return values;
+            };
+
+            const showDialogError = (message) => {
+                document.getElementById('form-dialog-error-text').textContent = message;
+                document.getElementById('form-dialog-error').classList.remove('hidden');
+            };
+
+            const close = (result) => {
+                modal.remove();
+                resolve(result);
+            };
+
+            const submit = () => {
+                const values = collectValues();
+                const missing = fields.filter(field => field.required && field.type !== 'checkbox' && !values[field.name]);
+                if (missing.length > 0) {
+                    showDialogError(_("Please fill in all required fields: ") + missing.map(field => field.label).join(', '));
+                    return;
+                }
+                const error = validate ? validate(values) : null;
+                if (error) {
+                    showDialogError(error);
+                    return;
+                }
+                close(values);
+            };
+
+            document.getElementById('form-dialog-submit').addEventListener('click', submit);
+            document.getElementById('form-dialog-cancel').addEventListener('click', () => close(null));
+            document.getElementById('form-dialog-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                submit();
+            });
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    close(null);
+                }
+            });
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    close(null);
+                }
+            });
+
+            const firstInput = modal.querySelector('input, select, textarea');
+            if (firstInput) {
+                firstInput.focus();
+            }
+        });
+    }
+
+    /**
+     * Compute a line diff as a list of { type: 'same'|'add'|'del', text } using the longest common subsequence
+     */
+    diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                result.push({ type: 'same', text: a[i++] });
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                result.push({ type: 'del', text: a[i++] });
+            } else {
+                result.push({ type: 'add', text: b[j++] });
+            }
+        }
+        while (i < a.length) result.push({ type: 'del', text: a[i++] });
+        while (j < b.length) result.push({ type: 'add', text: b[j++] });
+        return result;
+    }
+
+    /**
+     * Offer generated content to the browser as a file download
+     */
+    downloadFile(filename, content, mimeType = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     /**
      * Show the log streaming modal
      */
@@ -505,4 +771,15 @@ export class UIManager {
             modal.setAttribute('hidden', '');
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Append streamed output to the log streaming modal
+     */
+    appendLogOutput(data) {
+        const logOutput = document.getElementById('log-output');
+        if (logOutput) {
+            logOutput.textContent += data;
+            logOutput.scrollTop = logOutput.scrollHeight; // Auto-scroll to bottom
+        }
+    }
+}
@@ -0,0 +1,443 @@
+/**
+ * User Account Management Module
+ * Lists domain users and performs account operations through samba-tool user
+ */
+
+const _ = cockpit.gettext;
+
+// userAccountControl / msDS-User-Account-Control-Computed flags
+const UF_ACCOUNTDISABLE = 0x0002;
+const UF_LOCKOUT = 0x0010;
+
+export class UserManager {
+    constructor(uiManager, ldbManager) {
+        this.uiManager = uiManager;
+        this.ldbManager = ldbManager;
+        this.users = [];
+        this.filteredUsers = [];
+        this.currentPage = 1;
+        this.pageSize = 25;
+        this.section = null;
+    }
+
+    /**
+     * Create the user management card
+     */
+    createSection() {
+        this.section = this.uiManager.createManagementSection({
+            id: 'user-management-section',
+            icon: 'fas fa-user',
+            title: 'Users',
+            description: 'Create, unlock and maintain domain user accounts.',
+            body: `
+                <div class="management-toolbar">
+                    <input type="search" class="pf-v5-c-form-control management-search" id="user-search"
+                           placeholder="${_("Search by username, name or email")}" aria-label="${_("Search users")}">
+                    <div class="management-toolbar-actions">
+                        <button id="create-user-btn" class="pf-v5-c-button pf-m-primary" type="button">
+                            <i class="fas fa-user-plus"></i> ${_("Create User")}
+                        </button>
+                        <button id="refresh-users-btn" class="pf-v5-c-button pf-m-secondary" type="button">
+                            <i class="fas fa-sync-alt"></i> ${_("Refresh")}
+                        </button>
+                    </div>
+                </div>
+                <div id="user-table-container" class="management-table-container">
+                    <p class="management-empty">${_("Loading users...")}</p>
+                </div>
+                <div id="user-pagination" class="management-pagination"></div>
+            `,
+            onFirstExpand: () => this.loadUsers()
+        });
+
+        this.bindEvents();
+        return this.section;
+    }
+
+    /**
+     * Bind toolbar, table and pagination events
+     */
+    bindEvents() {
+        const searchInput = this.section.querySelector('#user-search');
+        searchInput.addEventListener('input', () => {
+            this.currentPage = 1;
+            this.applyFilter(searchInput.value);
+        });
+
+        this.section.querySelector('#create-user-btn').addEventListener('click', () => this.createUser());
+        this.section.querySelector('#refresh-users-btn').addEventListener('click', () => this.loadUsers());
+
+        this.section.querySelector('#user-table-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.handleUserAction(button.dataset.action, button.dataset.username);
+            }
+        });
+
+        this.section.querySelector('#user-pagination').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-page]');
+            if (button && !button.disabled) {
+                this.currentPage = parseInt(button.dataset.page, 10);
+                this.renderTable();
+            }
+        });
+    }
+
+    /**
+     * Load all user accounts from the local SAM database
+     */
+    async loadUsers() {
+        const container = this.section.querySelector('#user-table-container');
+        container.innerHTML = `<p class="management-empty"><i class="fas fa-spinner fa-spin"></i> ${_("Loading users...")}</p>`;
+
+        try {
+            const domainDN = await this.ldbManager.getDomainDN();
+            const entries = await this.ldbManager.search('(&(objectCategory=person)(objectClass=user))', [
+                'sAMAccountName',
+                'displayName',
+                'mail',
+                'userAccountControl',
+                'msDS-User-Account-Control-Computed',
+                'lockoutTime',
+                'accountExpires',
+                'lastLogonTimestamp'
+            ], { base: domainDN, scope: 'sub' });
+
+            this.users = entries.map(entry => this.parseUserEntry(entry))
+                .filter(user => user.username)
+                .sort((a, b) => a.username.localeCompare(b.username));
+
+            this.applyFilter(this.section.querySelector('#user-search').value);
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            container.innerHTML = `<p class="management-empty error">${_("Failed to load users: ")}${this.uiManager.escapeHtml(error.message)}</p>`;
+            this.section.querySelector('#user-pagination').innerHTML = '';
+        }
+    }
+
+    /**
+     * Convert an LDB entry into a user record
+     */
+    parseUserEntry(entry) {
+        const uac = parseInt(this.ldbManager.getValue(entry, 'userAccountControl', '0'), 10);
+        const computedValue = this.ldbManager.getValue(entry, 'msDS-User-Account-Control-Computed', null);
+        const computedUac = computedValue !== null ? parseInt(computedValue, 10) : null;
+        const lockoutTime = this.ldbManager.getValue(entry, 'lockoutTime', '0');
+
+        return {
+            dn: entry.dn,
+            username: this.ldbManager.getValue(entry, 'sAMAccountName'),
+            displayName: this.ldbManager.getValue(entry, 'displayName'),
+            mail: this.ldbManager.getValue(entry, 'mail'),
+            enabled: (uac & UF_ACCOUNTDISABLE) === 0,
+            // lockoutTime keeps its value after the lockout expires, so only use it without the computed flags
+            locked: computedUac !== null ? (computedUac & UF_LOCKOUT) !== 0 : lockoutTime !== '0',
+            expires: this.ldbManager.fileTimeToDate(this.ldbManager.getValue(entry, 'accountExpires')),
+            lastLogon: this.ldbManager.fileTimeToDate(this.ldbManager.getValue(entry, 'lastLogonTimestamp'))
+        };
+    }
+
+    /**
+     * Filter the user list by a search term
+     */
+    applyFilter(term) {
+        const query = (term || '').trim().toLowerCase();
+        this.filteredUsers = query
+            ? this.users.filter(user =>
+                user.username.toLowerCase().includes(query) ||
+                user.displayName.toLowerCase().includes(query) ||
+                user.mail.toLowerCase().includes(query))
+            : this.users;
+        this.renderTable();
+    }
+
+    /**
+     * Render the current page of the user table
+     */
+    renderTable() {
+        const container = this.section.querySelector('#user-table-container');
+        const esc = (text) => this.uiManager.escapeHtml(text);
+
+        const totalPages = Math.max(1, Math.ceil(this.filteredUsers.length / this.pageSize));
+        this.currentPage = Math.min(Math.max(1, this.currentPage), totalPages);
+        const start = (this.currentPage - 1) * this.pageSize;
+        const pageUsers = this.filteredUsers.slice(start, start + this.pageSize);
+
+        if (pageUsers.length === 0) {
+            container.innerHTML = `<p class="management-empty">${this.users.length === 0 ? _("No user accounts found.") : _("No users match the search.")}</p>`;
+        } else {
+            container.innerHTML = `
+                <table class="pf-v5-c-table pf-m-compact pf-m-grid-md" role="grid" aria-label="${_("Domain users")}">
+                    <thead>
+                        <tr>
+                            <th scope="col">${_("Username")}</th>
+                            <th scope="col">${_("Display Name")}</th>
+                            <th scope="col">${_("Email")}</th>
+                            <th scope="col">${_("Status")}</th>
+                            <th scope="col">${_("Account Expires")}</th>
+                            <th scope="col">${_("Last Logon")}</th>
+                            <th scope="col">${_("Actions")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pageUsers.map(user => `
+                            <tr>
+                                <td data-label="${_("Username")}"><strong>${esc(user.username)}</strong></td>
+                                <td data-label="${_("Display Name")}">${esc(user.displayName)}</td>
+                                <td data-label="${_("Email")}">${esc(user.mail)}</td>
+                                <td data-label="${_("Status")}">
+                                    ${user.enabled
+                                        ? `<span class="pf-v5-c-badge pf-m-green">${_("Enabled")}</span>`
+                                        : `<span class="pf-v5-c-badge pf-m-red">${_("Disabled")}</span>`}
+                                    ${user.locked ? `<span class="pf-v5-c-badge pf-m-orange">${_("Locked")}</span>` : ''}
+                                </td>
+                                <td data-label="${_("Account Expires")}">${user.expires ? esc(user.expires.toLocaleDateString()) : _("Never")}</td>
+                                <td data-label="${_("Last Logon")}">${user.lastLogon ? esc(user.lastLogon.toLocaleString()) : _("Never")}</td>
+                                <td data-label="${_("Actions")}" class="management-row-actions">
+                                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button"
+                                            data-action="${user.enabled ? 'disable' : 'enable'}" data-username="${esc(user.username)}">
+                                        ${user.enabled ? _("Disable") : _("Enable")}
+                                    </button>
+                                    ${user.locked ? `
+                                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button"
+                                            data-action="unlock" data-username="${esc(user.username)}">${_("Unlock")}</button>` : ''}
+                                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button"
+                                            data-action="reset-password" data-username="${esc(user.username)}">${_("Reset Password")}</button>
+                                    <button class="pf-v5-c-button pf-m-secondary pf-m-small" type="button"
+                                            data-action="set-expiry" data-username="${esc(user.username)}">${_("Set Expiry")}</button>
+                                    <button class="pf-v5-c-button pf-m-danger pf-m-small" type="button"
+                                            data-action="delete" data-username="${esc(user.username)}">${_("Delete")}</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        this.renderPagination(totalPages, start, pageUsers.length);
+    }
+
+    /**
+     * Render pagination controls below the table
+     */
+    renderPagination(totalPages, start, count) {
+        const pagination = this.section.querySelector('#user-pagination');
+        if (this.filteredUsers.length === 0) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        pagination.innerHTML = `
+            <span class="management-pagination-info">
+                ${cockpit.format(_("$0 - $1 of $2 users"), start + 1, start + count, this.filteredUsers.length)}
+            </span>
+            <button class="pf-v5-c-button pf-m-plain" type="button" data-page="${this.currentPage - 1}"
+                    ${this.currentPage <= 1 ? 'disabled' : ''} aria-label="${_("Previous page")}">
+                <i class="fas fa-angle-left"></i>
+            </button>
+            <span>${cockpit.format(_("Page $0 of $1"), this.currentPage, totalPages)}</span>
+            <button class="pf-v5-c-button pf-m-plain" type="button" data-page="${this.currentPage + 1}"
+                    ${this.currentPage >= totalPages ? 'disabled' : ''} aria-label="${_("Next page")}">
+                <i class="fas fa-angle-right"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Dispatch a row action
+     */
+    async handleUserAction(action, username) {
+        switch (action) {
+            case 'enable':
+                await this.runAction(['enable', username], cockpit.format(_("User $0 enabled"), username));
+                break;
+            case 'disable':
+                if (await this.uiManager.confirm(cockpit.format(_("Disable user $0? The user will no longer be able to log on."), username), _("Disable User"))) {
+                    await this.runAction(['disable', username], cockpit.format(_("User $0 disabled"), username));
+                }
+                break;
+            case 'unlock':
+                await this.runAction(['unlock', username], cockpit.format(_("User $0 unlocked"), username));
+                break;
+            case 'reset-password':
+                await this.resetPassword(username);
+                break;
+            case 'set-expiry':
+                await this.setExpiry(username);
+                break;
+            case 'delete':
+                if (await this.uiManager.confirm(cockpit.format(_("Permanently delete user $0? This cannot be undone."), username), _("Delete User"))) {
+                    await this.runAction(['delete', username], cockpit.format(_("User $0 deleted"), username));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Run a samba-tool user subcommand and refresh the list. Passwords go in
+     * through input, never in args, so they do not show up in ps or /proc.
+     */
+    async runAction(args, successMessage, input = null) {
+        try {
+            const process = cockpit.spawn(['samba-tool', 'user', ...args], { superuser: "try", err: "message" });
+            await (input !== null ? process.input(input) : process);
+            this.uiManager.showSuccess(successMessage);
+            document.dispatchEvent(new CustomEvent('directory-changed', { detail: { type: 'user' } }));
+            await this.loadUsers();
+            return true;
+        } catch (error) {
+            console.error(`samba-tool user ${args[0]} failed:`, error);
+            this.uiManager.showError(cockpit.format(_("samba-tool user $0 failed: $1"), args[0], error.message));
+            return false;
+        }
+    }
+
+    /**
+     * samba-tool prompts for a password it was not given on the command line and,
+     * without a terminal, reads the answer and its confirmation from stdin
+     */
+    passwordInput(password) {
+        return `${password}\n${password}\n`;
+    }
+
+    /**
+     * Validate a sAMAccountName against the AD naming rules
+     */
+    validateSamAccountName(name) {
+        if (!name) {
+            return _("Username is required");
+        }
+        if (name.length > 20) {
+            return _("Username must be 20 characters or fewer");
+        }
+        if (/["/\\[\]:;|=,+*?<>@\s]/.test(name)) {
+            return _("Username contains invalid characters");
+        }
+        if (name.endsWith('.')) {
+            return _("Username cannot end with a period");
+        }
+        return null;
+    }
+
+    /**
+     * Check a password against the domain policy, returning an error or null
+     */
+    validatePassword(password, username, policy) {
+        if (password.length < policy.minLength) {
+            return cockpit.format(_("Password must be at least $0 characters"), policy.minLength);
+        }
+        if (policy.complexity) {
+            const categories = [/[A-Z]/, /[a-z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+            if (categories < 3) {
+                return _("Password must contain three of: uppercase, lowercase, digits, symbols");
+            }
+            if (username && username.length > 2 && password.toLowerCase().includes(username.toLowerCase())) {
+                return _("Password must not contain the username");
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Show the create user dialog and create the account
+     */
+    async createUser() {
+        const values = await this.uiManager.showFormDialog({
+            title: _("Create User"),
+            submitLabel: _("Create"),
+            fields: [
+                { name: 'username', label: _("Username"), required: true, helper: _("sAMAccountName, up to 20 characters") },
+                { name: 'givenName', label: _("First Name") },
+                { name: 'surname', label: _("Last Name") },
+                { name: 'mail', label: _("Email Address"), type: 'email' },
+                { name: 'userou', label: _("Organizational Unit"), placeholder: 'OU=Staff', helper: _("Relative to the domain DN; leave empty for CN=Users") },
+                { name: 'password', label: _("Password"), type: 'password', required: true },
+                { name: 'confirm', label: _("Confirm Password"), type: 'password', required: true },
+                { name: 'mustChange', label: _("User must change password at next logon"), type: 'checkbox', value: true }
+            ],
+            validate: (v) => {
+                const nameError = this.validateSamAccountName(v.username);
+                if (nameError) return nameError;
+                if (v.password !== v.confirm) return _("Passwords do not match");
+                if (/[\r\n]/.test(v.password)) return _("Passwords cannot contain line breaks");
+                return null;
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const args = ['create', values.username];
+        if (values.givenName) args.push('--given-name=' + values.givenName);
+        if (values.surname) args.push('--surname=' + values.surname);
+        if (values.mail) args.push('--mail-address=' + values.mail);
+        if (values.userou) args.push('--userou=' + values.userou);
+        if (values.mustChange) args.push('--must-change-at-next-login');
+
+        await this.runAction(args, cockpit.format(_("User $0 created"), values.username), this.passwordInput(values.password));
+    }
+
+    /**
+     * Reset a user's password
+     */
+    async resetPassword(username) {
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Reset Password for $0"), username),
+            submitLabel: _("Reset Password"),
+            fields: [
+                { name: 'password', label: _("New Password"), type: 'password', required: true },
+                { name: 'confirm', label: _("Confirm Password"), type: 'password', required: true },
+                { name: 'mustChange', label: _("User must change password at next logon"), type: 'checkbox', value: true }
+            ],
+            validate: (v) => {
+                if (v.password !== v.confirm) return _("Passwords do not match");
+                return /[\r\n]/.test(v.password) ? _("Passwords cannot contain line breaks") : null;
+            }
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const args = ['setpassword', username];
+        if (values.mustChange) args.push('--must-change-at-next-login');
+
+        await this.runAction(args, cockpit.format(_("Password reset for $0"), username), this.passwordInput(values.password));
+    }
+
+    /**
+     * Set or clear a user's account expiry
+     */
+    async setExpiry(username) {
+        const values = await this.uiManager.showFormDialog({
+            title: cockpit.format(_("Set Account Expiry for $0"), username),
+            submitLabel: _("Apply"),
+            fields: [
+                {
+                    name: 'mode',
+                    label: _("Expiry"),
+                    type: 'select',
+                    value: 'days',
+                    options: [
+                        { value: 'days', label: _("Expire after a number of days") },
+                        { value: 'never', label: _("Never expire") }
+                    ]
+                },
+                { name: 'days', label: _("Days from today"), type: 'number', value: 30, min: 1 }
+            ],
+            validate: (v) => v.mode === 'days' && !(parseInt(v.days, 10) > 0) ? _("Enter a positive number of days") : null
+        });
+
+        if (!values) {
+            return;
+        }
+
+        const args = values.mode === 'never'
+            ? ['setexpiry', username, '--noexpiry']
+            : ['setexpiry', username, '--days=' + parseInt(values.days, 10)];
+
+        await this.runAction(args, cockpit.format(_("Account expiry updated for $0"), username));
+    }
+}
@@ -0,0 +1,379 @@
+#!/bin/bash
+# SYSVOL Replicator
+# Samba has no DFS-R: push SYSVOL from the PDC Emulator to every other DC with rsync over SSH
+# Runs from sysvol-replicator.timer on every DC; only the PDC Emulator does any work
+
+set -e
+
+SCRIPT_NAME="sysvol-replicator"
+LOG_TAG="$SCRIPT_NAME"
+LOCK_FILE="/var/run/sysvol-replicator.lock"
+SYSVOL_ROOT="/var/lib/samba/sysvol"
+SAM_LDB="/var/lib/samba/private/sam.ldb"
+
+# Per-DC status, one tab-separated line per DC:
+# dc, result, last attempt, last success, source fingerprint, files changed, message
+STATE_DIR="/var/lib/samba/sysvol-replication"
+STATUS_FILE="${STATE_DIR}/status"
+
+# Local replication settings, written by the Cockpit SYSVOL Replication card
+REPLICATION_CONFIG="/etc/samba/sysvol-replication.conf"
+SSH_USER="root"
+SSH_KEY="/root/.ssh/sysvol_replication"
+EXCLUDE_DCS=""
+RESET_ACLS="yes"
+FULL_SYNC_HOURS=24
+BWLIMIT=""
+
+# Logging functions
+log_info() {
+    logger -t "$LOG_TAG" -p info "$1"
+    echo "[INFO] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+log_error() {
+    logger -t "$LOG_TAG" -p err "$1"
+    echo "[ERROR] $(date '+%Y-%m-%d %H:%M:%S') $1" >&2
+}
+
+log_debug() {
+    logger -t "$LOG_TAG" -p debug "$1"
+    echo "[DEBUG] $(date '+%Y-%m-%d %H:%M:%S') $1"
+}
+
+# Lock management
+acquire_lock() {
+    if [ -f "$LOCK_FILE" ]; then
+        local pid=$(cat "$LOCK_FILE" 2>/dev/null || echo "")
+        if [ -n "$pid" ] && kill -0 "$pid" 2>/dev/null; then
+            log_info "Another replication run is in progress (PID: $pid)"
+            exit 0
+        else
+            log_info "Removing stale lock file"
+            rm -f "$LOCK_FILE"
+        fi
+    fi
+    echo $$ > "$LOCK_FILE"
+    trap 'release_lock; exit' INT TERM EXIT
+}
+
+release_lock() {
+    rm -f "$LOCK_FILE"
+}
+
+# Load SSH and sync settings from the local configuration
+load_config() {
+    if [ -f "$REPLICATION_CONFIG" ]; then
+        # shellcheck source=/dev/null
+        source "$REPLICATION_CONFIG"
+    fi
+}
+
+# Get the short name of the PDC Emulator role owner
+get_pdc_emulator() {
+    samba-tool fsmo show 2>/dev/null | grep "PdcEmulationMasterRole owner:" | sed 's/.*CN=NTDS Settings,CN=\([^,]*\).*/\1/' | tr '[:upper:]' '[:lower:]'
+}
+
+is_pdc_emulator() {
+    local this_server pdc_owner
+    this_server=$(hostname -s | tr '[:upper:]' '[:lower:]')
+    pdc_owner=$(get_pdc_emulator)
+
+    [ -n "$pdc_owner" ] && [ "$pdc_owner" = "$this_server" ]
+}
+
+# List the DNS host names of all other DCs from the server objects under CN=Sites
+list_other_dcs() {
+    local config_dn this_server
+    config_dn=$(ldbsearch -H "$SAM_LDB" -s base -b "" configurationNamingContext 2>/dev/null | awk '/^configurationNamingContext:/ {print $2}')
+    this_server=$(hostname -s | tr '[:upper:]' '[:lower:]')
+
+    ldbsearch -H "$SAM_LDB" -b "CN=Sites,${config_dn}" "(objectClass=server)" dNSHostName 2>/dev/null \
+        | awk '/^dNSHostName:/ {print tolower($2)}' \
+        | while read -r dc; do
+            local short="${dc%%.*}"
+            [ "$short" = "$this_server" ] && continue
+            [[ " ${EXCLUDE_DCS,,} " == *" ${short} "* || " ${EXCLUDE_DCS,,} " == *" ${dc} "* ]] && continue
+            echo "$dc"
+        done | sort -u
+}
+
+ssh_options() {
+    local options=(-o BatchMode=yes -o ConnectTimeout=10 -o StrictHostKeyChecking=accept-new)
+    if [ -f "$SSH_KEY" ]; then
+        options+=(-i "$SSH_KEY")
+    fi
+    echo "${options[@]}"
+}
+
+# Fingerprint of the local SYSVOL tree. ctime changes with content and with NT ACL xattrs.
+sysvol_fingerprint() {
+    find "$SYSVOL_ROOT" -printf '%P\t%s\t%C@\t%m\n' 2>/dev/null | sort | sha256sum | cut -d' ' -f1
+}
+
+# Read one field of a DC's status line
+get_status_field() {
+    local dc="$1"
+    local field="$2"
+    [ -f "$STATUS_FILE" ] || return 0
+    awk -F'\t' -v dc="$dc" -v field="$field" '$1 == dc {print $field}' "$STATUS_FILE"
+}
+
+# Replace a DC's status line
+set_status() {
+    local dc="$1" result="$2" last_success="$3" fingerprint="$4" changed="$5" message="$6"
+    mkdir -p "$STATE_DIR"
+    touch "$STATUS_FILE"
+    {
+        awk -F'\t' -v dc="$dc" '$1 != dc' "$STATUS_FILE"
+        printf '%s\t%s\t%s\t%s\t%s\t%s\t%s\n' "$dc" "$result" "$(date -u '+%Y-%m-%dT%H:%M:%SZ')" \
+            "$last_success" "$fingerprint" "$changed" "${message//$'\t'/ }"
+    } > "${STATUS_FILE}.new"
+    mv "${STATUS_FILE}.new" "$STATUS_FILE"
+}
+
+# Check whether the last successful full sync is older than FULL_SYNC_HOURS
+full_sync_due() {
+    local last_success="$1"
+    [ -z "$last_success" ] && return 0
+    local age=$(( $(date +%s) - $(date -d "$last_success" +%s 2>/dev/null || echo 0) ))
+    [ "$age" -ge $(( FULL_SYNC_HOURS * 3600 )) ]
+}
+
+# Push SYSVOL to one DC
+sync_dc() {
+    local dc="$1"
+    local force="$2"
+    local fingerprint="$3"
+    local last_success last_fingerprint last_result
+    last_success=$(get_status_field "$dc" 4)
+    last_fingerprint=$(get_status_field "$dc" 5)
+    last_result=$(get_status_field "$dc" 2)
+
+    if [ "$force" != "true" ] && [ "$last_result" = "ok" ] && [ "$last_fingerprint" = "$fingerprint" ] \
+        && ! full_sync_due "$last_success"; then
+        log_debug "$dc: SYSVOL unchanged since last sync"
+        return 0
+    fi
+
+    log_info "$dc: pushing SYSVOL"
+    local rsync_args=(-aAXH --numeric-ids --delete --itemize-changes -e "ssh $(ssh_options)")
+    if [ -n "$BWLIMIT" ]; then
+        rsync_args+=(--bwlimit="$BWLIMIT")
+    fi
+
+    local output changed
+    if ! output=$(rsync "${rsync_args[@]}" "${SYSVOL_ROOT}/" "${SSH_USER}@${dc}:${SYSVOL_ROOT}/" 2>&1); then
+        local message
+        message=$(echo "$output" | grep -v '^[<>ch.*]' | tail -1)
+        log_error "$dc: rsync failed: $message"
+        set_status "$dc" "failed" "$last_success" "$last_fingerprint" 0 "${message:-rsync failed}"
+        return 1
+    fi
+
+    changed=$(echo "$output" | grep -c '^[<>ch.*]' || true)
+    echo "$output" | grep '^[<>ch.*]' | head -50
+
+    # Remote idmap entries may differ, so let the target rewrite ACLs against its own idmap
+    if [ "$RESET_ACLS" = "yes" ] && [ "$changed" -gt 0 ]; then
+        # shellcheck disable=SC2046
+        if ! ssh $(ssh_options) "${SSH_USER}@${dc}" samba-tool ntacl sysvolreset >/dev/null 2>&1; then
+            log_error "$dc: sysvolreset failed after sync"
+            set_status "$dc" "failed" "$last_success" "$last_fingerprint" "$changed" "Files copied but sysvolreset failed"
+            return 1
+        fi
+    fi
+
+    log_info "$dc: sync complete, $changed changes"
+    set_status "$dc" "ok" "$(date -u '+%Y-%m-%dT%H:%M:%SZ')" "$fingerprint" "$changed" "Synced"
+
+    # Give the target a copy of the status so its own Cockpit can show it
+    # shellcheck disable=SC2046
+    ssh $(ssh_options) "${SSH_USER}@${dc}" "mkdir -p '$STATE_DIR' && cat > '$STATUS_FILE'" < "$STATUS_FILE" 2>/dev/null || true
+}
+
+# Push SYSVOL to the given DCs, or to all other DCs
+run_sync() {
+    local force="$1"
+    shift
+    local dcs=("$@")
+    local failed=0
+
+    if ! is_pdc_emulator; then
+        log_error "SYSVOL is pushed from the PDC Emulator ($(get_pdc_emulator)); run this there"
+        return 1
+    fi
+
+    if [ ${#dcs[@]} -eq 0 ]; then
+        mapfile -t dcs < <(list_other_dcs)
+    fi
+    if [ ${#dcs[@]} -eq 0 ]; then
+        log_info "No other domain controllers to replicate to"
+        return 0
+    fi
+
+    local fingerprint
+    fingerprint=$(sysvol_fingerprint)
+
+    for dc in "${dcs[@]}"; do
+        sync_dc "$dc" "$force" "$fingerprint" || failed=$((failed + 1))
+    done
+
+    if [ $failed -gt 0 ]; then
+        log_error "SYSVOL replication failed for $failed of ${#dcs[@]} DCs"
+        return 1
+    fi
+}
+
+# Print the status file. Other DCs show the copy the PDC Emulator pushed with the last sync.
+show_status() {
+    if is_pdc_emulator; then
+        echo -e "#pdc\t$(hostname -s | tr '[:upper:]' '[:lower:]')\tlocal"
+        echo -e "#fingerprint\t$(sysvol_fingerprint)"
+        list_other_dcs | sed 's/^/#dc\t/'
+        [ -f "$STATUS_FILE" ] && cat "$STATUS_FILE"
+        return 0
+    fi
+
+    echo -e "#pdc\t$(get_pdc_emulator)\tremote"
+    [ -f "$STATUS_FILE" ] && cat "$STATUS_FILE"
+    return 0
+}
+
+# Test non-interactive SSH and rsync on a DC
+check_dc() {
+    local dc="$1"
+    # shellcheck disable=SC2046
+    if ssh $(ssh_options) "${SSH_USER}@${dc}" "command -v rsync >/dev/null && test -d '$SYSVOL_ROOT'" 2>&1; then
+        echo "$dc: SSH login and rsync OK"
+    else
+        echo "$dc: SSH login failed or rsync is not installed"
+        return 1
+    fi
+}
+
+# Create the SSH key used for replication and print its public half
+setup_key() {
+    if [ ! -f "$SSH_KEY" ]; then
+        mkdir -p "$(dirname "$SSH_KEY")"
+        chmod 700 "$(dirname "$SSH_KEY")"
+        ssh-keygen -q -t ed25519 -N "" -C "sysvol-replication@$(hostname -s)" -f "$SSH_KEY"
+        log_info "Created SSH key $SSH_KEY"
+    fi
+    cat "${SSH_KEY}.pub"
+}
+
+usage() {
+    cat << EOF
+Usage: $0 [OPTIONS]
+
+SYSVOL Replicator - Push SYSVOL from the PDC Emulator to the other domain controllers
+
+OPTIONS:
+    -h, --help              Show this help message
+    -s, --sync              Push SYSVOL to DCs whose copy is out of date
+    -f, --force             Push even when nothing changed since the last sync
+    --dc HOST               Only push to HOST (can be given more than once)
+    --scheduled             Sync only if this DC holds the PDC Emulator role (used by the timer)
+    --status                Print per-DC replication status
+    --list-dcs              List the DCs SYSVOL is pushed to
+    --check HOST            Test SSH and rsync access to HOST
+    --setup-key             Create the replication SSH key and print the public key
+
+DESCRIPTION:
+    Every DC needs rsync installed and the public key from --setup-key in
+    ${SSH_USER}'s authorized_keys. Settings are read from ${REPLICATION_CONFIG}.
+
+EXAMPLES:
+    $0 --sync                   # Push changes to all DCs
+    $0 --sync --force --dc dc2  # Full push to one DC
+
+EOF
+}
+
+# Main execution
+main() {
+    local action="sync"
+    local force="false"
+    local dcs=()
+
+    load_config
+
+    # Parse arguments
+    while [[ $# -gt 0 ]]; do
+        case $1 in
+            -h|--help)
+                usage
+                exit 0
+                ;;
+            -s|--sync)
+                action="sync"
+                shift
+                ;;
+            -f|--force)
+                force="true"
+                shift
+                ;;
+            --dc)
+                dcs+=("${2,,}")
+                shift 2
+                ;;
+            --scheduled)
+                action="scheduled"
+                shift
+                ;;
+            --status)
+                action="status"
+                shift
+                ;;
+            --list-dcs)
+                action="list"
+                shift
+                ;;
+            --check)
+                action="check"
+                dcs+=("$2")
+                shift 2
+                ;;
+            --setup-key)
+                action="setup-key"
+                shift
+                ;;
+            *)
+                echo "Unknown option: $1"
+                usage
+                exit 1
+                ;;
+        esac
+    done
+
+    case $action in
+        sync)
+            acquire_lock
+            run_sync "$force" "${dcs[@]}"
+            ;;
+        scheduled)
+            if ! is_pdc_emulator; then
+                log_debug "Not the PDC Emulator, nothing to push"
+                exit 0
+            fi
+            acquire_lock
+            run_sync "$force" "${dcs[@]}"
+            ;;
+        status)
+            show_status
+            ;;
+        list)
+            list_other_dcs
+            ;;
+        check)
+            check_dc "${dcs[0]}"
+            ;;
+        setup-key)
+            setup_key
+            ;;
+    esac
+}
+
+# Run main function
+main "$@"
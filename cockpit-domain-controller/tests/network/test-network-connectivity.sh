@@ -9,7 +9,8 @@ LOG_TAG="$SCRIPT_NAME"
 TEST_LOG="/tmp/network-connectivity-test.log"
 
 # Test configuration
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
+source "$(dirname "$(readlink -f "$0")")/../../domain-context.sh"
+DOMAIN_NAME="$DOMAIN_REALM"
 
 # Network test parameters
 TIMEOUT_PING=3
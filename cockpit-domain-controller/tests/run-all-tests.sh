@@ -14,7 +14,8 @@ MASTER_LOG="/tmp/dc-comprehensive-test.log"
 # Test configuration
 TEST_BASE_DIR="cockpit-domain-controller/tests"
 REPORTS_DIR="$TEST_BASE_DIR/reports"
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
+source "$(dirname "$(readlink -f "$0")")/../domain-context.sh"
+DOMAIN_NAME="$DOMAIN_REALM"
 
 # Test suite definitions
 declare -A TEST_SUITES=(
@@ -9,8 +9,9 @@ LOG_TAG="$SCRIPT_NAME"
 TEST_LOG="/tmp/service-failover-test.log"
 
 # Test configuration
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
-SYSVOL_BASE="/var/lib/samba/sysvol/${DOMAIN_NAME}"
+source "$(dirname "$(readlink -f "$0")")/../../domain-context.sh"
+DOMAIN_NAME="$DOMAIN_REALM"
+SYSVOL_BASE="$DOMAIN_SYSVOL"
 FSMO_CONFIG_DIR="${SYSVOL_BASE}/fsmo-configs"
 
 # Service configuration
@@ -312,7 +313,6 @@ test_sysvol_service_config() {
         local config_files=(
             "${FSMO_CONFIG_DIR}/fsmo-services.conf"
             "${FSMO_CONFIG_DIR}/pdc-time-authority.conf"
-            "${FSMO_CONFIG_DIR}/password-policy.conf"
         )
         
         local found_configs=0
@@ -9,8 +9,9 @@ LOG_TAG="$SCRIPT_NAME"
 TEST_LOG="/tmp/sysvol-sync-test.log"
 
 # Test configuration
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
-SYSVOL_BASE="/var/lib/samba/sysvol/${DOMAIN_NAME}"
+source "$(dirname "$(readlink -f "$0")")/../../domain-context.sh"
+DOMAIN_NAME="$DOMAIN_REALM"
+SYSVOL_BASE="$DOMAIN_SYSVOL"
 FSMO_CONFIG_DIR="${SYSVOL_BASE}/fsmo-configs"
 TEST_MARKER_DIR="${SYSVOL_BASE}/test-markers"
 
@@ -54,10 +54,11 @@ systemctl start ntp-fsmo-monitor.timer
 echo "Creating SYSVOL directories..."
 
 # Create SYSVOL directories
-DOMAIN_NAME=$(find /var/lib/samba/sysvol/ -maxdepth 1 -type d -name "*.local" 2>/dev/null | head -1 | xargs basename 2>/dev/null || echo "guedry.local")
+source "$SOURCE_DIR/domain-context.sh"
+require_domain_context || exit 1
 
-mkdir -p "/var/lib/samba/sysvol/${DOMAIN_NAME}/dhcp-configs"
-mkdir -p "/var/lib/samba/sysvol/${DOMAIN_NAME}/ntp-configs"
+mkdir -p "${DOMAIN_SYSVOL}/dhcp-configs"
+mkdir -p "${DOMAIN_SYSVOL}/ntp-configs"
 
 echo "Installation complete!"
 echo ""